@@ -0,0 +1,140 @@
+/*
+ * apikeys.js
+ *
+ * Seller API keys for scripts and integrations. requireAuth hands any
+ * bearer token that looks like an API key (stb_...) to authenticate()
+ * here instead of the session store.
+ *
+ * Keys are deny-by-default: a route only accepts them if it declares the
+ * scope it needs with apiScope() ahead of requireAuth, and a key only
+ * passes if it holds that scope. Keys are bound to one store; routes
+ * that touch store data check that binding with keyCoversStore().
+ */
+
+const { User, Store, ApiKey } = require('./models');
+
+const SCOPES = [
+  'products:read',
+  'products:write',
+  'orders:read',
+  'orders:refund',
+  'licenses:read',
+  'coupons:read',
+  'coupons:write',
+  'balance:read',
+];
+
+// lastUsedAt is only written when it is at least this stale
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith('stb_');
+}
+
+/**
+ * Resolves a presented key. Returns { apiKey, user } or
+ * { status, error, code } describing why it was rejected.
+ */
+function authenticate(token) {
+  const apiKey = ApiKey.findByKey(token);
+  if (!apiKey) {
+    return { status: 401, error: 'Invalid API key', code: 'api_key_invalid' };
+  }
+  if (apiKey.revokedAt) {
+    return {
+      status: 401,
+      error: 'API key has been revoked',
+      code: 'api_key_revoked',
+    };
+  }
+  const now = new Date();
+  if (apiKey.expiresAt && apiKey.expiresAt <= now) {
+    return {
+      status: 401,
+      error: 'API key expired',
+      code: 'api_key_expired',
+    };
+  }
+  const user = User.findById(apiKey.userId);
+  const store = Store.findById(apiKey.storeId);
+  // The key dies with its creator's ownership of the store
+  if (!user || !store || store.ownerId !== user.id) {
+    return { status: 401, error: 'Invalid API key', code: 'api_key_invalid' };
+  }
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= TOUCH_INTERVAL_MS) {
+    apiKey.update({ lastUsedAt: now });
+  }
+  return { apiKey, user };
+}
+
+/**
+ * Declares that a route accepts API keys holding `scope`. Must come
+ * before requireAuth, which enforces it.
+ */
+function apiScope(scope) {
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown API scope: ${scope}`);
+  return (req, res, next) => {
+    req.apiScope = scope;
+    next();
+  };
+}
+
+/**
+ * Checks an API key request against the route's declared scope. Returns
+ * an error message, or null if the request may proceed.
+ */
+function scopeError(req) {
+  if (!req.apiScope) return 'API keys cannot be used for this endpoint';
+  if (!req.apiKey.scopes.includes(req.apiScope)) {
+    return `API key is missing the ${req.apiScope} scope`;
+  }
+  return null;
+}
+
+/**
+ * True unless the request came in with an API key bound to another store.
+ */
+function keyCoversStore(req, storeId) {
+  return !req.apiKey || req.apiKey.storeId === storeId;
+}
+
+/**
+ * Validates a requested scope list. Throws on unknown or empty lists.
+ */
+function normaliseScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error('At least one scope is required');
+  }
+  scopes.forEach((scope) => {
+    if (!SCOPES.includes(scope)) throw new Error(`Unknown scope: ${scope}`);
+  });
+  return SCOPES.filter((scope) => scopes.includes(scope));
+}
+
+/**
+ * Public shape of a key for API responses (never the hash).
+ */
+function apiKeyJSON(apiKey) {
+  return {
+    id: apiKey.id,
+    storeId: apiKey.storeId,
+    name: apiKey.name,
+    prefix: `stb_${apiKey.prefix}`,
+    scopes: apiKey.scopes,
+    createdAt: apiKey.createdAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt,
+  };
+}
+
+module.exports = {
+  SCOPES,
+  isApiKey,
+  authenticate,
+  apiScope,
+  scopeError,
+  keyCoversStore,
+  normaliseScopes,
+  apiKeyJSON,
+};
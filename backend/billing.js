@@ -0,0 +1,871 @@
+/*
+ * billing.js
+ *
+ * The payment side of an order's life. Checkout creates a 'pending'
+ * order, taking the license keys it is sold (see reserveLicenseKeys),
+ * and a hosted payment session (see payments.js); the order only becomes
+ * 'active', and only then receives its deliverables and keys, once the
+ * payment provider confirms the payment with an event:
+ *
+ *   pending -> active    checkout.session.completed (when paid),
+ *                        checkout.session.async_payment_succeeded,
+ *                        payment_intent.succeeded, charge.succeeded
+ *   pending -> trialing  the same, or setup_intent.succeeded, for orders
+ *                        placed with a free trial: the card is saved and
+ *                        deliverables granted, but nothing is charged
+ *                        until renewals.js converts the trial
+ *   pending -> failed    checkout.session.expired,
+ *                        checkout.session.async_payment_failed,
+ *                        payment_intent.payment_failed,
+ *                        setup_intent.setup_failed
+ *
+ * A cart checkout (see checkout.js) pays for several orders, one per
+ * item, with a single session. Its events name the Checkout rather than
+ * an order and are applied to each of its orders in turn; orders
+ * starting a free trial are only given the saved card. Once paid, the
+ * bought products leave the cart they were checked out from.
+ *
+ * A failed order can still be activated by a later success (a retried
+ * card). Its license keys go back to their pools when it fails, unless
+ * the buyer can still retry on the same payment page. A payment that
+ * goes through but cannot be kept, for the wrong amount, for keys that
+ * ran out or with a coupon used up by other orders in the meantime,
+ * fails the order and is paid back to the card (see rejectPayment), or
+ * flagged for an admin to refund if the provider refuses. Every applied
+ * event is recorded by id, so redelivered events are acknowledged
+ * without being applied twice. The customer and card the provider
+ * reports are kept on the order for renewals (see renewals.js), and
+ * every charge is written to the order's BillingEvent history, issued an
+ * invoice (see invoices.js) and posted to the seller's ledger (see
+ * ledger.js).
+ *
+ * Money going back is booked here too, whether refunded by the seller or
+ * an admin (see refunds.js) or taken back by the buyer's bank:
+ *
+ *   charge.dispute.created  disputeStatus 'open'; access is kept
+ *   charge.dispute.closed   'won': nothing is taken back
+ *                           'lost': booked as a chargeback, like a refund
+ *
+ * Each refund is issued a credit note, claws back the affiliate
+ * commission in proportion to the share of what was paid that has been
+ * returned and is reversed in the ledger. An order returned in full is
+ * 'refunded' and its deliverables revoked; a one-time order returned in
+ * part is 'partially_refunded'.
+ */
+
+const {
+  Product,
+  Variant,
+  Order,
+  Checkout,
+  Cart,
+  Coupon,
+  AffiliateReferral,
+  WebhookEvent,
+  BillingEvent,
+  LicenseKey,
+} = require('./models');
+const { issueForEvent } = require('./invoices');
+const { postForEvent } = require('./ledger');
+const { getPaymentProvider } = require('./payments');
+
+const SUCCESS_EVENTS = [
+  'checkout.session.completed',
+  'checkout.session.async_payment_succeeded',
+  'payment_intent.succeeded',
+  'charge.succeeded',
+  'setup_intent.succeeded',
+];
+const FAILURE_EVENTS = [
+  'checkout.session.expired',
+  'checkout.session.async_payment_failed',
+  'payment_intent.payment_failed',
+  'setup_intent.setup_failed',
+];
+const DISPUTE_EVENTS = ['charge.dispute.created', 'charge.dispute.closed'];
+// Failures the buyer can still pay after, with another card on the same
+// payment page; the order keeps its license keys until the page expires
+const RETRYABLE_FAILURES = [
+  'payment_intent.payment_failed',
+  'setup_intent.setup_failed',
+];
+
+// BillingEvents that charged the card
+const CHARGE_EVENTS = ['payment', 'renewal', 'plan_change'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns a copy of `date` moved forward by one billing interval.
+ */
+function addInterval(date, interval) {
+  const next = new Date(date.getTime());
+  if (interval === 'monthly') next.setMonth(next.getMonth() + 1);
+  else if (interval === 'yearly') next.setFullYear(next.getFullYear() + 1);
+  return next;
+}
+
+/**
+ * Copies the deliverables of a product or variant for an order, handing
+ * its license key pools the `keys` (LicenseKeys) taken from them in
+ * turn; pools added after the keys were taken deliver nothing. Variant
+ * deliverables are tagged with the variant's id so a plan change can
+ * tell them apart.
+ */
+function takeDeliverables(owner, keys, variantId = null) {
+  const left = [...keys];
+  const taken = [];
+  owner.deliverables.forEach((d) => {
+    let granted = d;
+    if (d.type === 'license_keys' && Array.isArray(d.details.keys)) {
+      if (!left.length) return;
+      granted = { type: 'license_key', key: left.shift().key };
+    }
+    taken.push(variantId ? { ...granted, variantId } : granted);
+  });
+  // In a real implementation you would grant access to deliverables here:
+  // e.g. call Discord API to assign roles, send Telegram invites, etc.
+  return taken;
+}
+
+/**
+ * Takes the license keys a new order is sold from the pools of its
+ * product and variant (see LicenseKey), so that checkout fails when they
+ * have run out rather than the order being paid for keys that are not
+ * there. Throws 'Sold out', taking none, if a pool is empty.
+ */
+function reserveLicenseKeys(order) {
+  const product = Product.findById(order.productId);
+  const variant = order.variantId ? Variant.findById(order.variantId) : null;
+  const taken = LicenseKey.take(product, order.id);
+  try {
+    if (variant) LicenseKey.take(variant, order.id);
+  } catch (err) {
+    taken.forEach((k) => k.release());
+    throw err;
+  }
+}
+
+// Returns the keys an unpaid order holds to their pools.
+function releaseLicenseKeys(order) {
+  LicenseKey.findByOrder(order.id).forEach((k) => k.release());
+}
+
+// Copies the deliverables of the order's product and variant with the
+// keys taken for it. An order holding none (its keys were released when
+// it failed) takes them now, which throws 'Sold out' if they are gone.
+function grantDeliverables(order) {
+  const product = Product.findById(order.productId);
+  const variant = order.variantId ? Variant.findById(order.variantId) : null;
+  let keys = LicenseKey.findByOrder(order.id);
+  if (!keys.length) {
+    keys = [
+      ...LicenseKey.take(product, order.id),
+      ...(variant ? LicenseKey.take(variant, order.id) : []),
+    ];
+  }
+  return [
+    ...takeDeliverables(product, keys.filter((k) => k.variantId === null)),
+    ...(variant
+      ? takeDeliverables(
+          variant,
+          keys.filter((k) => k.variantId === variant.id),
+          variant.id
+        )
+      : []),
+  ];
+}
+
+/**
+ * Records the affiliate referral of a paid order, if it has one.
+ */
+function recordReferral(order) {
+  if (!order.affiliateReferrerId) return;
+  AffiliateReferral.create({
+    referrerId: order.affiliateReferrerId,
+    referredUserId: order.userId,
+  });
+}
+
+/**
+ * What a charge's BillingEvent records about the order's coupon
+ * discount and tax, or null without either.
+ */
+function chargeDetails(order) {
+  const details = {};
+  if (order.discount) {
+    details.couponId = order.couponId;
+    details.discount = order.discount;
+  }
+  if (order.tax || order.reverseCharge) {
+    details.tax = order.tax;
+    details.taxRate = order.taxRate;
+    details.reverseCharge = order.reverseCharge;
+  }
+  return Object.keys(details).length ? details : null;
+}
+
+/**
+ * Ends a coupon discount that only covered a subscription's first paid
+ * period, so renewals are charged the full price.
+ */
+function endFirstPeriodDiscount(order) {
+  if (order.discountDuration !== 'once' || !order.discount) return order;
+  order.update({
+    ...order.taxedPrice(order.price + order.discount),
+    discount: 0,
+  });
+  return order;
+}
+
+/**
+ * Marks a pending (or failed) order as paid and grants what it bought:
+ * deliverables are copied from the product and variant, license keys are
+ * taken from their pools, the first billing period starts (ending a
+ * first-period-only discount) and affiliate referrals are recorded. Does
+ * nothing for orders already fulfilled.
+ */
+function fulfilOrder(order, { paymentIntentId = null } = {}) {
+  if (order.status !== 'pending' && order.status !== 'failed') return order;
+  const plan = order.plan();
+  const deliverables = grantDeliverables(order);
+  const now = new Date();
+  const periodEnd =
+    plan.type === 'subscription'
+      ? addInterval(now, plan.billingInterval)
+      : null;
+  order.update({
+    status: 'active',
+    paidAt: now,
+    failedAt: null,
+    failureReason: null,
+    paymentIntentId: paymentIntentId || order.paymentIntentId,
+    nextBillingAt: periodEnd,
+    deliverables,
+  });
+  const payment = BillingEvent.record({
+    order,
+    type: 'payment',
+    amount: order.total,
+    paymentIntentId: order.paymentIntentId,
+    periodStart: periodEnd ? now : null,
+    periodEnd,
+    details: chargeDetails(order),
+    createdAt: now,
+  });
+  issueForEvent(order, payment);
+  postForEvent(order, payment);
+  endFirstPeriodDiscount(order);
+  recordReferral(order);
+  return order;
+}
+
+/**
+ * Starts the free trial of an order whose card was saved: deliverables
+ * are granted now and the first charge is due when the trial ends. Each
+ * buyer gets one trial per product, so a second one fails the order.
+ */
+function startTrial(order, now = new Date()) {
+  if (order.status !== 'pending' && order.status !== 'failed') return order;
+  if (Order.hasUsedTrial(order.userId, order.productId)) {
+    releaseLicenseKeys(order);
+    order.update({
+      status: 'failed',
+      failedAt: now,
+      failureReason: 'trial_already_used',
+    });
+    return order;
+  }
+  const trialEndsAt = new Date(now.getTime() + order.trialDays * DAY_MS);
+  order.update({
+    status: 'trialing',
+    failedAt: null,
+    failureReason: null,
+    trialEndsAt,
+    nextBillingAt: trialEndsAt,
+    deliverables: grantDeliverables(order),
+  });
+  BillingEvent.record({
+    order,
+    type: 'trial_started',
+    periodStart: now,
+    periodEnd: trialEndsAt,
+    createdAt: now,
+  });
+  return order;
+}
+
+/**
+ * Marks every deliverable of an order as revoked, e.g. when its
+ * subscription expires. Issued license keys stay on record.
+ */
+function revokeDeliverables(order, now = new Date()) {
+  order.update({
+    deliverables: order.deliverables.map((d) =>
+      d.revokedAt ? d : { ...d, revokedAt: now.toISOString() }
+    ),
+  });
+  // In a real implementation you would also remove Discord roles, kick
+  // from Telegram groups, etc.
+  return order;
+}
+
+/**
+ * Gives back the deliverables revokeDeliverables() took from an order at
+ * `revokedAt`, e.g. when a paused subscription resumes. Deliverables
+ * revoked at any other time, such as a replaced plan's, stay revoked.
+ */
+function restoreDeliverables(order, revokedAt) {
+  const stamp = revokedAt.toISOString();
+  order.update({
+    deliverables: order.deliverables.map((d) => {
+      if (d.revokedAt !== stamp) return d;
+      const restored = { ...d };
+      delete restored.revokedAt;
+      return restored;
+    }),
+  });
+  // In a real implementation you would grant the access again here
+  return order;
+}
+
+/**
+ * The card charges of an order, oldest first: charge BillingEvents that
+ * took money through the payment provider.
+ */
+function cardCharges(order) {
+  return BillingEvent.findByOrder(order.id).filter(
+    (e) => CHARGE_EVENTS.includes(e.type) && e.amount > 0 && e.paymentIntentId
+  );
+}
+
+/**
+ * How much of a card charge has been paid back so far, by refunds and
+ * chargebacks.
+ */
+function refundedFromCharge(order, paymentIntentId) {
+  return BillingEvent.findByOrder(order.id)
+    .filter(
+      (e) =>
+        (e.type === 'refund' || e.type === 'chargeback') &&
+        e.paymentIntentId === paymentIntentId
+    )
+    .reduce((sum, e) => sum + e.amount, 0);
+}
+
+function amountPaid(order) {
+  return cardCharges(order).reduce((sum, e) => sum + e.amount, 0);
+}
+
+/**
+ * What is left of an order's card charges to pay back, in minor units.
+ */
+function refundableAmount(order) {
+  return Math.max(amountPaid(order) - order.refundedAmount, 0);
+}
+
+/**
+ * Books money paid back on a card charge: a 'refund', or a 'chargeback'
+ * from a lost dispute. The affiliate commission is clawed back in
+ * proportion to the share of everything paid that has been returned.
+ */
+function recordRefund(
+  order,
+  {
+    type = 'refund',
+    amount,
+    paymentIntentId = null,
+    details = null,
+    now = new Date(),
+  }
+) {
+  const event = BillingEvent.record({
+    order,
+    type,
+    amount,
+    paymentIntentId,
+    details,
+    createdAt: now,
+  });
+  issueForEvent(order, event);
+  const refundedAmount = order.refundedAmount + amount;
+  const paid = amountPaid(order);
+  const reversed = paid
+    ? Math.round((order.affiliateCommission * refundedAmount) / paid)
+    : order.affiliateCommission;
+  order.update({
+    refundedAmount,
+    refundedAt: now,
+    affiliateCommissionReversed: Math.min(
+      reversed,
+      order.affiliateCommission
+    ),
+  });
+  postForEvent(order, event);
+  return event;
+}
+
+// Puts the order's license keys back into the pools they were taken from
+// so they can be sold again. Keys only withheld by a pause count as live.
+function restockLicenseKeys(order) {
+  const paused = order.pausedAt ? order.pausedAt.toISOString() : null;
+  const active = order.deliverables.filter(
+    (d) =>
+      d.type === 'license_key' &&
+      d.key &&
+      (!d.revokedAt || d.revokedAt === paused)
+  );
+  LicenseKey.findByOrder(order.id)
+    .filter((k) =>
+      active.some(
+        (d) => d.key === k.key && (d.variantId || null) === k.variantId
+      )
+    )
+    .forEach((k) => k.release());
+}
+
+/**
+ * Updates an order's status after money was paid back. Once everything
+ * paid has been returned the order is 'refunded': billing stops and its
+ * deliverables are revoked, first returning its license keys to their
+ * pools if `restockKeys` (for keys the buyer never used). A one-time
+ * order returned in part is 'partially_refunded'; a subscription keeps
+ * running.
+ */
+function settleRefund(order, { now = new Date(), restockKeys = false } = {}) {
+  if (refundableAmount(order) === 0) {
+    if (restockKeys) restockLicenseKeys(order);
+    order.update({
+      status: 'refunded',
+      endedAt: order.endedAt || now,
+      nextBillingAt: null,
+      nextRetryAt: null,
+      cancelAtPeriodEnd: false,
+      pausedAt: null,
+      resumesAt: null,
+      creditBalance: 0,
+    });
+    revokeDeliverables(order, now);
+  } else if (order.plan().type !== 'subscription') {
+    order.update({ status: 'partially_refunded' });
+  }
+  return order;
+}
+
+// Applies a dispute event to the order of the disputed charge. Returns
+// whether it changed anything.
+function applyDispute(order, type, dispute, now = new Date()) {
+  const booked = {
+    paymentIntentId: dispute.payment_intent || null,
+    details: { disputeId: dispute.id, reason: dispute.reason || null },
+    createdAt: now,
+  };
+  if (type === 'charge.dispute.created') {
+    order.update({ disputeStatus: 'open' });
+    BillingEvent.record({
+      ...booked,
+      order,
+      type: 'dispute_opened',
+      amount: dispute.amount || 0,
+    });
+    return true;
+  }
+  if (dispute.status === 'won') {
+    order.update({ disputeStatus: 'won' });
+    BillingEvent.record({ ...booked, order, type: 'dispute_won' });
+    return true;
+  }
+  if (dispute.status !== 'lost') return false;
+  order.update({ disputeStatus: 'lost' });
+  recordRefund(order, {
+    ...booked,
+    type: 'chargeback',
+    amount: Math.min(dispute.amount || 0, refundableAmount(order)),
+    now,
+  });
+  settleRefund(order, { now });
+  return true;
+}
+
+// What is left to dispute of the part of a card charge paid for the
+// order.
+function disputableFromCharge(order, paymentIntentId) {
+  const charged = cardCharges(order)
+    .filter((e) => e.paymentIntentId === paymentIntentId)
+    .reduce((sum, e) => sum + e.amount, 0);
+  return Math.max(charged - refundedFromCharge(order, paymentIntentId), 0);
+}
+
+// Applies a dispute of a checkout's payment to its orders, splitting the
+// disputed amount between them in turn by what each was charged. Orders
+// the payment did not charge (free trials) are left alone.
+function applyCheckoutDispute(orders, type, dispute, now = new Date()) {
+  let left = dispute.amount || 0;
+  let applied = false;
+  orders.forEach((order) => {
+    const charged = disputableFromCharge(order, dispute.payment_intent);
+    if (!charged) return;
+    const amount = Math.min(left, charged);
+    left -= amount;
+    applied = applyDispute(order, type, { ...dispute, amount }, now) || applied;
+  });
+  return applied;
+}
+
+/**
+ * Marks a pending order as failed. Orders that were paid are left alone.
+ * The license keys it holds go back to their pools, unless the buyer can
+ * still retry the payment (see RETRYABLE_FAILURES).
+ */
+function failOrder(order, reason) {
+  if (order.status !== 'pending' && order.status !== 'failed') return order;
+  if (!RETRYABLE_FAILURES.includes(reason)) releaseLicenseKeys(order);
+  if (order.status !== 'pending') return order;
+  order.update({
+    status: 'failed',
+    failedAt: new Date(),
+    failureReason: reason,
+  });
+  return order;
+}
+
+// The payment intent an event's object carries, if any.
+function paymentIntentOf(object) {
+  return object.object === 'payment_intent'
+    ? object.id
+    : object.payment_intent || null;
+}
+
+// Finds the cart checkout an event's object belongs to, if any.
+function checkoutForObject(object) {
+  const checkoutId = parseInt(object.metadata && object.metadata.checkoutId);
+  if (checkoutId) return Checkout.findById(checkoutId);
+  if (object.object === 'checkout.session') {
+    return Checkout.findByPaymentSession(object.id);
+  }
+  const intentId = paymentIntentOf(object);
+  return intentId ? Checkout.findByPaymentIntent(intentId) : undefined;
+}
+
+// Finds the order an event's object (checkout session, payment intent,
+// charge or dispute) belongs to.
+function orderForObject(object) {
+  const orderId = parseInt(
+    (object.metadata && object.metadata.orderId) || object.client_reference_id
+  );
+  if (orderId) return Order.findById(orderId);
+  if (object.object === 'checkout.session') {
+    return Order.findByPaymentSession(object.id);
+  }
+  const intentId = paymentIntentOf(object);
+  if (!intentId) return undefined;
+  // Renewals and plan changes are charged with intents of their own
+  const charge = BillingEvent.findByPaymentIntent(intentId);
+  return (
+    Order.findByPaymentIntent(intentId) ||
+    (charge && Order.findById(charge.orderId))
+  );
+}
+
+// True when the amount the provider reports differs from `expected`.
+function amountMismatch(object, expected, expectedCurrency) {
+  const amount = reportedAmount(object);
+  if (amount === undefined || amount === null) return false;
+  const currency = String(object.currency || expectedCurrency).toUpperCase();
+  return amount !== expected || currency !== expectedCurrency;
+}
+
+// A completed checkout for a delayed payment method is not paid yet;
+// async_payment_succeeded follows.
+function isUnpaid(event, object) {
+  return (
+    event.type === 'checkout.session.completed' &&
+    object.payment_status === 'unpaid'
+  );
+}
+
+// The amount of a payment an event's object reports, if any.
+function reportedAmount(object) {
+  return object.amount_total !== undefined
+    ? object.amount_total
+    : object.amount;
+}
+
+/**
+ * Fails an order whose payment went through but cannot be kept: the
+ * amount was wrong ('amount_mismatch'), its license keys ran out before
+ * it was paid ('sold_out') or other orders used up its coupon meanwhile
+ * ('coupon_used_up'). Its keys go back to their pools and a
+ * 'payment_rejected' BillingEvent records the `amount` to pay back (see
+ * returnPayment). Returns the event, or null if nothing was paid.
+ */
+function rejectPayment(order, reason, { amount, paymentIntentId, now }) {
+  releaseLicenseKeys(order);
+  order.update({ status: 'failed', failedAt: now, failureReason: reason });
+  if (!amount) return null;
+  return BillingEvent.record({
+    order,
+    type: 'payment_rejected',
+    amount,
+    paymentIntentId,
+    failureReason: reason,
+    createdAt: now,
+  });
+}
+
+/**
+ * Pays a rejected payment (see rejectPayment) back to the card through
+ * the payment provider. The outcome is recorded as 'payment_returned',
+ * or as 'payment_return_failed' for an admin to refund by hand.
+ */
+async function returnPayment(
+  order,
+  rejection,
+  { provider = getPaymentProvider(), now = new Date() } = {}
+) {
+  let result;
+  try {
+    result = await provider.refund({
+      order,
+      paymentIntentId: rejection.paymentIntentId,
+      amount: rejection.amount,
+      idempotencyKey:
+        rejection.paymentIntentId && `refund_${rejection.paymentIntentId}`,
+    });
+  } catch (err) {
+    result = { id: null, status: 'failed', failureReason: err.message };
+  }
+  const failed = result.status === 'failed';
+  return BillingEvent.record({
+    order,
+    type: failed ? 'payment_return_failed' : 'payment_returned',
+    amount: rejection.amount,
+    paymentIntentId: rejection.paymentIntentId,
+    failureReason: failed ? result.failureReason : null,
+    details: { refundId: result.id },
+    createdAt: now,
+  });
+}
+
+/**
+ * Pays back a charge to the saved card that the order no longer needs,
+ * e.g. a renewal of a subscription cancelled while it was being charged.
+ * The order is left as it is; a 'payment_rejected' BillingEvent records
+ * the charge with `reason` and returnPayment pays it back.
+ */
+function returnCharge(
+  order,
+  { amount, paymentIntentId, reason, provider, now = new Date() }
+) {
+  const rejection = BillingEvent.record({
+    order,
+    type: 'payment_rejected',
+    amount,
+    paymentIntentId,
+    failureReason: reason,
+    createdAt: now,
+  });
+  return returnPayment(order, rejection, { provider, now });
+}
+
+// Whether the payment `paymentIntentId` was already rejected for the
+// order, as both the intent and the session report it.
+function alreadyRejected(order, paymentIntentId) {
+  return BillingEvent.findByOrder(order.id).some(
+    (e) =>
+      e.type === 'payment_rejected' && e.paymentIntentId === paymentIntentId
+  );
+}
+
+// Applies a success event to one order: the saved card is kept for
+// renewals and, once paid, the order starts its trial or is fulfilled.
+// A payment of the wrong amount, for keys that have run out since or
+// with a coupon that other orders used up meanwhile is rejected instead,
+// its rejection pushed onto `rejected` with the `paid` amount (the
+// order's total by default). Returns whether the order's status changed.
+function applySuccess(
+  order,
+  object,
+  { unpaid, mismatch, paid = order.total, rejected = [] }
+) {
+  const paymentIntentId = paymentIntentOf(object);
+  if (paymentIntentId && !order.paymentIntentId) {
+    order.update({ paymentIntentId });
+  }
+  // The saved card renewals are charged to
+  if (object.customer && !order.paymentCustomerId) {
+    order.update({ paymentCustomerId: object.customer });
+  }
+  if (object.payment_method && !order.paymentMethodId) {
+    order.update({ paymentMethodId: object.payment_method });
+  }
+  if (unpaid || (order.status !== 'pending' && order.status !== 'failed')) {
+    return false;
+  }
+  if (paymentIntentId && alreadyRejected(order, paymentIntentId)) {
+    return false;
+  }
+  const now = new Date();
+  const reject = (reason, amount) => {
+    const rejection = rejectPayment(order, reason, {
+      amount,
+      paymentIntentId,
+      now,
+    });
+    if (rejection) rejected.push({ order, rejection });
+  };
+  if (!order.trialDays && mismatch) {
+    reject('amount_mismatch', paid);
+    return true;
+  }
+  // Coupon limits were checked when the order was placed, but other
+  // orders with the code may have been paid for since
+  const coupon = order.couponId ? Coupon.findById(order.couponId) : null;
+  if (coupon && coupon.limitReachedFor(order)) {
+    reject('coupon_used_up', order.trialDays ? 0 : paid);
+    return true;
+  }
+  try {
+    if (order.trialDays) startTrial(order, now);
+    else fulfilOrder(order, { paymentIntentId });
+  } catch (err) {
+    if (err.message !== 'Sold out') throw err;
+    // A trial only saved the card, so there is nothing to pay back
+    reject('sold_out', order.trialDays ? 0 : paid);
+  }
+  return true;
+}
+
+// Applies a provider event to every order of a cart checkout and keeps
+// the checkout's own status in step. Returns whether it changed anything.
+function applyCheckoutEvent(checkout, event, object, rejected) {
+  const orders = checkout.orders();
+  if (SUCCESS_EVENTS.includes(event.type)) {
+    const unpaid = isUnpaid(event, object);
+    const mismatch = amountMismatch(object, checkout.total, checkout.currency);
+    // Of a payment of the wrong amount, each order charged is paid back
+    // its total in turn and the last one whatever is left
+    let left = mismatch ? reportedAmount(object) : 0;
+    const charged = orders.filter((o) => !o.trialDays);
+    let applied = false;
+    orders.forEach((order) => {
+      let paid = order.total;
+      if (mismatch && !order.trialDays) {
+        const last = order.id === charged[charged.length - 1].id;
+        paid = last ? left : Math.min(left, order.total);
+        left -= paid;
+      }
+      applied =
+        applySuccess(order, object, { unpaid, mismatch, paid, rejected }) ||
+        applied;
+    });
+    const paymentIntentId = paymentIntentOf(object);
+    if (paymentIntentId && !checkout.paymentIntentId) {
+      checkout.update({ paymentIntentId });
+    }
+    if (!applied) return false;
+    const now = new Date();
+    if (mismatch) {
+      checkout.update({
+        status: 'failed',
+        failedAt: now,
+        failureReason: 'amount_mismatch',
+      });
+    } else {
+      checkout.update({ status: 'paid', paidAt: now, failureReason: null });
+    }
+    // What was bought leaves the cart it was checked out from
+    const cart = checkout.cartId && Cart.findById(checkout.cartId);
+    const bought = orders
+      .filter((o) => o.status === 'active' || o.status === 'trialing')
+      .map((o) => o.productId);
+    if (cart && bought.length) cart.removeItems(bought);
+    return true;
+  }
+  if (FAILURE_EVENTS.includes(event.type)) {
+    const pending = orders.filter((o) => o.status === 'pending');
+    orders.forEach((order) => failOrder(order, event.type));
+    if (checkout.status === 'pending') {
+      checkout.update({
+        status: 'failed',
+        failedAt: new Date(),
+        failureReason: event.type,
+      });
+    }
+    return pending.length > 0;
+  }
+  if (DISPUTE_EVENTS.includes(event.type)) {
+    return applyCheckoutDispute(orders, event.type, object);
+  }
+  return false;
+}
+
+/**
+ * Applies a provider event to its order, or to every order of its cart
+ * checkout. Returns { duplicate: true } for events seen before,
+ * otherwise { order, checkout } (undefined when the event does not
+ * concern them), whether it changed anything and `returned`, a promise
+ * settling once the payments it rejected have been paid back (see
+ * returnPayment).
+ */
+function handlePaymentEvent(provider, event) {
+  if (WebhookEvent.find(provider, event.id)) return { duplicate: true };
+  const object = (event.data && event.data.object) || {};
+  const checkout = checkoutForObject(object);
+  const order = checkout ? undefined : orderForObject(object);
+  const rejected = [];
+  let applied = false;
+  if (checkout) {
+    applied = applyCheckoutEvent(checkout, event, object, rejected);
+  } else if (order && SUCCESS_EVENTS.includes(event.type)) {
+    const paid = reportedAmount(object);
+    applied = applySuccess(order, object, {
+      unpaid: isUnpaid(event, object),
+      mismatch: amountMismatch(object, order.total, order.currency),
+      paid: paid === undefined || paid === null ? order.total : paid,
+      rejected,
+    });
+  } else if (order && FAILURE_EVENTS.includes(event.type)) {
+    applied = order.status === 'pending';
+    failOrder(order, event.type);
+  } else if (order && DISPUTE_EVENTS.includes(event.type)) {
+    applied = applyDispute(order, event.type, object);
+  }
+  WebhookEvent.record({
+    provider,
+    eventId: event.id,
+    type: event.type,
+    orderId: order ? order.id : null,
+    checkoutId: checkout ? checkout.id : null,
+  });
+  const returned = Promise.all(
+    rejected.map(({ order: rejectedOrder, rejection }) =>
+      returnPayment(rejectedOrder, rejection).catch((err) => {
+        console.error(`Returning order ${rejectedOrder.id}'s payment:`, err);
+      })
+    )
+  );
+  return { order, checkout, applied, returned };
+}
+
+module.exports = {
+  addInterval,
+  takeDeliverables,
+  reserveLicenseKeys,
+  chargeDetails,
+  endFirstPeriodDiscount,
+  fulfilOrder,
+  startTrial,
+  recordReferral,
+  revokeDeliverables,
+  restoreDeliverables,
+  cardCharges,
+  refundedFromCharge,
+  refundableAmount,
+  recordRefund,
+  settleRefund,
+  failOrder,
+  returnPayment,
+  returnCharge,
+  handlePaymentEvent,
+};
@@ -0,0 +1,228 @@
+/*
+ * checkout.js
+ *
+ * The terms an order is placed on and checking out a whole cart. A
+ * product is bought on its own through /api/checkout, or together with
+ * others from the buyer's cart (see Cart) through /api/cart/checkout:
+ * the cart is paid with one payment session, but every item becomes an
+ * order of its own, so each store sees, fulfils and refunds only what
+ * was bought from it. The orders share a Checkout that billing.js
+ * activates them through. Guest customers (see guests.js) buy either way
+ * too, as users of their own.
+ *
+ * Every order is priced the same way, by orderTerms(): the variant's
+ * price less the discount of a coupon of the product's store, a free
+ * trial for buyers who have not had one, and the affiliate commission of
+ * the referral code the item came with, worked out on the discounted
+ * price at the product's own affiliatePercent. Neither the buyer nor the
+ * store's owner can earn commission on an order. Tax (see tax.js) is
+ * added on top of the discounted price for where the buyer is, so every
+ * order carries its subtotal, tax and total; commission is only ever
+ * earned on the price before tax.
+ *
+ * A cart checkout takes a single currency; carts mixing currencies have
+ * to be checked out in parts.
+ */
+
+const {
+  Store,
+  User,
+  Order,
+  ProductRevision,
+  Coupon,
+  Checkout,
+  LicenseKey,
+} = require('./models');
+const { percentOf } = require('./money');
+const { taxedPrice } = require('./tax');
+const { reserveLicenseKeys, failOrder } = require('./billing');
+const { getPaymentProvider } = require('./payments');
+const { canSell } = require('./connect');
+
+/**
+ * Works out the terms `user` would buy `variant` of `product` on, with
+ * an optional coupon code and affiliate referral code, taxed for the
+ * buyer's `location` (see taxLocation in tax.js). Returns { error } if
+ * the store cannot sell yet (see connect.js), the license keys it would
+ * be sold have run out (code 'sold_out') or the coupon cannot be used,
+ * otherwise { price, subtotal, tax, total, location, coupon, discount,
+ * discountDuration, trialDays, affiliateReferrerId,
+ * affiliateCommission }. Without a user (a guest's
+ * cart) per-customer limits are not checked and a trial is assumed;
+ * without a location no tax is added.
+ */
+function orderTerms({
+  user = null,
+  product,
+  variant,
+  couponCode = null,
+  referralCode = null,
+  location = null,
+  now = new Date(),
+}) {
+  const store = Store.findById(product.storeId);
+  if (!canSell(store)) return { error: 'This store cannot take orders yet' };
+  if (LicenseKey.soldOut(product) || LicenseKey.soldOut(variant)) {
+    return { error: 'Sold out', code: 'sold_out' };
+  }
+  let coupon = null;
+  let discount = 0;
+  if (couponCode) {
+    coupon = Coupon.findByCode(product.storeId, couponCode);
+    const reason = coupon
+      ? coupon.unavailableReason({
+          product,
+          variant,
+          userId: user ? user.id : null,
+          now,
+        })
+      : 'This code is not valid';
+    if (reason) return { error: reason };
+    discount = coupon.discountOn(variant.price);
+    if (discount >= variant.price) {
+      return { error: 'This code cannot make an order free' };
+    }
+  }
+  const price = variant.price - discount;
+  const subscription = variant.type === 'subscription';
+  const referrer = referralCode ? User.findByReferralCode(referralCode) : null;
+  const attributed =
+    referrer &&
+    (!user || referrer.id !== user.id) &&
+    referrer.id !== store.ownerId;
+  return {
+    price,
+    ...taxedPrice(price, location ? location.rate : 0),
+    location,
+    coupon,
+    discount,
+    discountDuration: coupon && subscription ? coupon.duration : null,
+    trialDays:
+      subscription &&
+      variant.trialDays > 0 &&
+      !(user && Order.hasUsedTrial(user.id, product.id))
+        ? variant.trialDays
+        : 0,
+    affiliateReferrerId: attributed ? referrer.id : null,
+    affiliateCommission: attributed
+      ? percentOf(price, product.affiliatePercent)
+      : 0,
+  };
+}
+
+/**
+ * What is due now for a priced order, tax included: nothing while a
+ * trial runs.
+ */
+function dueNow(terms) {
+  return terms.trialDays ? 0 : terms.total;
+}
+
+/**
+ * Creates a pending order for `user` on the given terms, taking the
+ * license keys it is sold. Throws 'Sold out' if they have run out, in
+ * which case the order is failed.
+ */
+function createOrder(user, { product, variant, terms, checkout = null }) {
+  const order = Order.create({
+    userId: user.id,
+    productId: product.id,
+    variantId: variant.id,
+    productRevisionId: ProductRevision.current(product).id,
+    currency: product.currency,
+    price: terms.price,
+    status: 'pending',
+    affiliateReferrerId: terms.affiliateReferrerId,
+    affiliateCommission: terms.affiliateCommission,
+    trialDays: terms.trialDays,
+    couponId: terms.coupon ? terms.coupon.id : null,
+    discount: terms.discount,
+    discountDuration: terms.discountDuration,
+    checkoutId: checkout ? checkout.id : null,
+    ...orderLocation(terms.location),
+  });
+  try {
+    reserveLicenseKeys(order);
+  } catch (err) {
+    failOrder(order, 'sold_out');
+    throw err;
+  }
+  return order;
+}
+
+// The tax fields of an order placed from `location`
+function orderLocation(location) {
+  if (!location) return {};
+  return {
+    taxRate: location.rate,
+    taxCountry: location.country,
+    taxRegion: location.region,
+    vatId: location.vatId,
+    reverseCharge: location.reverseCharge,
+  };
+}
+
+/**
+ * Checks out priced lines of `cart` ([{ product, variant, terms }], see
+ * orderTerms) with one payment: a Checkout and a pending order per line
+ * are created and a payment session opened for their total. Resolves to
+ * { checkout, orders, url }. Throws if the lines mix currencies, or if
+ * an item has sold out or the provider cannot open a session, in which
+ * case the checkout and its orders are failed.
+ */
+async function checkoutCart(
+  user,
+  lines,
+  { cart, successUrl, cancelUrl, provider = getPaymentProvider() }
+) {
+  const currencies = new Set(lines.map(({ product }) => product.currency));
+  if (currencies.size !== 1) {
+    throw new Error('A checkout takes items in one currency');
+  }
+  const checkout = Checkout.create({
+    userId: user.id,
+    cartId: cart.id,
+    currency: lines[0].product.currency,
+    total: lines.reduce((sum, { terms }) => sum + dueNow(terms), 0),
+  });
+  const orders = [];
+  try {
+    lines.forEach((line) =>
+      orders.push(createOrder(user, { ...line, checkout }))
+    );
+    const session = await provider.createCartCheckoutSession({
+      checkout,
+      lines: lines.map(({ product, variant }, i) => ({
+        order: orders[i],
+        product,
+        variant,
+      })),
+      user,
+      successUrl,
+      cancelUrl,
+    });
+    checkout.update({
+      paymentProvider: provider.name,
+      paymentSessionId: session.id,
+    });
+    orders.forEach((order) =>
+      order.update({ paymentProvider: provider.name })
+    );
+    return { checkout, orders, url: session.url };
+  } catch (err) {
+    orders.forEach((order) => failOrder(order, 'checkout_session_failed'));
+    checkout.update({
+      status: 'failed',
+      failedAt: new Date(),
+      failureReason: 'checkout_session_failed',
+    });
+    throw err;
+  }
+}
+
+module.exports = {
+  orderTerms,
+  dueNow,
+  createOrder,
+  checkoutCart,
+};
@@ -0,0 +1,328 @@
+/*
+ * connect.js
+ *
+ * Seller onboarding to Stripe Connect. A store is paid out (see
+ * ledger.js) to a connected Express account of its own, which its
+ * seller sets up on Stripe's hosted onboarding pages:
+ *
+ *   1. startOnboarding() creates the account the first time and an
+ *      onboarding link to it; the seller is sent there.
+ *   2. Stripe sends them back to the return URL once they leave it,
+ *      finished or not, or to the refresh URL if the link went stale,
+ *      where a new link is made.
+ *   3. The account's state arrives as account.updated events, and is
+ *      also fetched with syncAccount() when the seller comes back.
+ *
+ * The store copies the account's state in: whether payouts and charges
+ * are enabled, the capabilities and what Stripe still requires. Until
+ * payouts are enabled the store cannot publish products and nothing of
+ * it can be checked out (see canSell), so every sale can be paid out.
+ * Express accounts are onboarded with Account Links, which need no
+ * STRIPE_CONNECT_CLIENT_ID.
+ *
+ * The Connect client is swappable like the payment provider:
+ *
+ *   name                         'stripe' | 'mock'
+ *   createAccount(params)        -> account
+ *     params: { store, user }
+ *   createAccountLink(params)    -> { url }
+ *     params: { accountId, refreshUrl, returnUrl }
+ *   retrieveAccount(accountId)   -> account | null
+ *
+ * Accounts are Stripe account objects. The mock keeps them in memory and
+ * links to a page served by this backend (/api/connect/mock/...) where
+ * onboarding can be finished or left, producing the account.updated
+ * event Stripe would send. It is picked the same way as the payment
+ * provider (see paymentProviderName), so it is never used in production.
+ */
+
+const crypto = require('crypto');
+const { Store, WebhookEvent } = require('./models');
+const { formEncode, paymentProviderName } = require('./payments');
+
+// Provider events about connected accounts
+const CONNECT_EVENTS = ['account.updated'];
+
+class StripeConnect {
+  constructor({
+    secretKey = process.env.STRIPE_SECRET_KEY,
+    apiBase = process.env.STRIPE_API_BASE || 'https://api.stripe.com/v1',
+  } = {}) {
+    this.name = 'stripe';
+    this.secretKey = secretKey;
+    this.apiBase = apiBase;
+  }
+
+  async _request(method, path, params = null) {
+    if (!this.secretKey) throw new Error('Stripe is not configured');
+    const headers = { Authorization: `Bearer ${this.secretKey}` };
+    if (params) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    const res = await fetch(`${this.apiBase}${path}`, {
+      method,
+      headers,
+      body: params ? formEncode(params) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error((data.error && data.error.message) || 'Stripe error');
+    }
+    return data;
+  }
+
+  async createAccount({ store, user }) {
+    return this._request('POST', '/accounts', {
+      type: 'express',
+      email: user.contactEmail(),
+      business_profile: { name: store.name },
+      capabilities: { transfers: { requested: true } },
+      metadata: { storeId: String(store.id) },
+    });
+  }
+
+  async createAccountLink({ accountId, refreshUrl, returnUrl }) {
+    const link = await this._request('POST', '/account_links', {
+      account: accountId,
+      refresh_url: refreshUrl,
+      return_url: returnUrl,
+      type: 'account_onboarding',
+    });
+    return { url: link.url };
+  }
+
+  async retrieveAccount(accountId) {
+    return this._request('GET', `/accounts/${encodeURIComponent(accountId)}`);
+  }
+}
+
+// What a new Express account still needs before it can be paid out to
+const MOCK_REQUIREMENTS = [
+  'business_type',
+  'external_account',
+  'tos_acceptance.date',
+];
+
+/**
+ * MockConnect
+ *
+ * Keeps accounts and onboarding links in memory. complete() finishes or
+ * leaves an onboarding link and returns the account.updated events
+ * Stripe would send.
+ */
+class MockConnect {
+  constructor({
+    apiUrl = process.env.API_URL ||
+      `http://localhost:${process.env.PORT || 3000}`,
+  } = {}) {
+    this.name = 'mock';
+    this.apiUrl = apiUrl;
+    this.accounts = new Map();
+    this.links = new Map();
+  }
+
+  async createAccount({ store, user }) {
+    const account = {
+      object: 'account',
+      id: `acct_mock_${crypto.randomBytes(8).toString('hex')}`,
+      type: 'express',
+      email: user.contactEmail(),
+      charges_enabled: false,
+      payouts_enabled: false,
+      details_submitted: false,
+      capabilities: { transfers: 'inactive' },
+      requirements: {
+        currently_due: [...MOCK_REQUIREMENTS],
+        eventually_due: [...MOCK_REQUIREMENTS],
+        past_due: [],
+        disabled_reason: 'requirements.past_due',
+      },
+      metadata: { storeId: String(store.id) },
+    };
+    this.accounts.set(account.id, account);
+    return { ...account };
+  }
+
+  async createAccountLink({ accountId, refreshUrl, returnUrl }) {
+    if (!this.accounts.has(accountId)) throw new Error('No such account');
+    const id = `link_mock_${crypto.randomBytes(12).toString('hex')}`;
+    this.links.set(id, { id, accountId, refreshUrl, returnUrl, open: true });
+    return { url: `${this.apiUrl}/api/connect/mock/onboarding/${id}` };
+  }
+
+  async retrieveAccount(accountId) {
+    const account = this.accounts.get(accountId);
+    return account ? { ...account } : null;
+  }
+
+  getLink(id) {
+    return this.links.get(id);
+  }
+
+  /**
+   * Uses up an onboarding link. With `finished` the seller submitted
+   * everything and the account can take charges and be paid out.
+   * Returns the events to apply.
+   */
+  complete(id, finished) {
+    const link = this.links.get(id);
+    if (!link || !link.open) {
+      throw new Error('Onboarding link has expired');
+    }
+    link.open = false;
+    const account = this.accounts.get(link.accountId);
+    if (finished) {
+      Object.assign(account, {
+        charges_enabled: true,
+        payouts_enabled: true,
+        details_submitted: true,
+        capabilities: { transfers: 'active' },
+        requirements: {
+          currently_due: [],
+          eventually_due: [],
+          past_due: [],
+          disabled_reason: null,
+        },
+      });
+    }
+    return [
+      {
+        id: `evt_mock_${crypto.randomBytes(12).toString('hex')}`,
+        type: 'account.updated',
+        created: Math.floor(Date.now() / 1000),
+        account: account.id,
+        data: { object: { ...account } },
+      },
+    ];
+  }
+}
+
+/**
+ * Copies the state of a Stripe account into its store.
+ */
+function applyAccount(store, account, now = new Date()) {
+  const requirements = account.requirements || {};
+  store.update({
+    stripeAccountId: account.id,
+    payoutsEnabled: !!account.payouts_enabled,
+    chargesEnabled: !!account.charges_enabled,
+    detailsSubmitted: !!account.details_submitted,
+    connectCapabilities: account.capabilities || {},
+    connectRequirements: {
+      currentlyDue: requirements.currently_due || [],
+      eventuallyDue: requirements.eventually_due || [],
+      pastDue: requirements.past_due || [],
+      disabledReason: requirements.disabled_reason || null,
+    },
+    connectUpdatedAt: now,
+  });
+  return store;
+}
+
+/**
+ * A store's Connect state as its seller sees it.
+ */
+function connectStatus(store) {
+  return {
+    accountId: store.stripeAccountId,
+    payoutsEnabled: store.payoutsEnabled,
+    chargesEnabled: store.chargesEnabled,
+    detailsSubmitted: store.detailsSubmitted,
+    capabilities: store.connectCapabilities,
+    requirements: store.connectRequirements,
+    updatedAt: store.connectUpdatedAt,
+  };
+}
+
+/**
+ * Whether a store can sell: only once its connected account can be paid
+ * out to.
+ */
+function canSell(store) {
+  return !!store.payoutsEnabled;
+}
+
+let client = null;
+
+function createConnectClient(name) {
+  if (name === 'stripe') return new StripeConnect();
+  if (name === 'mock') return new MockConnect();
+  throw new Error(`Unknown Connect client: ${name}`);
+}
+
+function getConnectClient() {
+  if (!client) {
+    client = createConnectClient(paymentProviderName());
+  }
+  return client;
+}
+
+/**
+ * Replaces the Connect client, e.g. with a fake in tests.
+ */
+function useConnectClient(next) {
+  client = next;
+  return next;
+}
+
+/**
+ * Starts (or picks up) onboarding for a store: creates its connected
+ * account if it has none yet and resolves to { url } of a fresh
+ * onboarding link.
+ */
+async function startOnboarding(
+  store,
+  user,
+  { refreshUrl, returnUrl, connect = getConnectClient() }
+) {
+  if (!store.stripeAccountId) {
+    const account = await connect.createAccount({ store, user });
+    applyAccount(store, account);
+  }
+  return connect.createAccountLink({
+    accountId: store.stripeAccountId,
+    refreshUrl,
+    returnUrl,
+  });
+}
+
+/**
+ * Fetches the state of a store's connected account and copies it in.
+ * Stores without an account are left as they are.
+ */
+async function syncAccount(store, { connect = getConnectClient() } = {}) {
+  if (!store.stripeAccountId) return store;
+  const account = await connect.retrieveAccount(store.stripeAccountId);
+  return account ? applyAccount(store, account) : store;
+}
+
+/**
+ * Applies a provider event about a connected account to its store.
+ * Returns { duplicate: true } for events seen before, otherwise
+ * { store } (undefined for accounts of no store) and whether it changed
+ * anything.
+ */
+function handleConnectEvent(provider, event) {
+  if (WebhookEvent.find(provider, event.id)) return { duplicate: true };
+  const account = (event.data && event.data.object) || {};
+  const store = account.id ? Store.findByStripeAccount(account.id) : undefined;
+  if (store) applyAccount(store, account);
+  WebhookEvent.record({
+    provider,
+    eventId: event.id,
+    type: event.type,
+    storeId: store ? store.id : null,
+  });
+  return { store, applied: !!store };
+}
+
+module.exports = {
+  CONNECT_EVENTS,
+  StripeConnect,
+  MockConnect,
+  getConnectClient,
+  useConnectClient,
+  connectStatus,
+  canSell,
+  startOnboarding,
+  syncAccount,
+  handleConnectEvent,
+};
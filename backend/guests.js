@@ -0,0 +1,121 @@
+/*
+ * guests.js
+ *
+ * Buying without an account. A guest checks out with just an email
+ * address and becomes a guest customer: a User holding that address as
+ * guestEmail (see models.js), reused by their later guest checkouts.
+ * Their orders are placed, paid and fulfilled like anyone else's,
+ * referral codes and license keys included. A magic link mailed to the
+ * address opens their purchase library; it lasts GUEST_ACCESS_TTL_MS and
+ * each new link replaces the last.
+ *
+ * From the library the guest can claim their orders into a full account:
+ * a new one under the same address, or the existing account with that
+ * address once they are logged in to it. Merging moves the guest's
+ * orders, checkouts, cart and referral records over and removes the
+ * guest customer.
+ */
+
+const {
+  User,
+  Order,
+  Checkout,
+  Cart,
+  AffiliateReferral,
+  AuthToken,
+} = require('./models');
+const { sendGuestAccessEmail } = require('./mail');
+
+const GUEST_ACCESS_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Trims and lower-cases an email address. Throws if it does not look
+ * like one.
+ */
+function normaliseEmail(email) {
+  const address = String(email || '')
+    .trim()
+    .toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+    throw new Error('Please enter a valid email address');
+  }
+  return address;
+}
+
+/**
+ * The guest customer checking out as `email`. Throws if the address is
+ * invalid.
+ */
+function guestCustomer({ email, name = null }) {
+  const trimmed = name ? String(name).trim() : '';
+  return User.guestFor(normaliseEmail(email), trimmed || null);
+}
+
+/**
+ * Mails a guest customer a new magic link to their purchase library.
+ */
+function sendGuestAccess(guest) {
+  const token = AuthToken.issue(guest.id, 'guest_access', GUEST_ACCESS_TTL_MS);
+  return sendGuestAccessEmail(guest, token);
+}
+
+/**
+ * The guest customer a magic link belongs to. Throws if the link is
+ * invalid, expired or already used to claim the orders.
+ */
+function guestForToken(token) {
+  const record = AuthToken.resolve(token, 'guest_access');
+  const guest = User.findById(record.userId);
+  if (!guest || !guest.isGuest()) throw new Error('Invalid token');
+  return guest;
+}
+
+/**
+ * Moves everything a guest customer bought into `user`'s account and
+ * removes the guest.
+ */
+function mergeGuestInto(guest, user) {
+  Order.findByUser(guest.id).forEach((o) => o.update({ userId: user.id }));
+  Checkout.findByUser(guest.id).forEach((c) =>
+    c.update({ userId: user.id })
+  );
+  AffiliateReferral.findByReferredUser(guest.id).forEach((r) =>
+    r.update({ referredUserId: user.id })
+  );
+  const cart = Cart.findByUser(guest.id);
+  if (cart) Cart.forUser(user.id).mergeFrom(cart);
+  AuthToken.removeForUser(guest.id);
+  guest.remove();
+  return user;
+}
+
+/**
+ * Claims a guest's orders with the magic link `token`: into `user`, who
+ * must be logged in under the guest's address, or else into a new
+ * account made from the guest with `password`. Resolves to the account.
+ * Throws if the link is invalid, the addresses differ, or an account
+ * with the address exists and the caller is not logged in to it.
+ */
+async function claimGuestOrders(token, { user = null, password, name }) {
+  const guest = guestForToken(token);
+  if (user) {
+    if (String(user.email).toLowerCase() !== guest.guestEmail) {
+      throw new Error('These orders were bought with another email address');
+    }
+    return mergeGuestInto(guest, user);
+  }
+  if (!password) throw new Error('Please choose a password');
+  await guest.claimGuestAccount({ password, name });
+  AuthToken.consume(token, 'guest_access');
+  return guest;
+}
+
+module.exports = {
+  GUEST_ACCESS_TTL_MS,
+  normaliseEmail,
+  guestCustomer,
+  sendGuestAccess,
+  guestForToken,
+  mergeGuestInto,
+  claimGuestOrders,
+};
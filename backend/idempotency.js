@@ -0,0 +1,140 @@
+/*
+ * idempotency.js
+ *
+ * Idempotency-Key support for the endpoints that place or change
+ * orders. A client sends a key of its own choosing (a new UUID per
+ * attempt) with a request; the first request with the key runs and its
+ * response is kept (see IdempotencyKey in models.js), and a retry with
+ * the same key, e.g. a double-clicked button or a request repeated after
+ * a timeout, is sent that response again with an Idempotent-Replayed
+ * header instead of placing a second order:
+ *
+ *   key unused                         the request runs
+ *   same request, answered             the kept response is replayed
+ *   same request, still running        409
+ *   a different request                422
+ *
+ * Requests are the same when their method, URL and body match. Keys are
+ * scoped to the user, or for guests to their cart (the X-Cart-Token
+ * header) or else the email address they check out with, and honoured
+ * for IDEMPOTENCY_KEY_TTL_HOURS (24); a key used again after that starts
+ * afresh. Server errors (5xx) are not kept, so a request that failed on
+ * our side can be retried with the same key. Requests without the
+ * header, or from guests with neither a cart nor an email, run as usual.
+ */
+
+const crypto = require('crypto');
+const { IdempotencyKey } = require('./models');
+
+const TTL_MS =
+  Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+function fingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n`)
+    .update(req.rawBody || '')
+    .digest('hex');
+}
+
+// The scope of the request's keys: its user's, or a guest's cart or
+// email address. Cart tokens are secrets, so only their hash is kept.
+function scopeOf(req) {
+  if (req.currentUser) return `user:${req.currentUser.id}`;
+  const token = req.headers['x-cart-token'];
+  if (token) {
+    return `cart:${crypto.createHash('sha256').update(token).digest('hex')}`;
+  }
+  const email = req.body && req.body.email;
+  if (typeof email === 'string' && email.trim()) {
+    return `guest:${email.trim().toLowerCase()}`;
+  }
+  return null;
+}
+
+// The key `key` within `scope`, unless it is older than the TTL, in
+// which case it is dropped so it can be used again
+function findLive(scope, key, now) {
+  const found = IdempotencyKey.find(scope, key);
+  if (found && found.createdAt.getTime() <= now.getTime() - TTL_MS) {
+    found.remove();
+    return null;
+  }
+  return found;
+}
+
+/**
+ * Middleware making a route idempotent under the Idempotency-Key
+ * header. Goes after the route's authentication, as keys are scoped to
+ * req.currentUser.
+ */
+function idempotent(req, res, next) {
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) return next();
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+  const scope = scopeOf(req);
+  if (!scope) return next();
+  const now = new Date();
+  const print = fingerprint(req);
+  const existing = findLive(scope, key, now);
+  if (existing) {
+    if (existing.fingerprint !== print) {
+      return res.status(422).json({
+        error: 'This Idempotency-Key was used for a different request',
+      });
+    }
+    if (existing.status === null) {
+      return res.status(409).json({
+        error: 'A request with this Idempotency-Key is still in progress',
+      });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.status).json(existing.body);
+  }
+  const claimed = IdempotencyKey.claim({
+    scope,
+    key,
+    fingerprint: print,
+    now,
+  });
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500) {
+      claimed.remove();
+    } else {
+      // Kept as it was sent, after the toJSON() of any model in it
+      claimed.complete(res.statusCode, JSON.parse(JSON.stringify(body)));
+    }
+    return json(body);
+  };
+  // Responses that are not JSON are not kept either
+  const release = () => {
+    const current = IdempotencyKey.findById(claimed.id);
+    if (current && current.status === null) current.remove();
+  };
+  res.on('finish', release);
+  // A client that goes away first sees no 'finish': the claim is settled
+  // when the route answers, or released if it already has
+  let abandoned = false;
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    if (res.writableEnded) release();
+    else abandoned = true;
+  });
+  const end = res.end.bind(res);
+  res.end = (...args) => {
+    const result = end(...args);
+    if (abandoned) release();
+    return result;
+  };
+  next();
+}
+
+module.exports = {
+  idempotent,
+};
@@ -0,0 +1,167 @@
+/*
+ * identity.js
+ *
+ * Third-party identities buyers can link to their account so Discord
+ * role and Telegram deliverables know who to grant access to. Each
+ * provider sits behind a small interface so tests can swap in a fake or
+ * point the real one at a local mock server:
+ *
+ *   discord   OAuth2 authorization code flow
+ *             authorizeUrl(state) -> URL to send the browser to
+ *             exchangeCode(code) -> { accessToken, refreshToken,
+ *                                     expiresAt, scope }
+ *             fetchIdentity(tokens) -> { id, username }
+ *   telegram  Login widget payload signed with the bot token
+ *             verify(payload) -> { id, username }
+ *
+ * Configured through DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET,
+ * DISCORD_REDIRECT_URI, DISCORD_API_BASE / DISCORD_AUTHORIZE_URL (to
+ * target a mock) and TELEGRAM_BOT_TOKEN.
+ */
+
+const crypto = require('crypto');
+
+// Telegram widget payloads older than this are refused as replays
+const TELEGRAM_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+class DiscordProvider {
+  constructor({
+    clientId = process.env.DISCORD_CLIENT_ID,
+    clientSecret = process.env.DISCORD_CLIENT_SECRET,
+    redirectUri = process.env.DISCORD_REDIRECT_URI ||
+      'http://localhost:3000/api/auth/links/discord/callback',
+    apiBase = process.env.DISCORD_API_BASE || 'https://discord.com/api',
+    authorizeBase = process.env.DISCORD_AUTHORIZE_URL ||
+      'https://discord.com/oauth2/authorize',
+  } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.apiBase = apiBase;
+    this.authorizeBase = authorizeBase;
+  }
+
+  _requireConfig() {
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error('Discord linking is not configured');
+    }
+  }
+
+  authorizeUrl(state) {
+    this._requireConfig();
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: 'identify guilds.join',
+      state,
+      prompt: 'consent',
+    });
+    return `${this.authorizeBase}?${params.toString()}`;
+  }
+
+  async exchangeCode(code) {
+    this._requireConfig();
+    const res = await fetch(`${this.apiBase}/oauth2/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.redirectUri,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const reason = data.error_description || 'Discord token exchange failed';
+      throw new Error(reason);
+    }
+    return {
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token || null,
+      expiresAt: data.expires_in
+        ? new Date(Date.now() + data.expires_in * 1000)
+        : null,
+      scope: data.scope || '',
+    };
+  }
+
+  async fetchIdentity({ accessToken }) {
+    const res = await fetch(`${this.apiBase}/users/@me`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.id) {
+      throw new Error('Could not load the Discord profile');
+    }
+    return { id: String(data.id), username: data.username || null };
+  }
+}
+
+class TelegramProvider {
+  constructor({ botToken = process.env.TELEGRAM_BOT_TOKEN } = {}) {
+    this.botToken = botToken;
+  }
+
+  /**
+   * Checks a login widget payload as described in
+   * https://core.telegram.org/widgets/login#checking-authorization
+   */
+  verify(payload) {
+    if (!this.botToken) throw new Error('Telegram linking is not configured');
+    const { hash, ...fields } = payload || {};
+    if (!hash || !fields.id || !fields.auth_date) {
+      throw new Error('Incomplete Telegram login data');
+    }
+    const checkString = Object.keys(fields)
+      .filter((key) => fields[key] !== undefined && fields[key] !== null)
+      .sort()
+      .map((key) => `${key}=${fields[key]}`)
+      .join('\n');
+    const secret = crypto.createHash('sha256').update(this.botToken).digest();
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(checkString)
+      .digest('hex');
+    const given = String(hash);
+    if (
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))
+    ) {
+      throw new Error('Invalid Telegram signature');
+    }
+    const age = Date.now() / 1000 - Number(fields.auth_date);
+    if (!(age < TELEGRAM_MAX_AGE_SECONDS)) {
+      throw new Error('Telegram login data has expired');
+    }
+    return { id: String(fields.id), username: fields.username || null };
+  }
+}
+
+const providers = {};
+
+function getProvider(name) {
+  if (!providers[name]) {
+    if (name === 'discord') providers[name] = new DiscordProvider();
+    else if (name === 'telegram') providers[name] = new TelegramProvider();
+    else throw new Error(`Unknown identity provider: ${name}`);
+  }
+  return providers[name];
+}
+
+/**
+ * Replaces a provider, e.g. with a fake in tests.
+ */
+function useProvider(name, provider) {
+  providers[name] = provider;
+  return provider;
+}
+
+module.exports = {
+  DiscordProvider,
+  TelegramProvider,
+  getProvider,
+  useProvider,
+};
@@ -0,0 +1,337 @@
+/*
+ * invoices.js
+ *
+ * Invoices and credit notes. Every charge of an order (its first
+ * payment, each renewal and plan change) is issued an invoice by the
+ * order's store, and every refund or lost dispute a credit note, as the
+ * BillingEvent for it is recorded. Documents are numbered per store
+ * ('INV-<store>-000001', 'CN-<store>-000001') and copy in everything
+ * they show, so they read the same however the store, buyer or order
+ * change later (see Invoice in models.js).
+ *
+ * An invoice lists the plan at its price before any coupon discount,
+ * the discount, and the tax the order was placed with (see tax.js);
+ * account credit that paid for part of a charge is taken off what the
+ * card paid. A credit note returns part of an invoice, its tax worked
+ * out at the rate of the invoice it credits.
+ *
+ * describeInvoice() lays a document out for reading; server.js renders
+ * it as an HTML page and renderInvoicePdf() as a one-page PDF.
+ */
+
+const {
+  User,
+  Store,
+  Product,
+  Variant,
+  ProductRevision,
+  Coupon,
+  Invoice,
+} = require('./models');
+const { format, fromMinor } = require('./money');
+
+// The BillingEvent types that are issued an invoice or a credit note
+const INVOICED = ['payment', 'renewal', 'plan_change'];
+const CREDITED = ['refund', 'chargeback'];
+
+const LINE_LABELS = {
+  payment: '',
+  renewal: 'Renewal: ',
+  plan_change: 'Plan change: ',
+};
+
+function sellerDetails(storeId) {
+  const store = Store.findById(storeId);
+  const owner = User.findById(store.ownerId);
+  return {
+    storeId: store.id,
+    storeName: store.name,
+    name: owner.name,
+    email: owner.contactEmail(),
+  };
+}
+
+function buyerDetails(order) {
+  const buyer = User.findById(order.userId);
+  return {
+    userId: buyer.id,
+    name: buyer.name,
+    email: buyer.contactEmail(),
+    country: order.taxCountry,
+    region: order.taxRegion,
+    vatId: order.vatId,
+  };
+}
+
+// What the order bought, by the title the product was sold under
+function planName(order, product) {
+  const soldAs = order.productRevisionId
+    ? ProductRevision.findById(order.productRevisionId)
+    : null;
+  const title = (soldAs || product).title;
+  const variant = order.variantId ? Variant.findById(order.variantId) : null;
+  return variant ? `${title} (${variant.name})` : title;
+}
+
+function invoiceFields(order, event, product) {
+  const lines = [
+    {
+      description: LINE_LABELS[event.type] + planName(order, product),
+      amount: order.price + order.discount,
+    },
+  ];
+  if (order.discount) {
+    const coupon = Coupon.findById(order.couponId);
+    lines.push({
+      description: coupon ? `Discount (${coupon.code})` : 'Discount',
+      amount: -order.discount,
+    });
+  }
+  return {
+    type: 'invoice',
+    lines,
+    subtotal: order.subtotal,
+    tax: order.tax,
+    taxRate: order.taxRate,
+    reverseCharge: order.reverseCharge,
+    total: order.total,
+    credit: event.credit,
+    amount: event.amount,
+    periodStart: event.periodStart,
+    periodEnd: event.periodEnd,
+  };
+}
+
+function creditNoteFields(order, event) {
+  const credited =
+    (event.paymentIntentId &&
+      Invoice.findByOrder(order.id).find(
+        (i) =>
+          i.type === 'invoice' && i.paymentIntentId === event.paymentIntentId
+      )) ||
+    null;
+  const { taxRate, reverseCharge } = credited || order;
+  const tax = Math.round((event.amount * taxRate) / (100 + taxRate));
+  const what = event.type === 'chargeback' ? 'Chargeback' : 'Refund';
+  return {
+    type: 'credit_note',
+    creditedInvoiceId: credited ? credited.id : null,
+    lines: [
+      {
+        description: credited ? `${what} of ${credited.number}` : what,
+        amount: event.amount - tax,
+      },
+    ],
+    subtotal: event.amount - tax,
+    tax,
+    taxRate,
+    reverseCharge,
+    total: event.amount,
+    credit: 0,
+    amount: event.amount,
+  };
+}
+
+/**
+ * Issues the invoice or credit note for a BillingEvent of `order` just
+ * recorded, from the order as it stands. Returns the document, or null
+ * for events that move no money. An event is only ever issued one
+ * document.
+ */
+function issueForEvent(order, event) {
+  const invoiced = INVOICED.includes(event.type);
+  if (!invoiced && !CREDITED.includes(event.type)) return null;
+  if (event.amount + event.credit === 0) return null;
+  const existing = Invoice.findByBillingEvent(event.id);
+  if (existing) return existing;
+  const product = Product.findById(order.productId);
+  return Invoice.issue({
+    storeId: product.storeId,
+    orderId: order.id,
+    billingEventId: event.id,
+    paymentIntentId: event.paymentIntentId,
+    currency: order.currency,
+    seller: sellerDetails(product.storeId),
+    buyer: buyerDetails(order),
+    issuedAt: event.createdAt,
+    ...(invoiced
+      ? invoiceFields(order, event, product)
+      : creditNoteFields(order, event)),
+  });
+}
+
+function day(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Lays a document out for reading: { title, details, seller, buyer,
+ * lines, totals, notes }, where details, lines and totals are [label,
+ * text] pairs and seller, buyer and notes lists of lines. Amounts are
+ * written with `money` (format() by default).
+ */
+function describeInvoice(invoice, { money = format } = {}) {
+  const amount = (minor) => money(minor, invoice.currency);
+  const creditNote = invoice.type === 'credit_note';
+  const details = [
+    ['Number', invoice.number],
+    ['Issued', day(invoice.issuedAt)],
+  ];
+  if (invoice.periodStart && invoice.periodEnd) {
+    details.push([
+      'Period',
+      `${day(invoice.periodStart)} to ${day(invoice.periodEnd)}`,
+    ]);
+  }
+  const credited =
+    invoice.creditedInvoiceId && Invoice.findById(invoice.creditedInvoiceId);
+  if (credited) details.push(['Credits', credited.number]);
+  const { seller, buyer } = invoice;
+  const location = [buyer.region, buyer.country].filter(Boolean).join(', ');
+  const totals = [['Subtotal', amount(invoice.subtotal)]];
+  if (invoice.tax || !invoice.reverseCharge) {
+    totals.push([`Tax (${invoice.taxRate}%)`, amount(invoice.tax)]);
+  }
+  totals.push(['Total', amount(invoice.total)]);
+  if (invoice.credit) {
+    totals.push(['Account credit', amount(-invoice.credit)]);
+  }
+  totals.push([creditNote ? 'Refunded' : 'Paid', amount(invoice.amount)]);
+  const notes = [];
+  if (invoice.reverseCharge) {
+    notes.push('VAT reverse charged: the buyer accounts for the VAT.');
+  }
+  return {
+    title: creditNote ? 'Credit note' : 'Invoice',
+    details,
+    seller: [seller.storeName, seller.name, seller.email].filter(Boolean),
+    buyer: [
+      buyer.name,
+      buyer.email,
+      location,
+      buyer.vatId && `VAT ID ${buyer.vatId}`,
+    ].filter(Boolean),
+    lines: invoice.lines.map((l) => [l.description, amount(l.amount)]),
+    totals,
+    notes,
+  };
+}
+
+// Characters outside Latin-1 that the PDF fonts' WinAnsi encoding has
+const WIN_ANSI = {
+  '€': 0x80,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '–': 0x96,
+  '—': 0x97,
+};
+
+// A PDF string literal, kept to ASCII with octal escapes; characters
+// the fonts cannot show become '?'
+function pdfString(text) {
+  let out = '';
+  for (const c of String(text)) {
+    let code = WIN_ANSI[c] || c.charCodeAt(0);
+    if (code > 255) code = 63;
+    if (c === '(' || c === ')' || c === '\\') {
+      out += `\\${c}`;
+    } else if (code < 32 || code > 126) {
+      out += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      out += String.fromCharCode(code);
+    }
+  }
+  return `(${out})`;
+}
+
+/**
+ * Renders a document as a one-page A4 PDF in Helvetica. Returns a
+ * Buffer. Amounts are written with currency codes ("EUR 11.90"), which
+ * every currency can be shown in.
+ */
+function renderInvoicePdf(invoice) {
+  const doc = describeInvoice(invoice, {
+    money: (minor, currency) => `${currency} ${fromMinor(minor, currency)}`,
+  });
+  const ops = [];
+  let y = 790;
+  const text = (x, value, { size = 10, bold = false } = {}) => {
+    const font = bold ? 'F2' : 'F1';
+    ops.push(`BT /${font} ${size} Tf ${x} ${y} Td ${pdfString(value)} Tj ET`);
+  };
+  text(50, doc.title, { size: 20, bold: true });
+  y -= 30;
+  doc.details.forEach(([label, value]) => {
+    text(50, label, { bold: true });
+    text(150, value);
+    y -= 14;
+  });
+  y -= 12;
+  text(50, 'From', { bold: true });
+  text(300, 'Billed to', { bold: true });
+  y -= 14;
+  const rows = Math.max(doc.seller.length, doc.buyer.length);
+  for (let i = 0; i < rows; i++) {
+    if (doc.seller[i]) text(50, doc.seller[i]);
+    if (doc.buyer[i]) text(300, doc.buyer[i]);
+    y -= 14;
+  }
+  y -= 12;
+  text(50, 'Description', { bold: true });
+  text(450, 'Amount', { bold: true });
+  y -= 16;
+  doc.lines.forEach(([description, amount]) => {
+    text(50, description);
+    text(450, amount);
+    y -= 14;
+  });
+  ops.push(`50 ${y + 8} m 545 ${y + 8} l S`);
+  y -= 8;
+  doc.totals.forEach(([label, amount], i) => {
+    const last = i === doc.totals.length - 1;
+    text(300, label, { bold: last });
+    text(450, amount, { bold: last });
+    y -= 14;
+  });
+  y -= 12;
+  doc.notes.forEach((note) => {
+    text(50, note, { size: 9 });
+    y -= 12;
+  });
+  const content = ops.join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] ' +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica ' +
+      '/Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold ' +
+      '/Encoding /WinAnsiEncoding >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+  // Everything is ASCII, so string lengths are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  pdf +=
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\n` +
+    `startxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'ascii');
+}
+
+module.exports = {
+  issueForEvent,
+  describeInvoice,
+  renderInvoicePdf,
+};
@@ -0,0 +1,483 @@
+/*
+ * ledger.js
+ *
+ * The seller balance ledger: a double-entry record of the money the
+ * platform takes in and who it is owed to. Every charge and refund
+ * booked by billing.js is posted here as a LedgerTransaction (see
+ * models.js) next to its invoice, splitting what the card paid between
+ * these accounts:
+ *
+ *   processor         money held for the platform by the payment provider
+ *   tax               tax collected, owed to the tax authorities
+ *   platform_fees     the platform's cut
+ *   affiliates        commission owed to affiliates
+ *   payouts           payouts on their way to sellers
+ *   seller_pending    the store's share, still held
+ *   seller_available  the store's share, ready to be paid out
+ *
+ * A charge debits the processor with the gross amount and credits the
+ * seller with it, then moves each deduction from the seller to its
+ * account: the tax in the charge, the platform fee on the price before
+ * tax, the order's affiliate commission (with its first charge) and the
+ * payment provider's fee, which the provider keeps (a cart checkout's
+ * orders share the fixed part of it). What is left in seller_pending is
+ * the seller's net; it matures into seller_available PAYOUT_HOLD_DAYS
+ * after the charge.
+ *
+ * A refund or chargeback reverses the charge it pays back in proportion
+ * to the share returned, except for the payment fee, which the provider
+ * does not give back; the affiliate commission is reversed as far as
+ * billing.js claws it back. The seller is debited in seller_pending
+ * while the charge is still held and in seller_available after that. An
+ * available balance can go negative; later sales make it up.
+ *
+ * runPayouts() matures every share whose hold is over and pays out each
+ * store's positive available balance per currency as a Payout, through
+ * the payment provider's transfer() (see payments.js). A failed
+ * transfer puts the amount back for the next run. A transfer that
+ * throws may have gone through all the same, so its payout stays
+ * pending, the amount in transit, and the next run sends it again under
+ * the same idempotency key, which Stripe answers with what became of
+ * the first. Stores disabled by an admin, or whose connected account
+ * cannot take payouts (see connect.js), are not paid out.
+ *
+ *   PLATFORM_FEE_PERCENT     the platform's cut of sales before tax
+ *                            (default 5); admins can change it with the
+ *                            platformFeePercent setting, or per store
+ *   PAYMENT_FEE_PERCENT      the payment provider's fee on each charge,
+ *   PAYMENT_FEE_FIXED        in percent plus minor units of the charge's
+ *                            currency (defaults 2.9 and 30)
+ *   PAYOUT_HOLD_DAYS         days a seller's share is held before it can
+ *                            be paid out (default 7)
+ *   PAYOUT_INTERVAL_SECONDS  how often payouts run (default 86400; 0
+ *                            turns it off)
+ */
+
+const {
+  Store,
+  Product,
+  Checkout,
+  Setting,
+  LedgerTransaction,
+  Payout,
+} = require('./models');
+const { percentOf } = require('./money');
+const { getPaymentProvider } = require('./payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PLATFORM_FEE_PERCENT = Number(process.env.PLATFORM_FEE_PERCENT || 5);
+const PAYMENT_FEE_PERCENT = Number(process.env.PAYMENT_FEE_PERCENT || 2.9);
+const PAYMENT_FEE_FIXED = Number(process.env.PAYMENT_FEE_FIXED || 30);
+const PAYOUT_HOLD_DAYS = Number(process.env.PAYOUT_HOLD_DAYS || 7);
+const PAYOUT_INTERVAL_MS =
+  Number(process.env.PAYOUT_INTERVAL_SECONDS || 24 * 60 * 60) * 1000;
+
+// The BillingEvent types posted as charges and as refunds
+const CHARGES = ['payment', 'renewal', 'plan_change'];
+const REFUNDS = ['refund', 'chargeback'];
+
+/**
+ * The platform's cut of a store's sales, in percent: the store's own
+ * rate if an admin set one, otherwise the platform's.
+ */
+function platformFeePercent(store) {
+  if (store.platformFeePercent !== null) return store.platformFeePercent;
+  return Setting.get('platformFeePercent', PLATFORM_FEE_PERCENT);
+}
+
+// What the entries of `transactions` add up to in `account`, optionally
+// of one kind only. 'seller' stands for both seller accounts.
+function sumOf(transactions, account, kind = null) {
+  let sum = 0;
+  transactions.forEach((t) => {
+    t.entries.forEach((e) => {
+      const matches =
+        account === 'seller'
+          ? e.account.startsWith('seller_')
+          : e.account === account;
+      if (matches && (!kind || e.kind === kind)) sum += e.amount;
+    });
+  });
+  return sum;
+}
+
+// Moves `amount` of the seller's share in `seller` to `account`; a
+// negative amount moves it back
+function deduct(seller, account, kind, amount) {
+  return [
+    { account: seller, kind, amount },
+    { account, kind, amount: -amount },
+  ];
+}
+
+// Commission still to book for an order (positive) or to reverse
+// (negative), going by what billing.js has the affiliate earning
+function affiliateDue(order) {
+  const booked = -sumOf(LedgerTransaction.findByOrder(order.id), 'affiliates');
+  return order.affiliateCommission - order.affiliateCommissionReversed - booked;
+}
+
+// The payment provider's fixed fee on a charge of `order`. A cart
+// checkout is one card payment for all its orders that do not start
+// with a trial, so their first charges share the fee in proportion to
+// their totals.
+function fixedFee(order, event) {
+  if (!order.checkoutId || event.type !== 'payment' || order.trialDays) {
+    return PAYMENT_FEE_FIXED;
+  }
+  const paid = Checkout.findById(order.checkoutId)
+    .orders()
+    .filter((o) => !o.trialDays)
+    .sort((a, b) => a.id - b.id);
+  const total = paid.reduce((sum, o) => sum + o.total, 0);
+  const before = paid
+    .filter((o) => o.id < order.id)
+    .reduce((sum, o) => sum + o.total, 0);
+  // Rounded at the running totals so the shares add up to the fee
+  const upTo = (amount) => Math.round((PAYMENT_FEE_FIXED * amount) / total);
+  return upTo(before + order.total) - upTo(before);
+}
+
+function postCharge(order, event, store) {
+  const gross = event.amount;
+  const tax = order.total ? Math.round((order.tax * gross) / order.total) : 0;
+  const seller = 'seller_pending';
+  return LedgerTransaction.post({
+    type: 'charge',
+    storeId: store.id,
+    orderId: order.id,
+    billingEventId: event.id,
+    paymentIntentId: event.paymentIntentId,
+    currency: event.currency,
+    entries: [
+      { account: 'processor', kind: 'gross', amount: gross },
+      { account: seller, kind: 'gross', amount: -gross },
+      ...deduct(seller, 'tax', 'tax', tax),
+      ...deduct(
+        seller,
+        'platform_fees',
+        'platform_fee',
+        percentOf(gross - tax, platformFeePercent(store))
+      ),
+      ...deduct(
+        seller,
+        'affiliates',
+        'affiliate_commission',
+        Math.max(affiliateDue(order), 0)
+      ),
+      ...deduct(
+        seller,
+        'processor',
+        'payment_fee',
+        percentOf(gross, PAYMENT_FEE_PERCENT) + fixedFee(order, event)
+      ),
+    ],
+    availableAt: new Date(
+      event.createdAt.getTime() + PAYOUT_HOLD_DAYS * DAY_MS
+    ),
+    createdAt: event.createdAt,
+  });
+}
+
+function postRefund(order, event, store) {
+  const returned = event.amount;
+  const charge = LedgerTransaction.findByOrder(order.id).find(
+    (t) =>
+      t.type === 'charge' &&
+      !!event.paymentIntentId &&
+      t.paymentIntentId === event.paymentIntentId
+  );
+  let tax;
+  let fee;
+  if (charge) {
+    const share = (amount) =>
+      Math.round((amount * returned) / sumOf([charge], 'processor', 'gross'));
+    tax = share(-sumOf([charge], 'tax'));
+    fee = share(-sumOf([charge], 'platform_fees'));
+  } else {
+    // A charge from before the ledger: work its split out afresh
+    const { taxRate } = order;
+    tax = Math.round((returned * taxRate) / (100 + taxRate));
+    fee = percentOf(returned - tax, platformFeePercent(store));
+  }
+  const held = charge && !LedgerTransaction.findMaturation(charge.id);
+  const seller = held ? 'seller_pending' : 'seller_available';
+  return LedgerTransaction.post({
+    type: 'refund',
+    storeId: store.id,
+    orderId: order.id,
+    billingEventId: event.id,
+    reversesId: charge ? charge.id : null,
+    paymentIntentId: event.paymentIntentId,
+    currency: event.currency,
+    entries: [
+      { account: 'processor', kind: 'gross', amount: -returned },
+      { account: seller, kind: 'gross', amount: returned },
+      ...deduct(seller, 'tax', 'tax', -tax),
+      ...deduct(seller, 'platform_fees', 'platform_fee', -fee),
+      ...deduct(
+        seller,
+        'affiliates',
+        'affiliate_commission',
+        Math.min(affiliateDue(order), 0)
+      ),
+    ],
+    createdAt: event.createdAt,
+  });
+}
+
+/**
+ * Posts a BillingEvent of `order` just recorded to the ledger: charges
+ * and refunds of card money are, other events and charges paid only
+ * with account credit are not. Returns the transaction, or null. An
+ * event is only ever posted once.
+ */
+function postForEvent(order, event) {
+  const charge = CHARGES.includes(event.type);
+  if (!charge && !REFUNDS.includes(event.type)) return null;
+  if (event.amount === 0) return null;
+  const existing = LedgerTransaction.findByBillingEvent(event.id);
+  if (existing) return existing;
+  const store = Store.findById(Product.findById(order.productId).storeId);
+  return charge
+    ? postCharge(order, event, store)
+    : postRefund(order, event, store);
+}
+
+// The seller's share of a charge still in seller_pending: what the
+// charge put there less what refunds took back while it was held
+function heldShare(charge, transactions) {
+  return -sumOf(
+    transactions.filter(
+      (t) => t.id === charge.id || t.reversesId === charge.id
+    ),
+    'seller_pending'
+  );
+}
+
+/**
+ * Moves the seller's share of every charge held until `now` or earlier
+ * into their available balance, less what refunds took back while it
+ * was held. Only the store's own charges with `storeId`. Returns the
+ * maturation transactions posted.
+ */
+function matureBalances(now = new Date(), storeId = null) {
+  const transactions = storeId
+    ? LedgerTransaction.findByStore(storeId)
+    : LedgerTransaction.findAll();
+  return transactions
+    .filter(
+      (t) =>
+        t.type === 'charge' &&
+        t.availableAt <= now &&
+        !LedgerTransaction.findMaturation(t.id)
+    )
+    .map((charge) => {
+      const held = heldShare(charge, transactions);
+      return LedgerTransaction.post({
+        type: 'maturation',
+        storeId: charge.storeId,
+        orderId: charge.orderId,
+        maturesId: charge.id,
+        currency: charge.currency,
+        entries: [
+          { account: 'seller_pending', kind: 'maturation', amount: held },
+          { account: 'seller_available', kind: 'maturation', amount: -held },
+        ],
+        createdAt: now,
+      });
+    });
+}
+
+/**
+ * A store's balances as they stand, one per currency it has sold in:
+ * { currency, pending, available, inTransit, paidOut, nextAvailableAt,
+ * earnings }. earnings breaks down everything sold: { sales, refunded,
+ * tax, platformFees, affiliateCommission, paymentFees, net }, the
+ * deductions net of what refunds gave back. Amounts are in minor units.
+ * With `now`, shares whose hold is over by then count as available, as
+ * the next payout run will mature them; nothing is posted.
+ */
+function storeBalances(storeId, { now = null } = {}) {
+  const transactions = LedgerTransaction.findByStore(storeId);
+  const currencies = [...new Set(transactions.map((t) => t.currency))];
+  return currencies.sort().map((currency) => {
+    const mine = transactions.filter((t) => t.currency === currency);
+    const of = (type) => mine.filter((t) => t.type === type);
+    const deducted = (kind) => sumOf(mine, 'seller', kind);
+    const earnings = {
+      sales: -sumOf(of('charge'), 'seller', 'gross'),
+      refunded: sumOf(of('refund'), 'seller', 'gross'),
+      tax: deducted('tax'),
+      platformFees: deducted('platform_fee'),
+      affiliateCommission: deducted('affiliate_commission'),
+      paymentFees: deducted('payment_fee'),
+    };
+    earnings.net =
+      earnings.sales -
+      earnings.refunded -
+      earnings.tax -
+      earnings.platformFees -
+      earnings.affiliateCommission -
+      earnings.paymentFees;
+    const unmatured = of('charge').filter(
+      (t) => !LedgerTransaction.findMaturation(t.id)
+    );
+    const due = now ? unmatured.filter((t) => t.availableAt <= now) : [];
+    const maturing = due.reduce((sum, t) => sum + heldShare(t, mine), 0);
+    const held = unmatured
+      .filter((t) => !due.includes(t))
+      .map((t) => t.availableAt);
+    return {
+      currency,
+      pending: -sumOf(mine, 'seller_pending') - maturing,
+      available: -sumOf(mine, 'seller_available') + maturing,
+      inTransit: -sumOf(mine, 'payouts'),
+      paidOut: -sumOf(of('payout_paid'), 'processor'),
+      nextAvailableAt: held.length
+        ? new Date(Math.min(...held.map((at) => at.getTime())))
+        : null,
+      earnings,
+    };
+  });
+}
+
+// The fields of a payout's ledger transactions posted at `now`
+function payoutBooking(payout, now) {
+  return {
+    storeId: payout.storeId,
+    payoutId: payout.id,
+    currency: payout.currency,
+    createdAt: now,
+  };
+}
+
+// Pays `amount` of a store's available balance out through `provider`.
+async function payOut(store, { currency, amount, now, provider }) {
+  const payout = Payout.create({
+    storeId: store.id,
+    currency,
+    amount,
+    provider: provider.name,
+    now,
+  });
+  LedgerTransaction.post({
+    ...payoutBooking(payout, now),
+    type: 'payout',
+    entries: deduct('seller_available', 'payouts', 'payout', amount),
+  });
+  return sendPayout(payout, store, { now, provider });
+}
+
+// Sends a pending payout's transfer through `provider` and books what
+// came of it. The payout stays pending if the transfer throws.
+async function sendPayout(payout, store, { now, provider }) {
+  let result;
+  try {
+    result = await provider.transfer({ payout, store });
+  } catch (err) {
+    return payout;
+  }
+  const { amount } = payout;
+  const booked = payoutBooking(payout, now);
+  if (result.status === 'succeeded') {
+    payout.update({ status: 'paid', transferId: result.id, paidAt: now });
+    LedgerTransaction.post({
+      ...booked,
+      type: 'payout_paid',
+      entries: deduct('payouts', 'processor', 'payout', amount),
+    });
+  } else {
+    payout.update({
+      status: 'failed',
+      transferId: result.id,
+      failureReason: result.failureReason,
+      failedAt: now,
+    });
+    LedgerTransaction.post({
+      ...booked,
+      type: 'payout_failed',
+      entries: deduct('seller_available', 'payouts', 'payout', -amount),
+    });
+  }
+  return payout;
+}
+
+async function pay(now, provider) {
+  const summary = {
+    matured: matureBalances(now).length,
+    paid: [],
+    failed: [],
+    pending: [],
+  };
+  // Payouts an earlier run could not tell the outcome of go first
+  for (const payout of Payout.findAll()) {
+    if (payout.status !== 'pending') continue;
+    await sendPayout(payout, Store.findById(payout.storeId), {
+      now,
+      provider,
+    });
+    summary[payout.status].push(payout.id);
+  }
+  for (const store of Store.findAll()) {
+    if (store.disabledAt || !store.payoutsEnabled) continue;
+    for (const { currency, available } of storeBalances(store.id)) {
+      if (available <= 0) continue;
+      const payout = await payOut(store, {
+        currency,
+        amount: available,
+        now,
+        provider,
+      });
+      summary[payout.status].push(payout.id);
+    }
+  }
+  return summary;
+}
+
+// Runs are queued so two overlapping runs never pay a balance twice
+let queue = Promise.resolve();
+
+/**
+ * Matures held balances and pays out every store's available balance
+ * as of `now`. Resolves to { matured: count, paid, failed, pending }
+ * with the ids of the payouts made or sent again.
+ */
+function runPayouts({
+  now = new Date(),
+  provider = getPaymentProvider(),
+} = {}) {
+  const run = queue.then(() => pay(now, provider));
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Runs payouts every `intervalMs` with the time from `clock`. Returns a
+ * function that stops it.
+ */
+function startPayoutScheduler({
+  intervalMs = PAYOUT_INTERVAL_MS,
+  clock = () => new Date(),
+} = {}) {
+  if (!intervalMs) return () => {};
+  const timer = setInterval(() => {
+    runPayouts({ now: clock() }).catch((err) => {
+      console.error('Payout run failed:', err);
+    });
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  PLATFORM_FEE_PERCENT,
+  PAYOUT_HOLD_DAYS,
+  platformFeePercent,
+  postForEvent,
+  matureBalances,
+  storeBalances,
+  runPayouts,
+  startPayoutScheduler,
+};
@@ -0,0 +1,200 @@
+/*
+ * mail.js
+ *
+ * Outgoing mail for STEB.IO. Messages go through a transport object with
+ * a single async send({ to, subject, text }) method, so the delivery
+ * mechanism can be swapped without touching the routes. Selected by
+ * MAIL_TRANSPORT:
+ *
+ *   outbox (default)  writes each message as a JSON file into
+ *                     MAIL_OUTBOX_DIR (default ./data/outbox)
+ *   memory            keeps messages in an array, handy for tests
+ *
+ * Links in messages are built from APP_URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3001';
+const MAIL_FROM = process.env.MAIL_FROM || 'STEB.IO <no-reply@steb.io>';
+
+/**
+ * OutboxTransport
+ *
+ * Drops every message into a directory instead of sending it. Files are
+ * named by timestamp so they sort in the order they were sent.
+ */
+class OutboxTransport {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    this.counter = 0;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const name = `${Date.now()}-${++this.counter}.json`;
+    const file = path.join(this.dir, name);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    return { id: name };
+  }
+}
+
+/**
+ * MemoryTransport
+ *
+ * Collects messages in `sent` for inspection.
+ */
+class MemoryTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(message) {
+    this.sent.push(message);
+    return { id: String(this.sent.length) };
+  }
+}
+
+function createTransport(kind) {
+  if (!kind || kind === 'outbox') {
+    return new OutboxTransport(
+      process.env.MAIL_OUTBOX_DIR || path.join('data', 'outbox')
+    );
+  }
+  if (kind === 'memory') return new MemoryTransport();
+  throw new Error(`Unsupported MAIL_TRANSPORT: ${kind}`);
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) transport = createTransport(process.env.MAIL_TRANSPORT);
+  return transport;
+}
+
+/**
+ * Replaces the active transport, e.g. with a MemoryTransport in tests.
+ */
+function useTransport(next) {
+  transport = next;
+  return next;
+}
+
+function sendMail({ to, subject, text }) {
+  return getTransport().send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString(),
+  });
+}
+
+function sendVerificationEmail(user, token) {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.contactEmail(),
+    subject: 'Verify your STEB.IO email address',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening this link:\n${link}\n\n` +
+      'The link expires in 48 hours.',
+  });
+}
+
+function sendPasswordResetEmail(user, token) {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.contactEmail(),
+    subject: 'Reset your STEB.IO password',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Someone asked to reset the password for this account. If it was you,\n` +
+      `open this link to choose a new one:\n${link}\n\n` +
+      'The link expires in 1 hour. If you did not ask for this, ignore this email.',
+  });
+}
+
+function sendRenewalFailedEmail(user, { title, price, retryAt }) {
+  const next = retryAt
+    ? `We will try again on ${retryAt.toDateString()}.`
+    : 'There are no retries left, so the subscription will end soon.';
+  return sendMail({
+    to: user.contactEmail(),
+    subject: `Payment for ${title} failed`,
+    text:
+      `Hi ${user.name},\n\n` +
+      `We could not charge ${price} for your ${title} subscription.\n` +
+      `${next}\n\n` +
+      `Your orders: ${APP_URL}/dashboard.html`,
+  });
+}
+
+function sendTrialEndingEmail(user, { title, price, endsAt }) {
+  return sendMail({
+    to: user.contactEmail(),
+    subject: `Your ${title} trial ends soon`,
+    text:
+      `Hi ${user.name},\n\n` +
+      `Your free trial of ${title} ends on ${endsAt.toDateString()}.\n` +
+      `Your card will then be charged ${price} unless you cancel before.\n\n` +
+      `Manage your orders: ${APP_URL}/dashboard.html`,
+  });
+}
+
+function sendSubscriptionExpiredEmail(user, { title }) {
+  return sendMail({
+    to: user.contactEmail(),
+    subject: `Your ${title} subscription has ended`,
+    text:
+      `Hi ${user.name},\n\n` +
+      `We could not collect payment for ${title}, so the subscription\n` +
+      'has ended and its access was removed. You can buy it again at any\n' +
+      `time from ${APP_URL}.`,
+  });
+}
+
+function sendRefundEmail(user, { title, amount, ended }) {
+  const access = ended
+    ? '\n\nThe order was refunded in full and its access removed.'
+    : '';
+  return sendMail({
+    to: user.contactEmail(),
+    subject: `Refund for ${title}`,
+    text:
+      `Hi ${user.name},\n\n` +
+      `${amount} of your payment for ${title} has been refunded to your\n` +
+      'card. It can take a few days to show on your statement.' +
+      access +
+      `\n\nManage your orders: ${APP_URL}/dashboard.html`,
+  });
+}
+
+function sendGuestAccessEmail(user, token) {
+  const link = `${APP_URL}/library.html?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.contactEmail(),
+    subject: 'Your STEB.IO purchases',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Thanks for your order. Your purchases are waiting here:\n${link}\n\n` +
+      'The link works for 30 days and only the newest one you were sent\n' +
+      'works. From the same page you can create an account to keep them.',
+  });
+}
+
+module.exports = {
+  OutboxTransport,
+  MemoryTransport,
+  createTransport,
+  useTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendRenewalFailedEmail,
+  sendTrialEndingEmail,
+  sendSubscriptionExpiredEmail,
+  sendRefundEmail,
+  sendGuestAccessEmail,
+};
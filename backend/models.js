@@ -1,21 +1,17 @@
 /*
  * models.js
  *
- * This file defines simple in‑memory models for STEB.IO. In a real
- * deployment you would back these models with a proper database
- * (e.g. PostgreSQL, MySQL, MongoDB, etc.), but for demonstration
- * purposes we store data in arrays. Each class provides static
- * methods to create, find and update records. IDs are auto‑incremented.
+ * This file defines the models for STEB.IO. Rows live in tables owned by
+ * the storage adapter in storage.js (in-memory or an append-only file,
+ * selected by DATABASE_URL). Each class provides static methods to
+ * create, find and update records; ids, unique columns and foreign keys
+ * are assigned and enforced by the storage layer.
  */
 
 const crypto = require('crypto');
-
-// Helper to generate unique IDs. In a database this would be handled
-// automatically. Here we use a simple incrementing counter per model.
-function idGenerator() {
-  let id = 1;
-  return () => id++;
-}
+const { db, defineTable } = require('./storage');
+const { BASE_CURRENCY, normaliseCurrency, percentOf } = require('./money');
+const { taxedPrice } = require('./tax');
 
 // Helper to securely hash passwords. Uses Node's built in crypto module
 // with PBKDF2. Returns a promise that resolves to a hex encoded hash.
@@ -61,22 +57,112 @@ function randomToken(length = 32) {
   return crypto.randomBytes(length).toString('base64url');
 }
 
+// Helper to strip license key pools from deliverables, leaving only the
+// deliverable types and their settings. Used wherever deliverables are
+// shown to someone other than the seller, or snapshotted.
+function withoutKeyPools(deliverables) {
+  return (deliverables || []).map((d) => {
+    if (d.type !== 'license_keys') return d;
+    const { keys, ...details } = d.details || {};
+    return { ...d, details };
+  });
+}
+
+// Helper to hash bearer secrets (session tokens and the like) before
+// they are stored, so a leaked data file cannot be replayed as-is.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Model base class
+ *
+ * Shared plumbing between the model classes and the storage adapter.
+ * Subclasses set `static table` and a constructor taking a row; reads
+ * return fresh instances, so changes must go through update().
+ */
+class Model {
+  static _wrap(row) {
+    return row ? new this(row) : undefined;
+  }
+
+  static _insert(fields) {
+    return this._wrap(db().insert(this.table, fields));
+  }
+
+  static _where(predicate) {
+    return db()
+      .filter(this.table, predicate)
+      .map((row) => new this(row));
+  }
+
+  static _findOneBy(field, value) {
+    return this._wrap(db().findOne(this.table, field, value));
+  }
+
+  static findById(id) {
+    return this._wrap(db().get(this.table, id));
+  }
+
+  static findAll() {
+    return db()
+      .all(this.table)
+      .map((row) => new this(row));
+  }
+
+  update(fields) {
+    Object.assign(this, db().update(this.constructor.table, this.id, fields));
+  }
+
+  remove() {
+    return db().remove(this.constructor.table, this.id);
+  }
+}
+
 /**
  * User model
  *
+ * Guest customers, who bought without signing up, are users too: they
+ * have no email, password or referral code of their own, only the
+ * guestEmail they gave at checkout, until they claim their orders (see
+ * guests.js).
+ *
  * Fields:
  *   id: integer primary key
- *   email: string
- *   passwordHash: string (salt:hash)
+ *   email: string (unique; null for guest customers)
+ *   passwordHash: string (salt:hash; null for guest customers)
  *   name: string
- *   isSeller: boolean
+ *   isSeller: boolean (mirrors the 'seller' role)
+ *   roles: array of 'buyer' | 'seller' | 'support' | 'admin' (see roles.js)
  *   discordId: string | null (linked Discord account ID)
  *   telegramUsername: string | null
  *   referralCode: string (unique code generated on creation)
+ *   passwordChangedAt: Date | null (sessions created before it are void)
+ *   verifiedAt: Date | null (email confirmed; required to sell or buy)
+ *   suspendedAt: Date | null (suspended users cannot authenticate)
+ *   suspendedReason: string | null
+ *   totpSecret: string | null (base32, set once 2FA is confirmed)
+ *   totpPendingSecret: string | null (enrolment awaiting a first code)
+ *   totpEnabledAt: Date | null
+ *   totpLastStep: number | null (last accepted TOTP step, blocks replays)
+ *   recoveryCodeHashes: array of string (salt:hash, one per unused code)
+ *   guestEmail: string | null (set while the user is a guest customer)
  */
-class User {
-  static _generateId = idGenerator();
-  static _data = [];
+defineTable('users', {
+  unique: {
+    email: 'User with this email already exists',
+    referralCode: 'Referral code already in use',
+  },
+  dates: [
+    'passwordChangedAt',
+    'verifiedAt',
+    'suspendedAt',
+    'totpEnabledAt',
+  ],
+});
+
+class User extends Model {
+  static table = 'users';
 
   constructor({
     id,
@@ -84,53 +170,196 @@ class User {
     passwordHash,
     name,
     isSeller = false,
+    roles = isSeller ? ['buyer', 'seller'] : ['buyer'],
     discordId = null,
     telegramUsername = null,
     referralCode,
+    passwordChangedAt = null,
+    verifiedAt = null,
+    suspendedAt = null,
+    suspendedReason = null,
+    totpSecret = null,
+    totpPendingSecret = null,
+    totpEnabledAt = null,
+    totpLastStep = null,
+    recoveryCodeHashes = [],
+    guestEmail = null,
   }) {
+    super();
     this.id = id;
     this.email = email;
     this.passwordHash = passwordHash;
     this.name = name;
     this.isSeller = isSeller;
+    this.roles = roles;
     this.discordId = discordId;
     this.telegramUsername = telegramUsername;
     this.referralCode = referralCode;
+    this.passwordChangedAt = passwordChangedAt;
+    this.verifiedAt = verifiedAt;
+    this.suspendedAt = suspendedAt;
+    this.suspendedReason = suspendedReason;
+    this.totpSecret = totpSecret;
+    this.totpPendingSecret = totpPendingSecret;
+    this.totpEnabledAt = totpEnabledAt;
+    this.totpLastStep = totpLastStep;
+    this.recoveryCodeHashes = recoveryCodeHashes;
+    this.guestEmail = guestEmail;
   }
 
   static async create({ email, password, name, isSeller = false }) {
-    // ensure email uniqueness
-    const existing = User._data.find((u) => u.email === email);
-    if (existing) throw new Error('User with this email already exists');
+    // Fail fast before spending a PBKDF2 round; the storage layer still
+    // enforces uniqueness on insert.
+    if (User.findByEmail(email)) {
+      throw new Error('User with this email already exists');
+    }
     const passwordHash = await hashPassword(password);
-    const id = User._generateId();
-    const referralCode = randomToken(6);
-    const user = new User({
-      id,
+    return User._insert({
       email,
       passwordHash,
       name,
       isSeller,
-      referralCode,
+      roles: isSeller ? ['buyer', 'seller'] : ['buyer'],
+      discordId: null,
+      telegramUsername: null,
+      referralCode: randomToken(6),
+      passwordChangedAt: null,
+      verifiedAt: null,
+      suspendedAt: null,
+      suspendedReason: null,
+      totpSecret: null,
+      totpPendingSecret: null,
+      totpEnabledAt: null,
+      totpLastStep: null,
+      recoveryCodeHashes: [],
+      guestEmail: null,
     });
-    User._data.push(user);
-    return user;
+  }
+
+  /**
+   * The guest customer for `email`, created on their first guest
+   * checkout. Later guest checkouts with the same address add to it.
+   */
+  static guestFor(email, name) {
+    return (
+      User.findGuestByEmail(email) ||
+      User._insert({
+        email: null,
+        passwordHash: null,
+        name: name || email.split('@')[0],
+        isSeller: false,
+        roles: ['buyer'],
+        discordId: null,
+        telegramUsername: null,
+        referralCode: null,
+        passwordChangedAt: null,
+        verifiedAt: null,
+        suspendedAt: null,
+        suspendedReason: null,
+        totpSecret: null,
+        totpPendingSecret: null,
+        totpEnabledAt: null,
+        totpLastStep: null,
+        recoveryCodeHashes: [],
+        guestEmail: email,
+      })
+    );
   }
 
   static findByEmail(email) {
-    return User._data.find((u) => u.email === email);
+    return User._findOneBy('email', email);
   }
 
-  static findById(id) {
-    return User._data.find((u) => u.id === id);
+  static findGuestByEmail(email) {
+    return User._where((u) => u.guestEmail === email)[0];
+  }
+
+  static findByReferralCode(referralCode) {
+    return User._findOneBy('referralCode', referralCode);
   }
 
   static async verify(email, password) {
     const user = User.findByEmail(email);
-    if (!user) return null;
+    if (!user || !user.passwordHash) return null;
     const ok = await verifyPassword(password, user.passwordHash);
     return ok ? user : null;
   }
+
+  async checkPassword(password) {
+    return verifyPassword(password, this.passwordHash);
+  }
+
+  isGuest() {
+    return this.guestEmail !== null;
+  }
+
+  // Where mail for the user goes, guest customers included
+  contactEmail() {
+    return this.email || this.guestEmail;
+  }
+
+  /**
+   * Ids of the users buying as this user's address: the account and the
+   * guest customer with it, whichever exist.
+   */
+  buyerIds() {
+    const address = this.contactEmail();
+    if (!address) return [this.id];
+    const email = address.toLowerCase();
+    return User._where(
+      (u) => String(u.email || u.guestEmail).toLowerCase() === email
+    ).map((u) => u.id);
+  }
+
+  /**
+   * Turns a guest customer into a full account under the address they
+   * bought with, which the magic link they followed has proven theirs.
+   */
+  async claimGuestAccount({ password, name }) {
+    if (User.findByEmail(this.guestEmail)) {
+      throw new Error('User with this email already exists');
+    }
+    const passwordHash = await hashPassword(password);
+    this.update({
+      email: this.guestEmail,
+      guestEmail: null,
+      passwordHash,
+      name: name || this.name,
+      referralCode: randomToken(6),
+      verifiedAt: new Date(),
+    });
+    return this;
+  }
+
+  // Replaces the password and stamps passwordChangedAt, which voids every
+  // session issued before this moment.
+  async setPassword(password) {
+    const passwordHash = await hashPassword(password);
+    this.update({ passwordHash, passwordChangedAt: new Date() });
+  }
+
+  // Stores 2FA recovery codes hashed the same way as passwords. The plain
+  // codes are shown to the user once and never kept.
+  async setRecoveryCodes(codes) {
+    const recoveryCodeHashes = await Promise.all(codes.map(hashPassword));
+    this.update({ recoveryCodeHashes });
+  }
+
+  // Checks a recovery code and burns it on success.
+  async consumeRecoveryCode(code) {
+    const normalised = String(code || '').trim().toLowerCase();
+    for (const stored of this.recoveryCodeHashes) {
+      if (await verifyPassword(normalised, stored)) {
+        this.update({
+          recoveryCodeHashes: this.recoveryCodeHashes.filter(
+            (h) => h !== stored
+          ),
+        });
+        return true;
+      }
+    }
+    return false;
+  }
 }
 
 /**
@@ -141,55 +370,112 @@ class User {
  *
  * Fields:
  *   id: integer primary key
- *   ownerId: reference to User
+ *   ownerId: reference to User (unique)
  *   name: string
  *   description: string
  *   category: string
  *   bannerImage: string (URL or file path)
+ *   currency: ISO 4217 code new products are priced in by default
+ *   disabledAt: Date | null (hidden from the marketplace by an admin)
+ *   platformFeePercent: number | null (the platform's cut of the store's
+ *                       sales; null for the platform default, see
+ *                       ledger.js)
+ *   stripeAccountId: string | null (connected Stripe account payouts are
+ *                    transferred to, created by onboarding; unique)
+ *   payoutsEnabled: boolean (the connected account can be paid out to;
+ *                   until then the store cannot sell, see connect.js)
+ *   chargesEnabled: boolean
+ *   detailsSubmitted: boolean (the seller finished onboarding)
+ *   connectCapabilities: object (Stripe capability name -> 'active' |
+ *                        'inactive' | 'pending')
+ *   connectRequirements: { currentlyDue, eventuallyDue, pastDue,
+ *                        disabledReason } | null (what Stripe still
+ *                        needs from the seller)
+ *   connectUpdatedAt: Date | null (when the account state was last
+ *                     synced)
  */
-class Store {
-  static _generateId = idGenerator();
-  static _data = [];
+defineTable('stores', {
+  unique: {
+    ownerId: 'User already has a store',
+    stripeAccountId: 'Stripe account already connected to a store',
+  },
+  references: { ownerId: 'users' },
+  dates: ['disabledAt', 'connectUpdatedAt'],
+});
 
-  constructor({ id, ownerId, name, description, category, bannerImage }) {
+class Store extends Model {
+  static table = 'stores';
+
+  constructor({
+    id,
+    ownerId,
+    name,
+    description,
+    category,
+    bannerImage,
+    currency = BASE_CURRENCY,
+    disabledAt = null,
+    platformFeePercent = null,
+    stripeAccountId = null,
+    payoutsEnabled = false,
+    chargesEnabled = false,
+    detailsSubmitted = false,
+    connectCapabilities = {},
+    connectRequirements = null,
+    connectUpdatedAt = null,
+  }) {
+    super();
     this.id = id;
     this.ownerId = ownerId;
     this.name = name;
     this.description = description;
     this.category = category;
     this.bannerImage = bannerImage;
+    this.currency = currency;
+    this.disabledAt = disabledAt;
+    this.platformFeePercent = platformFeePercent;
+    this.stripeAccountId = stripeAccountId;
+    this.payoutsEnabled = payoutsEnabled;
+    this.chargesEnabled = chargesEnabled;
+    this.detailsSubmitted = detailsSubmitted;
+    this.connectCapabilities = connectCapabilities;
+    this.connectRequirements = connectRequirements;
+    this.connectUpdatedAt = connectUpdatedAt;
   }
 
-  static create({ ownerId, name, description, category, bannerImage }) {
-    const existing = Store._data.find((s) => s.ownerId === ownerId);
-    if (existing) throw new Error('User already has a store');
-    const id = Store._generateId();
-    const store = new Store({
-      id,
+  static create({
+    ownerId,
+    name,
+    description,
+    category,
+    bannerImage,
+    currency = BASE_CURRENCY,
+  }) {
+    return Store._insert({
       ownerId,
       name,
       description,
       category,
       bannerImage,
+      currency: normaliseCurrency(currency),
+      disabledAt: null,
+      platformFeePercent: null,
+      stripeAccountId: null,
+      payoutsEnabled: false,
+      chargesEnabled: false,
+      detailsSubmitted: false,
+      connectCapabilities: {},
+      connectRequirements: null,
+      connectUpdatedAt: null,
     });
-    Store._data.push(store);
-    return store;
-  }
-
-  static findById(id) {
-    return Store._data.find((s) => s.id === id);
-  }
-
-  static findAll() {
-    return Store._data;
   }
 
   static findByOwner(ownerId) {
-    return Store._data.find((s) => s.ownerId === ownerId);
+    return Store._findOneBy('ownerId', ownerId);
   }
 
-  update(fields) {
-    Object.assign(this, fields);
+  static findByStripeAccount(stripeAccountId) {
+    return Store._findOneBy('stripeAccountId', stripeAccountId);
   }
 }
 
@@ -197,252 +483,2512 @@ class Store {
  * Product model
  *
  * A product belongs to a store and describes something a buyer can purchase.
- * It can represent a subscription (recurring) or a one‑time purchase.
+ * It is sold through one or more variants (see Variant), each of which is
+ * a subscription (recurring) or a one‑time purchase with its own price.
  * Products may include multiple deliverables, such as downloadable files,
- * Discord roles, Telegram access, or license keys.
+ * Discord roles, Telegram access, or license keys; these are delivered
+ * with every variant.
+ *
+ * The pricing fields mirror the cheapest variant still on sale, which is
+ * what listings show ("from $x") and sort by. Products created before
+ * variants existed get a default variant built from them on first use.
  *
  * Fields:
  *   id: integer primary key
  *   storeId: reference to Store
  *   title: string
  *   description: string
- *   price: number (in USD for demonstration)
+ *   currency: ISO 4217 code all variants are priced and charged in
+ *   price: integer (minor units of currency, see money.js)
  *   type: 'subscription' | 'one_time'
  *   billingInterval: 'monthly' | 'yearly' | null
  *   trialDays: number | null
  *   deliverables: array of { type: string, details: object }
  *   affiliatePercent: number (0–100)
+ *   maxPauseDays: integer (longest a subscription can be paused for;
+ *                 0 when pausing is not offered)
+ *   disabledAt: Date | null (hidden from the marketplace by an admin)
+ *   archivedAt: Date | null (withdrawn from sale by the seller; existing
+ *               orders still resolve it)
  */
-class Product {
-  static _generateId = idGenerator();
-  static _data = [];
+defineTable('products', {
+  references: { storeId: 'stores' },
+  dates: ['disabledAt', 'archivedAt'],
+});
+
+class Product extends Model {
+  static table = 'products';
 
   constructor({
     id,
     storeId,
     title,
     description,
+    currency = BASE_CURRENCY,
     price,
     type,
     billingInterval = null,
     trialDays = null,
     deliverables = [],
     affiliatePercent = 5,
+    maxPauseDays = 0,
+    disabledAt = null,
+    archivedAt = null,
   }) {
+    super();
     this.id = id;
     this.storeId = storeId;
     this.title = title;
     this.description = description;
+    this.currency = currency;
     this.price = price;
     this.type = type;
     this.billingInterval = billingInterval;
     this.trialDays = trialDays;
     this.deliverables = deliverables;
     this.affiliatePercent = affiliatePercent;
+    this.maxPauseDays = maxPauseDays;
+    this.disabledAt = disabledAt;
+    this.archivedAt = archivedAt;
   }
 
+  /**
+   * Creates a product and its variants. Without `variants` a single
+   * 'Standard' variant is made from the product's own pricing. The
+   * currency defaults to the store's.
+   */
   static create({
     storeId,
     title,
     description,
+    currency = null,
     price,
     type,
-    billingInterval,
-    trialDays,
-    deliverables,
-    affiliatePercent,
+    billingInterval = null,
+    trialDays = null,
+    deliverables = [],
+    affiliatePercent = 5,
+    maxPauseDays = 0,
+    variants = null,
   }) {
     const store = Store.findById(storeId);
     if (!store) throw new Error('Store not found');
-    const id = Product._generateId();
-    const product = new Product({
-      id,
+    const plans = (
+      variants && variants.length
+        ? variants
+        : [{ name: 'Standard', price, type, billingInterval, trialDays }]
+    ).map((v) => Variant.normalise(v));
+    const product = Product._insert({
       storeId,
       title,
       description,
+      currency: normaliseCurrency(currency || store.currency),
       price,
       type,
       billingInterval,
       trialDays,
       deliverables,
       affiliatePercent,
+      maxPauseDays,
+      disabledAt: null,
+      archivedAt: null,
     });
-    Product._data.push(product);
+    plans.forEach((plan) =>
+      Variant._insert({ ...plan, productId: product.id })
+    );
+    product.syncFromVariants();
+    ProductRevision.record(product);
     return product;
   }
 
-  static findById(id) {
-    return Product._data.find((p) => p.id === id);
+  static findByStore(storeId) {
+    return Product._where((p) => p.storeId === storeId);
   }
 
-  static findAll() {
-    return Product._data;
+  /**
+   * The product's variants, oldest first.
+   */
+  variants() {
+    const variants = Variant.findByProduct(this.id);
+    if (variants.length) return variants;
+    return [
+      Variant.create({
+        productId: this.id,
+        name: 'Standard',
+        price: this.price,
+        type: this.type,
+        billingInterval: this.billingInterval,
+        trialDays: this.trialDays,
+      }),
+    ];
   }
 
-  static findByStore(storeId) {
-    return Product._data.filter((p) => p.storeId === storeId);
+  listedVariants() {
+    return this.variants().filter((v) => !v.archivedAt);
   }
 
-  update(fields) {
-    Object.assign(this, fields);
+  /**
+   * Copies the cheapest listed variant's pricing onto the product.
+   */
+  syncFromVariants() {
+    const [cheapest] = this.listedVariants().sort((a, b) => a.price - b.price);
+    if (!cheapest) return;
+    this.update({
+      price: cheapest.price,
+      type: cheapest.type,
+      billingInterval: cheapest.billingInterval,
+      trialDays: cheapest.trialDays,
+    });
+  }
+
+  /**
+   * Runs `change` (an edit to the product or its variants) and records a
+   * new revision if what buyers are sold (title, pricing or deliverables)
+   * changed.
+   */
+  trackRevision(change) {
+    const before = JSON.stringify(ProductRevision.snapshot(this));
+    const result = change();
+    this.syncFromVariants();
+    if (JSON.stringify(ProductRevision.snapshot(this)) !== before) {
+      ProductRevision.record(this);
+    }
+    return result;
+  }
+
+  /**
+   * Applies a seller's edit to the product itself.
+   */
+  revise(fields) {
+    this.trackRevision(() => this.update(fields));
+  }
+
+  /**
+   * Deletes the product and its revision history. Products that have
+   * been ordered cannot be deleted (archive them instead), nor can those
+   * with coupons of their own; both are checked before anything goes.
+   */
+  destroy() {
+    if (Order._where((o) => o.productId === this.id).length > 0) {
+      throw new Error('Products with orders cannot be deleted');
+    }
+    if (Coupon._where((c) => c.productId === this.id).length > 0) {
+      throw new Error(
+        'Products with coupons cannot be deleted; delete the coupons first'
+      );
+    }
+    ProductRevision.findByProduct(this.id).forEach((r) => r.remove());
+    Variant.findByProduct(this.id).forEach((v) => v.remove());
+    this.remove();
   }
 }
 
+const PRODUCT_TYPES = ['subscription', 'one_time'];
+const BILLING_INTERVALS = ['monthly', 'yearly'];
+
 /**
- * Order model
+ * Variant model
  *
- * Represents a purchase or subscription. Each order belongs to a user and a
- * product. The status can be 'active', 'cancelled', or 'expired'.
+ * A price plan of a product, e.g. the same community sold as Monthly,
+ * Yearly and Lifetime, or software sold as Personal and Team licenses.
+ * Each variant has its own pricing and deliverables (including its own
+ * license key pool), delivered on top of the product's shared ones.
+ * Variants that have been ordered are archived rather than deleted.
  *
  * Fields:
  *   id: integer primary key
- *   userId: reference to User
  *   productId: reference to Product
- *   price: number
- *   status: string
- *   nextBillingAt: Date | null
- *   endedAt: Date | null
- *   deliverables: array
- *   affiliateReferrerId: reference to User | null
- *   affiliateCommission: number
+ *   name: string (unique per product)
+ *   price: integer (minor units of the product's currency)
+ *   type: 'subscription' | 'one_time'
+ *   billingInterval: 'monthly' | 'yearly' | null
+ *   trialDays: number | null
+ *   deliverables: array of { type: string, details: object }
+ *   archivedAt: Date | null (withdrawn from sale by the seller)
  */
-class Order {
-  static _generateId = idGenerator();
-  static _data = [];
+defineTable('variants', {
+  unique: { 'productId,name': 'A variant with this name already exists' },
+  references: { productId: 'products' },
+  dates: ['archivedAt'],
+});
+
+class Variant extends Model {
+  static table = 'variants';
 
   constructor({
     id,
-    userId,
     productId,
+    name,
     price,
-    status,
-    nextBillingAt,
-    endedAt,
-    deliverables,
-    affiliateReferrerId = null,
-    affiliateCommission = 0,
+    type,
+    billingInterval = null,
+    trialDays = null,
+    deliverables = [],
+    archivedAt = null,
   }) {
+    super();
     this.id = id;
-    this.userId = userId;
     this.productId = productId;
+    this.name = name;
     this.price = price;
-    this.status = status;
-    this.nextBillingAt = nextBillingAt;
-    this.endedAt = endedAt;
+    this.type = type;
+    this.billingInterval = billingInterval;
+    this.trialDays = trialDays;
     this.deliverables = deliverables;
-    this.affiliateReferrerId = affiliateReferrerId;
-    this.affiliateCommission = affiliateCommission;
+    this.archivedAt = archivedAt;
   }
 
-  static create({
-    userId,
-    productId,
+  /**
+   * Validates variant pricing and fills in defaults. Throws on invalid
+   * input. Billing interval and trial only apply to subscriptions.
+   */
+  static normalise({
+    name,
     price,
-    status,
-    nextBillingAt,
-    deliverables,
-    affiliateReferrerId,
-    affiliateCommission,
+    type,
+    billingInterval = null,
+    trialDays = null,
+    deliverables = [],
   }) {
-    const id = Order._generateId();
-    const order = new Order({
-      id,
-      userId,
-      productId,
+    if (!name) throw new Error('Variant name is required');
+    if (!Number.isSafeInteger(price) || price <= 0) {
+      throw new Error('Price must be a positive amount in minor units');
+    }
+    if (!PRODUCT_TYPES.includes(type)) {
+      throw new Error(`Type must be one of: ${PRODUCT_TYPES.join(', ')}`);
+    }
+    const subscription = type === 'subscription';
+    const interval = subscription ? billingInterval || 'monthly' : null;
+    if (interval && !BILLING_INTERVALS.includes(interval)) {
+      throw new Error(
+        `Billing interval must be one of: ${BILLING_INTERVALS.join(', ')}`
+      );
+    }
+    if (!Array.isArray(deliverables)) {
+      throw new Error('Deliverables must be an array');
+    }
+    return {
+      name: String(name),
       price,
-      status,
-      nextBillingAt,
+      type,
+      billingInterval: interval,
+      trialDays: subscription && trialDays ? Number(trialDays) : null,
       deliverables,
-      affiliateReferrerId,
-      affiliateCommission,
-      endedAt: null,
-    });
-    Order._data.push(order);
-    return order;
-  }
-
-  static findById(id) {
-    return Order._data.find((o) => o.id === id);
+      archivedAt: null,
+    };
   }
 
-  static findByUser(userId) {
-    return Order._data.filter((o) => o.userId === userId);
+  static create({ productId, ...fields }) {
+    if (!Product.findById(productId)) throw new Error('Product not found');
+    return Variant._insert({ ...Variant.normalise(fields), productId });
   }
 
-  static findAll() {
-    return Order._data;
+  static findByProduct(productId) {
+    return Variant._where((v) => v.productId === productId).sort(
+      (a, b) => a.id - b.id
+    );
   }
 
-  update(fields) {
-    Object.assign(this, fields);
+  /**
+   * Applies an edit; omitted fields keep their current values.
+   */
+  revise(fields) {
+    const { archivedAt } = this;
+    this.update({ ...Variant.normalise({ ...this, ...fields }), archivedAt });
   }
 }
 
 /**
- * AffiliateReferral model
+ * ProductRevision model
  *
- * Tracks referrals between users. Each record notes the referrer and
- * the referred user. Commission amounts are stored per order, not here.
+ * A snapshot of what a product was sold as. Product.create records the
+ * first revision and Product#trackRevision a new one whenever the title,
+ * pricing, deliverables or variants change, and each Order points at the
+ * revision current when it was placed. License key pools are left out of the
+ * snapshot; only the deliverable types and their settings are kept.
  *
  * Fields:
  *   id: integer primary key
- *   referrerId: reference to User
- *   referredUserId: reference to User
+ *   productId: reference to Product
+ *   number: integer (1, 2, ... per product)
+ *   title: string
+ *   currency: ISO 4217 code
+ *   price: integer (minor units)
+ *   type: 'subscription' | 'one_time'
+ *   billingInterval: 'monthly' | 'yearly' | null
+ *   trialDays: number | null
+ *   deliverables: array of { type: string, details: object }
+ *   variants: array of { id, name, price, type, billingInterval,
+ *             trialDays, deliverables }
+ *   createdAt: Date
  */
-class AffiliateReferral {
-  static _generateId = idGenerator();
-  static _data = [];
+defineTable('productRevisions', {
+  unique: { 'productId,number': 'Revision already exists' },
+  references: { productId: 'products' },
+  dates: ['createdAt'],
+});
 
-  constructor({ id, referrerId, referredUserId }) {
+class ProductRevision extends Model {
+  static table = 'productRevisions';
+
+  constructor({
+    id,
+    productId,
+    number,
+    title,
+    currency = BASE_CURRENCY,
+    price,
+    type,
+    billingInterval = null,
+    trialDays = null,
+    deliverables = [],
+    variants = [],
+    createdAt,
+  }) {
+    super();
     this.id = id;
-    this.referrerId = referrerId;
-    this.referredUserId = referredUserId;
+    this.productId = productId;
+    this.number = number;
+    this.title = title;
+    this.currency = currency;
+    this.price = price;
+    this.type = type;
+    this.billingInterval = billingInterval;
+    this.trialDays = trialDays;
+    this.deliverables = deliverables;
+    this.variants = variants;
+    this.createdAt = createdAt;
   }
 
-  static create({ referrerId, referredUserId }) {
-    const id = AffiliateReferral._generateId();
-    const ref = new AffiliateReferral({ id, referrerId, referredUserId });
-    AffiliateReferral._data.push(ref);
-    return ref;
+  static snapshot(product) {
+    return {
+      title: product.title,
+      currency: product.currency,
+      price: product.price,
+      type: product.type,
+      billingInterval: product.billingInterval,
+      trialDays: product.trialDays,
+      deliverables: withoutKeyPools(product.deliverables),
+      variants: product.variants().map((v) => ({
+        id: v.id,
+        name: v.name,
+        price: v.price,
+        type: v.type,
+        billingInterval: v.billingInterval,
+        trialDays: v.trialDays,
+        deliverables: withoutKeyPools(v.deliverables),
+      })),
+    };
   }
 
-  static findByReferrer(referrerId) {
-    return AffiliateReferral._data.filter((r) => r.referrerId === referrerId);
+  static record(product) {
+    const latest = ProductRevision.latest(product.id);
+    return ProductRevision._insert({
+      productId: product.id,
+      number: latest ? latest.number + 1 : 1,
+      ...ProductRevision.snapshot(product),
+      createdAt: new Date(),
+    });
+  }
+
+  static findByProduct(productId) {
+    return ProductRevision._where((r) => r.productId === productId).sort(
+      (a, b) => a.number - b.number
+    );
+  }
+
+  static latest(productId) {
+    return ProductRevision.findByProduct(productId).pop();
+  }
+
+  /**
+   * The revision a new order should point at, recording one first for
+   * products created before revisions were kept.
+   */
+  static current(product) {
+    return (
+      ProductRevision.latest(product.id) || ProductRevision.record(product)
+    );
   }
 }
 
 /**
- * SupportTicket model
+ * Coupon model
  *
- * Users can submit support tickets. For simplicity, only the user and
- * admin (not implemented) can view their tickets.
+ * A discount code of a store, entered by buyers at checkout. A coupon
+ * takes percentOff percent or a fixed amountOff (in minor units of
+ * `currency`) off the price, optionally only for one product or one
+ * variant of it, between startsAt and endsAt, at most maxRedemptions
+ * times in all and perCustomerLimit times per buyer. For subscriptions
+ * duration says whether only the first paid period is discounted
+ * ('once') or every renewal too ('forever'). Codes are kept upper-case
+ * and are unique per store. An order placed with the code counts as a
+ * redemption once it is paid for or its trial has started. The limits
+ * are checked when an order is placed and again when its payment
+ * arrives, so a payment over them is refused (see billing.js).
  *
  * Fields:
  *   id: integer primary key
- *   userId: reference to User
- *   subject: string
- *   message: string
+ *   storeId: reference to Store
+ *   code: string (unique per store)
+ *   percentOff: number | null (more than 0, less than 100)
+ *   amountOff: integer | null (minor units of currency)
+ *   currency: ISO 4217 code | null (set with amountOff; the coupon only
+ *             applies to products priced in it)
+ *   productId: reference to Product | null (null for every product)
+ *   variantId: reference to Variant | null (null for every variant)
+ *   maxRedemptions: integer | null (null for no limit)
+ *   perCustomerLimit: integer | null (null for no limit)
+ *   startsAt: Date | null
+ *   endsAt: Date | null
+ *   duration: 'once' | 'forever'
+ *   active: boolean (switched off by the seller)
+ *   createdAt: Date
  */
-class SupportTicket {
-  static _generateId = idGenerator();
-  static _data = [];
+defineTable('coupons', {
+  unique: { 'storeId,code': 'A coupon with this code already exists' },
+  references: {
+    storeId: 'stores',
+    productId: 'products',
+    variantId: 'variants',
+  },
+  dates: ['startsAt', 'endsAt', 'createdAt'],
+});
 
-  constructor({ id, userId, subject, message }) {
+const COUPON_DURATIONS = ['once', 'forever'];
+
+// Null/undefined stay null; anything else must be a positive integer
+function optionalLimit(value, name) {
+  if (value === undefined || value === null) return null;
+  const limit = Number(value);
+  if (!Number.isSafeInteger(limit) || limit <= 0) {
+    throw new Error(`${name} must be a positive whole number`);
+  }
+  return limit;
+}
+
+function optionalDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name}`);
+  return date;
+}
+
+class Coupon extends Model {
+  static table = 'coupons';
+
+  constructor({
+    id,
+    storeId,
+    code,
+    percentOff = null,
+    amountOff = null,
+    currency = null,
+    productId = null,
+    variantId = null,
+    maxRedemptions = null,
+    perCustomerLimit = null,
+    startsAt = null,
+    endsAt = null,
+    duration = 'once',
+    active = true,
+    createdAt,
+  }) {
+    super();
     this.id = id;
-    this.userId = userId;
-    this.subject = subject;
-    this.message = message;
+    this.storeId = storeId;
+    this.code = code;
+    this.percentOff = percentOff;
+    this.amountOff = amountOff;
+    this.currency = currency;
+    this.productId = productId;
+    this.variantId = variantId;
+    this.maxRedemptions = maxRedemptions;
+    this.perCustomerLimit = perCustomerLimit;
+    this.startsAt = startsAt;
+    this.endsAt = endsAt;
+    this.duration = duration;
+    this.active = active;
+    this.createdAt = createdAt;
   }
 
-  static create({ userId, subject, message }) {
-    const id = SupportTicket._generateId();
-    const ticket = new SupportTicket({ id, userId, subject, message });
-    SupportTicket._data.push(ticket);
-    return ticket;
+  /**
+   * Validates coupon settings for the store and fills in defaults.
+   * Throws on invalid input. Exactly one of percentOff and amountOff must
+   * be given; amountOff is in minor units of `currency`.
+   */
+  static normalise({
+    storeId,
+    code,
+    percentOff = null,
+    amountOff = null,
+    currency = null,
+    productId = null,
+    variantId = null,
+    maxRedemptions = null,
+    perCustomerLimit = null,
+    startsAt = null,
+    endsAt = null,
+    duration = 'once',
+    active = true,
+  }) {
+    const normalCode = String(code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{3,32}$/.test(normalCode)) {
+      throw new Error(
+        'Code must be 3 to 32 letters, digits, dashes or underscores'
+      );
+    }
+    const percent = percentOff === null ? null : Number(percentOff);
+    if ((percent === null) === (amountOff === null)) {
+      throw new Error('Give either percentOff or amountOff');
+    }
+    if (percent !== null && !(percent > 0 && percent < 100)) {
+      throw new Error('percentOff must be more than 0 and less than 100');
+    }
+    if (
+      amountOff !== null &&
+      (!Number.isSafeInteger(amountOff) || amountOff <= 0)
+    ) {
+      throw new Error('amountOff must be a positive amount in minor units');
+    }
+    let product = null;
+    if (productId !== null) {
+      product = Product.findById(productId);
+      if (!product || product.storeId !== storeId) {
+        throw new Error('Product not found in this store');
+      }
+    }
+    if (variantId !== null) {
+      const variant = Variant.findById(variantId);
+      if (!product || !variant || variant.productId !== product.id) {
+        throw new Error('Variant not found for this product');
+      }
+    }
+    if (!COUPON_DURATIONS.includes(duration)) {
+      throw new Error(
+        `Duration must be one of: ${COUPON_DURATIONS.join(', ')}`
+      );
+    }
+    const starts = optionalDate(startsAt, 'startsAt');
+    const ends = optionalDate(endsAt, 'endsAt');
+    if (starts && ends && ends <= starts) {
+      throw new Error('endsAt must be after startsAt');
+    }
+    return {
+      code: normalCode,
+      percentOff: percent,
+      amountOff,
+      currency:
+        amountOff === null
+          ? null
+          : normaliseCurrency(currency || (product && product.currency)),
+      productId,
+      variantId,
+      maxRedemptions: optionalLimit(maxRedemptions, 'maxRedemptions'),
+      perCustomerLimit: optionalLimit(perCustomerLimit, 'perCustomerLimit'),
+      startsAt: starts,
+      endsAt: ends,
+      duration,
+      active: active !== false,
+    };
   }
 
-  static findByUser(userId) {
-    return SupportTicket._data.filter((t) => t.userId === userId);
+  static create({ storeId, ...fields }) {
+    return Coupon._insert({
+      ...Coupon.normalise({ storeId, ...fields }),
+      storeId,
+      createdAt: new Date(),
+    });
+  }
+
+  static findByStore(storeId) {
+    return Coupon._where((c) => c.storeId === storeId);
+  }
+
+  static findByCode(storeId, code) {
+    return Coupon._findOneBy('storeId,code', [
+      storeId,
+      String(code).trim().toUpperCase(),
+    ]);
+  }
+
+  /**
+   * Applies an edit; omitted fields keep their current values. Switching
+   * between a percent and a fixed discount needs the other one set to
+   * null.
+   */
+  revise(fields) {
+    this.update(Coupon.normalise({ ...this, ...fields }));
+  }
+
+  /**
+   * Orders placed with the coupon that count as redeemed, optionally
+   * only those of one buyer.
+   */
+  redemptions(userId = null) {
+    return Order._where(
+      (o) =>
+        o.couponId === this.id &&
+        (o.paidAt || o.trialEndsAt) &&
+        (userId === null || o.userId === userId)
+    );
+  }
+
+  /**
+   * True if redeeming the coupon for `order` would take it over either
+   * limit, counting the other orders redeemed so far.
+   */
+  limitReachedFor(order) {
+    const others = (userId) =>
+      this.redemptions(userId).filter((o) => o.id !== order.id).length;
+    return (
+      (this.maxRedemptions !== null && others() >= this.maxRedemptions) ||
+      (this.perCustomerLimit !== null &&
+        others(order.userId) >= this.perCustomerLimit)
+    );
+  }
+
+  /**
+   * The discount on `price` in minor units, never more than the price.
+   */
+  discountOn(price) {
+    if (this.percentOff !== null) return percentOf(price, this.percentOff);
+    return Math.min(this.amountOff, price);
+  }
+
+  /**
+   * True if the coupon covers `variant` of `product`.
+   */
+  appliesTo(product, variant) {
+    return (
+      this.storeId === product.storeId &&
+      (this.productId === null || this.productId === product.id) &&
+      (this.variantId === null || this.variantId === variant.id) &&
+      (this.currency === null || this.currency === product.currency)
+    );
+  }
+
+  /**
+   * Why the coupon cannot be redeemed for `variant` of `product`, or null
+   * if it can. With a userId the buyer's own limit is checked too.
+   */
+  unavailableReason({ product, variant, userId = null, now = new Date() }) {
+    if (
+      !this.active ||
+      this.storeId !== product.storeId ||
+      (this.startsAt && this.startsAt > now)
+    ) {
+      return 'This code is not valid';
+    }
+    if (this.endsAt && this.endsAt <= now) return 'This code has expired';
+    if (!this.appliesTo(product, variant)) {
+      return 'This code does not apply to this product';
+    }
+    if (
+      this.maxRedemptions !== null &&
+      this.redemptions().length >= this.maxRedemptions
+    ) {
+      return 'This code has been used up';
+    }
+    if (
+      userId !== null &&
+      this.perCustomerLimit !== null &&
+      this.redemptions(userId).length >= this.perCustomerLimit
+    ) {
+      return 'You have already used this code';
+    }
+    return null;
+  }
+}
+
+/**
+ * Order model
+ *
+ * Represents a purchase or subscription. Each order belongs to a user and a
+ * product. The status can be 'pending' (awaiting payment), 'trialing'
+ * (a free trial; the card is saved and first charged when the trial
+ * ends), 'active', 'past_due' (a renewal charge failed and is being
+ * retried; access is kept meanwhile), 'paused' (billing and access
+ * suspended until it resumes), 'failed' (payment failed), 'cancelled',
+ * 'expired' (renewal retries ran out; deliverables are revoked),
+ * 'refunded' (everything paid was given back, by refund or lost dispute;
+ * deliverables are revoked) or 'partially_refunded' (a one-time order
+ * with part of its price refunded; subscriptions keep their status). A
+ * subscription cancelled at period end keeps its status, with
+ * cancelAtPeriodEnd set, until the period it paid for is over (see
+ * subscriptions.js). Deliverables are only assigned once payment is
+ * confirmed (see billing.js), renewals are charged by renewals.js and
+ * refunds made by refunds.js.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   userId: reference to User
+ *   productId: reference to Product
+ *   variantId: reference to Variant | null (null for older orders)
+ *   productRevisionId: reference to ProductRevision | null (what the
+ *                      product was sold as; null for older orders)
+ *   currency: ISO 4217 code the order was charged in
+ *   price: integer (minor units of currency)
+ *   status: string
+ *   nextBillingAt: Date | null
+ *   endedAt: Date | null
+ *   deliverables: array
+ *   affiliateReferrerId: reference to User | null
+ *   affiliateCommission: integer (minor units of currency)
+ *   paymentProvider: 'stripe' | 'mock' | null (see payments.js)
+ *   paymentSessionId: string | null (hosted checkout session, unique)
+ *   paymentIntentId: string | null
+ *   paymentCustomerId: string | null (provider customer, for renewals)
+ *   paymentMethodId: string | null (saved card charged on renewal)
+ *   paidAt: Date | null
+ *   failedAt: Date | null
+ *   failureReason: string | null
+ *   trialDays: integer (free trial granted at checkout; 0 for none)
+ *   trialEndsAt: Date | null (set once the trial starts)
+ *   trialReminderSentAt: Date | null
+ *   cancelAtPeriodEnd: boolean (ends instead of renewing)
+ *   cancelRequestedAt: Date | null
+ *   pausedAt: Date | null
+ *   resumesAt: Date | null (when a paused subscription resumes by itself)
+ *   creditBalance: integer (minor units owed to the buyer from a plan
+ *                  downgrade; used up by the next renewals)
+ *   renewalAttempts: integer (failed charges for the current renewal)
+ *   pastDueSince: Date | null (first failed charge of the renewal)
+ *   nextRetryAt: Date | null (next renewal retry while past_due)
+ *   refundedAmount: integer (minor units paid back to the card, refunds
+ *                   and lost disputes together)
+ *   refundedAt: Date | null (latest refund)
+ *   affiliateCommissionReversed: integer (minor units of the affiliate
+ *                                commission clawed back by refunds)
+ *   disputeStatus: null | 'open' | 'won' | 'lost' (latest chargeback)
+ *   couponId: reference to Coupon | null (code used at checkout)
+ *   discount: integer (minor units taken off each discounted charge;
+ *             price is already net of it, 0 once the discount is over)
+ *   discountDuration: 'once' | 'forever' | null (how long a
+ *                     subscription's discount lasts; see Coupon)
+ *   checkoutId: reference to Checkout | null (set for orders bought
+ *               together from a cart with one payment)
+ *   subtotal: integer (each charge before tax; equals price)
+ *   tax: integer (minor units of tax added to each charge)
+ *   total: integer (minor units of each charge, tax included)
+ *   taxRate: number (percent of tax; 0 untaxed or reverse-charged)
+ *   taxCountry: ISO 3166-1 alpha-2 code | null (where the buyer said
+ *               they are at checkout; see tax.js)
+ *   taxRegion: string | null (state or region, where it sets the rate)
+ *   vatId: string | null (the buyer's EU VAT ID, prefixed)
+ *   reverseCharge: boolean (VAT left for the buyer to account for)
+ */
+defineTable('orders', {
+  unique: { paymentSessionId: 'Payment session already has an order' },
+  references: {
+    userId: 'users',
+    productId: 'products',
+    variantId: 'variants',
+    productRevisionId: 'productRevisions',
+    affiliateReferrerId: 'users',
+    couponId: 'coupons',
+    checkoutId: 'checkouts',
+  },
+  dates: [
+    'nextBillingAt',
+    'endedAt',
+    'paidAt',
+    'failedAt',
+    'pastDueSince',
+    'nextRetryAt',
+    'trialEndsAt',
+    'trialReminderSentAt',
+    'cancelRequestedAt',
+    'pausedAt',
+    'resumesAt',
+    'refundedAt',
+  ],
+});
+
+class Order extends Model {
+  static table = 'orders';
+
+  constructor({
+    id,
+    userId,
+    productId,
+    variantId = null,
+    productRevisionId = null,
+    currency = BASE_CURRENCY,
+    price,
+    status,
+    nextBillingAt,
+    endedAt,
+    deliverables,
+    affiliateReferrerId = null,
+    affiliateCommission = 0,
+    paymentProvider = null,
+    paymentSessionId = null,
+    paymentIntentId = null,
+    paymentCustomerId = null,
+    paymentMethodId = null,
+    paidAt = null,
+    failedAt = null,
+    failureReason = null,
+    trialDays = 0,
+    trialEndsAt = null,
+    trialReminderSentAt = null,
+    cancelAtPeriodEnd = false,
+    cancelRequestedAt = null,
+    pausedAt = null,
+    resumesAt = null,
+    creditBalance = 0,
+    renewalAttempts = 0,
+    pastDueSince = null,
+    nextRetryAt = null,
+    refundedAmount = 0,
+    refundedAt = null,
+    affiliateCommissionReversed = 0,
+    disputeStatus = null,
+    couponId = null,
+    discount = 0,
+    discountDuration = null,
+    checkoutId = null,
+    subtotal = price,
+    tax = 0,
+    total = subtotal + tax,
+    taxRate = 0,
+    taxCountry = null,
+    taxRegion = null,
+    vatId = null,
+    reverseCharge = false,
+  }) {
+    super();
+    this.id = id;
+    this.userId = userId;
+    this.productId = productId;
+    this.variantId = variantId;
+    this.productRevisionId = productRevisionId;
+    this.currency = currency;
+    this.price = price;
+    this.status = status;
+    this.nextBillingAt = nextBillingAt;
+    this.endedAt = endedAt;
+    this.deliverables = deliverables;
+    this.affiliateReferrerId = affiliateReferrerId;
+    this.affiliateCommission = affiliateCommission;
+    this.paymentProvider = paymentProvider;
+    this.paymentSessionId = paymentSessionId;
+    this.paymentIntentId = paymentIntentId;
+    this.paymentCustomerId = paymentCustomerId;
+    this.paymentMethodId = paymentMethodId;
+    this.paidAt = paidAt;
+    this.failedAt = failedAt;
+    this.failureReason = failureReason;
+    this.trialDays = trialDays;
+    this.trialEndsAt = trialEndsAt;
+    this.trialReminderSentAt = trialReminderSentAt;
+    this.cancelAtPeriodEnd = cancelAtPeriodEnd;
+    this.cancelRequestedAt = cancelRequestedAt;
+    this.pausedAt = pausedAt;
+    this.resumesAt = resumesAt;
+    this.creditBalance = creditBalance;
+    this.renewalAttempts = renewalAttempts;
+    this.pastDueSince = pastDueSince;
+    this.nextRetryAt = nextRetryAt;
+    this.refundedAmount = refundedAmount;
+    this.refundedAt = refundedAt;
+    this.affiliateCommissionReversed = affiliateCommissionReversed;
+    this.disputeStatus = disputeStatus;
+    this.couponId = couponId;
+    this.discount = discount;
+    this.discountDuration = discountDuration;
+    this.checkoutId = checkoutId;
+    this.subtotal = subtotal;
+    this.tax = tax;
+    this.total = total;
+    this.taxRate = taxRate;
+    this.taxCountry = taxCountry;
+    this.taxRegion = taxRegion;
+    this.vatId = vatId;
+    this.reverseCharge = reverseCharge;
+  }
+
+  static create({
+    userId,
+    productId,
+    variantId = null,
+    productRevisionId = null,
+    currency,
+    price,
+    status,
+    nextBillingAt = null,
+    deliverables = [],
+    affiliateReferrerId = null,
+    affiliateCommission = 0,
+    trialDays = 0,
+    couponId = null,
+    discount = 0,
+    discountDuration = null,
+    checkoutId = null,
+    taxRate = 0,
+    taxCountry = null,
+    taxRegion = null,
+    vatId = null,
+    reverseCharge = false,
+  }) {
+    return Order._insert({
+      userId,
+      productId,
+      variantId,
+      productRevisionId,
+      currency: normaliseCurrency(currency),
+      price,
+      status,
+      nextBillingAt,
+      deliverables,
+      affiliateReferrerId,
+      affiliateCommission,
+      endedAt: null,
+      paymentProvider: null,
+      paymentSessionId: null,
+      paymentIntentId: null,
+      paymentCustomerId: null,
+      paymentMethodId: null,
+      paidAt: null,
+      failedAt: null,
+      failureReason: null,
+      trialDays,
+      trialEndsAt: null,
+      trialReminderSentAt: null,
+      cancelAtPeriodEnd: false,
+      cancelRequestedAt: null,
+      pausedAt: null,
+      resumesAt: null,
+      creditBalance: 0,
+      renewalAttempts: 0,
+      pastDueSince: null,
+      nextRetryAt: null,
+      refundedAmount: 0,
+      refundedAt: null,
+      affiliateCommissionReversed: 0,
+      disputeStatus: null,
+      couponId,
+      discount,
+      discountDuration,
+      checkoutId,
+      ...taxedPrice(price, taxRate),
+      taxRate,
+      taxCountry,
+      taxRegion,
+      vatId,
+      reverseCharge,
+    });
+  }
+
+  static findByUser(userId) {
+    return Order._where((o) => o.userId === userId);
+  }
+
+  static findByPaymentSession(sessionId) {
+    return Order._findOneBy('paymentSessionId', sessionId);
+  }
+
+  static findByPaymentIntent(paymentIntentId) {
+    return Order._findOneBy('paymentIntentId', paymentIntentId);
+  }
+
+  static findByCheckout(checkoutId) {
+    return Order._where((o) => o.checkoutId === checkoutId);
+  }
+
+  /**
+   * True if the user has ever started a trial of the product, even one
+   * that was cancelled or expired since. Trials started as a guest with
+   * the user's address count too, and the other way round.
+   */
+  static hasUsedTrial(userId, productId) {
+    const user = User.findById(userId);
+    const buyers = user ? user.buyerIds() : [userId];
+    return Order._where(
+      (o) =>
+        buyers.includes(o.userId) && o.productId === productId && o.trialEndsAt
+    ).length > 0;
+  }
+
+  /**
+   * The price fields of the order at a new price before tax, taxed at
+   * the order's rate: { price, subtotal, tax, total }.
+   */
+  taxedPrice(price) {
+    return { price, ...taxedPrice(price, this.taxRate) };
+  }
+
+  /**
+   * The variant the order was placed for, or the product for orders
+   * placed before variants existed. Either carries the type, billing
+   * interval and trial the order was sold with.
+   */
+  plan() {
+    return (
+      (this.variantId && Variant.findById(this.variantId)) ||
+      Product.findById(this.productId)
+    );
+  }
+}
+
+/**
+ * Checkout model
+ *
+ * One payment covering several orders, placed together from a cart (see
+ * checkout.js). Each order is for one item and so belongs to one store;
+ * the payment provider session and its outcome are kept here and passed
+ * on to every order by billing.js.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   userId: reference to User
+ *   cartId: id of the Cart checked out (not a reference: guest carts
+ *           are deleted once merged into an account's)
+ *   currency: ISO 4217 code (every order of a checkout shares it)
+ *   total: integer (minor units due now, tax included; orders starting
+ *          a free trial add nothing)
+ *   status: 'pending' | 'paid' | 'failed'
+ *   paymentProvider: 'stripe' | 'mock' | null
+ *   paymentSessionId: string | null (unique)
+ *   paymentIntentId: string | null
+ *   paidAt: Date | null
+ *   failedAt: Date | null
+ *   failureReason: string | null
+ *   createdAt: Date
+ */
+defineTable('checkouts', {
+  unique: { paymentSessionId: 'Payment session already has a checkout' },
+  references: { userId: 'users' },
+  dates: ['paidAt', 'failedAt', 'createdAt'],
+});
+
+class Checkout extends Model {
+  static table = 'checkouts';
+
+  constructor({
+    id,
+    userId,
+    cartId = null,
+    currency,
+    total,
+    status,
+    paymentProvider = null,
+    paymentSessionId = null,
+    paymentIntentId = null,
+    paidAt = null,
+    failedAt = null,
+    failureReason = null,
+    createdAt,
+  }) {
+    super();
+    this.id = id;
+    this.userId = userId;
+    this.cartId = cartId;
+    this.currency = currency;
+    this.total = total;
+    this.status = status;
+    this.paymentProvider = paymentProvider;
+    this.paymentSessionId = paymentSessionId;
+    this.paymentIntentId = paymentIntentId;
+    this.paidAt = paidAt;
+    this.failedAt = failedAt;
+    this.failureReason = failureReason;
+    this.createdAt = createdAt;
+  }
+
+  static create({ userId, cartId, currency, total }) {
+    return Checkout._insert({
+      userId,
+      cartId,
+      currency: normaliseCurrency(currency),
+      total,
+      status: 'pending',
+      paymentProvider: null,
+      paymentSessionId: null,
+      paymentIntentId: null,
+      paidAt: null,
+      failedAt: null,
+      failureReason: null,
+      createdAt: new Date(),
+    });
+  }
+
+  static findByPaymentSession(sessionId) {
+    return Checkout._findOneBy('paymentSessionId', sessionId);
+  }
+
+  static findByPaymentIntent(paymentIntentId) {
+    return Checkout._findOneBy('paymentIntentId', paymentIntentId);
+  }
+
+  static findByUser(userId) {
+    return Checkout._where((c) => c.userId === userId);
+  }
+
+  orders() {
+    return Order.findByCheckout(this.id);
+  }
+}
+
+/**
+ * Cart model
+ *
+ * What a buyer has picked to check out together. A cart belongs to a
+ * user, or to a guest who holds its token (only the hash is stored)
+ * until it is merged into their own cart on login. Each product is in a
+ * cart at most once, as the chosen variant with an optional coupon code
+ * and the referral code of the affiliate link it was added through.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   userId: reference to User | null (unique; null for guest carts)
+ *   guestTokenHash: string | null (unique)
+ *   items: array of { productId, variantId, couponCode, referralCode,
+ *          addedAt }
+ *   updatedAt: Date
+ */
+defineTable('carts', {
+  unique: {
+    userId: 'User already has a cart',
+    guestTokenHash: 'Cart token collision',
+  },
+  references: { userId: 'users' },
+  dates: ['updatedAt'],
+});
+
+class Cart extends Model {
+  static table = 'carts';
+
+  constructor({ id, userId = null, guestTokenHash = null, items, updatedAt }) {
+    super();
+    this.id = id;
+    this.userId = userId;
+    this.guestTokenHash = guestTokenHash;
+    this.items = items;
+    this.updatedAt = updatedAt;
+  }
+
+  static findByUser(userId) {
+    return Cart._findOneBy('userId', userId);
+  }
+
+  /**
+   * The user's cart, created empty the first time.
+   */
+  static forUser(userId) {
+    return (
+      Cart.findByUser(userId) ||
+      Cart._insert({
+        userId,
+        guestTokenHash: null,
+        items: [],
+        updatedAt: new Date(),
+      })
+    );
+  }
+
+  /**
+   * Creates an empty guest cart. Returns { cart, token }; the plain token
+   * is only available here.
+   */
+  static createGuest() {
+    const token = randomToken();
+    const cart = Cart._insert({
+      userId: null,
+      guestTokenHash: hashToken(token),
+      items: [],
+      updatedAt: new Date(),
+    });
+    return { cart, token };
+  }
+
+  static findByGuestToken(token) {
+    return Cart._findOneBy('guestTokenHash', hashToken(String(token)));
+  }
+
+  item(productId) {
+    return this.items.find((i) => i.productId === productId);
+  }
+
+  /**
+   * Adds an item, replacing the one for the same product if present.
+   */
+  setItem({ productId, variantId, couponCode = null, referralCode = null }) {
+    const added = this.item(productId);
+    const item = {
+      productId,
+      variantId,
+      couponCode,
+      referralCode,
+      addedAt: added ? added.addedAt : new Date().toISOString(),
+    };
+    this.update({
+      items: [...this.items.filter((i) => i.productId !== productId), item],
+      updatedAt: new Date(),
+    });
+    return item;
+  }
+
+  removeItems(productIds) {
+    this.update({
+      items: this.items.filter((i) => !productIds.includes(i.productId)),
+      updatedAt: new Date(),
+    });
+  }
+
+  /**
+   * Moves the items of a guest cart into this one and deletes the guest
+   * cart. Products already in this cart keep their current item.
+   */
+  mergeFrom(guest) {
+    const added = guest.items.filter((i) => !this.item(i.productId));
+    this.update({ items: [...this.items, ...added], updatedAt: new Date() });
+    guest.remove();
+  }
+}
+
+/**
+ * AffiliateReferral model
+ *
+ * Tracks referrals between users. Each record notes the referrer and
+ * the referred user. Commission amounts are stored per order, not here.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   referrerId: reference to User
+ *   referredUserId: reference to User
+ */
+defineTable('affiliateReferrals', {
+  references: { referrerId: 'users', referredUserId: 'users' },
+});
+
+class AffiliateReferral extends Model {
+  static table = 'affiliateReferrals';
+
+  constructor({ id, referrerId, referredUserId }) {
+    super();
+    this.id = id;
+    this.referrerId = referrerId;
+    this.referredUserId = referredUserId;
+  }
+
+  static create({ referrerId, referredUserId }) {
+    return AffiliateReferral._insert({ referrerId, referredUserId });
+  }
+
+  static findByReferrer(referrerId) {
+    return AffiliateReferral._where((r) => r.referrerId === referrerId);
+  }
+
+  static findByReferredUser(referredUserId) {
+    return AffiliateReferral._where(
+      (r) => r.referredUserId === referredUserId
+    );
+  }
+}
+
+/**
+ * SupportTicket model
+ *
+ * Users can submit support tickets. For simplicity, only the user and
+ * admin (not implemented) can view their tickets.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   userId: reference to User
+ *   subject: string
+ *   message: string
+ */
+defineTable('supportTickets', {
+  references: { userId: 'users' },
+});
+
+class SupportTicket extends Model {
+  static table = 'supportTickets';
+
+  constructor({ id, userId, subject, message }) {
+    super();
+    this.id = id;
+    this.userId = userId;
+    this.subject = subject;
+    this.message = message;
+  }
+
+  static create({ userId, subject, message }) {
+    return SupportTicket._insert({ userId, subject, message });
+  }
+
+  static findByUser(userId) {
+    return SupportTicket._where((t) => t.userId === userId);
+  }
+}
+
+/**
+ * Session model
+ *
+ * A login session. Only the SHA-256 of the bearer token is stored; the
+ * token itself is handed to the client once. Lifetime rules live in
+ * sessions.js.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   userId: reference to User
+ *   tokenHash: string (unique)
+ *   userAgent: string
+ *   ip: string
+ *   createdAt: Date
+ *   lastSeenAt: Date
+ *   expiresAt: Date (absolute lifetime, not extended by activity)
+ *   revokedAt: Date | null
+ *   revokedReason: string | null
+ */
+defineTable('sessions', {
+  unique: { tokenHash: 'Session token collision' },
+  references: { userId: 'users' },
+  dates: ['createdAt', 'lastSeenAt', 'expiresAt', 'revokedAt'],
+});
+
+class Session extends Model {
+  static table = 'sessions';
+
+  constructor({
+    id,
+    userId,
+    tokenHash,
+    userAgent = '',
+    ip = '',
+    createdAt,
+    lastSeenAt,
+    expiresAt,
+    revokedAt = null,
+    revokedReason = null,
+  }) {
+    super();
+    this.id = id;
+    this.userId = userId;
+    this.tokenHash = tokenHash;
+    this.userAgent = userAgent;
+    this.ip = ip;
+    this.createdAt = createdAt;
+    this.lastSeenAt = lastSeenAt;
+    this.expiresAt = expiresAt;
+    this.revokedAt = revokedAt;
+    this.revokedReason = revokedReason;
+  }
+
+  static create({ userId, tokenHash, userAgent, ip, createdAt, expiresAt }) {
+    return Session._insert({
+      userId,
+      tokenHash,
+      userAgent,
+      ip,
+      createdAt,
+      lastSeenAt: createdAt,
+      expiresAt,
+      revokedAt: null,
+      revokedReason: null,
+    });
+  }
+
+  static findByTokenHash(tokenHash) {
+    return Session._findOneBy('tokenHash', tokenHash);
+  }
+
+  static findByUser(userId) {
+    return Session._where((s) => s.userId === userId);
+  }
+}
+
+/**
+ * AuthToken model
+ *
+ * Single-use, time-limited tokens mailed to users: password resets,
+ * email verification links and guest customers' magic links. As with
+ * sessions only the hash is stored. Issuing a new token for a purpose
+ * voids the user's older ones.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   userId: reference to User
+ *   purpose: 'password_reset' | 'email_verification' | 'guest_access' |
+ *            'login_challenge' | 'discord_link'
+ *   tokenHash: string (unique)
+ *   createdAt: Date
+ *   expiresAt: Date
+ *   usedAt: Date | null
+ */
+defineTable('authTokens', {
+  unique: { tokenHash: 'Token collision' },
+  references: { userId: 'users' },
+  dates: ['createdAt', 'expiresAt', 'usedAt'],
+});
+
+class AuthToken extends Model {
+  static table = 'authTokens';
+
+  constructor({
+    id,
+    userId,
+    purpose,
+    tokenHash,
+    createdAt,
+    expiresAt,
+    usedAt = null,
+  }) {
+    super();
+    this.id = id;
+    this.userId = userId;
+    this.purpose = purpose;
+    this.tokenHash = tokenHash;
+    this.createdAt = createdAt;
+    this.expiresAt = expiresAt;
+    this.usedAt = usedAt;
+  }
+
+  /**
+   * Creates a token for `userId` and returns the plain value, which is
+   * only available here.
+   */
+  static issue(userId, purpose, ttlMs) {
+    AuthToken._where(
+      (t) => t.userId === userId && t.purpose === purpose
+    ).forEach((t) => t.remove());
+    const token = randomToken(32);
+    const now = new Date();
+    AuthToken._insert({
+      userId,
+      purpose,
+      tokenHash: hashToken(token),
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + ttlMs),
+      usedAt: null,
+    });
+    return token;
+  }
+
+  /**
+   * Returns the live token record without using it up. Throws if the
+   * token is unknown, meant for something else, already used or expired.
+   */
+  static resolve(token, purpose) {
+    const record = AuthToken._findOneBy('tokenHash', hashToken(String(token)));
+    if (!record || record.purpose !== purpose) {
+      throw new Error('Invalid token');
+    }
+    if (record.usedAt) throw new Error('Token has already been used');
+    if (record.expiresAt <= new Date()) throw new Error('Token has expired');
+    return record;
+  }
+
+  /**
+   * Marks a token as used and returns its user. Throws like resolve().
+   */
+  static consume(token, purpose) {
+    const record = AuthToken.resolve(token, purpose);
+    record.update({ usedAt: new Date() });
+    return User.findById(record.userId);
+  }
+
+  /**
+   * Deletes every token of a user, e.g. before the user is removed.
+   */
+  static removeForUser(userId) {
+    AuthToken._where((t) => t.userId === userId).forEach((t) => t.remove());
+  }
+}
+
+/**
+ * LinkedAccount model
+ *
+ * A third-party identity (Discord, Telegram) linked to a user, with the
+ * OAuth tokens needed to act on it later (e.g. adding a Discord guild
+ * role). A user links at most one account per provider and an external
+ * account belongs to at most one user. The user's discordId and
+ * telegramUsername mirror the linked accounts.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   userId: reference to User
+ *   provider: 'discord' | 'telegram'
+ *   providerUserId: string
+ *   username: string | null
+ *   accessToken: string | null
+ *   refreshToken: string | null
+ *   tokenExpiresAt: Date | null
+ *   scope: string
+ *   linkedAt: Date
+ */
+defineTable('linkedAccounts', {
+  unique: {
+    'userId,provider': 'This provider is already linked to your account',
+    'provider,providerUserId': 'This account is linked to another user',
+  },
+  references: { userId: 'users' },
+  dates: ['tokenExpiresAt', 'linkedAt'],
+});
+
+class LinkedAccount extends Model {
+  static table = 'linkedAccounts';
+
+  constructor({
+    id,
+    userId,
+    provider,
+    providerUserId,
+    username = null,
+    accessToken = null,
+    refreshToken = null,
+    tokenExpiresAt = null,
+    scope = '',
+    linkedAt,
+  }) {
+    super();
+    this.id = id;
+    this.userId = userId;
+    this.provider = provider;
+    this.providerUserId = providerUserId;
+    this.username = username;
+    this.accessToken = accessToken;
+    this.refreshToken = refreshToken;
+    this.tokenExpiresAt = tokenExpiresAt;
+    this.scope = scope;
+    this.linkedAt = linkedAt;
+  }
+
+  /**
+   * Links (or re-links, refreshing tokens) an external account to a user
+   * and mirrors it onto the User row.
+   */
+  static link(user, provider, { id, username, tokens = {} }) {
+    const fields = {
+      userId: user.id,
+      provider,
+      providerUserId: id,
+      username,
+      accessToken: tokens.accessToken || null,
+      refreshToken: tokens.refreshToken || null,
+      tokenExpiresAt: tokens.expiresAt || null,
+      scope: tokens.scope || '',
+      linkedAt: new Date(),
+    };
+    const existing = LinkedAccount.findForUser(user.id, provider);
+    let account;
+    if (existing) {
+      existing.update(fields);
+      account = existing;
+    } else {
+      account = LinkedAccount._insert(fields);
+    }
+    if (provider === 'discord') user.update({ discordId: id });
+    if (provider === 'telegram') user.update({ telegramUsername: username });
+    return account;
+  }
+
+  static unlink(user, provider) {
+    const account = LinkedAccount.findForUser(user.id, provider);
+    if (!account) return false;
+    account.remove();
+    if (provider === 'discord') user.update({ discordId: null });
+    if (provider === 'telegram') user.update({ telegramUsername: null });
+    return true;
+  }
+
+  static findForUser(userId, provider) {
+    return LinkedAccount._findOneBy('userId,provider', [userId, provider]);
+  }
+
+  static findByUser(userId) {
+    return LinkedAccount._where((a) => a.userId === userId);
+  }
+}
+
+/**
+ * ApiKey model
+ *
+ * A scoped credential a seller creates for scripts. Keys look like
+ * stb_<prefix>_<secret>; the prefix is stored in the clear for lookup
+ * and display, the whole key only as a hash. A key is bound to one store
+ * and acts as the user who created it.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   storeId: reference to Store
+ *   userId: reference to User (creator, whose identity the key assumes)
+ *   name: string
+ *   prefix: string (unique)
+ *   keyHash: string
+ *   scopes: array of string (see apikeys.js)
+ *   createdAt: Date
+ *   lastUsedAt: Date | null
+ *   expiresAt: Date | null
+ *   revokedAt: Date | null
+ */
+defineTable('apiKeys', {
+  unique: { prefix: 'API key prefix collision' },
+  references: { storeId: 'stores', userId: 'users' },
+  dates: ['createdAt', 'lastUsedAt', 'expiresAt', 'revokedAt'],
+});
+
+class ApiKey extends Model {
+  static table = 'apiKeys';
+
+  constructor({
+    id,
+    storeId,
+    userId,
+    name,
+    prefix,
+    keyHash,
+    scopes = [],
+    createdAt,
+    lastUsedAt = null,
+    expiresAt = null,
+    revokedAt = null,
+  }) {
+    super();
+    this.id = id;
+    this.storeId = storeId;
+    this.userId = userId;
+    this.name = name;
+    this.prefix = prefix;
+    this.keyHash = keyHash;
+    this.scopes = scopes;
+    this.createdAt = createdAt;
+    this.lastUsedAt = lastUsedAt;
+    this.expiresAt = expiresAt;
+    this.revokedAt = revokedAt;
+  }
+
+  /**
+   * Creates a key and returns { key, apiKey }. The plain key is only
+   * available here.
+   */
+  static issue({ storeId, userId, name, scopes, expiresAt = null }) {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `stb_${prefix}_${randomToken(32)}`;
+    const apiKey = ApiKey._insert({
+      storeId,
+      userId,
+      name,
+      prefix,
+      keyHash: hashToken(key),
+      scopes,
+      createdAt: new Date(),
+      lastUsedAt: null,
+      expiresAt,
+      revokedAt: null,
+    });
+    return { key, apiKey };
+  }
+
+  /**
+   * Finds the record for a presented key, or undefined if the key is
+   * malformed or does not match. Revocation and expiry are left to the
+   * caller so it can report them.
+   */
+  static findByKey(key) {
+    const match = /^stb_([0-9a-f]{8})_[A-Za-z0-9_-]+$/.exec(String(key));
+    if (!match) return undefined;
+    const apiKey = ApiKey._findOneBy('prefix', match[1]);
+    if (!apiKey) return undefined;
+    const given = Buffer.from(hashToken(key));
+    const stored = Buffer.from(apiKey.keyHash);
+    return crypto.timingSafeEqual(given, stored) ? apiKey : undefined;
+  }
+
+  static findByStore(storeId) {
+    return ApiKey._where((k) => k.storeId === storeId);
+  }
+}
+
+/**
+ * WebhookEvent model
+ *
+ * Payment provider events that have been applied, kept so a redelivered
+ * event is recognised and not applied twice.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   provider: string ('stripe', 'mock')
+ *   eventId: string (the provider's event id; unique per provider)
+ *   type: string
+ *   orderId: reference to Order | null
+ *   checkoutId: reference to Checkout | null (events for a cart checkout)
+ *   storeId: reference to Store | null (events for a store's connected
+ *            account)
+ *   receivedAt: Date
+ */
+defineTable('webhookEvents', {
+  unique: { 'provider,eventId': 'Event already recorded' },
+  references: {
+    orderId: 'orders',
+    checkoutId: 'checkouts',
+    storeId: 'stores',
+  },
+  dates: ['receivedAt'],
+});
+
+class WebhookEvent extends Model {
+  static table = 'webhookEvents';
+
+  constructor({
+    id,
+    provider,
+    eventId,
+    type,
+    orderId = null,
+    checkoutId = null,
+    storeId = null,
+    receivedAt,
+  }) {
+    super();
+    this.id = id;
+    this.provider = provider;
+    this.eventId = eventId;
+    this.type = type;
+    this.orderId = orderId;
+    this.checkoutId = checkoutId;
+    this.storeId = storeId;
+    this.receivedAt = receivedAt;
+  }
+
+  static record({
+    provider,
+    eventId,
+    type,
+    orderId = null,
+    checkoutId = null,
+    storeId = null,
+  }) {
+    return WebhookEvent._insert({
+      provider,
+      eventId,
+      type,
+      orderId,
+      checkoutId,
+      storeId,
+      receivedAt: new Date(),
+    });
+  }
+
+  static find(provider, eventId) {
+    return WebhookEvent._findOneBy('provider,eventId', [provider, eventId]);
+  }
+}
+
+/**
+ * BillingEvent model
+ *
+ * The billing history of an order: the first payment (or the start of a
+ * free trial and its conversion), each renewal attempt, plan changes,
+ * refunds, disputes, pauses and the end of a subscription. Amounts are
+ * in minor units. A charge's period was worth amount + credit.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   orderId: reference to Order
+ *   type: 'payment' | 'payment_failed' | 'trial_started' | 'renewal' |
+ *         'renewal_failed' | 'plan_change' | 'refund' |
+ *         'dispute_opened' | 'dispute_won' | 'chargeback' | 'paused' |
+ *         'resumed' | 'cancelled' | 'expired' | 'payment_rejected' |
+ *         'payment_returned' | 'payment_return_failed' (a payment that
+ *         could not be kept, and paying it back; see billing.js)
+ *   amount: integer (minor units of currency; the amount returned for
+ *           'refund' and 'chargeback', the amount disputed for
+ *           'dispute_opened', 0 for events that move no money)
+ *   credit: integer (minor units of credit that paid for part of the
+ *           charge instead of the card)
+ *   currency: ISO 4217 code
+ *   attempt: integer (1 for the first try of a renewal)
+ *   paymentIntentId: string | null
+ *   failureReason: string | null
+ *   periodStart: Date | null (billing period the charge pays for)
+ *   periodEnd: Date | null
+ *   details: object | null (e.g. the variants of a plan change or the
+ *            provider's dispute id and reason)
+ *   createdAt: Date
+ */
+defineTable('billingEvents', {
+  references: { orderId: 'orders' },
+  dates: ['periodStart', 'periodEnd', 'createdAt'],
+});
+
+class BillingEvent extends Model {
+  static table = 'billingEvents';
+
+  constructor({
+    id,
+    orderId,
+    type,
+    amount = 0,
+    credit = 0,
+    currency,
+    attempt = 1,
+    paymentIntentId = null,
+    failureReason = null,
+    periodStart = null,
+    periodEnd = null,
+    details = null,
+    createdAt,
+  }) {
+    super();
+    this.id = id;
+    this.orderId = orderId;
+    this.type = type;
+    this.amount = amount;
+    this.credit = credit;
+    this.currency = currency;
+    this.attempt = attempt;
+    this.paymentIntentId = paymentIntentId;
+    this.failureReason = failureReason;
+    this.periodStart = periodStart;
+    this.periodEnd = periodEnd;
+    this.details = details;
+    this.createdAt = createdAt;
+  }
+
+  static record({
+    order,
+    type,
+    amount = 0,
+    credit = 0,
+    attempt = 1,
+    paymentIntentId = null,
+    failureReason = null,
+    periodStart = null,
+    periodEnd = null,
+    details = null,
+    createdAt = new Date(),
+  }) {
+    return BillingEvent._insert({
+      orderId: order.id,
+      type,
+      amount,
+      credit,
+      currency: order.currency,
+      attempt,
+      paymentIntentId,
+      failureReason,
+      periodStart,
+      periodEnd,
+      details,
+      createdAt,
+    });
+  }
+
+  static findByOrder(orderId) {
+    return BillingEvent._where((e) => e.orderId === orderId);
+  }
+
+  static findByPaymentIntent(paymentIntentId) {
+    return BillingEvent._findOneBy('paymentIntentId', paymentIntentId);
+  }
+}
+
+/**
+ * Invoice model
+ *
+ * A numbered billing document for one charge or refund of an order (see
+ * invoices.js): an 'invoice' for a payment, renewal or plan change, or a
+ * 'credit_note' for money paid back. Each store numbers its invoices and
+ * its credit notes in sequences of their own. The seller, buyer, lines,
+ * tax and currency are copied in when the document is issued and never
+ * change afterwards, whatever later happens to the store, buyer or
+ * order: update() and remove() throw.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   storeId: reference to Store (the seller issuing it)
+ *   orderId: reference to Order
+ *   billingEventId: reference to BillingEvent (the charge or refund;
+ *                   unique)
+ *   type: 'invoice' | 'credit_note'
+ *   sequence: integer (1, 2, ... per store and type)
+ *   number: string (e.g. 'INV-3-000012'; unique per store)
+ *   creditedInvoiceId: reference to Invoice | null (for a credit note,
+ *                      the invoice of the charge paid back)
+ *   paymentIntentId: string | null
+ *   currency: ISO 4217 code
+ *   seller: { storeId, storeName, name, email }
+ *   buyer: { userId, name, email, country, region, vatId }
+ *   lines: array of { description, amount } (minor units before tax;
+ *          negative for discounts)
+ *   subtotal: integer (minor units before tax)
+ *   tax: integer (minor units)
+ *   taxRate: number (percent)
+ *   reverseCharge: boolean
+ *   total: integer (minor units, tax included)
+ *   credit: integer (minor units of account credit that paid for part
+ *           of the total)
+ *   amount: integer (minor units charged to, or returned to, the card)
+ *   periodStart: Date | null (billing period an invoice is for)
+ *   periodEnd: Date | null
+ *   issuedAt: Date
+ */
+defineTable('invoices', {
+  unique: {
+    billingEventId: 'Billing event already has an invoice',
+    'storeId,number': 'Invoice number already used',
+  },
+  references: {
+    storeId: 'stores',
+    orderId: 'orders',
+    billingEventId: 'billingEvents',
+    creditedInvoiceId: 'invoices',
+  },
+  dates: ['periodStart', 'periodEnd', 'issuedAt'],
+});
+
+// Number prefixes of the invoice types
+const INVOICE_PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+
+class Invoice extends Model {
+  static table = 'invoices';
+
+  constructor({
+    id,
+    storeId,
+    orderId,
+    billingEventId,
+    type,
+    sequence,
+    number,
+    creditedInvoiceId = null,
+    paymentIntentId = null,
+    currency,
+    seller,
+    buyer,
+    lines,
+    subtotal,
+    tax = 0,
+    taxRate = 0,
+    reverseCharge = false,
+    total,
+    credit = 0,
+    amount,
+    periodStart = null,
+    periodEnd = null,
+    issuedAt,
+  }) {
+    super();
+    this.id = id;
+    this.storeId = storeId;
+    this.orderId = orderId;
+    this.billingEventId = billingEventId;
+    this.type = type;
+    this.sequence = sequence;
+    this.number = number;
+    this.creditedInvoiceId = creditedInvoiceId;
+    this.paymentIntentId = paymentIntentId;
+    this.currency = currency;
+    this.seller = seller;
+    this.buyer = buyer;
+    this.lines = lines;
+    this.subtotal = subtotal;
+    this.tax = tax;
+    this.taxRate = taxRate;
+    this.reverseCharge = reverseCharge;
+    this.total = total;
+    this.credit = credit;
+    this.amount = amount;
+    this.periodStart = periodStart;
+    this.periodEnd = periodEnd;
+    this.issuedAt = issuedAt;
+  }
+
+  /**
+   * Issues a document with the next number in its store's sequence for
+   * the type.
+   */
+  static issue({ storeId, type, issuedAt = new Date(), ...fields }) {
+    const sequence =
+      Invoice.findByStore(storeId)
+        .filter((i) => i.type === type)
+        .reduce((last, i) => Math.max(last, i.sequence), 0) + 1;
+    const serial = String(sequence).padStart(6, '0');
+    const number = `${INVOICE_PREFIXES[type]}-${storeId}-${serial}`;
+    return Invoice._insert({
+      ...fields,
+      storeId,
+      type,
+      sequence,
+      number,
+      issuedAt,
+    });
+  }
+
+  static findByStore(storeId) {
+    return Invoice._where((i) => i.storeId === storeId);
+  }
+
+  static findByOrder(orderId) {
+    return Invoice._where((i) => i.orderId === orderId);
+  }
+
+  static findByBillingEvent(billingEventId) {
+    return Invoice._findOneBy('billingEventId', billingEventId);
+  }
+
+  update() {
+    throw new Error('Invoices cannot be changed once issued');
+  }
+
+  remove() {
+    throw new Error('Invoices cannot be removed once issued');
+  }
+}
+
+/**
+ * LedgerTransaction model
+ *
+ * One balanced posting to the double-entry ledger of what the platform
+ * holds and owes (see ledger.js): a charge, a refund, a seller balance
+ * maturing, or a payout. Its entries move money between accounts and
+ * always sum to zero: positive amounts are debits, negative amounts
+ * credits. The seller accounts are those of the transaction's store.
+ * Transactions are never changed once posted; a mistake or a refund is
+ * put right by a transaction reversing it.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   type: 'charge' | 'refund' | 'maturation' | 'payout' | 'payout_paid' |
+ *         'payout_failed'
+ *   storeId: reference to Store
+ *   orderId: reference to Order | null
+ *   billingEventId: reference to BillingEvent | null (the charge or
+ *                   refund booked; unique)
+ *   payoutId: reference to Payout | null
+ *   reversesId: reference to LedgerTransaction | null (for a refund, the
+ *               charge paid back)
+ *   maturesId: reference to LedgerTransaction | null (for a maturation,
+ *              the charge whose hold ended; unique)
+ *   paymentIntentId: string | null
+ *   currency: ISO 4217 code
+ *   entries: array of { account, kind, amount } (amount in minor units)
+ *   availableAt: Date | null (for a charge, when the seller's share
+ *                leaves its hold)
+ *   createdAt: Date
+ */
+defineTable('ledgerTransactions', {
+  unique: {
+    billingEventId: 'Billing event already booked',
+    maturesId: 'Charge already matured',
+    'payoutId,type': 'Payout already booked',
+  },
+  references: {
+    storeId: 'stores',
+    orderId: 'orders',
+    billingEventId: 'billingEvents',
+    payoutId: 'payouts',
+    reversesId: 'ledgerTransactions',
+    maturesId: 'ledgerTransactions',
+  },
+  dates: ['availableAt', 'createdAt'],
+});
+
+class LedgerTransaction extends Model {
+  static table = 'ledgerTransactions';
+
+  constructor({
+    id,
+    type,
+    storeId,
+    orderId = null,
+    billingEventId = null,
+    payoutId = null,
+    reversesId = null,
+    maturesId = null,
+    paymentIntentId = null,
+    currency,
+    entries,
+    availableAt = null,
+    createdAt,
+  }) {
+    super();
+    this.id = id;
+    this.type = type;
+    this.storeId = storeId;
+    this.orderId = orderId;
+    this.billingEventId = billingEventId;
+    this.payoutId = payoutId;
+    this.reversesId = reversesId;
+    this.maturesId = maturesId;
+    this.paymentIntentId = paymentIntentId;
+    this.currency = currency;
+    this.entries = entries;
+    this.availableAt = availableAt;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Posts a transaction. Entries of zero are left out. Throws if the
+   * entries do not sum to zero.
+   */
+  static post({ entries, createdAt = new Date(), ...fields }) {
+    const moved = entries.filter((e) => e.amount !== 0);
+    if (moved.reduce((sum, e) => sum + e.amount, 0) !== 0) {
+      throw new Error('Ledger transaction does not balance');
+    }
+    return LedgerTransaction._insert({ ...fields, entries: moved, createdAt });
+  }
+
+  static findByStore(storeId) {
+    return LedgerTransaction._where((t) => t.storeId === storeId);
+  }
+
+  static findByOrder(orderId) {
+    return LedgerTransaction._where((t) => t.orderId === orderId);
+  }
+
+  static findByBillingEvent(billingEventId) {
+    return LedgerTransaction._findOneBy('billingEventId', billingEventId);
+  }
+
+  static findMaturation(chargeId) {
+    return LedgerTransaction._findOneBy('maturesId', chargeId);
+  }
+
+  update() {
+    throw new Error('Ledger transactions cannot be changed once posted');
+  }
+
+  remove() {
+    throw new Error('Ledger transactions cannot be removed once posted');
+  }
+}
+
+/**
+ * Payout model
+ *
+ * A transfer of a store's available balance in one currency to the
+ * seller, made by a payout run (see ledger.js). A failed payout returns
+ * its amount to the available balance for the next run. A payout stays
+ * pending while its transfer's outcome is unknown, and is sent again by
+ * the next run.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   storeId: reference to Store
+ *   currency: ISO 4217 code
+ *   amount: integer (minor units)
+ *   status: 'pending' | 'paid' | 'failed'
+ *   provider: string ('stripe' | 'mock')
+ *   transferId: string | null (the provider's transfer)
+ *   failureReason: string | null
+ *   createdAt: Date
+ *   paidAt: Date | null
+ *   failedAt: Date | null
+ */
+defineTable('payouts', {
+  references: { storeId: 'stores' },
+  dates: ['createdAt', 'paidAt', 'failedAt'],
+});
+
+class Payout extends Model {
+  static table = 'payouts';
+
+  constructor({
+    id,
+    storeId,
+    currency,
+    amount,
+    status = 'pending',
+    provider,
+    transferId = null,
+    failureReason = null,
+    createdAt,
+    paidAt = null,
+    failedAt = null,
+  }) {
+    super();
+    this.id = id;
+    this.storeId = storeId;
+    this.currency = currency;
+    this.amount = amount;
+    this.status = status;
+    this.provider = provider;
+    this.transferId = transferId;
+    this.failureReason = failureReason;
+    this.createdAt = createdAt;
+    this.paidAt = paidAt;
+    this.failedAt = failedAt;
+  }
+
+  static create({ storeId, currency, amount, provider, now = new Date() }) {
+    return Payout._insert({
+      storeId,
+      currency,
+      amount,
+      status: 'pending',
+      provider,
+      transferId: null,
+      failureReason: null,
+      createdAt: now,
+      paidAt: null,
+      failedAt: null,
+    });
+  }
+
+  static findByStore(storeId) {
+    return Payout._where((p) => p.storeId === storeId);
+  }
+}
+
+/**
+ * LicenseKey model
+ *
+ * A license key taken for an order from a pool (a 'license_keys'
+ * deliverable of a product or variant). Keys are taken when the order is
+ * placed and delivered once it is paid (see billing.js). Taking one
+ * records it under a unique index before the pool, read afresh, shrinks,
+ * so no key is handed out twice for a product, even if it is put back
+ * into a pool by hand or from a stale copy. Releasing a key (a failed or
+ * refunded order) deletes its row and returns it to the pool it came
+ * from.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   productId: reference to Product
+ *   variantId: reference to Variant | null (null for the product's own
+ *              pools)
+ *   pool: integer (which of the owner's pools, in deliverable order, the
+ *         key was taken from; null for keys taken before it was kept)
+ *   orderId: reference to Order
+ *   key: string
+ *   createdAt: Date
+ */
+defineTable('licenseKeys', {
+  unique: { 'productId,key': 'License key already taken' },
+  references: {
+    productId: 'products',
+    variantId: 'variants',
+    orderId: 'orders',
+  },
+  dates: ['createdAt'],
+});
+
+// Pools of license keys among a product's or variant's deliverables
+function isKeyPool(d) {
+  return d.type === 'license_keys' && Array.isArray(d.details.keys);
+}
+
+class LicenseKey extends Model {
+  static table = 'licenseKeys';
+
+  constructor({
+    id,
+    productId,
+    variantId = null,
+    pool = null,
+    orderId,
+    key,
+    createdAt,
+  }) {
+    super();
+    this.id = id;
+    this.productId = productId;
+    this.variantId = variantId;
+    this.pool = pool;
+    this.orderId = orderId;
+    this.key = key;
+    this.createdAt = createdAt;
+  }
+
+  // Where keys of `owner` (a Product or Variant) are recorded
+  static _scope(owner) {
+    return owner instanceof Variant
+      ? { productId: owner.productId, variantId: owner.id }
+      : { productId: owner.id, variantId: null };
+  }
+
+  static _taken(productId, key) {
+    return !!LicenseKey._findOneBy('productId,key', [productId, key]);
+  }
+
+  /**
+   * Whether a pool of `owner` (a Product or Variant) has no key left
+   * that can still be taken.
+   */
+  static soldOut(owner) {
+    const { productId } = LicenseKey._scope(owner);
+    return owner.deliverables
+      .filter(isKeyPool)
+      .some((d) =>
+        d.details.keys.every((key) => LicenseKey._taken(productId, key))
+      );
+  }
+
+  /**
+   * Takes one key from each pool of `owner` (a Product or Variant) for
+   * an order and returns them in pool order. Keys already taken are
+   * dropped from the pool on the way. Throws 'Sold out', taking nothing,
+   * if a pool has no key left.
+   */
+  static take(owner, orderId, now = new Date()) {
+    const scope = LicenseKey._scope(owner);
+    const current = owner.constructor.findById(owner.id);
+    if (!current.deliverables.some(isKeyPool)) return [];
+    const taken = [];
+    let soldOut = false;
+    let pool = -1;
+    const deliverables = current.deliverables.map((d) => {
+      if (!isKeyPool(d)) return d;
+      pool += 1;
+      const keys = [...d.details.keys];
+      let row = null;
+      while (!row && keys.length) {
+        const key = keys.shift();
+        if (!LicenseKey._taken(scope.productId, key)) {
+          row = LicenseKey._insert({
+            ...scope,
+            pool,
+            orderId,
+            key,
+            createdAt: now,
+          });
+        }
+      }
+      if (row) taken.push(row);
+      else soldOut = true;
+      return { ...d, details: { ...d.details, keys } };
+    });
+    if (soldOut) {
+      taken.forEach((row) => row.remove());
+      throw new Error('Sold out');
+    }
+    current.update({ deliverables });
+    owner.deliverables = current.deliverables;
+    return taken;
+  }
+
+  static findByOrder(orderId) {
+    return LicenseKey._where((k) => k.orderId === orderId);
+  }
+
+  /**
+   * Returns the key to the pool of the product or variant it was taken
+   * from, if that pool is still there, so it can be taken again.
+   */
+  release() {
+    const owner = this.variantId
+      ? Variant.findById(this.variantId)
+      : Product.findById(this.productId);
+    const pools = owner ? owner.deliverables.filter(isKeyPool) : [];
+    const pool = pools[this.pool === null ? 0 : this.pool];
+    if (pool) {
+      pool.details.keys.push(this.key);
+      owner.update({ deliverables: owner.deliverables });
+    }
+    this.remove();
+  }
+}
+
+/**
+ * IdempotencyKey model
+ *
+ * A request made with an Idempotency-Key header and, once it has been
+ * answered, the response it got, which retries with the same key are
+ * sent instead of running the request again (see idempotency.js). The
+ * unique index lets only one of two racing requests claim a key.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   scope: string ('user:<id>', or 'guest' for requests without a user)
+ *   key: string (the header's value)
+ *   fingerprint: string (hash of the method, URL and body)
+ *   status: integer | null (HTTP status; null while the request runs)
+ *   body: any JSON value | null (the response body)
+ *   createdAt: Date
+ *   completedAt: Date | null
+ */
+defineTable('idempotencyKeys', {
+  unique: { 'scope,key': 'Idempotency key already used' },
+  dates: ['createdAt', 'completedAt'],
+});
+
+class IdempotencyKey extends Model {
+  static table = 'idempotencyKeys';
+
+  constructor({
+    id,
+    scope,
+    key,
+    fingerprint,
+    status = null,
+    body = null,
+    createdAt,
+    completedAt = null,
+  }) {
+    super();
+    this.id = id;
+    this.scope = scope;
+    this.key = key;
+    this.fingerprint = fingerprint;
+    this.status = status;
+    this.body = body;
+    this.createdAt = createdAt;
+    this.completedAt = completedAt;
+  }
+
+  /**
+   * Claims `key` within `scope` for a request. Throws if it is taken.
+   */
+  static claim({ scope, key, fingerprint, now = new Date() }) {
+    return IdempotencyKey._insert({
+      scope,
+      key,
+      fingerprint,
+      status: null,
+      body: null,
+      createdAt: now,
+      completedAt: null,
+    });
+  }
+
+  static find(scope, key) {
+    return IdempotencyKey._findOneBy('scope,key', [scope, key]);
+  }
+
+  complete(status, body, now = new Date()) {
+    this.update({ status, body, completedAt: now });
+  }
+}
+
+/**
+ * Setting model
+ *
+ * Platform-wide switches managed by admins, stored as key/value rows.
+ *
+ * Fields:
+ *   id: integer primary key
+ *   key: string (unique)
+ *   value: any JSON value
+ */
+defineTable('settings', {
+  unique: { key: 'Setting already exists' },
+});
+
+class Setting extends Model {
+  static table = 'settings';
+
+  constructor({ id, key, value }) {
+    super();
+    this.id = id;
+    this.key = key;
+    this.value = value;
+  }
+
+  static get(key, fallback = null) {
+    const row = Setting._findOneBy('key', key);
+    return row ? row.value : fallback;
+  }
+
+  static set(key, value) {
+    const row = Setting._findOneBy('key', key);
+    if (row) row.update({ value });
+    else Setting._insert({ key, value });
+    return value;
   }
 }
 
@@ -450,8 +2996,27 @@ module.exports = {
   User,
   Store,
   Product,
+  Variant,
+  ProductRevision,
+  Coupon,
   Order,
+  Checkout,
+  Cart,
   AffiliateReferral,
   SupportTicket,
+  Session,
+  AuthToken,
+  LinkedAccount,
+  ApiKey,
+  WebhookEvent,
+  BillingEvent,
+  Invoice,
+  LedgerTransaction,
+  Payout,
+  LicenseKey,
+  IdempotencyKey,
+  Setting,
   randomToken,
+  hashToken,
+  withoutKeyPools,
 };
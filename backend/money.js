@@ -0,0 +1,162 @@
+/*
+ * money.js
+ *
+ * Money handling for STEB.IO. Amounts are stored and passed around as
+ * integers in the minor unit of their currency (cents for USD, yen for
+ * JPY) next to an ISO 4217 currency code, so sums and percentages never
+ * drift the way floats do. Decimal input from sellers ("9.99") is parsed
+ * exactly by toMinor(); display strings come from format().
+ *
+ * Prices are charged in the product's own currency. Buyers can ask for
+ * prices converted into another currency for display, using the rate
+ * table in EXCHANGE_RATES ("EUR=0.92,GBP=0.79": units of each currency
+ * per one BASE_CURRENCY, which defaults to USD).
+ */
+
+// Supported currencies and the number of decimals in their minor unit
+const CURRENCIES = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CAD: 2,
+  AUD: 2,
+  CHF: 2,
+  SEK: 2,
+  NOK: 2,
+  DKK: 2,
+  PLN: 2,
+  BRL: 2,
+  INR: 2,
+  JPY: 0,
+  KRW: 0,
+};
+
+const BASE_CURRENCY = normaliseCurrency(process.env.BASE_CURRENCY || 'USD');
+
+/**
+ * Upper-cases and validates a currency code. Throws on unsupported ones.
+ */
+function normaliseCurrency(code) {
+  const currency = String(code || '').toUpperCase();
+  if (!Object.prototype.hasOwnProperty.call(CURRENCIES, currency)) {
+    throw new Error(`Unsupported currency: ${code}`);
+  }
+  return currency;
+}
+
+function exponent(currency) {
+  return CURRENCIES[normaliseCurrency(currency)];
+}
+
+/**
+ * Parses a decimal amount ("9.99", 9.99, "10") into minor units without
+ * going through float arithmetic. Throws on malformed amounts or more
+ * decimals than the currency has.
+ */
+function toMinor(amount, currency) {
+  const digits = exponent(currency);
+  const text = String(amount).trim();
+  const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) throw new Error(`Invalid amount: ${amount}`);
+  const [, sign, whole, fraction = ''] = match;
+  if (fraction.replace(/0+$/, '').length > digits) {
+    throw new Error(`${currency} amounts have at most ${digits} decimals`);
+  }
+  const minor = Number(whole + fraction.padEnd(digits, '0').slice(0, digits));
+  if (!Number.isSafeInteger(minor)) throw new Error('Amount is too large');
+  return sign ? -minor : minor;
+}
+
+/**
+ * Formats minor units as a plain decimal string, e.g. 999 -> "9.99".
+ */
+function fromMinor(minor, currency) {
+  const digits = exponent(currency);
+  const sign = minor < 0 ? '-' : '';
+  const text = String(Math.abs(minor)).padStart(digits + 1, '0');
+  if (digits === 0) return sign + text;
+  return `${sign}${text.slice(0, -digits)}.${text.slice(-digits)}`;
+}
+
+/**
+ * Formats minor units for people, e.g. 999, 'USD' -> "$9.99".
+ */
+function format(minor, currency) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: normaliseCurrency(currency),
+  }).format(Number(fromMinor(minor, currency)));
+}
+
+/**
+ * `percent` per cent of an amount, rounded half away from zero to a
+ * whole minor unit.
+ */
+function percentOf(minor, percent) {
+  const exact = (minor * Number(percent)) / 100;
+  return Math.sign(exact) * Math.round(Math.abs(exact));
+}
+
+function parseRates(text) {
+  const table = { [BASE_CURRENCY]: 1 };
+  String(text || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [code, value] = pair.split('=');
+      const rate = Number(value);
+      if (!(rate > 0)) throw new Error(`Invalid exchange rate: ${pair}`);
+      table[normaliseCurrency(code.trim())] = rate;
+    });
+  return table;
+}
+
+let rates = parseRates(process.env.EXCHANGE_RATES);
+
+/**
+ * Replaces the rate table, e.g. in tests. Takes { EUR: 0.92, ... }
+ * relative to BASE_CURRENCY.
+ */
+function useRates(table) {
+  rates = { ...table, [BASE_CURRENCY]: 1 };
+  return rates;
+}
+
+/**
+ * Currencies amounts can be converted between.
+ */
+function convertibleCurrencies() {
+  return Object.keys(rates);
+}
+
+/**
+ * Converts minor units between currencies through the rate table,
+ * rounding to a whole minor unit. Throws if either rate is missing.
+ */
+function convert(minor, from, to) {
+  const source = normaliseCurrency(from);
+  const target = normaliseCurrency(to);
+  if (source === target) return minor;
+  [source, target].forEach((currency) => {
+    if (!rates[currency]) {
+      throw new Error(`No exchange rate configured for ${currency}`);
+    }
+  });
+  const major = minor / 10 ** CURRENCIES[source];
+  const converted = (major / rates[source]) * rates[target];
+  return Math.round(converted * 10 ** CURRENCIES[target]);
+}
+
+module.exports = {
+  CURRENCIES,
+  BASE_CURRENCY,
+  normaliseCurrency,
+  toMinor,
+  fromMinor,
+  format,
+  percentOf,
+  useRates,
+  convertibleCurrencies,
+  convert,
+};
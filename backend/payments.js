@@ -0,0 +1,585 @@
+/*
+ * payments.js
+ *
+ * Payment providers for checkout. Each provider exposes the same small
+ * interface so routes and billing.js never talk to Stripe directly:
+ *
+ *   name                            'stripe' | 'mock'
+ *   createCheckoutSession(params)   -> { id, url } hosted payment page
+ *     params: { order, product, variant, user, successUrl, cancelUrl,
+ *     trialDays }; with trialDays the page only saves the card
+ *     (setup_intent.* events) and nothing is charged yet
+ *   createCartCheckoutSession(params) -> { id, url } one payment for a
+ *     cart checkout (see checkout.js)
+ *     params: { checkout, lines: [{ order, product, variant }], user,
+ *     successUrl, cancelUrl }; charges checkout.total, leaving out the
+ *     orders starting with a free trial. The card is saved if any line
+ *     is a subscription, and only saved if nothing is due now.
+ *     Both charge each order's total: its price, and any tax (see
+ *     tax.js) as a line of its own.
+ *   chargeSavedCard(params)         -> { id, status, failureReason }
+ *     params: { order, amount, reason, idempotencyKey }; status is
+ *     'succeeded' or 'failed'. Charges the card saved at checkout
+ *     off-session, e.g. for a renewal (reason 'renewal') or a plan
+ *     change ('plan_change').
+ *   refund(params)                  -> { id, status, failureReason }
+ *     params: { order, paymentIntentId, amount, idempotencyKey }; status
+ *     is 'succeeded', 'pending' or 'failed'. Returns money from an
+ *     earlier charge.
+ *   transfer(params)                -> { id, status, failureReason }
+ *     params: { payout, store }; status is 'succeeded' or 'failed'.
+ *     Pays a seller's payout (see ledger.js) out of the platform's
+ *     balance: with Stripe, a Connect transfer to the store's connected
+ *     account. Throws if it cannot tell whether the money moved.
+ *
+ * Charges, refunds and transfers move money without a page in between,
+ * so Stripe is sent an Idempotency-Key with each: the caller's
+ * idempotencyKey (optional), and payout_<id> for a payout's transfer. A
+ * request sent again under the same key after an answer that never
+ * arrived is answered with the first outcome instead of being applied
+ * twice.
+ *
+ * Checkout results arrive later as Stripe-style webhook events ({ id,
+ * type, data: { object } }) which billing.js applies to the order.
+ * Subscriptions are checked out as one-off payments that save the card;
+ * renewals.js bills each following period through chargeSavedCard.
+ *
+ *   stripe  Stripe Checkout over the REST API. STRIPE_SECRET_KEY, and
+ *           STRIPE_API_BASE to point it at a mock server.
+ *   mock    Offline stand-in. Sessions open a page served by this
+ *           backend (/api/payments/mock/...) where the payment can be
+ *           approved or declined, producing the same events Stripe would.
+ *           The page can also save a card whose renewals are declined.
+ *
+ * PAYMENT_PROVIDER picks one and defaults to Stripe; the mock is only
+ * used when asked for by name, and never with NODE_ENV=production, as its
+ * page lets anyone mark an order paid. Webhook signatures use Stripe's
+ * scheme with STRIPE_WEBHOOK_SECRET (see constructEvent).
+ */
+
+const crypto = require('crypto');
+
+// Webhooks signed longer ago than this are refused as replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Stripe's API takes nested form fields: a[b][0][c]=1
+function formEncode(value, prefix, out = new URLSearchParams()) {
+  if (value === undefined || value === null) return out;
+  if (typeof value === 'object') {
+    Object.entries(value).forEach(([key, inner]) => {
+      formEncode(inner, prefix ? `${prefix}[${key}]` : key, out);
+    });
+  } else {
+    out.append(prefix, String(value));
+  }
+  return out;
+}
+
+// Checkout line items for orders: one per order at its price before
+// tax, plus one for the tax on all of them
+function lineItems(orders, names) {
+  const currency = orders[0].currency.toLowerCase();
+  const item = (amount, name) => ({
+    quantity: 1,
+    price_data: { currency, unit_amount: amount, product_data: { name } },
+  });
+  const items = orders.map((order, i) => item(order.subtotal, names[i]));
+  const tax = orders.reduce((sum, order) => sum + order.tax, 0);
+  if (tax) items.push(item(tax, 'Tax'));
+  return items;
+}
+
+class StripeProvider {
+  constructor({
+    secretKey = process.env.STRIPE_SECRET_KEY,
+    apiBase = process.env.STRIPE_API_BASE || 'https://api.stripe.com/v1',
+  } = {}) {
+    this.name = 'stripe';
+    this.secretKey = secretKey;
+    this.apiBase = apiBase;
+  }
+
+  async _send(path, params, idempotencyKey = null) {
+    if (!this.secretKey) throw new Error('Stripe is not configured');
+    const res = await fetch(`${this.apiBase}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+      },
+      body: formEncode(params),
+    });
+    const data = await res.json().catch(() => ({}));
+    return { ok: res.ok, status: res.status, data };
+  }
+
+  async _post(path, params) {
+    const { ok, data } = await this._send(path, params);
+    if (!ok) {
+      throw new Error((data.error && data.error.message) || 'Stripe error');
+    }
+    return data;
+  }
+
+  async createCheckoutSession({
+    order,
+    product,
+    variant,
+    user,
+    successUrl,
+    cancelUrl,
+    trialDays = 0,
+  }) {
+    const subscription = variant.type === 'subscription';
+    const metadata = { orderId: String(order.id) };
+    const name = `${product.title} (${variant.name})`;
+    if (trialDays) {
+      // Nothing is due today; just save the card for the first charge
+      const setup = await this._post('/checkout/sessions', {
+        mode: 'setup',
+        currency: order.currency.toLowerCase(),
+        client_reference_id: String(order.id),
+        customer_email: user.contactEmail(),
+        customer_creation: 'always',
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        metadata,
+        setup_intent_data: {
+          metadata,
+          description: `${name}, ${trialDays}-day trial`,
+        },
+      });
+      return { id: setup.id, url: setup.url };
+    }
+    const session = await this._post('/checkout/sessions', {
+      mode: 'payment',
+      client_reference_id: String(order.id),
+      customer_email: user.contactEmail(),
+      customer_creation: 'always',
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      metadata,
+      line_items: lineItems([order], [name]),
+      payment_intent_data: {
+        metadata,
+        // Keep the card for the renewals charged by renewals.js
+        setup_future_usage: subscription ? 'off_session' : undefined,
+      },
+    });
+    return { id: session.id, url: session.url };
+  }
+
+  async createCartCheckoutSession({
+    checkout,
+    lines,
+    user,
+    successUrl,
+    cancelUrl,
+  }) {
+    const metadata = { checkoutId: String(checkout.id) };
+    const name = ({ product, variant }) => `${product.title} (${variant.name})`;
+    const common = {
+      client_reference_id: `checkout_${checkout.id}`,
+      customer_email: user.contactEmail(),
+      customer_creation: 'always',
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      metadata,
+    };
+    if (checkout.total === 0) {
+      // Only free trials: save the card for their first charges
+      const setup = await this._post('/checkout/sessions', {
+        ...common,
+        mode: 'setup',
+        currency: checkout.currency.toLowerCase(),
+        setup_intent_data: {
+          metadata,
+          description: lines.map(name).join(', '),
+        },
+      });
+      return { id: setup.id, url: setup.url };
+    }
+    const subscription = lines.some(
+      ({ variant }) => variant.type === 'subscription'
+    );
+    const due = lines.filter(({ order }) => !order.trialDays);
+    const session = await this._post('/checkout/sessions', {
+      ...common,
+      mode: 'payment',
+      line_items: lineItems(
+        due.map(({ order }) => order),
+        due.map(name)
+      ),
+      payment_intent_data: {
+        metadata,
+        setup_future_usage: subscription ? 'off_session' : undefined,
+      },
+    });
+    return { id: session.id, url: session.url };
+  }
+
+  async chargeSavedCard({ order, amount, reason, idempotencyKey }) {
+    if (!order.paymentCustomerId || !order.paymentMethodId) {
+      return { id: null, status: 'failed', failureReason: 'no_saved_card' };
+    }
+    const { ok, data } = await this._send(
+      '/payment_intents',
+      {
+        amount,
+        currency: order.currency.toLowerCase(),
+        customer: order.paymentCustomerId,
+        payment_method: order.paymentMethodId,
+        off_session: true,
+        confirm: true,
+        metadata: { orderId: String(order.id), reason },
+      },
+      idempotencyKey
+    );
+    if (ok && data.status === 'succeeded') {
+      return { id: data.id, status: 'succeeded', failureReason: null };
+    }
+    // Declines come back as errors that still name the payment intent
+    const error = data.error || {};
+    const intent = error.payment_intent || data;
+    return {
+      id: intent.id || null,
+      status: 'failed',
+      failureReason: error.decline_code || error.code || data.status,
+    };
+  }
+
+  async refund({ order, paymentIntentId, amount, idempotencyKey }) {
+    const { ok, data } = await this._send(
+      '/refunds',
+      {
+        payment_intent: paymentIntentId,
+        amount,
+        metadata: { orderId: String(order.id) },
+      },
+      idempotencyKey
+    );
+    if (!ok) {
+      const error = data.error || {};
+      return {
+        id: null,
+        status: 'failed',
+        failureReason: error.code || error.message || 'refund_failed',
+      };
+    }
+    return {
+      id: data.id,
+      status: data.status === 'succeeded' ? 'succeeded' : 'pending',
+      failureReason: null,
+    };
+  }
+
+  async transfer({ payout, store }) {
+    if (!store.stripeAccountId) {
+      return { id: null, status: 'failed', failureReason: 'no_account' };
+    }
+    const { ok, status, data } = await this._send(
+      '/transfers',
+      {
+        amount: payout.amount,
+        currency: payout.currency.toLowerCase(),
+        destination: store.stripeAccountId,
+        transfer_group: `payout_${payout.id}`,
+        metadata: { payoutId: String(payout.id), storeId: String(store.id) },
+      },
+      `payout_${payout.id}`
+    );
+    const error = data.error || {};
+    // Stripe's server errors leave it open whether the transfer was made
+    if (status >= 500) throw new Error(error.message || 'Stripe error');
+    if (!ok) {
+      return {
+        id: null,
+        status: 'failed',
+        failureReason: error.code || error.message || 'transfer_failed',
+      };
+    }
+    return { id: data.id, status: 'succeeded', failureReason: null };
+  }
+}
+
+// Card saved by the mock checkout page whose renewal charges fail
+const MOCK_DECLINING_CARD = 'pm_mock_renewals_decline';
+
+/**
+ * MockProvider
+ *
+ * Keeps sessions in memory. complete() turns a session into the events
+ * Stripe would send for a paid or declined payment. Charges to the saved
+ * card succeed unless the order was paid with MOCK_DECLINING_CARD, and
+ * payouts always do.
+ */
+class MockProvider {
+  constructor({
+    apiUrl = process.env.API_URL ||
+      `http://localhost:${process.env.PORT || 3000}`,
+  } = {}) {
+    this.name = 'mock';
+    this.apiUrl = apiUrl;
+    this.sessions = new Map();
+  }
+
+  async createCheckoutSession({
+    order,
+    product,
+    variant,
+    successUrl,
+    cancelUrl,
+    trialDays = 0,
+  }) {
+    const id = `cs_mock_${crypto.randomBytes(12).toString('hex')}`;
+    this.sessions.set(id, {
+      id,
+      mode: trialDays ? 'setup' : 'payment',
+      reference: String(order.id),
+      metadata: { orderId: String(order.id) },
+      title: `${product.title} (${variant.name})`,
+      amount: order.total,
+      currency: order.currency,
+      trialDays,
+      successUrl,
+      cancelUrl,
+      status: 'open',
+    });
+    return { id, url: `${this.apiUrl}/api/payments/mock/checkout/${id}` };
+  }
+
+  async createCartCheckoutSession({
+    checkout,
+    lines,
+    successUrl,
+    cancelUrl,
+  }) {
+    const id = `cs_mock_${crypto.randomBytes(12).toString('hex')}`;
+    this.sessions.set(id, {
+      id,
+      mode: checkout.total === 0 ? 'setup' : 'payment',
+      reference: `checkout_${checkout.id}`,
+      metadata: { checkoutId: String(checkout.id) },
+      title: lines
+        .map(({ product, variant }) => `${product.title} (${variant.name})`)
+        .join(', '),
+      amount: checkout.total,
+      currency: checkout.currency,
+      trialDays: 0,
+      successUrl,
+      cancelUrl,
+      status: 'open',
+    });
+    return { id, url: `${this.apiUrl}/api/payments/mock/checkout/${id}` };
+  }
+
+  getSession(id) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * Settles an open session. Returns the events to apply, oldest first.
+   * With `failRenewals` the saved card declines every renewal charge.
+   */
+  complete(id, paid, { failRenewals = false } = {}) {
+    const session = this.sessions.get(id);
+    if (!session || session.status !== 'open') {
+      throw new Error('Checkout session is not open');
+    }
+    session.status = paid ? 'complete' : 'expired';
+    const { metadata } = session;
+    const customer = `cus_mock_${crypto.randomBytes(12).toString('hex')}`;
+    const paymentMethod = failRenewals ? MOCK_DECLINING_CARD : 'pm_mock_card';
+    if (session.mode === 'setup') {
+      return this._completeSetup(session, paid, {
+        metadata,
+        customer,
+        paymentMethod,
+      });
+    }
+    const paymentIntent = {
+      object: 'payment_intent',
+      id: `pi_mock_${crypto.randomBytes(12).toString('hex')}`,
+      amount: session.amount,
+      currency: session.currency.toLowerCase(),
+      customer,
+      payment_method: paymentMethod,
+      metadata,
+    };
+    const checkoutSession = {
+      object: 'checkout.session',
+      id: session.id,
+      client_reference_id: session.reference,
+      amount_total: session.amount,
+      currency: session.currency.toLowerCase(),
+      customer,
+      payment_intent: paymentIntent.id,
+      payment_status: paid ? 'paid' : 'unpaid',
+      metadata,
+    };
+    if (!paid) {
+      return [
+        mockEvent('payment_intent.payment_failed', paymentIntent),
+        mockEvent('checkout.session.expired', checkoutSession),
+      ];
+    }
+    return [
+      mockEvent('payment_intent.succeeded', paymentIntent),
+      mockEvent('checkout.session.completed', checkoutSession),
+    ];
+  }
+
+  // Events for a card-saving (trial) session
+  _completeSetup(session, saved, { metadata, customer, paymentMethod }) {
+    const setupIntent = {
+      object: 'setup_intent',
+      id: `seti_mock_${crypto.randomBytes(12).toString('hex')}`,
+      customer,
+      payment_method: saved ? paymentMethod : null,
+      metadata,
+    };
+    const checkoutSession = {
+      object: 'checkout.session',
+      id: session.id,
+      mode: 'setup',
+      client_reference_id: session.reference,
+      amount_total: null,
+      customer,
+      setup_intent: setupIntent.id,
+      payment_status: 'no_payment_required',
+      metadata,
+    };
+    if (!saved) {
+      return [
+        mockEvent('setup_intent.setup_failed', setupIntent),
+        mockEvent('checkout.session.expired', checkoutSession),
+      ];
+    }
+    return [
+      mockEvent('setup_intent.succeeded', setupIntent),
+      mockEvent('checkout.session.completed', checkoutSession),
+    ];
+  }
+
+  async chargeSavedCard({ order }) {
+    const id = `pi_mock_${crypto.randomBytes(12).toString('hex')}`;
+    if (order.paymentMethodId === MOCK_DECLINING_CARD) {
+      return { id, status: 'failed', failureReason: 'card_declined' };
+    }
+    return { id, status: 'succeeded', failureReason: null };
+  }
+
+  async refund() {
+    const id = `re_mock_${crypto.randomBytes(12).toString('hex')}`;
+    return { id, status: 'succeeded', failureReason: null };
+  }
+
+  async transfer() {
+    const id = `tr_mock_${crypto.randomBytes(12).toString('hex')}`;
+    return { id, status: 'succeeded', failureReason: null };
+  }
+}
+
+function mockEvent(type, object) {
+  return {
+    id: `evt_mock_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+  };
+}
+
+/**
+ * Computes a Stripe-Signature header for `payload`, e.g. to sign test
+ * events.
+ */
+function signPayload(payload, secret, timestamp = null) {
+  const t = timestamp || Math.floor(Date.now() / 1000);
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${t}.${payload}`)
+    .digest('hex');
+  return `t=${t},v1=${signature}`;
+}
+
+/**
+ * Verifies a webhook body against its Stripe-Signature header and parses
+ * it. Throws if the signature is missing, wrong or too old.
+ * https://docs.stripe.com/webhooks#verify-manually
+ */
+function constructEvent(
+  payload,
+  header,
+  secret = process.env.STRIPE_WEBHOOK_SECRET
+) {
+  if (!secret) throw new Error('Webhook secret is not configured');
+  const parts = String(header || '')
+    .split(',')
+    .map((part) => part.split('='));
+  const timestamp = Number((parts.find(([k]) => k === 't') || [])[1]);
+  const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+  if (!timestamp || signatures.length === 0) {
+    throw new Error('Missing webhook signature');
+  }
+  const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : payload;
+  const expected = Buffer.from(
+    signPayload(body, secret, timestamp).split('v1=')[1]
+  );
+  const valid = signatures.some((signature) => {
+    const given = Buffer.from(signature);
+    return (
+      given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected)
+    );
+  });
+  if (!valid) throw new Error('Invalid webhook signature');
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook signature has expired');
+  }
+  return JSON.parse(body);
+}
+
+let provider = null;
+
+function createProvider(name) {
+  if (name === 'stripe') return new StripeProvider();
+  if (name === 'mock') return new MockProvider();
+  throw new Error(`Unknown payment provider: ${name}`);
+}
+
+/**
+ * Name of the configured provider (PAYMENT_PROVIDER, or stripe). Throws
+ * if it is the mock and NODE_ENV is production.
+ */
+function paymentProviderName() {
+  const name = process.env.PAYMENT_PROVIDER || 'stripe';
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+  return name;
+}
+
+function getPaymentProvider() {
+  if (!provider) provider = createProvider(paymentProviderName());
+  return provider;
+}
+
+/**
+ * Replaces the payment provider, e.g. with a fake in tests.
+ */
+function usePaymentProvider(next) {
+  provider = next;
+  return next;
+}
+
+module.exports = {
+  StripeProvider,
+  MockProvider,
+  paymentProviderName,
+  getPaymentProvider,
+  usePaymentProvider,
+  formEncode,
+  signPayload,
+  constructEvent,
+};
@@ -0,0 +1,307 @@
+/*
+ * ratelimit.js
+ *
+ * Request throttling for STEB.IO. Two mechanisms share one store:
+ *
+ *   rateLimit(group)  sliding-window limit per route group, keyed by
+ *                     client IP and, when known, by account
+ *   loginGuard        progressive lockout after repeated failed logins
+ *
+ * Counters live in memory by default. When REDIS_URL is set they live in
+ * Redis instead (requires the optional `redis` package) so several
+ * server instances share the same limits.
+ *
+ * Limits per group are read from RATE_LIMIT_<GROUP> as "max/seconds",
+ * e.g. RATE_LIMIT_AUTH=10/60. Lockout is tuned with LOGIN_MAX_FAILURES
+ * (failures within 15 minutes before the first lock) and
+ * LOGIN_LOCKOUT_SECONDS (first lock length, doubled on every repeat up
+ * to an hour).
+ */
+
+const DEFAULT_LIMITS = {
+  auth: '10/60',
+  checkout: '20/60',
+  search: '60/60',
+  support: '5/60',
+};
+
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_SECONDS || 60) * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+// How long a lockout keeps counting towards the next, longer one
+const LOGIN_LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+// Shared IPs (offices, NAT) get more room than a single account
+const IP_FAILURE_MULTIPLIER = 4;
+
+function parseLimit(spec) {
+  const [max, seconds] = String(spec).split('/').map(Number);
+  if (!max || !seconds) throw new Error(`Invalid rate limit: ${spec}`);
+  return { max, windowMs: seconds * 1000 };
+}
+
+function limitFor(group) {
+  const spec =
+    process.env[`RATE_LIMIT_${group.toUpperCase()}`] || DEFAULT_LIMITS[group];
+  if (!spec) throw new Error(`Unknown rate limit group: ${group}`);
+  return parseLimit(spec);
+}
+
+/**
+ * MemoryStore
+ *
+ * Sliding-window logs (one array of hit timestamps per key) plus plain
+ * expiring values. A background sweep drops keys nobody touched lately.
+ */
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    this.values = new Map();
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  _live(key, windowMs) {
+    const cutoff = Date.now() - windowMs;
+    const log = (this.hits.get(key) || []).filter((t) => t > cutoff);
+    if (log.length) this.hits.set(key, log);
+    else this.hits.delete(key);
+    return log;
+  }
+
+  // Returns { count, oldest } for the hits inside the window.
+  async count(key, windowMs) {
+    const log = this._live(key, windowMs);
+    return { count: log.length, oldest: log[0] || null };
+  }
+
+  async add(key, windowMs) {
+    const log = this._live(key, windowMs);
+    log.push(Date.now());
+    this.hits.set(key, log);
+  }
+
+  async get(key) {
+    const entry = this.values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.values.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async clear(key) {
+    this.hits.delete(key);
+    this.values.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    const horizon = now - LOGIN_LOCKOUT_MEMORY_MS;
+    for (const [key, log] of this.hits) {
+      if (!log.length || log[log.length - 1] < horizon) this.hits.delete(key);
+    }
+    for (const [key, entry] of this.values) {
+      if (entry.expiresAt <= now) this.values.delete(key);
+    }
+  }
+}
+
+/**
+ * RedisStore
+ *
+ * Same interface backed by Redis: a sorted set of timestamps per window
+ * key and JSON strings with a TTL for plain values.
+ */
+class RedisStore {
+  constructor(url) {
+    // Loaded lazily so the package is only needed when REDIS_URL is set
+    const { createClient } = require('redis');
+    this.client = createClient({ url });
+    this.client.on('error', (err) => {
+      console.error('Rate limit store error:', err.message);
+    });
+    this.ready = this.client.connect();
+  }
+
+  async count(key, windowMs) {
+    await this.ready;
+    const cutoff = Date.now() - windowMs;
+    const [, count, first] = await this.client
+      .multi()
+      .zRemRangeByScore(key, 0, cutoff)
+      .zCard(key)
+      .zRangeWithScores(key, 0, 0)
+      .exec();
+    return { count, oldest: first.length ? first[0].score : null };
+  }
+
+  async add(key, windowMs) {
+    await this.ready;
+    const now = Date.now();
+    await this.client
+      .multi()
+      .zAdd(key, { score: now, value: `${now}:${Math.random()}` })
+      .pExpire(key, windowMs)
+      .exec();
+  }
+
+  async get(key) {
+    await this.ready;
+    const raw = await this.client.get(`val:${key}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.ready;
+    await this.client.set(`val:${key}`, JSON.stringify(value), { PX: ttlMs });
+  }
+
+  async clear(key) {
+    await this.ready;
+    await this.client.del([key, `val:${key}`]);
+  }
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = process.env.REDIS_URL
+      ? new RedisStore(process.env.REDIS_URL)
+      : new MemoryStore();
+  }
+  return store;
+}
+
+/**
+ * Replaces the active store, e.g. with a fresh MemoryStore per test.
+ */
+function useStore(next) {
+  store = next;
+  return next;
+}
+
+function tooMany(res, retryAfterMs, error) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  return res.status(429).json({ error, code: 'rate_limited' });
+}
+
+// The account a request is attributed to: the logged in user, or the
+// email being acted on for anonymous auth routes.
+function accountKey(req) {
+  if (req.currentUser) return `user:${req.currentUser.id}`;
+  if (req.body && typeof req.body.email === 'string') {
+    return `email:${req.body.email.trim().toLowerCase()}`;
+  }
+  return null;
+}
+
+/**
+ * Rate limit middleware
+ *
+ * Allows `max` requests per sliding window for the route group, counted
+ * separately per IP and per account. Place it after requireAuth on
+ * authenticated routes so the account is known.
+ */
+function rateLimit(group) {
+  const { max, windowMs } = limitFor(group);
+  return async (req, res, next) => {
+    try {
+      const keys = [`rl:${group}:ip:${req.ip}`];
+      const account = accountKey(req);
+      if (account) keys.push(`rl:${group}:${account}`);
+      const s = getStore();
+      let retryAfterMs = 0;
+      for (const key of keys) {
+        const { count, oldest } = await s.count(key, windowMs);
+        if (count >= max) {
+          retryAfterMs = Math.max(retryAfterMs, oldest + windowMs - Date.now());
+        }
+      }
+      if (retryAfterMs > 0) {
+        return tooMany(res, retryAfterMs, 'Too many requests, slow down');
+      }
+      await Promise.all(keys.map((key) => s.add(key, windowMs)));
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function loginKeys(email, ip) {
+  return [
+    { key: `login:email:${String(email).trim().toLowerCase()}`, factor: 1 },
+    { key: `login:ip:${ip}`, factor: IP_FAILURE_MULTIPLIER },
+  ];
+}
+
+/**
+ * Login lockout
+ *
+ * Call check() before verifying a password, then failure() or success()
+ * with the outcome. Once an account or IP collects LOGIN_MAX_FAILURES
+ * failures (four times that for an IP) it is locked out; each lockout
+ * within a day doubles the next one.
+ */
+const loginGuard = {
+  // Returns the remaining lockout in ms, or 0 if login may proceed.
+  async check(email, ip) {
+    const s = getStore();
+    let remaining = 0;
+    for (const { key } of loginKeys(email, ip)) {
+      const lock = await s.get(`${key}:lock`);
+      if (lock) remaining = Math.max(remaining, lock.until - Date.now());
+    }
+    return remaining;
+  },
+
+  async failure(email, ip) {
+    const s = getStore();
+    for (const { key, factor } of loginKeys(email, ip)) {
+      await s.add(key, LOGIN_FAILURE_WINDOW_MS);
+      const { count } = await s.count(key, LOGIN_FAILURE_WINDOW_MS);
+      if (count < LOGIN_MAX_FAILURES * factor) continue;
+      const level = (await s.get(`${key}:level`)) || 0;
+      const duration = Math.min(
+        LOGIN_LOCKOUT_MS * 2 ** level,
+        LOGIN_LOCKOUT_MAX_MS
+      );
+      await s.set(`${key}:lock`, { until: Date.now() + duration }, duration);
+      await s.set(`${key}:level`, level + 1, LOGIN_LOCKOUT_MEMORY_MS);
+      // Start counting afresh once the lock lifts
+      await s.clear(key);
+    }
+  },
+
+  // A successful login clears the account's failures, not the IP's.
+  async success(email) {
+    const s = getStore();
+    const [{ key }] = loginKeys(email, null);
+    await s.clear(key);
+    await s.clear(`${key}:level`);
+  },
+};
+
+function loginLockedOut(res, remainingMs) {
+  return tooMany(
+    res,
+    remainingMs,
+    'Too many failed login attempts, try again later'
+  );
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  useStore,
+  rateLimit,
+  loginGuard,
+  loginLockedOut,
+};
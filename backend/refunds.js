@@ -0,0 +1,149 @@
+/*
+ * refunds.js
+ *
+ * Paying money back to buyers through the payment provider. Refunds go
+ * against the order's card charges, newest first, and never return more
+ * of a charge than is left of it after earlier refunds and chargebacks.
+ * billing.js books each one and updates the order:
+ *
+ *   refund in full  'refunded', deliverables revoked; license keys can
+ *                   be returned to their pools if the buyer never used
+ *                   them
+ *   refund in part  one-time orders become 'partially_refunded';
+ *                   subscriptions keep running
+ *
+ * Either way the affiliate commission is clawed back pro rata. Sellers
+ * and admins refund orders with refundOrder(); immediate subscription
+ * cancellations refund the unused period through refundToCard() (see
+ * subscriptions.js). Either way only one refund of an order runs at a
+ * time (see guardRefund). Disputes arrive as provider events and are handled
+ * in billing.js.
+ */
+
+const {
+  cardCharges,
+  refundedFromCharge,
+  refundableAmount,
+  recordRefund,
+  settleRefund,
+} = require('./billing');
+const { getPaymentProvider } = require('./payments');
+
+// Orders with a refund waiting on the payment provider
+const refunding = new Set();
+
+/**
+ * Refunds `amount` of an earlier charge through the payment provider and
+ * records it. Throws if the provider refuses.
+ */
+async function refundCharge(
+  order,
+  { amount, paymentIntentId },
+  { now = new Date(), provider = getPaymentProvider() } = {}
+) {
+  // What was refunded of the charge before tells this refund apart from
+  // others of it, and stays the same if it is sent again
+  const refunded = refundedFromCharge(order, paymentIntentId);
+  const result = await provider.refund({
+    order,
+    paymentIntentId,
+    amount,
+    idempotencyKey: `refund_${paymentIntentId}_${refunded}`,
+  });
+  if (result.status === 'failed') {
+    throw new Error(`Refund failed: ${result.failureReason}`);
+  }
+  recordRefund(order, {
+    amount,
+    paymentIntentId,
+    details: { refundId: result.id },
+    now,
+  });
+  return { id: result.id, amount, status: result.status };
+}
+
+/**
+ * Pays `amount` back to the card, newest charges first and never more
+ * than is left of a charge after earlier refunds. Resolves to the
+ * refunds made.
+ */
+async function refundToCard(order, amount, options = {}) {
+  const charges = cardCharges(order).reverse();
+  const refunds = [];
+  let owed = amount;
+  for (const charge of charges) {
+    if (owed <= 0) break;
+    const part = Math.min(
+      owed,
+      charge.amount - refundedFromCharge(order, charge.paymentIntentId)
+    );
+    if (part <= 0) continue;
+    refunds.push(
+      await refundCharge(
+        order,
+        { amount: part, paymentIntentId: charge.paymentIntentId },
+        options
+      )
+    );
+    owed -= part;
+  }
+  return refunds;
+}
+
+/**
+ * True while a refund of the order is waiting on the payment provider.
+ */
+function refundInProgress(order) {
+  return refunding.has(order.id);
+}
+
+/**
+ * Runs `refund`, an async function paying money of the order back, as
+ * the order's only refund in progress. Throws if there already is one.
+ */
+async function guardRefund(order, refund) {
+  if (refunding.has(order.id)) {
+    throw new Error('A refund is already in progress');
+  }
+  refunding.add(order.id);
+  try {
+    return await refund();
+  } finally {
+    refunding.delete(order.id);
+  }
+}
+
+/**
+ * Refunds `amount` of an order (all that is left by default) to the
+ * buyer's card and settles its status: an order refunded in full ends
+ * and its deliverables are revoked, after returning its license keys to
+ * their pools if `restockKeys`. Resolves to { order, refunds }. Throws if
+ * another refund of the order is in progress or the provider refuses;
+ * refunds made before a refusal stay booked.
+ */
+async function refundOrder(
+  order,
+  {
+    amount = refundableAmount(order),
+    restockKeys = false,
+    now = new Date(),
+    provider = getPaymentProvider(),
+  } = {}
+) {
+  return guardRefund(order, async () => {
+    try {
+      const refunds = await refundToCard(order, amount, { now, provider });
+      return { order, refunds };
+    } finally {
+      settleRefund(order, { now, restockKeys });
+    }
+  });
+}
+
+module.exports = {
+  refundCharge,
+  refundToCard,
+  refundInProgress,
+  guardRefund,
+  refundOrder,
+};
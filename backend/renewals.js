@@ -0,0 +1,404 @@
+/*
+ * renewals.js
+ *
+ * The renewal engine for subscriptions. runRenewals() finds every
+ * subscription whose billing period has ended and charges the next one
+ * to the card saved at checkout (see payments.js), less any credit the
+ * order has from a plan change (see subscriptions.js):
+ *
+ *   trialing  TRIAL_REMINDER_DAYS before trialEndsAt -> reminder email
+ *   trialing  trialEndsAt (= nextBillingAt) passed -> first charge
+ *               paid:   active, billed every interval from then on
+ *               failed: expired right away, deliverables revoked
+ *   active    nextBillingAt passed -> charge
+ *               paid:   nextBillingAt moves on by one interval
+ *               failed: past_due; retried on the dunning schedule
+ *   past_due  nextRetryAt passed -> charge again
+ *               paid:   active again, still billed from the same anchor
+ *               failed: next retry, or none once the schedule runs out
+ *   past_due  no retry left and the grace period is over -> expired,
+ *             deliverables revoked
+ *   paused    resumesAt passed -> active (see subscriptions.js)
+ *
+ * Trials and paid periods of subscriptions set to cancel at period end
+ * are not charged again: they end as 'cancelled' instead. Every charge
+ * that goes through is issued an invoice (see invoices.js) and posted to
+ * the seller's ledger (see ledger.js).
+ *
+ * Each order is read afresh before it is acted on and again once its
+ * charge returns. Orders with a refund or plan change in progress are
+ * left to the next run, and a charge for an order that was refunded,
+ * cancelled or changed while it was out is paid back, not booked.
+ *
+ * Each charge is for the order's price, which is net of its coupon
+ * discount for as long as that lasts; a discount on the first period
+ * only ends with the first charge (see billing.js).
+ *
+ * The buyer keeps access while past_due. Every charge attempt and every
+ * expiry is recorded as a BillingEvent, and the buyer is emailed about
+ * failed charges and expiry.
+ *
+ *   DUNNING_RETRY_DAYS        days after the first failed charge on which
+ *                             to retry, comma separated (default 1,3,5)
+ *   DUNNING_GRACE_DAYS        days after the first failed charge before
+ *                             the subscription expires (default 7);
+ *                             retries falling later are skipped
+ *   TRIAL_REMINDER_DAYS       days before a trial ends to remind the
+ *                             buyer of the coming charge (default 3)
+ *   RENEWAL_INTERVAL_SECONDS  how often the scheduler runs (default 3600;
+ *                             0 turns it off)
+ *
+ * Nothing here reads the system clock directly: runRenewals() takes the
+ * time to act at and the scheduler takes a clock function, so the whole
+ * lifecycle can be run in tests without waiting.
+ */
+
+const { User, Product, Order, BillingEvent } = require('./models');
+const {
+  addInterval,
+  chargeDetails,
+  endFirstPeriodDiscount,
+  recordReferral,
+  returnCharge,
+  revokeDeliverables,
+} = require('./billing');
+const { issueForEvent } = require('./invoices');
+const { postForEvent } = require('./ledger');
+const { getPaymentProvider } = require('./payments');
+const { refundInProgress } = require('./refunds');
+const {
+  finishCancellation,
+  resumeSubscription,
+  planChangeInProgress,
+} = require('./subscriptions');
+const { format } = require('./money');
+const {
+  sendRenewalFailedEmail,
+  sendSubscriptionExpiredEmail,
+  sendTrialEndingEmail,
+} = require('./mail');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDays(text) {
+  return String(text)
+    .split(',')
+    .map((day) => day.trim())
+    .filter(Boolean)
+    .map((day) => {
+      const days = Number(day);
+      if (!(days > 0)) throw new Error(`Invalid dunning retry day: ${day}`);
+      return days;
+    })
+    .sort((a, b) => a - b);
+}
+
+const DUNNING_RETRY_DAYS = parseDays(process.env.DUNNING_RETRY_DAYS || '1,3,5');
+const DUNNING_GRACE_DAYS = Number(process.env.DUNNING_GRACE_DAYS || 7);
+const TRIAL_REMINDER_DAYS = Number(process.env.TRIAL_REMINDER_DAYS || 3);
+const RENEWAL_INTERVAL_MS =
+  Number(process.env.RENEWAL_INTERVAL_SECONDS || 60 * 60) * 1000;
+
+function graceEndsAt(order) {
+  return new Date(order.pastDueSince.getTime() + DUNNING_GRACE_DAYS * DAY_MS);
+}
+
+// When to retry after `attempts` failed charges, or null if no retry is
+// left before the grace period ends.
+function nextRetryAt(order, attempts) {
+  const days = DUNNING_RETRY_DAYS[attempts - 1];
+  if (days === undefined) return null;
+  const at = new Date(order.pastDueSince.getTime() + days * DAY_MS);
+  return at < graceEndsAt(order) ? at : null;
+}
+
+// What the engine has to do for an order at `now`: 'charge', 'remind',
+// 'end', 'resume', 'expire' or null.
+function dueAction(order, now) {
+  if (order.status === 'paused') {
+    return order.resumesAt <= now ? 'resume' : null;
+  }
+  const periodOver = order.nextBillingAt && order.nextBillingAt <= now;
+  if (order.cancelAtPeriodEnd && periodOver) return 'end';
+  if (order.status === 'trialing') {
+    if (periodOver) return 'charge';
+    const remindAt = order.trialEndsAt.getTime() - TRIAL_REMINDER_DAYS * DAY_MS;
+    const remind = !order.trialReminderSentAt && !order.cancelAtPeriodEnd;
+    return remind && remindAt <= now ? 'remind' : null;
+  }
+  if (order.status === 'active') return periodOver ? 'charge' : null;
+  if (order.status === 'past_due') {
+    if (order.nextRetryAt) return order.nextRetryAt <= now ? 'charge' : null;
+    return graceEndsAt(order) <= now ? 'expire' : null;
+  }
+  return null;
+}
+
+// Orders a refund or plan change is under way for are left to the next
+// run, so the engine never acts on what they are about to change.
+function busy(order) {
+  return refundInProgress(order) || planChangeInProgress(order);
+}
+
+// Whether `after`, the order read again once a charge returned, was
+// refunded, cancelled, paused or moved to another plan meanwhile.
+function changedSince(before, after) {
+  const time = (date) => (date ? date.getTime() : null);
+  return (
+    busy(after) ||
+    after.status !== before.status ||
+    after.variantId !== before.variantId ||
+    after.cancelAtPeriodEnd !== before.cancelAtPeriodEnd ||
+    time(after.nextBillingAt) !== time(before.nextBillingAt)
+  );
+}
+
+function notify(promise, order) {
+  promise.catch((err) => {
+    console.error(`Billing mail for order ${order.id} failed:`, err);
+  });
+}
+
+/**
+ * Ends a subscription that could not be paid for: the order expires and
+ * its deliverables are revoked.
+ */
+function expireOrder(order, now = new Date()) {
+  order.update({
+    status: 'expired',
+    endedAt: now,
+    nextBillingAt: null,
+    nextRetryAt: null,
+  });
+  revokeDeliverables(order, now);
+  BillingEvent.record({ order, type: 'expired', createdAt: now });
+  const product = Product.findById(order.productId);
+  notify(
+    sendSubscriptionExpiredEmail(User.findById(order.userId), {
+      title: product.title,
+    }),
+    order
+  );
+  return order;
+}
+
+function remindTrialEnding(order, now) {
+  order.update({ trialReminderSentAt: now });
+  const product = Product.findById(order.productId);
+  notify(
+    sendTrialEndingEmail(User.findById(order.userId), {
+      title: product.title,
+      price: format(order.total, order.currency),
+      endsAt: order.trialEndsAt,
+    }),
+    order
+  );
+}
+
+// Charges the period starting at nextBillingAt, using up the order's
+// credit balance first. Returns true if paid, or null if the order
+// changed while the charge was out: nothing is booked then, and a charge
+// that went through is paid back.
+async function chargeOrder(order, now, provider) {
+  const converting = order.status === 'trialing';
+  const plan = order.plan();
+  const product = Product.findById(order.productId);
+  const user = User.findById(order.userId);
+  const attempt = order.renewalAttempts + 1;
+  const periodStart = order.nextBillingAt;
+  const periodEnd = addInterval(periodStart, plan.billingInterval);
+  const credit = Math.min(order.creditBalance, order.total);
+  const amount = order.total - credit;
+  let result = { id: null, status: 'succeeded', failureReason: null };
+  if (amount > 0) {
+    try {
+      // The same period and attempt is never charged twice, while a
+      // dunning retry is a charge of its own rather than a replay
+      const key = `renewal_${order.id}_${periodEnd.getTime()}_${attempt}`;
+      result = await provider.chargeSavedCard({
+        order,
+        amount,
+        reason: 'renewal',
+        idempotencyKey: key,
+      });
+    } catch (err) {
+      result = { id: null, status: 'failed', failureReason: err.message };
+    }
+    const current = Order.findById(order.id);
+    if (changedSince(order, current)) {
+      if (result.status === 'succeeded') {
+        await returnCharge(current, {
+          amount,
+          paymentIntentId: result.id,
+          reason: 'order_changed',
+          provider,
+          now,
+        });
+      }
+      return null;
+    }
+  }
+  const charge = {
+    order,
+    amount,
+    credit,
+    attempt,
+    paymentIntentId: result.id,
+    periodStart,
+    periodEnd,
+    details: chargeDetails(order),
+    createdAt: now,
+  };
+  if (result.status === 'succeeded') {
+    const paid = BillingEvent.record({
+      ...charge,
+      type: converting ? 'payment' : 'renewal',
+    });
+    issueForEvent(order, paid);
+    postForEvent(order, paid);
+    order.update({
+      status: 'active',
+      nextBillingAt: periodEnd,
+      creditBalance: order.creditBalance - credit,
+      renewalAttempts: 0,
+      pastDueSince: null,
+      nextRetryAt: null,
+      failureReason: null,
+    });
+    if (converting) {
+      order.update({
+        paidAt: now,
+        paymentIntentId: result.id || order.paymentIntentId,
+      });
+      endFirstPeriodDiscount(order);
+      recordReferral(order);
+    }
+    return true;
+  }
+  if (converting) {
+    // A trial that cannot be paid for simply ends
+    BillingEvent.record({
+      ...charge,
+      type: 'payment_failed',
+      failureReason: result.failureReason,
+    });
+    order.update({ failureReason: result.failureReason });
+    expireOrder(order, now);
+    return false;
+  }
+  BillingEvent.record({
+    ...charge,
+    type: 'renewal_failed',
+    failureReason: result.failureReason,
+  });
+  order.update({
+    status: 'past_due',
+    renewalAttempts: attempt,
+    pastDueSince: order.pastDueSince || now,
+    failureReason: result.failureReason,
+  });
+  const retryAt = nextRetryAt(order, attempt);
+  order.update({ nextRetryAt: retryAt });
+  notify(
+    sendRenewalFailedEmail(user, {
+      title: product.title,
+      price: format(order.total, order.currency),
+      retryAt,
+    }),
+    order
+  );
+  return false;
+}
+
+async function renew(now, provider) {
+  const summary = {
+    reminded: [],
+    converted: [],
+    renewed: [],
+    failed: [],
+    cancelled: [],
+    resumed: [],
+    expired: [],
+  };
+  for (const { id } of Order.findAll()) {
+    // Read afresh: earlier charges in this run give refunds, cancellations
+    // and plan changes time to land
+    const order = Order.findById(id);
+    if (!order || busy(order)) continue;
+    const action = dueAction(order, now);
+    if (action === 'remind') {
+      remindTrialEnding(order, now);
+      summary.reminded.push(order.id);
+    } else if (action === 'end') {
+      finishCancellation(order);
+      summary.cancelled.push(order.id);
+    } else if (action === 'resume') {
+      // Billing resumes from when the pause was meant to end
+      resumeSubscription(order, order.resumesAt);
+      summary.resumed.push(order.id);
+    } else if (action === 'expire') {
+      expireOrder(order, now);
+      summary.expired.push(order.id);
+    } else if (action === 'charge') {
+      const trial = order.status === 'trialing';
+      const paid = await chargeOrder(order, now, provider);
+      if (paid === null) continue;
+      if (paid) {
+        summary[trial ? 'converted' : 'renewed'].push(order.id);
+      } else {
+        summary.failed.push(order.id);
+      }
+      // A last failed retry after the grace period ends it right away
+      if (!paid && dueAction(order, now) === 'expire') {
+        expireOrder(order, now);
+      }
+      if (order.status === 'expired') summary.expired.push(order.id);
+    }
+  }
+  return summary;
+}
+
+// Runs are queued so two overlapping runs never charge the same period
+let queue = Promise.resolve();
+
+/**
+ * Charges, retries, ends, resumes and expires every subscription that is
+ * due at `now` and sends trial reminders. Resolves to the ids of the
+ * orders { reminded, converted, renewed, failed, cancelled, resumed,
+ * expired }.
+ */
+function runRenewals({
+  now = new Date(),
+  provider = getPaymentProvider(),
+} = {}) {
+  const run = queue.then(() => renew(now, provider));
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Runs the renewal engine every `intervalMs` with the time from `clock`.
+ * Returns a function that stops it.
+ */
+function startRenewalScheduler({
+  intervalMs = RENEWAL_INTERVAL_MS,
+  clock = () => new Date(),
+} = {}) {
+  if (!intervalMs) return () => {};
+  const timer = setInterval(() => {
+    runRenewals({ now: clock() }).catch((err) => {
+      console.error('Renewal run failed:', err);
+    });
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  DUNNING_RETRY_DAYS,
+  DUNNING_GRACE_DAYS,
+  TRIAL_REMINDER_DAYS,
+  runRenewals,
+  expireOrder,
+  startRenewalScheduler,
+};
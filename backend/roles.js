@@ -0,0 +1,101 @@
+/*
+ * roles.js
+ *
+ * Roles and permissions for STEB.IO. A user holds one or more roles and
+ * a role grants a fixed set of permissions, which routes check with
+ * requirePermission.
+ *
+ *   buyer    every account; can purchase and open support tickets
+ *   seller   can run a store and manage its products
+ *   support  support agents; read access to users, orders and tickets
+ *   admin    everything support can do plus moderation, refunds, role
+ *            changes and platform settings
+ *
+ * Emails listed in ADMIN_EMAILS (comma separated) are given the admin
+ * role once the address is verified, when it is or at the next login,
+ * which is how the first admin is bootstrapped. Registering an address
+ * is not enough: whoever signs up first may not own the mailbox.
+ */
+
+const ROLES = ['buyer', 'seller', 'support', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  buyer: ['orders:purchase', 'tickets:create'],
+  seller: ['stores:manage', 'products:manage'],
+  support: ['users:read', 'orders:read_any', 'tickets:read_any'],
+  admin: [
+    'users:read',
+    'users:suspend',
+    'users:roles',
+    'stores:moderate',
+    'products:moderate',
+    'orders:read_any',
+    'orders:refund',
+    'tickets:read_any',
+    'settings:manage',
+    'billing:run',
+  ],
+};
+
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((e) => e.trim().toLowerCase())
+  .filter(Boolean);
+
+function hasRole(user, role) {
+  return Array.isArray(user.roles) && user.roles.includes(role);
+}
+
+function hasPermission(user, permission) {
+  return (user.roles || []).some((role) =>
+    (ROLE_PERMISSIONS[role] || []).includes(permission)
+  );
+}
+
+/**
+ * Validates and normalises a list of role names. Every account keeps the
+ * buyer role. Throws on unknown roles.
+ */
+function normaliseRoles(roles) {
+  if (!Array.isArray(roles)) throw new Error('Roles must be an array');
+  roles.forEach((role) => {
+    if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+  });
+  return ROLES.filter((role) => role === 'buyer' || roles.includes(role));
+}
+
+/**
+ * Grants the admin role to verified users listed in ADMIN_EMAILS.
+ */
+function applyBootstrapRoles(user) {
+  if (!user.verifiedAt || hasRole(user, 'admin')) return;
+  if (!ADMIN_EMAILS.includes(String(user.email).toLowerCase())) return;
+  user.update({ roles: normaliseRoles([...user.roles, 'admin']) });
+}
+
+/**
+ * Permission middleware
+ *
+ * Must run after requireAuth. Lets the request through if any of the
+ * user's roles grants `permission`, otherwise responds with 403.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.currentUser, permission)) {
+      return res
+        .status(403)
+        .json({ error: `Missing permission: ${permission}` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasRole,
+  hasPermission,
+  normaliseRoles,
+  applyBootstrapRoles,
+  requirePermission,
+};
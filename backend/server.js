@@ -17,32 +17,163 @@ const {
   User,
   Store,
   Product,
+  Variant,
+  ProductRevision,
+  Coupon,
   Order,
+  Checkout,
+  Cart,
   AffiliateReferral,
   SupportTicket,
-  randomToken,
+  AuthToken,
+  LinkedAccount,
+  ApiKey,
+  BillingEvent,
+  Invoice,
+  Payout,
+  Setting,
+  withoutKeyPools,
 } = require('./models');
+const {
+  createSession,
+  authenticate,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  activeSessions,
+  sessionJSON,
+} = require('./sessions');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendRefundEmail,
+} = require('./mail');
+const {
+  guestCustomer,
+  sendGuestAccess,
+  guestForToken,
+  claimGuestOrders,
+} = require('./guests');
+const {
+  normaliseRoles,
+  applyBootstrapRoles,
+  requirePermission,
+} = require('./roles');
+const { rateLimit, loginGuard, loginLockedOut } = require('./ratelimit');
+const { idempotent } = require('./idempotency');
+const {
+  generateSecret,
+  generateRecoveryCodes,
+  verifyCode,
+  otpauthURI,
+} = require('./totp');
+const { getProvider } = require('./identity');
+const {
+  isApiKey,
+  authenticate: authenticateApiKey,
+  apiScope,
+  scopeError,
+  keyCoversStore,
+  normaliseScopes,
+  apiKeyJSON,
+} = require('./apikeys');
+const {
+  BASE_CURRENCY,
+  normaliseCurrency,
+  toMinor,
+  convert,
+  convertibleCurrencies,
+  format: formatMoney,
+} = require('./money');
+const {
+  paymentProviderName,
+  getPaymentProvider,
+  constructEvent,
+} = require('./payments');
+const {
+  failOrder,
+  handlePaymentEvent,
+  refundableAmount,
+} = require('./billing');
+const { refundInProgress, refundOrder } = require('./refunds');
+const { orderTerms, dueNow, createOrder, checkoutCart } = require('./checkout');
+const { taxLocation } = require('./tax');
+const { describeInvoice, renderInvoicePdf } = require('./invoices');
+const { runRenewals, startRenewalScheduler } = require('./renewals');
+const {
+  PLATFORM_FEE_PERCENT,
+  PAYOUT_HOLD_DAYS,
+  platformFeePercent,
+  storeBalances,
+  runPayouts,
+  startPayoutScheduler,
+} = require('./ledger');
+const {
+  CONNECT_EVENTS,
+  getConnectClient,
+  connectStatus,
+  canSell,
+  startOnboarding,
+  syncAccount,
+  handleConnectEvent,
+} = require('./connect');
+const {
+  CANCELLABLE,
+  cancelSubscription,
+  reactivateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  changePlan,
+  planChangeInProgress,
+} = require('./subscriptions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Where the static frontend lives; OAuth callbacks redirect back to it
+const APP_URL = process.env.APP_URL || 'http://localhost:3001';
+// Where Stripe's Connect onboarding sends sellers back to: the return URL
+// once they leave it, the refresh URL when the link has gone stale
+const CONNECT_RETURN_URL =
+  process.env.CONNECT_RETURN_URL ||
+  `${APP_URL}/dashboard.html?connect=complete`;
+const CONNECT_REFRESH_URL =
+  process.env.CONNECT_REFRESH_URL || `${APP_URL}/dashboard.html?connect=start`;
 
 // Use CORS to allow requests from the front‑end (e.g. http://localhost:3001)
 app.use(cors());
 
-// Parse JSON bodies
-app.use(express.json());
+// Parse JSON bodies, keeping the raw bytes for webhook signature checks
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
-// In‑memory session storage: maps session tokens to user IDs. In a
-// real application you should use secure HTTP‑only cookies and a
-// persistent session store (e.g. Redis).
-const sessions = {};
+// Behind a load balancer req.ip is the proxy unless Express is told how
+// many hops to trust; rate limiting keys on it. TRUST_PROXY=1 for one.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Request limits per route group (see ratelimit.js)
+const limitAuth = rateLimit('auth');
+const limitCheckout = rateLimit('checkout');
+const limitSearch = rateLimit('search');
+const limitSupport = rateLimit('support');
 
 /**
  * Authentication middleware
  *
- * Checks for an Authorization header with a Bearer token. If the
- * token matches a stored session, attaches the corresponding user
- * object to req.currentUser. Otherwise, responds with 401.
+ * Checks for an Authorization header with a Bearer token. Session tokens
+ * are resolved through the session store (see sessions.js) and attach
+ * req.session; seller API keys (stb_...) go through apikeys.js, attach
+ * req.apiKey and must hold the scope the route declared with apiScope().
+ * On success the user is attached to req.currentUser. Otherwise responds
+ * with 401 and a code telling expired credentials apart from revoked or
+ * unknown ones; suspended accounts and missing scopes get 403.
  */
 function requireAuth(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -50,26 +181,293 @@ function requireAuth(req, res, next) {
     return res.status(401).json({ error: 'Missing authorization header' });
   }
   const token = authHeader.split(' ')[1];
-  const userId = sessions[token];
-  if (!userId) {
-    return res.status(401).json({ error: 'Invalid or expired session' });
+  const result = isApiKey(token)
+    ? authenticateApiKey(token)
+    : authenticate(token);
+  if (result.error) {
+    return res
+      .status(result.status || 401)
+      .json({ error: result.error, code: result.code });
+  }
+  if (result.user.suspendedAt) {
+    return res.status(403).json({
+      error: 'This account has been suspended',
+      code: 'account_suspended',
+    });
+  }
+  req.currentUser = result.user;
+  if (result.apiKey) {
+    req.apiKey = result.apiKey;
+    const error = scopeError(req);
+    if (error) {
+      return res.status(403).json({ error, code: 'api_key_scope' });
+    }
+  } else {
+    req.session = result.session;
+  }
+  next();
+}
+
+/**
+ * Loads the store named by req.params.id and checks the current user
+ * owns it (and, for API keys, that the key is bound to it). Responds
+ * with 404/403 and returns null otherwise.
+ */
+function loadOwnedStore(req, res) {
+  const store = Store.findById(parseInt(req.params.id));
+  if (!store) {
+    res.status(404).json({ error: 'Store not found' });
+    return null;
+  }
+  if (store.ownerId !== req.currentUser.id || !keyCoversStore(req, store.id)) {
+    res.status(403).json({ error: 'You are not the owner of this store' });
+    return null;
+  }
+  return store;
+}
+
+/**
+ * Loads the product named by req.params.id for its store's owner, with
+ * the same checks as loadOwnedStore.
+ */
+function loadOwnedProduct(req, res) {
+  const product = Product.findById(parseInt(req.params.id));
+  if (!product) {
+    res.status(404).json({ error: 'Product not found' });
+    return null;
+  }
+  const store = Store.findById(product.storeId);
+  if (store.ownerId !== req.currentUser.id || !keyCoversStore(req, store.id)) {
+    res.status(403).json({ error: 'You do not own this product' });
+    return null;
+  }
+  return product;
+}
+
+/**
+ * Like loadOwnedProduct, but also loads the product's variant named by
+ * req.params.variantId. Returns { product, variant } or null.
+ */
+function loadOwnedVariant(req, res) {
+  const product = loadOwnedProduct(req, res);
+  if (!product) return null;
+  const variant = Variant.findById(parseInt(req.params.variantId));
+  if (!variant || variant.productId !== product.id) {
+    res.status(404).json({ error: 'Variant not found' });
+    return null;
+  }
+  return { product, variant };
+}
+
+const PAUSE_DAYS_ERROR = 'maxPauseDays must be a whole number of days';
+
+// maxPauseDays is optional; 0 turns pausing off
+function validPauseDays(days) {
+  return days === undefined || (Number.isInteger(days) && days >= 0);
+}
+
+/**
+ * Verified email middleware
+ *
+ * Must run after requireAuth. Selling (creating stores and products) and
+ * checkout are only available once the user has confirmed their email.
+ */
+function requireVerified(req, res, next) {
+  if (!req.currentUser.verifiedAt) {
+    return res.status(403).json({
+      error: 'Please verify your email address first',
+      code: 'email_unverified',
+    });
+  }
+  next();
+}
+
+/**
+ * Seller 2FA middleware
+ *
+ * Must run after requireAuth. When an admin has switched on the
+ * requireSellerTwoFactor setting, sellers need two-factor login enabled
+ * before they can create products.
+ */
+function requireSellerTwoFactor(req, res, next) {
+  const required = Setting.get('requireSellerTwoFactor', false);
+  if (required && !req.currentUser.totpEnabledAt) {
+    return res.status(403).json({
+      error: 'Enable two-factor authentication before creating products',
+      code: 'two_factor_required',
+    });
+  }
+  next();
+}
+
+// Lifetimes of the single-use tokens mailed out by the auth endpoints
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+// Time allowed between the password step and the 2FA step of a login
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+// Time allowed for a round trip through the Discord consent screen
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Platform settings admins may change, with their defaults
+const SETTING_DEFAULTS = {
+  requireSellerTwoFactor: false,
+  platformFeePercent: PLATFORM_FEE_PERCENT,
+};
+
+function isPercent(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+/**
+ * Profile fields that are safe to return to the user themselves.
+ */
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    isSeller: user.isSeller,
+    roles: user.roles,
+    referralCode: user.referralCode,
+    verifiedAt: user.verifiedAt,
+    twoFactorEnabled: !!user.totpEnabledAt,
+  };
+}
+
+/**
+ * The user's linked third-party identities, without their tokens.
+ */
+function linkedIdentities(user) {
+  const result = { discord: null, telegram: null };
+  LinkedAccount.findByUser(user.id).forEach((a) => {
+    result[a.provider] = {
+      id: a.providerUserId,
+      username: a.username,
+      linkedAt: a.linkedAt,
+    };
+  });
+  return result;
+}
+
+/**
+ * Profile plus moderation fields, for the admin API.
+ */
+function adminUser(user) {
+  return {
+    ...publicUser(user),
+    suspendedAt: user.suspendedAt,
+    suspendedReason: user.suspendedReason,
+    guestEmail: user.guestEmail,
+  };
+}
+
+/**
+ * Marketplace visibility. Stores disabled by an admin or owned by a
+ * suspended user are hidden from listings, and so are their products.
+ * Products archived by their seller drop out of listings and checkout,
+ * but their page still resolves so existing orders can link to it.
+ */
+function storeIsListed(store) {
+  if (!store || store.disabledAt) return false;
+  const owner = User.findById(store.ownerId);
+  return !!owner && !owner.suspendedAt;
+}
+
+function productIsVisible(product) {
+  if (!product || product.disabledAt) return false;
+  return storeIsListed(Store.findById(product.storeId));
+}
+
+function productIsListed(product) {
+  return productIsVisible(product) && !product.archivedAt;
+}
+
+function listedProducts() {
+  return Product.findAll().filter(productIsListed);
+}
+
+// Escapes text for the few HTML pages the backend renders itself
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[
+        c
+      ]
+  );
+}
+
+/**
+ * Display currency middleware
+ *
+ * Buyers can ask for prices converted into another currency with
+ * ?currency=EUR (see money.js). Sets req.displayCurrency, or responds
+ * with 400 if the currency is unsupported or has no exchange rate.
+ * Orders are still charged in the product's own currency.
+ */
+function displayCurrency(req, res, next) {
+  req.displayCurrency = null;
+  if (!req.query.currency) return next();
+  let currency;
+  try {
+    currency = normaliseCurrency(req.query.currency);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
-  const user = User.findById(userId);
-  if (!user) {
-    return res.status(401).json({ error: 'User not found' });
+  if (!convertibleCurrencies().includes(currency)) {
+    return res
+      .status(400)
+      .json({ error: `No exchange rate configured for ${currency}` });
   }
-  req.currentUser = user;
-  req.token = token;
+  req.displayCurrency = currency;
   next();
 }
 
+// An amount converted into the buyer's display currency, or null when
+// none was asked for or there is no rate for the amount's currency.
+function displayPrice(req, amount, currency) {
+  if (!req.displayCurrency) return null;
+  try {
+    return {
+      amount: convert(amount, currency, req.displayCurrency),
+      currency: req.displayCurrency,
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Public shape of a product with the variants on sale. License key pools
+ * are only ever shown to the seller.
+ */
+function publicProduct(product, req) {
+  return {
+    ...product,
+    deliverables: withoutKeyPools(product.deliverables),
+    displayPrice: displayPrice(req, product.price, product.currency),
+    variants: product.listedVariants().map((v) => ({
+      ...v,
+      currency: product.currency,
+      displayPrice: displayPrice(req, v.price, product.currency),
+      deliverables: withoutKeyPools(v.deliverables),
+    })),
+  };
+}
+
+// Moves a guest's cart (see /api/cart) into the user's own on sign-in.
+function mergeGuestCart(user, cartToken) {
+  const guest = cartToken && Cart.findByGuestToken(cartToken);
+  if (guest && !guest.userId) Cart.forUser(user.id).mergeFrom(guest);
+}
+
 /**
- * Registers a new user.
+ * Registers a new user. A guest's cartToken carries their cart over.
  *
- * Expects JSON body: { email, password, name, isSeller }
+ * Expects JSON body: { email, password, name, isSeller, cartToken }
  * Optionally accepts a referral code in the query string (?ref=CODE)
  */
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', limitAuth, async (req, res) => {
   try {
     const { email, password, name, isSeller } = req.body;
     if (!email || !password || !name) {
@@ -86,7 +484,7 @@ app.post('/api/auth/register', async (req, res) => {
     // If there is a referral code, record it
     const refCode = req.query.ref;
     if (refCode) {
-      const referrer = User._data.find((u) => u.referralCode === refCode);
+      const referrer = User.findByReferralCode(refCode);
       if (referrer) {
         AffiliateReferral.create({
           referrerId: referrer.id,
@@ -94,18 +492,20 @@ app.post('/api/auth/register', async (req, res) => {
         });
       }
     }
-    // Log the user in by generating a session token
-    const token = randomToken(24);
-    sessions[token] = user.id;
+    // A mail failure must not fail the signup; the user can ask for a
+    // new link through /api/auth/resend-verification.
+    sendVerificationEmail(
+      user,
+      AuthToken.issue(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MS)
+    ).catch((err) => {
+      console.error(`Verification mail to user ${user.id} failed:`, err);
+    });
+    mergeGuestCart(user, req.body.cartToken);
+    // Log the user in by opening a session
+    const { token } = createSession(user, req);
     res.json({
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        isSeller: user.isSeller,
-        referralCode: user.referralCode,
-      },
+      user: publicUser(user),
     });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -113,11 +513,12 @@ app.post('/api/auth/register', async (req, res) => {
 });
 
 /**
- * Logs a user in.
+ * Logs a user in. A guest's cartToken carries their cart over, here or
+ * at the 2FA step for accounts that have it on.
  *
- * Expects JSON body: { email, password }
+ * Expects JSON body: { email, password, cartToken }
  */
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', limitAuth, async (req, res) => {
   try {
     const { email, password } = req.body;
     if (!email || !password) {
@@ -125,21 +526,41 @@ app.post('/api/auth/login', async (req, res) => {
         .status(400)
         .json({ error: 'Email and password are required' });
     }
+    // Refuse locked out accounts before spending a PBKDF2 round
+    const lockedForMs = await loginGuard.check(email, req.ip);
+    if (lockedForMs > 0) {
+      return loginLockedOut(res, lockedForMs);
+    }
     const user = await User.verify(email, password);
     if (!user) {
+      await loginGuard.failure(email, req.ip);
       return res.status(400).json({ error: 'Invalid email or password' });
     }
-    const token = randomToken(24);
-    sessions[token] = user.id;
+    await loginGuard.success(email);
+    if (user.suspendedAt) {
+      return res.status(403).json({
+        error: 'This account has been suspended',
+        code: 'account_suspended',
+      });
+    }
+    applyBootstrapRoles(user);
+    // With 2FA on, the password only earns a short-lived challenge that
+    // /api/auth/login/2fa exchanges for a session.
+    if (user.totpEnabledAt) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: AuthToken.issue(
+          user.id,
+          'login_challenge',
+          LOGIN_CHALLENGE_TTL_MS
+        ),
+      });
+    }
+    mergeGuestCart(user, req.body.cartToken);
+    const { token } = createSession(user, req);
     res.json({
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        isSeller: user.isSeller,
-        referralCode: user.referralCode,
-      },
+      user: publicUser(user),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -147,363 +568,2796 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 /**
- * Returns the current logged in user's profile.
- */
-app.get('/api/auth/me', requireAuth, (req, res) => {
-  const user = req.currentUser;
-  res.json({
-    id: user.id,
-    email: user.email,
-    name: user.name,
-    isSeller: user.isSeller,
-    referralCode: user.referralCode,
-  });
-});
-
-/**
- * Logout: invalidates the current session token.
- */
-app.post('/api/auth/logout', requireAuth, (req, res) => {
-  const token = req.token;
-  delete sessions[token];
-  res.json({ success: true });
-});
-
-/**
- * Creates a new store for the current user.
+ * Second login step for accounts with 2FA. Takes the challenge token from
+ * /api/auth/login plus either a TOTP code or one of the recovery codes.
  *
- * Expects JSON body: { name, description, category, bannerImage }
+ * Expects JSON body: { challengeToken, code, cartToken } or
+ * { challengeToken, recoveryCode, cartToken }
  */
-app.post('/api/store', requireAuth, (req, res) => {
+app.post('/api/auth/login/2fa', limitAuth, async (req, res) => {
   try {
-    const { name, description, category, bannerImage } = req.body;
-    if (!name || !category) {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
       return res.status(400).json({
-        error: 'Name and category are required',
+        error: 'Challenge token and a code are required',
       });
     }
-    const store = Store.create({
-      ownerId: req.currentUser.id,
-      name,
-      description: description || '',
-      category,
-      bannerImage: bannerImage || '',
-    });
-    res.json({ store });
+    let challenge;
+    try {
+      challenge = AuthToken.resolve(challengeToken, 'login_challenge');
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const user = User.findById(challenge.userId);
+    const lockedForMs = await loginGuard.check(user.email, req.ip);
+    if (lockedForMs > 0) {
+      return loginLockedOut(res, lockedForMs);
+    }
+    let ok = false;
+    if (code) {
+      const step = verifyCode(user.totpSecret, code);
+      ok = step !== null && step > (user.totpLastStep ?? -1);
+      if (ok) user.update({ totpLastStep: step });
+    } else {
+      ok = await user.consumeRecoveryCode(recoveryCode);
+    }
+    if (!ok) {
+      await loginGuard.failure(user.email, req.ip);
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+    AuthToken.consume(challengeToken, 'login_challenge');
+    mergeGuestCart(user, req.body.cartToken);
+    const { token } = createSession(user, req);
+    res.json({ token, user: publicUser(user) });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * Updates the logged in user's store. Only store owners may update their
- * own store.
+ * Starts 2FA enrolment. Returns a new secret and its otpauth:// URI for
+ * the authenticator app; nothing changes until /confirm succeeds.
  */
-app.put('/api/store/:id', requireAuth, (req, res) => {
-  const store = Store.findById(parseInt(req.params.id));
-  if (!store) {
-    return res.status(404).json({ error: 'Store not found' });
-  }
-  if (store.ownerId !== req.currentUser.id) {
+app.post('/api/auth/2fa/enroll', requireAuth, (req, res) => {
+  const user = req.currentUser;
+  if (user.totpEnabledAt) {
     return res
-      .status(403)
-      .json({ error: 'You are not the owner of this store' });
+      .status(400)
+      .json({ error: 'Two-factor authentication is already enabled' });
   }
-  const { name, description, category, bannerImage } = req.body;
-  store.update({
-    name: name || store.name,
-    description: description || store.description,
-    category: category || store.category,
-    bannerImage: bannerImage || store.bannerImage,
-  });
-  res.json({ store });
+  const secret = generateSecret();
+  user.update({ totpPendingSecret: secret });
+  res.json({ secret, otpauthUri: otpauthURI(secret, user.email) });
 });
 
 /**
- * Returns a list of all stores. Supports optional query parameters:
- *   category: filter by category
- *   q: search term in store name or description
+ * Finishes enrolment with a first code from the authenticator app and
+ * returns ten recovery codes. They are shown only this once.
+ *
+ * Expects JSON body: { code }
  */
-app.get('/api/stores', (req, res) => {
-  const { category, q } = req.query;
-  let stores = Store.findAll();
-  if (category) {
-    stores = stores.filter(
-      (s) => s.category.toLowerCase() === category.toLowerCase()
-    );
-  }
-  if (q) {
-    const term = q.toLowerCase();
-    stores = stores.filter(
-      (s) =>
-        s.name.toLowerCase().includes(term) ||
-        s.description.toLowerCase().includes(term)
-    );
+app.post('/api/auth/2fa/confirm', requireAuth, limitAuth, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    if (!user.totpPendingSecret) {
+      return res.status(400).json({ error: 'Start enrolment first' });
+    }
+    const step = verifyCode(user.totpPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+    const recoveryCodes = generateRecoveryCodes();
+    await user.setRecoveryCodes(recoveryCodes);
+    user.update({
+      totpSecret: user.totpPendingSecret,
+      totpPendingSecret: null,
+      totpEnabledAt: new Date(),
+      totpLastStep: step,
+    });
+    res.json({ recoveryCodes, user: publicUser(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  // Include basic product listing in the response
-  const result = stores.map((s) => ({
-    ...s,
-    products: Product.findByStore(s.id),
-  }));
-  res.json({ stores: result });
 });
 
 /**
- * Returns a single store by ID with its products.
+ * Replaces the recovery codes. Needs a current TOTP code.
+ *
+ * Expects JSON body: { code }
  */
-app.get('/api/stores/:id', (req, res) => {
-  const store = Store.findById(parseInt(req.params.id));
-  if (!store) {
-    return res.status(404).json({ error: 'Store not found' });
+app.post(
+  '/api/auth/2fa/recovery-codes',
+  requireAuth,
+  limitAuth,
+  async (req, res) => {
+    try {
+      const user = req.currentUser;
+      if (!user.totpEnabledAt) {
+        return res
+          .status(400)
+          .json({ error: 'Two-factor authentication is not enabled' });
+      }
+      if (verifyCode(user.totpSecret, req.body.code) === null) {
+        return res.status(400).json({ error: 'Invalid two-factor code' });
+      }
+      const recoveryCodes = generateRecoveryCodes();
+      await user.setRecoveryCodes(recoveryCodes);
+      res.json({ recoveryCodes });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
   }
-  const products = Product.findByStore(store.id);
-  res.json({ store, products });
-});
+);
 
 /**
- * Creates a new product within the current user's store.
+ * Turns 2FA off. Needs the password plus a TOTP or recovery code.
  *
- * Expects JSON body: { storeId, title, description, price, type,
- * billingInterval, trialDays, deliverables, affiliatePercent }
+ * Expects JSON body: { password, code } or { password, recoveryCode }
  */
-app.post('/api/products', requireAuth, (req, res) => {
+app.post('/api/auth/2fa/disable', requireAuth, limitAuth, async (req, res) => {
   try {
-    const {
-      storeId,
-      title,
-      description,
-      price,
-      type,
-      billingInterval,
-      trialDays,
-      deliverables,
-      affiliatePercent,
-    } = req.body;
-    const store = Store.findById(parseInt(storeId));
-    if (!store) {
-      return res.status(404).json({ error: 'Store not found' });
+    const user = req.currentUser;
+    const { password, code, recoveryCode } = req.body;
+    if (!user.totpEnabledAt) {
+      return res
+        .status(400)
+        .json({ error: 'Two-factor authentication is not enabled' });
     }
-    if (store.ownerId !== req.currentUser.id) {
-      return res.status(403).json({
-        error: 'You do not own this store',
-      });
+    if (!password || !(await user.checkPassword(password))) {
+      return res.status(400).json({ error: 'Password is incorrect' });
     }
-    if (!title || !price || !type) {
-      return res.status(400).json({
-        error: 'Title, price and type are required',
-      });
+    const ok = code
+      ? verifyCode(user.totpSecret, code) !== null
+      : await user.consumeRecoveryCode(recoveryCode);
+    if (!ok) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
     }
-    const product = Product.create({
-      storeId: store.id,
-      title,
-      description: description || '',
-      price: Number(price),
-      type,
-      billingInterval:
-        type === 'subscription' ? billingInterval || 'monthly' : null,
-      trialDays: type === 'subscription' ? trialDays || null : null,
-      deliverables: deliverables || [],
-      affiliatePercent: affiliatePercent || 5,
+    user.update({
+      totpSecret: null,
+      totpPendingSecret: null,
+      totpEnabledAt: null,
+      totpLastStep: null,
+      recoveryCodeHashes: [],
     });
-    res.json({ product });
+    res.json({ user: publicUser(user) });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * Returns a product by ID.
+ * Returns the current logged in user's profile.
  */
-app.get('/api/products/:id', (req, res) => {
-  const product = Product.findById(parseInt(req.params.id));
-  if (!product) {
-    return res.status(404).json({ error: 'Product not found' });
-  }
-  const store = Store.findById(product.storeId);
-  res.json({ product, store });
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({
+    ...publicUser(req.currentUser),
+    linkedIdentities: linkedIdentities(req.currentUser),
+  });
 });
 
 /**
- * Discover endpoint: returns a list of featured and new products.
- * For demonstration, we simply return all products sorted by ID.
+ * Starts linking a Discord account. Returns the Discord consent URL for
+ * the frontend to navigate to; the state parameter ties the callback
+ * back to this user.
  */
-app.get('/api/marketplace/discover', (req, res) => {
-  const products = Product.findAll();
-  // In a real implementation you would select featured items based on
-  // seller preferences or admin curation. Here we just return the
-  // latest products as 'new' and the first few as 'featured'.
-  const featured = products.slice(0, 5);
-  const newest = [...products].reverse().slice(0, 10);
-  res.json({ featured, newest });
+app.get('/api/auth/links/discord/authorize', requireAuth, (req, res) => {
+  try {
+    const state = AuthToken.issue(
+      req.currentUser.id,
+      'discord_link',
+      OAUTH_STATE_TTL_MS
+    );
+    res.json({ url: getProvider('discord').authorizeUrl(state) });
+  } catch (err) {
+    res.status(503).json({ error: err.message });
+  }
 });
 
 /**
- * Creates a new order (checkout). This endpoint simulates the checkout
- * process. In a real implementation you would call Stripe or PayPal
- * to create a payment session and listen for webhooks to confirm
- * payment before activating the order. Here we assume the payment
- * succeeds immediately. Referral codes can be provided in the body
- * to attribute commissions.
- *
- * Expects JSON body: { productId, referralCode }
+ * Discord redirects the browser here after consent. Exchanges the code,
+ * links the account and sends the browser back to the dashboard with
+ * ?linked=discord or ?link_error=<message>.
  */
-app.post('/api/checkout', requireAuth, (req, res) => {
-  const { productId, referralCode } = req.body;
-  const product = Product.findById(parseInt(productId));
-  if (!product) {
-    return res.status(404).json({ error: 'Product not found' });
+app.get('/api/auth/links/discord/callback', async (req, res) => {
+  const back = (params) =>
+    res.redirect(`${APP_URL}/dashboard.html?${new URLSearchParams(params)}`);
+  const { code, state, error } = req.query;
+  if (error) return back({ link_error: String(error) });
+  if (!code || !state) return back({ link_error: 'Missing code or state' });
+  let user;
+  try {
+    user = AuthToken.consume(state, 'discord_link');
+  } catch (err) {
+    return back({ link_error: 'Invalid or expired state' });
   }
-  // Determine affiliate referrer if a referral code is provided
-  let referrerId = null;
-  let commissionAmount = 0;
-  if (referralCode) {
-    const referrer = User._data.find(
-      (u) => u.referralCode === referralCode
-    );
-    if (referrer && referrer.id !== req.currentUser.id) {
-      referrerId = referrer.id;
-      commissionAmount = (
-        product.price *
-        (product.affiliatePercent / 100)
-      ).toFixed(2);
-      AffiliateReferral.create({
-        referrerId,
-        referredUserId: req.currentUser.id,
+  try {
+    const provider = getProvider('discord');
+    const tokens = await provider.exchangeCode(String(code));
+    const identity = await provider.fetchIdentity(tokens);
+    LinkedAccount.link(user, 'discord', { ...identity, tokens });
+    back({ linked: 'discord' });
+  } catch (err) {
+    back({ link_error: err.message });
+  }
+});
+
+/**
+ * Links a Telegram account from the payload the Telegram login widget
+ * hands to the page (id, first_name, username, auth_date, hash, ...).
+ */
+app.post('/api/auth/links/telegram', requireAuth, (req, res) => {
+  let identity;
+  try {
+    identity = getProvider('telegram').verify(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    LinkedAccount.link(req.currentUser, 'telegram', identity);
+    res.json({ linkedIdentities: linkedIdentities(req.currentUser) });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+/**
+ * Unlinks the user's Discord or Telegram account.
+ */
+app.delete(
+  '/api/auth/links/:provider(discord|telegram)',
+  requireAuth,
+  (req, res) => {
+    const removed = LinkedAccount.unlink(req.currentUser, req.params.provider);
+    if (!removed) {
+      return res.status(404).json({ error: 'No linked account' });
+    }
+    res.json({ linkedIdentities: linkedIdentities(req.currentUser) });
+  }
+);
+
+/**
+ * Logout: invalidates the current session token.
+ */
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+  revokeSession(req.session, 'logout');
+  res.json({ success: true });
+});
+
+/**
+ * Rotates the current session token. The old token stops working and the
+ * new one is returned; the session keeps its original absolute expiry.
+ */
+app.post('/api/auth/refresh', requireAuth, (req, res) => {
+  const token = rotateSession(req.session);
+  res.json({ token, session: sessionJSON(req.session, req.session.id) });
+});
+
+/**
+ * Lists the current user's active sessions (device, IP, created at).
+ */
+app.get('/api/auth/sessions', requireAuth, (req, res) => {
+  const sessions = activeSessions(req.currentUser).map((s) =>
+    sessionJSON(s, req.session.id)
+  );
+  res.json({ sessions });
+});
+
+/**
+ * Revokes one of the current user's sessions.
+ */
+app.delete('/api/auth/sessions/:id', requireAuth, (req, res) => {
+  const session = activeSessions(req.currentUser).find(
+    (s) => s.id === parseInt(req.params.id)
+  );
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  revokeSession(session, 'revoked_by_user');
+  res.json({ success: true });
+});
+
+/**
+ * Log out everywhere: revokes every session of the current user,
+ * including the one making the request.
+ */
+app.delete('/api/auth/sessions', requireAuth, (req, res) => {
+  revokeAllSessions(req.currentUser.id, 'logout_all');
+  res.json({ success: true });
+});
+
+/**
+ * Changes the current user's password. Every existing session is
+ * invalidated; a fresh session is returned for the caller.
+ *
+ * Expects JSON body: { currentPassword, newPassword }
+ */
+app.post(
+  '/api/auth/change-password',
+  requireAuth,
+  limitAuth,
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+          error: 'Current and new password are required',
+        });
+      }
+      const user = req.currentUser;
+      if (!(await user.checkPassword(currentPassword))) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+      await user.setPassword(newPassword);
+      revokeAllSessions(user.id, 'password_changed');
+      const { token } = createSession(user, req);
+      res.json({ token });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Confirms the user's email address with the token from the
+ * verification mail. Does not require a session so the link works on
+ * any device.
+ *
+ * Expects JSON body: { token }
+ */
+app.post('/api/auth/verify-email', limitAuth, (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({ error: 'Token is required' });
+  }
+  try {
+    const user = AuthToken.consume(token, 'email_verification');
+    if (!user.verifiedAt) user.update({ verifiedAt: new Date() });
+    applyBootstrapRoles(user);
+    res.json({ user: publicUser(user) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Sends a fresh verification mail to the current user. Earlier links
+ * stop working.
+ */
+app.post(
+  '/api/auth/resend-verification',
+  requireAuth,
+  limitAuth,
+  async (req, res) => {
+    try {
+      const user = req.currentUser;
+      if (user.verifiedAt) {
+        return res.status(400).json({ error: 'Email is already verified' });
+      }
+      const token = AuthToken.issue(
+        user.id,
+        'email_verification',
+        EMAIL_VERIFICATION_TTL_MS
+      );
+      await sendVerificationEmail(user, token);
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Starts a password reset. Always answers with success so the endpoint
+ * cannot be used to find out which emails have accounts.
+ *
+ * Expects JSON body: { email }
+ */
+app.post('/api/auth/forgot-password', limitAuth, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    const user = User.findByEmail(email);
+    if (user) {
+      await sendPasswordResetEmail(
+        user,
+        AuthToken.issue(user.id, 'password_reset', PASSWORD_RESET_TTL_MS)
+      );
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Sets a new password using the token from the reset mail. Every
+ * existing session is invalidated. Following the link proves control of
+ * the mailbox, so an unverified account becomes verified too.
+ *
+ * Expects JSON body: { token, password }
+ */
+app.post('/api/auth/reset-password', limitAuth, async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Token and password are required' });
+  }
+  let user;
+  try {
+    user = AuthToken.consume(token, 'password_reset');
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    await user.setPassword(password);
+    if (!user.verifiedAt) user.update({ verifiedAt: new Date() });
+    applyBootstrapRoles(user);
+    revokeAllSessions(user.id, 'password_changed');
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Creates a new store for the current user. `currency` is the default
+ * for the store's products (BASE_CURRENCY if omitted).
+ *
+ * Expects JSON body: { name, description, category, bannerImage,
+ * currency }
+ */
+app.post(
+  '/api/store',
+  requireAuth,
+  requireVerified,
+  requirePermission('stores:manage'),
+  (req, res) => {
+    try {
+      const { name, description, category, bannerImage, currency } =
+        req.body;
+      if (!name || !category) {
+        return res.status(400).json({
+          error: 'Name and category are required',
+        });
+      }
+      const store = Store.create({
+        ownerId: req.currentUser.id,
+        name,
+        description: description || '',
+        category,
+        bannerImage: bannerImage || '',
+        currency: currency || BASE_CURRENCY,
+      });
+      res.json({ store });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Updates the logged in user's store. Only store owners may update their
+ * own store. Changing the currency only affects products created later.
+ */
+app.put('/api/store/:id', requireAuth, (req, res) => {
+  const store = Store.findById(parseInt(req.params.id));
+  if (!store) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+  if (store.ownerId !== req.currentUser.id) {
+    return res
+      .status(403)
+      .json({ error: 'You are not the owner of this store' });
+  }
+  const { name, description, category, bannerImage, currency } = req.body;
+  try {
+    store.update({
+      name: name || store.name,
+      description: description || store.description,
+      category: category || store.category,
+      bannerImage: bannerImage || store.bannerImage,
+      currency: currency ? normaliseCurrency(currency) : store.currency,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ store });
+});
+
+/**
+ * Lists the store's products for its owner, including ones hidden from
+ * the marketplace and their full deliverables.
+ */
+app.get(
+  '/api/store/:id/products',
+  apiScope('products:read'),
+  requireAuth,
+  (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    const products = Product.findByStore(store.id).map((p) => ({
+      ...p,
+      variants: p.variants(),
+    }));
+    res.json({ products });
+  }
+);
+
+/**
+ * Lists orders for the store's products. Optional query parameter:
+ * status.
+ */
+app.get(
+  '/api/store/:id/orders',
+  apiScope('orders:read'),
+  requireAuth,
+  (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    const productIds = new Set(Product.findByStore(store.id).map((p) => p.id));
+    let orders = Order.findAll().filter((o) => productIds.has(o.productId));
+    if (req.query.status) {
+      orders = orders.filter((o) => o.status === req.query.status);
+    }
+    const detailed = orders.map((o) => {
+      const buyer = User.findById(o.userId);
+      const soldAs = o.productRevisionId
+        ? ProductRevision.findById(o.productRevisionId)
+        : null;
+      return {
+        ...o,
+        soldAs,
+        buyer: {
+          id: buyer.id,
+          name: buyer.name,
+          email: buyer.contactEmail(),
+        },
+      };
+    });
+    res.json({ orders: detailed });
+  }
+);
+
+/**
+ * Refunds an order for the seller and admin refund routes and emails the
+ * buyer. Expects optional JSON body: { amount, restockKeys }, where
+ * amount is a decimal in the order's currency and defaults to all that
+ * is left to refund. A full refund ends the order and revokes its
+ * deliverables; restockKeys: true puts its license keys back on sale,
+ * for keys the buyer never used.
+ */
+async function sendRefund(req, res, order) {
+  const refundable = refundableAmount(order);
+  if (refundable === 0) {
+    return res
+      .status(400)
+      .json({ error: 'Nothing is left to refund on this order' });
+  }
+  let amount = refundable;
+  if (req.body.amount !== undefined) {
+    try {
+      amount = toMinor(req.body.amount, order.currency);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (amount <= 0 || amount > refundable) {
+      return res.status(400).json({
+        error: `Refunds must be positive and at most ${formatMoney(
+          refundable,
+          order.currency
+        )}`,
+      });
+    }
+  }
+  if (refundInProgress(order)) {
+    return res
+      .status(409)
+      .json({ error: 'A refund of this order is already in progress' });
+  }
+  if (planChangeInProgress(order)) {
+    return res
+      .status(409)
+      .json({ error: 'A plan change of this order is in progress' });
+  }
+  let result;
+  try {
+    result = await refundOrder(order, {
+      amount,
+      restockKeys: req.body.restockKeys === true,
+    });
+  } catch (err) {
+    return res.status(502).json({ error: err.message });
+  }
+  const product = Product.findById(order.productId);
+  sendRefundEmail(User.findById(order.userId), {
+    title: product.title,
+    amount: formatMoney(amount, order.currency),
+    ended: order.status === 'refunded',
+  }).catch((err) => {
+    console.error(`Refund mail for order ${order.id} failed:`, err);
+  });
+  res.json(result);
+}
+
+/**
+ * Refunds an order of one of the store's products, in full or in part
+ * (see sendRefund).
+ *
+ * Expects optional JSON body: { amount, restockKeys }
+ */
+app.post(
+  '/api/store/:id/orders/:orderId/refund',
+  apiScope('orders:refund'),
+  requireAuth,
+  idempotent,
+  async (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    const order = Order.findById(parseInt(req.params.orderId));
+    const product = order && Product.findById(order.productId);
+    if (!order || product.storeId !== store.id) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    await sendRefund(req, res, order);
+  }
+);
+
+/**
+ * Lists the invoices and credit notes the store has issued (see
+ * invoices.js), newest first. Optional query parameters: type ('invoice'
+ * or 'credit_note'), orderId.
+ */
+app.get(
+  '/api/store/:id/invoices',
+  apiScope('orders:read'),
+  requireAuth,
+  (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    let invoices = Invoice.findByStore(store.id);
+    if (req.query.type) {
+      invoices = invoices.filter((i) => i.type === req.query.type);
+    }
+    if (req.query.orderId) {
+      const orderId = parseInt(req.query.orderId);
+      invoices = invoices.filter((i) => i.orderId === orderId);
+    }
+    invoices.sort((a, b) => b.issuedAt - a.issuedAt || b.id - a.id);
+    res.json({ invoices });
+  }
+);
+
+/**
+ * Returns one of the store's invoices or credit notes by number, as
+ * JSON or rendered (see sendInvoice). Query parameters: format.
+ */
+app.get(
+  '/api/store/:id/invoices/:number',
+  apiScope('orders:read'),
+  requireAuth,
+  (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    const invoice = Invoice.findByStore(store.id).find(
+      (i) => i.number === req.params.number
+    );
+    if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+    sendInvoice(req, res, invoice);
+  }
+);
+
+/**
+ * Returns what the platform owes the store (see ledger.js), per
+ * currency: pending (still held), available (paid out with the next
+ * payout run), inTransit and paidOut, with a breakdown of its earnings,
+ * the platform fee it pays and how long sales are held for.
+ */
+app.get(
+  '/api/store/:id/balance',
+  apiScope('balance:read'),
+  requireAuth,
+  (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    res.json({
+      // Shares whose hold is over show as available before the next run
+      balances: storeBalances(store.id, { now: new Date() }),
+      platformFeePercent: platformFeePercent(store),
+      holdDays: PAYOUT_HOLD_DAYS,
+    });
+  }
+);
+
+/**
+ * Lists the store's payouts, newest first. Optional query parameter:
+ * status ('pending', 'paid' or 'failed').
+ */
+app.get(
+  '/api/store/:id/payouts',
+  apiScope('balance:read'),
+  requireAuth,
+  (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    let payouts = Payout.findByStore(store.id);
+    if (req.query.status) {
+      payouts = payouts.filter((p) => p.status === req.query.status);
+    }
+    payouts.sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+    res.json({ payouts });
+  }
+);
+
+/**
+ * Starts onboarding the store to Stripe Connect, or picks it up where
+ * the seller left it: creates its connected account the first time and
+ * returns { url } of a fresh onboarding link to send the seller to,
+ * with the store's Connect state (see connect.js).
+ */
+app.post('/api/store/:id/connect', requireAuth, async (req, res) => {
+  const store = loadOwnedStore(req, res);
+  if (!store) return;
+  try {
+    const { url } = await startOnboarding(store, req.currentUser, {
+      refreshUrl: CONNECT_REFRESH_URL,
+      returnUrl: CONNECT_RETURN_URL,
+    });
+    res.json({ url, connect: connectStatus(store) });
+  } catch (err) {
+    res.status(502).json({ error: err.message });
+  }
+});
+
+/**
+ * Returns the store's Connect state, fetched from its connected account
+ * first. The dashboard calls this when the seller comes back from
+ * onboarding, before account.updated events may have arrived.
+ */
+app.get(
+  '/api/store/:id/connect',
+  apiScope('balance:read'),
+  requireAuth,
+  async (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    try {
+      await syncAccount(store);
+    } catch (err) {
+      return res.status(502).json({ error: err.message });
+    }
+    res.json({ connect: connectStatus(store) });
+  }
+);
+
+/**
+ * Lists license keys the store has issued and how many remain unissued
+ * in each pool (variantId is null for pools shared by every variant).
+ */
+app.get(
+  '/api/store/:id/licenses',
+  apiScope('licenses:read'),
+  requireAuth,
+  (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    const products = Product.findByStore(store.id);
+    const productIds = new Set(products.map((p) => p.id));
+    const issued = [];
+    Order.findAll()
+      .filter((o) => productIds.has(o.productId))
+      .forEach((o) => {
+        o.deliverables
+          .filter((d) => d.type === 'license_key')
+          .forEach((d) => {
+            issued.push({
+              orderId: o.id,
+              productId: o.productId,
+              variantId: o.variantId,
+              userId: o.userId,
+              orderStatus: o.status,
+              key: d.key,
+              revoked: !!d.revokedAt,
+            });
+          });
+      });
+    const remaining = (deliverables) =>
+      deliverables
+        .filter((d) => d.type === 'license_keys')
+        .reduce((n, d) => n + ((d.details && d.details.keys) || []).length, 0);
+    const available = [];
+    products.forEach((p) => {
+      available.push({
+        productId: p.id,
+        variantId: null,
+        remaining: remaining(p.deliverables),
+      });
+      p.variants().forEach((v) => {
+        available.push({
+          productId: p.id,
+          variantId: v.id,
+          remaining: remaining(v.deliverables),
+        });
+      });
+    });
+    res.json({ issued, available });
+  }
+);
+
+// Coupon settings from a request body; only fields present are
+// returned. amountOff is a decimal in the coupon's currency (by default
+// that of its product, else of the store) and is returned in minor
+// units. Throws on invalid amounts.
+function couponFields(body, store, coupon = null) {
+  const fields = {};
+  [
+    'code',
+    'percentOff',
+    'maxRedemptions',
+    'perCustomerLimit',
+    'startsAt',
+    'endsAt',
+    'duration',
+    'active',
+  ].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  ['productId', 'variantId'].forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === null ? null : parseInt(body[field]);
+    }
+  });
+  if (body.amountOff === null) {
+    fields.amountOff = null;
+  } else if (body.amountOff !== undefined) {
+    const productId =
+      fields.productId !== undefined
+        ? fields.productId
+        : coupon && coupon.productId;
+    const product = productId && Product.findById(productId);
+    fields.currency = normaliseCurrency(
+      body.currency ||
+        (coupon && coupon.currency) ||
+        (product ? product.currency : store.currency)
+    );
+    fields.amountOff = toMinor(body.amountOff, fields.currency);
+  }
+  return fields;
+}
+
+// A coupon as shown to its seller, with how often it has been redeemed.
+function couponJSON(coupon) {
+  return { ...coupon, redemptions: coupon.redemptions().length };
+}
+
+/**
+ * Loads the coupon named by req.params.couponId for the owner of the
+ * store in req.params.id. Responds and returns null if either is
+ * missing or not theirs.
+ */
+function loadOwnedCoupon(req, res) {
+  const store = loadOwnedStore(req, res);
+  if (!store) return null;
+  const coupon = Coupon.findById(parseInt(req.params.couponId));
+  if (!coupon || coupon.storeId !== store.id) {
+    res.status(404).json({ error: 'Coupon not found' });
+    return null;
+  }
+  return { store, coupon };
+}
+
+/**
+ * Lists the store's coupons with their redemption counts.
+ */
+app.get(
+  '/api/store/:id/coupons',
+  apiScope('coupons:read'),
+  requireAuth,
+  (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    res.json({ coupons: Coupon.findByStore(store.id).map(couponJSON) });
+  }
+);
+
+/**
+ * Creates a coupon. Give either percentOff or amountOff (a decimal, in
+ * currency); productId and variantId restrict it, maxRedemptions and
+ * perCustomerLimit cap its use, startsAt and endsAt (ISO dates) bound it
+ * in time and duration ('once' or 'forever') says whether subscription
+ * renewals are discounted too.
+ *
+ * Expects JSON body: { code, percentOff, amountOff, currency, productId,
+ * variantId, maxRedemptions, perCustomerLimit, startsAt, endsAt,
+ * duration, active }
+ */
+app.post(
+  '/api/store/:id/coupons',
+  apiScope('coupons:write'),
+  requireAuth,
+  requireVerified,
+  requirePermission('products:manage'),
+  (req, res) => {
+    const store = loadOwnedStore(req, res);
+    if (!store) return;
+    try {
+      const coupon = Coupon.create({
+        storeId: store.id,
+        ...couponFields(req.body, store),
+      });
+      res.json({ coupon: couponJSON(coupon) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Updates a coupon. Omitted fields are left unchanged; orders already
+ * placed keep the discount they got.
+ *
+ * Expects JSON body: the fields of POST /api/store/:id/coupons
+ */
+app.put(
+  '/api/store/:id/coupons/:couponId',
+  apiScope('coupons:write'),
+  requireAuth,
+  requireVerified,
+  requirePermission('products:manage'),
+  (req, res) => {
+    const found = loadOwnedCoupon(req, res);
+    if (!found) return;
+    const { store, coupon } = found;
+    try {
+      coupon.revise(couponFields(req.body, store, coupon));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json({ coupon: couponJSON(coupon) });
+  }
+);
+
+/**
+ * Deletes a coupon that no order was placed with. Used coupons must be
+ * switched off (active: false) instead.
+ */
+app.delete(
+  '/api/store/:id/coupons/:couponId',
+  apiScope('coupons:write'),
+  requireAuth,
+  requirePermission('products:manage'),
+  (req, res) => {
+    const found = loadOwnedCoupon(req, res);
+    if (!found) return;
+    const { coupon } = found;
+    if (Order.findAll().some((o) => o.couponId === coupon.id)) {
+      return res.status(409).json({
+        error: 'Coupons with orders cannot be deleted; deactivate it instead',
       });
     }
+    coupon.remove();
+    res.json({ success: true });
+  }
+);
+
+/**
+ * Lists the store's API keys (never the keys themselves).
+ */
+app.get('/api/store/:id/api-keys', requireAuth, (req, res) => {
+  const store = loadOwnedStore(req, res);
+  if (!store) return;
+  res.json({ apiKeys: ApiKey.findByStore(store.id).map(apiKeyJSON) });
+});
+
+/**
+ * Creates an API key for the store. The full key is in the response and
+ * cannot be retrieved again.
+ *
+ * Expects JSON body: { name, scopes, expiresInDays }
+ */
+app.post('/api/store/:id/api-keys', requireAuth, (req, res) => {
+  const store = loadOwnedStore(req, res);
+  if (!store) return;
+  const { name, scopes, expiresInDays } = req.body;
+  if (!name) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  let normalised;
+  try {
+    normalised = normaliseScopes(scopes);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
-  // Create order with status 'active' (simulate payment success)
-  const now = new Date();
-  let nextBillingAt = null;
-  if (product.type === 'subscription') {
-    // Set next billing date based on interval
-    nextBillingAt = new Date(now.getTime());
-    if (product.billingInterval === 'monthly') {
-      nextBillingAt.setMonth(nextBillingAt.getMonth() + 1);
-    } else if (product.billingInterval === 'yearly') {
-      nextBillingAt.setFullYear(nextBillingAt.getFullYear() + 1);
+  const days = Number(expiresInDays);
+  const { key, apiKey } = ApiKey.issue({
+    storeId: store.id,
+    userId: req.currentUser.id,
+    name,
+    scopes: normalised,
+    expiresAt: days > 0 ? new Date(Date.now() + days * 86400000) : null,
+  });
+  res.json({ key, apiKey: apiKeyJSON(apiKey) });
+});
+
+/**
+ * Revokes one of the store's API keys. Takes effect immediately.
+ */
+app.delete('/api/store/:id/api-keys/:keyId', requireAuth, (req, res) => {
+  const store = loadOwnedStore(req, res);
+  if (!store) return;
+  const apiKey = ApiKey.findById(parseInt(req.params.keyId));
+  if (!apiKey || apiKey.storeId !== store.id) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  if (!apiKey.revokedAt) apiKey.update({ revokedAt: new Date() });
+  res.json({ apiKey: apiKeyJSON(apiKey) });
+});
+
+/**
+ * Returns a list of all stores. Supports optional query parameters:
+ *   category: filter by category
+ *   q: search term in store name or description
+ */
+app.get('/api/stores', limitSearch, (req, res) => {
+  const { category, q } = req.query;
+  let stores = Store.findAll().filter(storeIsListed);
+  if (category) {
+    stores = stores.filter(
+      (s) => s.category.toLowerCase() === category.toLowerCase()
+    );
+  }
+  if (q) {
+    const term = q.toLowerCase();
+    stores = stores.filter(
+      (s) =>
+        s.name.toLowerCase().includes(term) ||
+        s.description.toLowerCase().includes(term)
+    );
+  }
+  // Include basic product listing in the response
+  const result = stores.map((s) => ({
+    ...s,
+    products: Product.findByStore(s.id).filter(productIsListed),
+  }));
+  res.json({ stores: result });
+});
+
+/**
+ * Returns a single store by ID with its products.
+ */
+app.get('/api/stores/:id', displayCurrency, (req, res) => {
+  const store = Store.findById(parseInt(req.params.id));
+  if (!storeIsListed(store)) {
+    return res.status(404).json({ error: 'Store not found' });
+  }
+  const products = Product.findByStore(store.id)
+    .filter(productIsListed)
+    .map((p) => publicProduct(p, req));
+  res.json({ store, products });
+});
+
+const PAYOUTS_REQUIRED_ERROR =
+  'Set up payouts for your store before publishing products';
+
+/**
+ * Creates a new product within the current user's store, once payouts
+ * are set up for it (see connect.js). Either pass
+ * `variants` (each { name, price, type, billingInterval, trialDays,
+ * deliverables }) or a single price and type, which become a 'Standard'
+ * variant. Prices are decimal amounts ("9.99") in `currency`, which
+ * defaults to the store's; they are stored in minor units.
+ *
+ * Expects JSON body: { storeId, title, description, currency, price,
+ * type, billingInterval, trialDays, deliverables, affiliatePercent,
+ * maxPauseDays, variants }
+ */
+app.post(
+  '/api/products',
+  apiScope('products:write'),
+  requireAuth,
+  requireVerified,
+  requirePermission('products:manage'),
+  requireSellerTwoFactor,
+  (req, res) => {
+    try {
+      const {
+        storeId,
+        title,
+        description,
+        currency,
+        price,
+        type,
+        billingInterval,
+        trialDays,
+        deliverables,
+        affiliatePercent,
+        maxPauseDays,
+        variants,
+      } = req.body;
+      const store = Store.findById(parseInt(storeId));
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+      if (
+        store.ownerId !== req.currentUser.id ||
+        !keyCoversStore(req, store.id)
+      ) {
+        return res.status(403).json({
+          error: 'You do not own this store',
+        });
+      }
+      if (!canSell(store)) {
+        return res.status(403).json({ error: PAYOUTS_REQUIRED_ERROR });
+      }
+      if (!title || (!Array.isArray(variants) && (!price || !type))) {
+        return res.status(400).json({
+          error: 'Title and either variants or price and type are required',
+        });
+      }
+      if (!validPauseDays(maxPauseDays)) {
+        return res.status(400).json({ error: PAUSE_DAYS_ERROR });
+      }
+      const productCurrency = normaliseCurrency(currency || store.currency);
+      const product = Product.create({
+        storeId: store.id,
+        title,
+        description: description || '',
+        currency: productCurrency,
+        price: Array.isArray(variants)
+          ? undefined
+          : toMinor(price, productCurrency),
+        type,
+        billingInterval:
+          type === 'subscription' ? billingInterval || 'monthly' : null,
+        trialDays: type === 'subscription' ? trialDays || null : null,
+        deliverables: deliverables || [],
+        affiliatePercent: affiliatePercent || 5,
+        maxPauseDays: maxPauseDays || 0,
+        variants: Array.isArray(variants)
+          ? variants.map((v) => ({
+              ...v,
+              price: toMinor(v.price, productCurrency),
+            }))
+          : null,
+      });
+      res.json({ product, variants: product.variants() });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Updates a product. Omitted fields are left unchanged. Pricing (price,
+ * billingInterval, trialDays) lives on variants; it can be edited here
+ * only while the product has a single variant; prices are decimal
+ * amounts in the product's currency. The type and currency cannot change
+ * once orders may exist. Edits to the title, pricing or deliverables are
+ * recorded as a new revision, so existing orders keep showing what they
+ * were sold as.
+ *
+ * Expects JSON body: { title, description, price, billingInterval,
+ * trialDays, deliverables, affiliatePercent, maxPauseDays }
+ */
+app.put(
+  '/api/products/:id',
+  apiScope('products:write'),
+  requireAuth,
+  requireVerified,
+  requirePermission('products:manage'),
+  requireSellerTwoFactor,
+  (req, res) => {
+    const product = loadOwnedProduct(req, res);
+    if (!product) return;
+    const {
+      title,
+      description,
+      currency,
+      price,
+      type,
+      billingInterval,
+      trialDays,
+      deliverables,
+      affiliatePercent,
+      maxPauseDays,
+    } = req.body;
+    if (currency !== undefined && currency !== product.currency) {
+      return res
+        .status(400)
+        .json({ error: 'Product currency cannot be changed' });
+    }
+    const pricing = {};
+    try {
+      if (price !== undefined) {
+        pricing.price = toMinor(price, product.currency);
+      }
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (billingInterval !== undefined) {
+      pricing.billingInterval = billingInterval;
+    }
+    if (trialDays !== undefined) pricing.trialDays = trialDays;
+    const variants = product.variants();
+    if (Object.keys(pricing).length > 0 && variants.length > 1) {
+      return res.status(400).json({
+        error: 'This product has several variants; edit their pricing instead',
+      });
+    }
+    if (type !== undefined && type !== variants[0].type) {
+      return res
+        .status(400)
+        .json({ error: 'Product type cannot be changed' });
+    }
+    if (deliverables !== undefined && !Array.isArray(deliverables)) {
+      return res.status(400).json({ error: 'Deliverables must be an array' });
+    }
+    if (!validPauseDays(maxPauseDays)) {
+      return res.status(400).json({ error: PAUSE_DAYS_ERROR });
+    }
+    try {
+      product.trackRevision(() => {
+        if (Object.keys(pricing).length > 0) variants[0].revise(pricing);
+        product.update({
+          title: title || product.title,
+          description:
+            description !== undefined ? description : product.description,
+          deliverables: deliverables || product.deliverables,
+          affiliatePercent:
+            affiliatePercent !== undefined
+              ? Number(affiliatePercent)
+              : product.affiliatePercent,
+          maxPauseDays:
+            maxPauseDays !== undefined ? maxPauseDays : product.maxPauseDays,
+        });
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json({ product, variants: product.variants() });
+  }
+);
+
+/**
+ * Archives a product (withdraws it from sale while existing orders keep
+ * resolving it) or puts an archived product back on sale, which needs
+ * payouts to be set up for its store.
+ */
+app.post(
+  '/api/products/:id/:action(archive|unarchive)',
+  apiScope('products:write'),
+  requireAuth,
+  requirePermission('products:manage'),
+  (req, res) => {
+    const product = loadOwnedProduct(req, res);
+    if (!product) return;
+    if (
+      req.params.action === 'unarchive' &&
+      !canSell(Store.findById(product.storeId))
+    ) {
+      return res.status(403).json({ error: PAYOUTS_REQUIRED_ERROR });
+    }
+    product.update({
+      archivedAt: req.params.action === 'archive' ? new Date() : null,
+    });
+    res.json({ product });
+  }
+);
+
+/**
+ * Permanently deletes a product that has never been ordered. Products
+ * with orders must be archived instead.
+ */
+app.delete(
+  '/api/products/:id',
+  apiScope('products:write'),
+  requireAuth,
+  requirePermission('products:manage'),
+  requireSellerTwoFactor,
+  (req, res) => {
+    const product = loadOwnedProduct(req, res);
+    if (!product) return;
+    try {
+      product.destroy();
+    } catch (err) {
+      return res.status(409).json({ error: err.message });
+    }
+    res.json({ success: true });
+  }
+);
+
+/**
+ * Adds a variant to a product. The price is a decimal amount in the
+ * product's currency.
+ *
+ * Expects JSON body: { name, price, type, billingInterval, trialDays,
+ * deliverables }
+ */
+app.post(
+  '/api/products/:id/variants',
+  apiScope('products:write'),
+  requireAuth,
+  requireVerified,
+  requirePermission('products:manage'),
+  requireSellerTwoFactor,
+  (req, res) => {
+    const product = loadOwnedProduct(req, res);
+    if (!product) return;
+    const { name, price, type, billingInterval, trialDays, deliverables } =
+      req.body;
+    try {
+      const variant = product.trackRevision(() =>
+        Variant.create({
+          productId: product.id,
+          name,
+          price: toMinor(price, product.currency),
+          type,
+          billingInterval,
+          trialDays,
+          deliverables: deliverables || [],
+        })
+      );
+      res.json({ variant });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Updates a variant. Omitted fields are left unchanged; the type cannot
+ * be changed.
+ *
+ * Expects JSON body: { name, price, billingInterval, trialDays,
+ * deliverables }
+ */
+app.put(
+  '/api/products/:id/variants/:variantId',
+  apiScope('products:write'),
+  requireAuth,
+  requireVerified,
+  requirePermission('products:manage'),
+  requireSellerTwoFactor,
+  (req, res) => {
+    const found = loadOwnedVariant(req, res);
+    if (!found) return;
+    const { product, variant } = found;
+    const { name, price, type, billingInterval, trialDays, deliverables } =
+      req.body;
+    if (type !== undefined && type !== variant.type) {
+      return res
+        .status(400)
+        .json({ error: 'Variant type cannot be changed' });
+    }
+    const fields = {};
+    if (name !== undefined) fields.name = name;
+    if (billingInterval !== undefined) fields.billingInterval = billingInterval;
+    if (trialDays !== undefined) fields.trialDays = trialDays;
+    if (deliverables !== undefined) fields.deliverables = deliverables;
+    try {
+      if (price !== undefined) {
+        fields.price = toMinor(price, product.currency);
+      }
+      product.trackRevision(() => variant.revise(fields));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json({ variant });
+  }
+);
+
+/**
+ * Archives a variant (withdraws it from sale; existing orders keep it)
+ * or puts an archived variant back on sale.
+ */
+app.post(
+  '/api/products/:id/variants/:variantId/:action(archive|unarchive)',
+  apiScope('products:write'),
+  requireAuth,
+  requirePermission('products:manage'),
+  (req, res) => {
+    const found = loadOwnedVariant(req, res);
+    if (!found) return;
+    const { product, variant } = found;
+    variant.update({
+      archivedAt: req.params.action === 'archive' ? new Date() : null,
+    });
+    product.syncFromVariants();
+    res.json({ variant });
+  }
+);
+
+/**
+ * Permanently deletes a variant that has never been ordered and has no
+ * coupons of its own. A product keeps at least one variant.
+ */
+app.delete(
+  '/api/products/:id/variants/:variantId',
+  apiScope('products:write'),
+  requireAuth,
+  requirePermission('products:manage'),
+  requireSellerTwoFactor,
+  (req, res) => {
+    const found = loadOwnedVariant(req, res);
+    if (!found) return;
+    const { product, variant } = found;
+    if (Order.findAll().some((o) => o.variantId === variant.id)) {
+      return res.status(409).json({
+        error: 'Variants with orders cannot be deleted; archive it instead',
+      });
+    }
+    if (
+      Coupon.findByStore(product.storeId).some(
+        (c) => c.variantId === variant.id
+      )
+    ) {
+      return res.status(409).json({
+        error:
+          'Variants with coupons cannot be deleted; delete the coupons first',
+      });
+    }
+    if (product.variants().length === 1) {
+      return res
+        .status(400)
+        .json({ error: 'A product needs at least one variant' });
+    }
+    product.trackRevision(() => variant.remove());
+    res.json({ success: true });
+  }
+);
+
+/**
+ * Lists a product's revisions, oldest first, for its owner.
+ */
+app.get(
+  '/api/products/:id/revisions',
+  apiScope('products:read'),
+  requireAuth,
+  (req, res) => {
+    const product = loadOwnedProduct(req, res);
+    if (!product) return;
+    res.json({ revisions: ProductRevision.findByProduct(product.id) });
+  }
+);
+
+/**
+ * Returns a product by ID with the variants on sale. Archived products
+ * still resolve (with archivedAt set) so buyers can follow links from
+ * their orders. The id must be numeric so /api/products/search is not
+ * swallowed by this route.
+ */
+app.get('/api/products/:id(\\d+)', displayCurrency, (req, res) => {
+  const product = Product.findById(parseInt(req.params.id));
+  if (!productIsVisible(product)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  const store = Store.findById(product.storeId);
+  res.json({ product: publicProduct(product, req), store });
+});
+
+/**
+ * Discover endpoint: returns a list of featured and new products.
+ * For demonstration, we simply return all products sorted by ID.
+ */
+app.get('/api/marketplace/discover', displayCurrency, (req, res) => {
+  const products = listedProducts().map((p) => publicProduct(p, req));
+  // In a real implementation you would select featured items based on
+  // seller preferences or admin curation. Here we just return the
+  // latest products as 'new' and the first few as 'featured'.
+  const featured = products.slice(0, 5);
+  const newest = [...products].reverse().slice(0, 10);
+  res.json({ featured, newest });
+});
+
+/**
+ * Picks the variant of a listed product a buyer asked for: variantId may
+ * be omitted for products with a single variant on sale. Responds with
+ * 404/400 and returns null otherwise.
+ */
+function chooseVariant(res, product, variantId) {
+  const variants = product.listedVariants();
+  if (variantId !== undefined && variantId !== null) {
+    const variant = variants.find((v) => v.id === parseInt(variantId));
+    if (!variant) res.status(404).json({ error: 'Variant not found' });
+    return variant || null;
+  }
+  if (variants.length === 1) return variants[0];
+  res.status(400).json({ error: 'Please choose a variant' });
+  return null;
+}
+
+/**
+ * Works out the buyer's tax location from the country, region and vatId
+ * in `source`, a request body or query (see tax.js). Responds with 400
+ * and returns null if they are missing or invalid.
+ */
+function loadTaxLocation(res, { country, region, vatId }) {
+  try {
+    return taxLocation({ country, region, vatId });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Quotes `variant` of `product` for the current user as checkout would
+ * charge it, with req.query.couponCode: the price after the discount,
+ * the tax for `location` (none without one) and the total, with
+ * displayPrice and displayTotal in the buyer's currency. Both price
+ * endpoints send this, so they cannot disagree. Returns { error } if the
+ * variant cannot be bought on these terms.
+ */
+function quoteOrder(req, product, variant, location = null) {
+  const terms = orderTerms({
+    user: req.currentUser,
+    product,
+    variant,
+    couponCode: req.query.couponCode,
+    location,
+  });
+  if (terms.error) return terms;
+  const { coupon } = terms;
+  return {
+    currency: product.currency,
+    listPrice: variant.price,
+    discount: terms.discount,
+    price: terms.price,
+    tax: terms.tax,
+    total: terms.total,
+    taxRate: location ? location.rate : 0,
+    country: location ? location.country : null,
+    region: location ? location.region : null,
+    vatId: location ? location.vatId : null,
+    reverseCharge: location ? location.reverseCharge : false,
+    trialDays: terms.trialDays,
+    dueNow: dueNow(terms),
+    displayPrice: displayPrice(req, terms.price, product.currency),
+    displayTotal: displayPrice(req, terms.total, product.currency),
+    coupon: coupon && {
+      code: coupon.code,
+      percentOff: coupon.percentOff,
+      amountOff: coupon.amountOff,
+      currency: coupon.currency,
+      duration: variant.type === 'subscription' ? coupon.duration : null,
+    },
+  };
+}
+
+/**
+ * Previews the price of a product with a coupon code for the current
+ * user, before tax: the quote of /api/checkout/quote for a buyer who has
+ * not said where they are. For subscriptions the coupon's discount lasts
+ * for the first period only or for every renewal, by duration.
+ * Query parameters: variantId (optional for single-variant products),
+ * couponCode.
+ */
+app.get(
+  '/api/products/:id/price',
+  requireAuth,
+  limitSearch,
+  displayCurrency,
+  (req, res) => {
+    const product = Product.findById(parseInt(req.params.id));
+    if (!productIsListed(product)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const variant = chooseVariant(res, product, req.query.variantId);
+    if (!variant) return;
+    const quote = quoteOrder(req, product, variant);
+    if (quote.error) return res.status(400).json({ error: quote.error });
+    res.json(quote);
+  }
+);
+
+/**
+ * Quotes a product as checkout would charge it to a buyer in `country`
+ * (and `region` where the rate depends on it, e.g. a US state): the
+ * price after any coupon discount, the tax added to it and the total,
+ * with displayPrice and displayTotal in the buyer's currency. A valid EU
+ * `vatId` reverse-charges the VAT. dueNow is what the payment page will
+ * take (nothing while a free trial runs). Works without logging in; for
+ * a logged-in buyer the coupon's per-customer limit and their past
+ * trials are taken into account.
+ *
+ * Query parameters: productId, variantId (optional for single-variant
+ * products), couponCode, country, region, vatId
+ */
+app.get(
+  '/api/checkout/quote',
+  optionalAuth,
+  limitSearch,
+  displayCurrency,
+  (req, res) => {
+    const product = Product.findById(parseInt(req.query.productId));
+    if (!productIsListed(product)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const variant = chooseVariant(res, product, req.query.variantId);
+    if (!variant) return;
+    const location = loadTaxLocation(res, req.query);
+    if (!location) return;
+    const quote = quoteOrder(req, product, variant, location);
+    if (quote.error) return res.status(400).json({ error: quote.error });
+    res.json(quote);
+  }
+);
+
+/**
+ * Creates a new order (checkout). The order starts out 'pending' and the
+ * response carries the URL of a hosted payment page from the payment
+ * provider (see payments.js). The order is activated, and its
+ * deliverables and license keys granted, only when the provider confirms
+ * the payment through /api/stripe/webhook (see billing.js). Referral
+ * codes can be provided in the body to attribute commissions. variantId
+ * picks the variant to buy and may be omitted for products with a single
+ * variant on sale. Subscriptions with trialDays start as a free trial
+ * (the payment page only saves the card) unless the buyer already had a
+ * trial of the product. A couponCode of the product's store takes its
+ * discount off the price (see Coupon); the affiliate commission is
+ * worked out on the discounted price (see checkout.js). Tax for the
+ * buyer's country and region is added on top, as /api/checkout/quote
+ * shows it; the order keeps its subtotal, tax and total. To buy several
+ * products at once, use the cart (/api/cart/checkout). The license keys
+ * the order is sold are taken now; once they have run out checkout
+ * fails with 409 and code 'sold_out'. With an Idempotency-Key header a
+ * repeated request gets the first one's response instead of placing
+ * another order (see idempotency.js), as do the other endpoints that
+ * place, change or refund orders.
+ *
+ * Expects JSON body: { productId, variantId, referralCode, couponCode,
+ * country, region, vatId } (region only where the rate depends on it,
+ * vatId for EU businesses)
+ */
+app.post(
+  '/api/checkout',
+  requireAuth,
+  requirePermission('orders:purchase'),
+  requireVerified,
+  limitCheckout,
+  idempotent,
+  (req, res) =>
+    checkoutProduct(req, res, req.currentUser, {
+      successUrl: `${APP_URL}/dashboard.html?checkout=success`,
+    })
+);
+
+/**
+ * Checks out one product for `user` as /api/checkout describes and
+ * responds with the order and the payment page URL. Resolves to the
+ * order, or to null if none was placed.
+ */
+async function checkoutProduct(req, res, user, { successUrl }) {
+  const { productId, variantId, referralCode, couponCode } = req.body;
+  const product = Product.findById(parseInt(productId));
+  if (!productIsListed(product)) {
+    res.status(404).json({ error: 'Product not found' });
+    return null;
+  }
+  const variant = chooseVariant(res, product, variantId);
+  if (!variant) return null;
+  const location = loadTaxLocation(res, req.body);
+  if (!location) return null;
+  const terms = orderTerms({
+    user,
+    product,
+    variant,
+    couponCode,
+    referralCode,
+    location,
+  });
+  if (terms.error) {
+    res
+      .status(terms.code === 'sold_out' ? 409 : 400)
+      .json({ error: terms.error, code: terms.code });
+    return null;
+  }
+  let order;
+  try {
+    order = createOrder(user, { product, variant, terms });
+  } catch (err) {
+    res.status(409).json({ error: err.message, code: 'sold_out' });
+    return null;
+  }
+  const provider = getPaymentProvider();
+  try {
+    const session = await provider.createCheckoutSession({
+      order,
+      product,
+      variant,
+      user,
+      successUrl,
+      cancelUrl: `${APP_URL}/product.html?id=${product.id}`,
+      trialDays: terms.trialDays,
+    });
+    order.update({
+      paymentProvider: provider.name,
+      paymentSessionId: session.id,
+    });
+    res.json({ order, checkoutUrl: session.url });
+    return order;
+  } catch (err) {
+    failOrder(order, 'checkout_session_failed');
+    res.status(502).json({ error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Resolves the guest customer checking out with the email (and optional
+ * name) in the body, see guests.js. Responds with 400 and returns null
+ * for an invalid address, or 403 if the guest was suspended.
+ */
+function loadGuestCustomer(req, res) {
+  let guest;
+  try {
+    guest = guestCustomer({ email: req.body.email, name: req.body.name });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+  if (guest.suspendedAt) {
+    res.status(403).json({
+      error: 'This account has been suspended',
+      code: 'account_suspended',
+    });
+    return null;
+  }
+  return guest;
+}
+
+// Mails a guest their library link once an order is placed; a failed
+// mail is logged and the guest can ask for a new link.
+function mailGuestAccess(guest) {
+  sendGuestAccess(guest).catch((err) => {
+    console.error(`Guest access mail to user ${guest.id} failed:`, err);
+  });
+}
+
+/**
+ * Checks out one product without an account, as /api/checkout does for
+ * users. The buyer becomes a guest customer (see guests.js) and is
+ * mailed a magic link to their purchase library, from which they can
+ * later claim their orders into an account.
+ *
+ * Expects JSON body: { email, name, productId, variantId, referralCode,
+ * couponCode, country, region, vatId } (name optional)
+ */
+app.post('/api/checkout/guest', limitCheckout, idempotent, async (req, res) => {
+  const guest = loadGuestCustomer(req, res);
+  if (!guest) return;
+  const order = await checkoutProduct(req, res, guest, {
+    successUrl: `${APP_URL}/library.html?checkout=success`,
+  });
+  if (order) mailGuestAccess(guest);
+});
+
+// Most items a cart can hold
+const MAX_CART_ITEMS = 50;
+
+/**
+ * Authenticates like requireAuth when an Authorization header is sent,
+ * and otherwise lets the request through with req.currentUser null.
+ */
+function optionalAuth(req, res, next) {
+  if (req.headers['authorization']) return requireAuth(req, res, next);
+  req.currentUser = null;
+  next();
+}
+
+/**
+ * Resolves the cart a request works on: the user's own when an
+ * Authorization header is sent, otherwise a guest cart named by the
+ * X-Cart-Token header. Sets req.cart, which is null for a guest who has
+ * no cart yet, and req.currentUser (null for guests).
+ */
+function cartOwner(req, res, next) {
+  optionalAuth(req, res, () => {
+    const token = req.headers['x-cart-token'];
+    if (req.currentUser) {
+      req.cart = Cart.forUser(req.currentUser.id);
+    } else {
+      req.cart = (token && Cart.findByGuestToken(token)) || null;
+    }
+    next();
+  });
+}
+
+/**
+ * Prices the items of a cart for `user` (null for a guest), taxed for
+ * `location` if given. Each line is { item, product, variant, terms,
+ * error }; error says why the item cannot be checked out as it is.
+ */
+function cartLines(cart, user, location = null) {
+  return cart.items.map((item) => {
+    const product = Product.findById(item.productId);
+    const variant =
+      productIsListed(product) &&
+      product.listedVariants().find((v) => v.id === item.variantId);
+    if (!variant) {
+      return { item, product, error: 'This item is no longer available' };
+    }
+    const terms = orderTerms({
+      user,
+      product,
+      variant,
+      couponCode: item.couponCode,
+      referralCode: item.referralCode,
+      location,
+    });
+    return { item, product, variant, terms, error: terms.error || null };
+  });
+}
+
+/**
+ * Public shape of a cart: its items with their store and price, and
+ * what is due now per currency (free trials add nothing). Prices are
+ * before tax, which is added at checkout.
+ */
+function cartJSON(req, cart, lines = cartLines(cart, req.currentUser)) {
+  const due = {};
+  const items = lines.map(({ item, product, variant, terms, error }) => {
+    const store = product && Store.findById(product.storeId);
+    const priced = !error;
+    if (priced) {
+      due[product.currency] = (due[product.currency] || 0) + dueNow(terms);
+    }
+    return {
+      ...item,
+      product: product ? { id: product.id, title: product.title } : null,
+      store: store ? { id: store.id, name: store.name } : null,
+      variant: variant
+        ? {
+            id: variant.id,
+            name: variant.name,
+            type: variant.type,
+            billingInterval: variant.billingInterval,
+          }
+        : null,
+      currency: product ? product.currency : null,
+      listPrice: variant ? variant.price : null,
+      discount: priced ? terms.discount : 0,
+      price: priced ? terms.price : null,
+      displayPrice: priced
+        ? displayPrice(req, terms.price, product.currency)
+        : null,
+      trialDays: priced ? terms.trialDays : 0,
+      error,
+    };
+  });
+  return {
+    id: cart ? cart.id : null,
+    items,
+    totals: Object.entries(due).map(([currency, amount]) => ({
+      currency,
+      amount,
+      displayPrice: displayPrice(req, amount, currency),
+    })),
+  };
+}
+
+// An empty cart for guests who have not added anything yet
+const EMPTY_CART = { id: null, items: [] };
+
+/**
+ * Returns the current cart (see cartOwner), priced for the buyer.
+ */
+app.get('/api/cart', cartOwner, displayCurrency, (req, res) => {
+  res.json({ cart: cartJSON(req, req.cart || EMPTY_CART) });
+});
+
+/**
+ * Adds a product to the cart, replacing the item for it if the product
+ * is already there. Guests without a cart get a new one; its token is
+ * returned once as cartToken and has to be sent as X-Cart-Token from
+ * then on. referralCode is the affiliate link the product was found
+ * through; it earns its owner the product's commission at checkout.
+ *
+ * Expects JSON body: { productId, variantId, couponCode, referralCode }
+ */
+app.post(
+  '/api/cart/items',
+  cartOwner,
+  limitSearch,
+  displayCurrency,
+  (req, res) => {
+    const { productId, variantId, couponCode, referralCode } = req.body;
+    const product = Product.findById(parseInt(productId));
+    if (!productIsListed(product)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const variant = chooseVariant(res, product, variantId);
+    if (!variant) return;
+    const terms = orderTerms({
+      user: req.currentUser,
+      product,
+      variant,
+      couponCode,
+    });
+    if (terms.error) return res.status(400).json({ error: terms.error });
+    let { cart } = req;
+    if (
+      cart &&
+      !cart.item(product.id) &&
+      cart.items.length >= MAX_CART_ITEMS
+    ) {
+      return res.status(400).json({ error: 'Your cart is full' });
+    }
+    let cartToken;
+    if (!cart) {
+      const guest = Cart.createGuest();
+      cart = guest.cart;
+      cartToken = guest.token;
+    }
+    cart.setItem({
+      productId: product.id,
+      variantId: variant.id,
+      couponCode: couponCode ? String(couponCode).trim() : null,
+      referralCode: referralCode ? String(referralCode) : null,
+    });
+    res.status(201).json({ cart: cartJSON(req, cart), cartToken });
+  }
+);
+
+/**
+ * Changes the variant or coupon code of an item in the cart. An empty
+ * couponCode removes the code.
+ *
+ * Expects JSON body: { variantId, couponCode } (either may be omitted)
+ */
+app.put(
+  '/api/cart/items/:productId',
+  cartOwner,
+  limitSearch,
+  displayCurrency,
+  (req, res) => {
+    const item = req.cart && req.cart.item(parseInt(req.params.productId));
+    if (!item) return res.status(404).json({ error: 'Item not found' });
+    const product = Product.findById(item.productId);
+    if (!productIsListed(product)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    const { variantId = item.variantId } = req.body;
+    const variant = chooseVariant(res, product, variantId);
+    if (!variant) return;
+    const couponCode =
+      req.body.couponCode === undefined
+        ? item.couponCode
+        : String(req.body.couponCode || '').trim() || null;
+    const terms = orderTerms({
+      user: req.currentUser,
+      product,
+      variant,
+      couponCode,
+    });
+    if (terms.error) return res.status(400).json({ error: terms.error });
+    req.cart.setItem({ ...item, variantId: variant.id, couponCode });
+    res.json({ cart: cartJSON(req, req.cart) });
+  }
+);
+
+/**
+ * Removes a product from the cart.
+ */
+app.delete(
+  '/api/cart/items/:productId',
+  cartOwner,
+  displayCurrency,
+  (req, res) => {
+    const productId = parseInt(req.params.productId);
+    if (!req.cart || !req.cart.item(productId)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    req.cart.removeItems([productId]);
+    res.json({ cart: cartJSON(req, req.cart) });
+  }
+);
+
+/**
+ * Moves the items of a guest cart into the user's cart, e.g. when the
+ * guest signs in on a page that was already open. Products already in
+ * the user's cart keep their current item. Login and registration do
+ * this too when given the cartToken.
+ *
+ * Expects JSON body: { cartToken }
+ */
+app.post('/api/cart/merge', requireAuth, displayCurrency, (req, res) => {
+  const { cartToken } = req.body;
+  const guest = cartToken && Cart.findByGuestToken(cartToken);
+  if (!guest || guest.userId) {
+    return res.status(404).json({ error: 'Cart not found' });
+  }
+  const cart = Cart.forUser(req.currentUser.id);
+  cart.mergeFrom(guest);
+  res.json({ cart: cartJSON(req, cart) });
+});
+
+/**
+ * Checks out the user's cart with one payment (see checkout.js). Every
+ * item becomes an order of its own for its store, all pending until the
+ * provider confirms the payment; the bought products then leave the
+ * cart. A cart holding items in several currencies is checked out one
+ * currency at a time, picked with `currency`. Items that cannot be
+ * bought as they are (see GET /api/cart) must be fixed or removed first.
+ * Every order is taxed for the buyer's location as /api/checkout is.
+ * Responds with the checkout, its orders grouped by store and the URL of
+ * the hosted payment page.
+ *
+ * Expects JSON body: { currency, country, region, vatId } (currency
+ * optional)
+ */
+app.post(
+  '/api/cart/checkout',
+  requireAuth,
+  requirePermission('orders:purchase'),
+  requireVerified,
+  limitCheckout,
+  idempotent,
+  displayCurrency,
+  (req, res) =>
+    checkoutCartFor(req, res, req.currentUser, {
+      cart: Cart.forUser(req.currentUser.id),
+      successUrl: `${APP_URL}/dashboard.html?checkout=success`,
+    })
+);
+
+/**
+ * Checks out `cart` for `user` as /api/cart/checkout describes and
+ * responds with the checkout. Resolves to the checkout, or to null if
+ * none was started.
+ */
+async function checkoutCartFor(req, res, user, { cart, successUrl }) {
+  const location = loadTaxLocation(res, req.body);
+  if (!location) return null;
+  let lines = cartLines(cart, user, location);
+  if (req.body.currency) {
+    let currency;
+    try {
+      currency = normaliseCurrency(req.body.currency);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+      return null;
+    }
+    lines = lines.filter(
+      ({ product }) => product && product.currency === currency
+    );
+  }
+  if (lines.length === 0) {
+    res.status(400).json({ error: 'Your cart is empty' });
+    return null;
+  }
+  if (lines.some(({ error }) => error)) {
+    res.status(400).json({
+      error: 'Some items in your cart cannot be checked out',
+      cart: cartJSON(req, cart, lines),
+    });
+    return null;
+  }
+  if (new Set(lines.map(({ product }) => product.currency)).size > 1) {
+    res.status(400).json({
+      error: 'Your cart holds several currencies; choose one to pay in',
+    });
+    return null;
+  }
+  let result;
+  try {
+    result = await checkoutCart(user, lines, {
+      cart,
+      successUrl,
+      cancelUrl: `${APP_URL}/index.html`,
+    });
+  } catch (err) {
+    // An item can sell out between pricing the cart and taking its keys
+    if (err.message === 'Sold out') {
+      res.status(409).json({ error: err.message, code: 'sold_out' });
+    } else {
+      res.status(502).json({ error: err.message });
+    }
+    return null;
+  }
+  const { checkout, orders, url } = result;
+  const stores = [];
+  orders.forEach((order, i) => {
+    const { product } = lines[i];
+    let entry = stores.find((s) => s.storeId === product.storeId);
+    if (!entry) {
+      const store = Store.findById(product.storeId);
+      entry = {
+        storeId: store.id,
+        name: store.name,
+        orderIds: [],
+        subtotal: 0,
+        tax: 0,
+        total: 0,
+      };
+      stores.push(entry);
+    }
+    entry.orderIds.push(order.id);
+    entry.subtotal += order.subtotal;
+    entry.tax += order.tax;
+    entry.total += order.total;
+  });
+  res.json({ checkout, orders, stores, checkoutUrl: url });
+  return checkout;
+}
+
+/**
+ * Checks out a guest cart (named by X-Cart-Token) without an account,
+ * as /api/cart/checkout does for users. The buyer becomes a guest
+ * customer and is mailed a magic link to their purchase library (see
+ * /api/checkout/guest).
+ *
+ * Expects JSON body: { email, name, currency, country, region, vatId }
+ * (name and currency optional)
+ */
+app.post(
+  '/api/cart/checkout/guest',
+  cartOwner,
+  limitCheckout,
+  idempotent,
+  displayCurrency,
+  async (req, res) => {
+    if (req.currentUser) {
+      return res
+        .status(400)
+        .json({ error: 'You are logged in; use /api/cart/checkout' });
+    }
+    if (!req.cart) {
+      return res.status(400).json({ error: 'Your cart is empty' });
+    }
+    const guest = loadGuestCustomer(req, res);
+    if (!guest) return;
+    const checkout = await checkoutCartFor(req, res, guest, {
+      cart: req.cart,
+      successUrl: `${APP_URL}/library.html?checkout=success`,
+    });
+    if (checkout) mailGuestAccess(guest);
+  }
+);
+
+/**
+ * Returns one of the user's cart checkouts with its orders, e.g. to
+ * follow the payment after returning from the payment page.
+ */
+app.get('/api/checkouts/:id', requireAuth, (req, res) => {
+  const checkout = Checkout.findById(parseInt(req.params.id));
+  if (!checkout || checkout.userId !== req.currentUser.id) {
+    return res.status(404).json({ error: 'Checkout not found' });
+  }
+  res.json({ checkout, orders: checkout.orders() });
+});
+
+/**
+ * Stripe webhook. Verifies the Stripe-Signature header against the raw
+ * body with STRIPE_WEBHOOK_SECRET and applies the event to its order
+ * (see billing.js), or, for events about connected accounts, to the
+ * account's store (see connect.js). Redelivered events are acknowledged
+ * but not applied again.
+ */
+app.post('/api/stripe/webhook', (req, res) => {
+  let event;
+  try {
+    event = constructEvent(req.rawBody, req.headers['stripe-signature']);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { duplicate } = CONNECT_EVENTS.includes(event.type)
+    ? handleConnectEvent('stripe', event)
+    : handlePaymentEvent('stripe', event);
+  res.json({ received: true, duplicate: !!duplicate });
+});
+
+/**
+ * Hosted payment page of the offline mock provider, standing in for
+ * Stripe Checkout.
+ */
+function mockCheckoutPage(req, res) {
+  const provider = getPaymentProvider();
+  const session =
+    provider.name === 'mock' && provider.getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Checkout session not found' });
+  }
+  const action = `/api/payments/mock/checkout/${session.id}`;
+  let price = formatMoney(session.amount, session.currency);
+  if (session.trialDays) {
+    price = `free for ${session.trialDays} days, then ${price}`;
+  }
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+  <head><meta charset="UTF-8" /><title>Mock checkout - STEB.IO</title></head>
+  <body>
+    <h1>Mock checkout</h1>
+    <p>${escapeHtml(session.title)}: ${price}</p>
+    <form method="post" action="${action}/pay">
+      <button>Pay</button>
+    </form>
+    <form method="post" action="${action}/pay-no-renew">
+      <button>Pay with a card that declines renewals</button>
+    </form>
+    <form method="post" action="${action}/decline">
+      <button>Decline</button>
+    </form>
+  </body>
+</html>`);
+}
+
+/**
+ * Settles a mock checkout session, applying the events Stripe would
+ * send, and redirects to the success or cancel URL.
+ */
+function settleMockCheckout(req, res) {
+  const provider = getPaymentProvider();
+  const session =
+    provider.name === 'mock' && provider.getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Checkout session not found' });
+  }
+  const paid = req.params.outcome !== 'decline';
+  const failRenewals = req.params.outcome === 'pay-no-renew';
+  let events;
+  try {
+    events = provider.complete(session.id, paid, { failRenewals });
+  } catch (err) {
+    return res.status(409).json({ error: err.message });
+  }
+  events.forEach((event) => handlePaymentEvent('mock', event));
+  res.redirect(paid ? session.successUrl : session.cancelUrl);
+}
+
+/**
+ * Hosted onboarding page of the offline mock Connect client, standing
+ * in for Stripe's.
+ */
+function mockOnboardingPage(req, res) {
+  const connect = getConnectClient();
+  const link = connect.name === 'mock' && connect.getLink(req.params.linkId);
+  if (!link) {
+    return res.status(404).json({ error: 'Onboarding link not found' });
+  }
+  const action = `/api/connect/mock/onboarding/${link.id}`;
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+  <head><meta charset="UTF-8" /><title>Mock onboarding - STEB.IO</title></head>
+  <body>
+    <h1>Mock payout onboarding</h1>
+    <p>Account ${escapeHtml(link.accountId)}</p>
+    <form method="post" action="${action}/finish">
+      <button>Submit details</button>
+    </form>
+    <form method="post" action="${action}/leave">
+      <button>Leave without finishing</button>
+    </form>
+  </body>
+</html>`);
+}
+
+/**
+ * Finishes or leaves a mock onboarding link, applying the events Stripe
+ * would send, and redirects to the return URL.
+ */
+function settleMockOnboarding(req, res) {
+  const connect = getConnectClient();
+  const link = connect.name === 'mock' && connect.getLink(req.params.linkId);
+  if (!link) {
+    return res.status(404).json({ error: 'Onboarding link not found' });
+  }
+  let events;
+  try {
+    events = connect.complete(link.id, req.params.outcome === 'finish');
+  } catch (err) {
+    return res.status(409).json({ error: err.message });
+  }
+  events.forEach((event) => handleConnectEvent('mock', event));
+  res.redirect(link.returnUrl);
+}
+
+// The mock pages settle payments and onboarding for whoever asks, so
+// they only exist while PAYMENT_PROVIDER is mock (never in production)
+if (paymentProviderName() === 'mock') {
+  app.get('/api/payments/mock/checkout/:sessionId', mockCheckoutPage);
+  app.post(
+    '/api/payments/mock/checkout/:sessionId/:outcome(pay|pay-no-renew|decline)',
+    settleMockCheckout
+  );
+  app.get('/api/connect/mock/onboarding/:linkId', mockOnboardingPage);
+  app.post(
+    '/api/connect/mock/onboarding/:linkId/:outcome(finish|leave)',
+    settleMockOnboarding
+  );
+}
+
+/**
+ * Returns the authenticated user's orders (subscriptions and
+ * one‑time purchases).
+ */
+app.get('/api/orders', requireAuth, displayCurrency, (req, res) => {
+  const orders = Order.findByUser(req.currentUser.id);
+  res.json({ orders: orders.map((o) => buyerOrder(req, o)) });
+});
+
+/**
+ * An order as its buyer sees it: with product details for convenience,
+ * plus the revision the product was sold as. displayTotal is the total,
+ * tax included, in the buyer's currency.
+ */
+function buyerOrder(req, order) {
+  const product = Product.findById(order.productId);
+  const soldAs = order.productRevisionId
+    ? ProductRevision.findById(order.productRevisionId)
+    : null;
+  return {
+    ...order,
+    displayPrice: displayPrice(req, order.price, order.currency),
+    displayTotal: displayPrice(req, order.total, order.currency),
+    product,
+    soldAs,
+  };
+}
+
+/**
+ * An invoice or credit note as a printable HTML page.
+ */
+function invoicePage(invoice) {
+  const doc = describeInvoice(invoice);
+  const rows = (pairs) =>
+    pairs
+      .map(
+        ([label, value]) =>
+          `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`
+      )
+      .join('');
+  const lines = (list) => list.map(escapeHtml).join('<br />');
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(`${doc.title} ${invoice.number}`)} - STEB.IO</title>
+    <style>
+      body { font-family: sans-serif; max-width: 720px; margin: 40px auto; }
+      table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+      td { padding: 4px 0; }
+      td:last-child { text-align: right; }
+      .parties { display: flex; justify-content: space-between; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(doc.title)}</h1>
+    <table>${rows(doc.details)}</table>
+    <div class="parties">
+      <p><strong>From</strong><br />${lines(doc.seller)}</p>
+      <p><strong>Billed to</strong><br />${lines(doc.buyer)}</p>
+    </div>
+    <table>${rows(doc.lines)}</table>
+    <table>${rows(doc.totals)}</table>
+    ${doc.notes.map((n) => `<p>${escapeHtml(n)}</p>`).join('')}
+  </body>
+</html>`;
+}
+
+/**
+ * Responds with an invoice or credit note in the format the query asks
+ * for: format=pdf or format=html renders it, anything else sends it as
+ * JSON with `extra` alongside.
+ */
+function sendInvoice(req, res, invoice, extra = {}) {
+  if (req.query.format === 'pdf') {
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="${invoice.number}.pdf"`);
+    return res.send(renderInvoicePdf(invoice));
+  }
+  if (req.query.format === 'html') {
+    return res.type('html').send(invoicePage(invoice));
+  }
+  res.json({ invoice, ...extra });
+}
+
+/**
+ * Returns the invoice for an order: the one for its first payment, or
+ * the invoice or credit note with the given number, such as a renewal's
+ * invoice or a refund's credit note. documents lists all of the order's
+ * documents. The buyer authenticates as usual, or as a guest customer
+ * with the token of their magic link (see guests.js).
+ *
+ * Query parameters: number, format ('json', 'html' or 'pdf'), token
+ */
+app.get('/api/orders/:id/invoice', optionalAuth, (req, res) => {
+  let buyer = req.currentUser;
+  if (!buyer) {
+    try {
+      buyer = guestForToken(req.query.token);
+    } catch (err) {
+      return res.status(401).json({ error: err.message });
+    }
+  }
+  const order = Order.findById(parseInt(req.params.id));
+  if (!order || order.userId !== buyer.id) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  const documents = Invoice.findByOrder(order.id);
+  const invoice = req.query.number
+    ? documents.find((i) => i.number === req.query.number)
+    : documents.find((i) => i.type === 'invoice');
+  if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+  sendInvoice(req, res, invoice, {
+    documents: documents.map((i) => ({
+      id: i.id,
+      type: i.type,
+      number: i.number,
+      issuedAt: i.issuedAt,
+      currency: i.currency,
+      amount: i.amount,
+    })),
+  });
+});
+
+/**
+ * A guest customer's purchase library, opened with the magic link they
+ * were mailed (see guests.js): their orders as /api/orders returns them,
+ * deliverables and license keys included. accountExists tells whether
+ * claiming the orders needs a login to the account with their address.
+ *
+ * Query parameters: token
+ */
+app.get('/api/guest/library', limitSearch, displayCurrency, (req, res) => {
+  let guest;
+  try {
+    guest = guestForToken(req.query.token);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({
+    customer: {
+      name: guest.name,
+      email: guest.guestEmail,
+      accountExists: !!User.findByEmail(guest.guestEmail),
+    },
+    orders: Order.findByUser(guest.id).map((o) => buyerOrder(req, o)),
+  });
+});
+
+/**
+ * Mails a guest customer a new magic link to their library. Always
+ * succeeds so the response does not reveal who bought as a guest.
+ *
+ * Expects JSON body: { email }
+ */
+app.post('/api/guest/access', limitAuth, async (req, res) => {
+  const email = String(req.body.email || '')
+    .trim()
+    .toLowerCase();
+  const guest = email && User.findGuestByEmail(email);
+  if (guest && !guest.suspendedAt) {
+    try {
+      await sendGuestAccess(guest);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
     }
   }
-  // Copy deliverables and assign license keys if present
-  const deliverables = product.deliverables.map((d) => {
-    // For license keys we simulate assignment by popping from a list
-    if (d.type === 'license_keys' && Array.isArray(d.details.keys)) {
-      const key = d.details.keys.shift();
-      return { type: 'license_key', key };
-    }
-    return d;
-  });
-  const order = Order.create({
-    userId: req.currentUser.id,
-    productId: product.id,
-    price: product.price,
-    status: 'active',
-    nextBillingAt,
-    deliverables,
-    affiliateReferrerId: referrerId,
-    affiliateCommission: parseFloat(commissionAmount),
-  });
-  // In a real implementation you would grant access to deliverables here:
-  // e.g. call Discord API to assign roles, send Telegram invites, etc.
-  res.json({ order });
+  res.json({ success: true });
 });
 
 /**
- * Returns the authenticated user's orders (subscriptions and
- * one‑time purchases).
+ * Claims a guest customer's orders into an account, with the magic link
+ * token from their library. Logged in, the orders are merged into the
+ * current account, which must have the address the guest bought with.
+ * Otherwise a new account is made under that address with `password`
+ * and a session opened for it, as registration does; if an account with
+ * the address already exists this responds with 409 and code
+ * 'account_exists', and the guest has to log in to it first.
+ *
+ * Expects JSON body: { token, password, name } (password and name only
+ * for a new account)
  */
-app.get('/api/orders', requireAuth, (req, res) => {
-  const orders = Order.findByUser(req.currentUser.id);
-  // Include product details for convenience
-  const detailed = orders.map((o) => {
-    const product = Product.findById(o.productId);
-    return { ...o, product };
-  });
-  res.json({ orders: detailed });
+app.post('/api/guest/claim', limitAuth, optionalAuth, async (req, res) => {
+  const { token, password, name } = req.body;
+  let guest;
+  try {
+    guest = guestForToken(token);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!req.currentUser && User.findByEmail(guest.guestEmail)) {
+    return res.status(409).json({
+      error: 'An account with this email exists; log in to claim your orders',
+      code: 'account_exists',
+    });
+  }
+  let user;
+  try {
+    user = await claimGuestOrders(token, {
+      user: req.currentUser,
+      password,
+      name,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (req.currentUser) return res.json({ user: publicUser(user) });
+  applyBootstrapRoles(user);
+  const session = createSession(user, req);
+  res.json({ token: session.token, user: publicUser(user) });
 });
 
 /**
- * Cancels a subscription. Sets order status to cancelled and ends
- * access immediately. In a real implementation you would cancel the
- * subscription in Stripe and schedule role removal.
+ * Loads the current user's subscription order named by req.params.id.
+ * Responds with 404 or 400 and returns null otherwise.
  */
-app.post('/api/orders/:id/cancel', requireAuth, (req, res) => {
+function loadOwnedSubscription(req, res) {
   const order = Order.findById(parseInt(req.params.id));
   if (!order || order.userId !== req.currentUser.id) {
-    return res.status(404).json({ error: 'Order not found' });
+    res.status(404).json({ error: 'Order not found' });
+    return null;
+  }
+  if (order.plan().type !== 'subscription') {
+    res.status(400).json({ error: 'This order is not a subscription' });
+    return null;
+  }
+  return order;
+}
+
+// Whether `err` is the guard of a refund or plan change (see refunds.js
+// and subscriptions.js) refusing to run alongside another one
+function isBusyError(err) {
+  return /already in progress/.test(err.message);
+}
+
+/**
+ * Cancels a subscription. By default it stays usable until the end of
+ * the period already paid for (or the trial) and then ends without
+ * another charge; undo with /reactivate until then. With immediate:
+ * true access ends now and the unused part of the period is refunded
+ * pro rata. Past-due and paused subscriptions always end now. Responds
+ * with 409 while a refund or plan change of the order is in progress and
+ * 502 if the payment provider refuses the refund.
+ *
+ * Expects optional JSON body: { immediate }
+ */
+app.post(
+  '/api/orders/:id/cancel',
+  requireAuth,
+  idempotent,
+  async (req, res) => {
+    const order = loadOwnedSubscription(req, res);
+    if (!order) return;
+    if (!CANCELLABLE.includes(order.status)) {
+      return res
+        .status(400)
+        .json({ error: 'Only running subscriptions can be cancelled' });
+    }
+    if (refundInProgress(order)) {
+      return res
+        .status(409)
+        .json({ error: 'A refund of this order is already in progress' });
+    }
+    if (planChangeInProgress(order)) {
+      return res
+        .status(409)
+        .json({ error: 'A plan change of this order is in progress' });
+    }
+    try {
+      const result = await cancelSubscription(order, {
+        immediate: req.body.immediate === true,
+      });
+      res.json(result);
+    } catch (err) {
+      res.status(isBusyError(err) ? 409 : 502).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Undoes a cancellation at period end, so the subscription renews again.
+ */
+app.post('/api/orders/:id/reactivate', requireAuth, idempotent, (req, res) => {
+  const order = loadOwnedSubscription(req, res);
+  if (!order) return;
+  if (!order.cancelAtPeriodEnd || !CANCELLABLE.includes(order.status)) {
+    return res
+      .status(400)
+      .json({ error: 'This subscription is not set to cancel' });
   }
+  res.json({ order: reactivateSubscription(order) });
+});
+
+/**
+ * Pauses an active subscription: billing and access stop until it is
+ * resumed, by hand or automatically after `days` (at most the product's
+ * maxPauseDays, which is also the default). The unused part of the paid
+ * period is kept for after the pause.
+ *
+ * Expects optional JSON body: { days }
+ */
+app.post('/api/orders/:id/pause', requireAuth, idempotent, (req, res) => {
+  const order = loadOwnedSubscription(req, res);
+  if (!order) return;
   const product = Product.findById(order.productId);
-  if (product.type !== 'subscription') {
+  if (!product.maxPauseDays) {
     return res
       .status(400)
-      .json({ error: 'Only subscriptions can be cancelled' });
+      .json({ error: 'This subscription cannot be paused' });
   }
-  order.update({
-    status: 'cancelled',
-    endedAt: new Date(),
-    nextBillingAt: null,
-  });
-  // In a real implementation you would remove roles or revoke access here
-  res.json({ order });
+  if (order.status !== 'active' || order.cancelAtPeriodEnd) {
+    return res
+      .status(400)
+      .json({ error: 'Only active subscriptions can be paused' });
+  }
+  const days =
+    req.body.days !== undefined ? Number(req.body.days) : product.maxPauseDays;
+  if (!Number.isInteger(days) || days < 1 || days > product.maxPauseDays) {
+    return res.status(400).json({
+      error: `Pause length must be 1 to ${product.maxPauseDays} days`,
+    });
+  }
+  res.json({ order: pauseSubscription(order, { days }) });
+});
+
+/**
+ * Resumes a paused subscription before its pause runs out.
+ */
+app.post('/api/orders/:id/resume', requireAuth, idempotent, (req, res) => {
+  const order = loadOwnedSubscription(req, res);
+  if (!order) return;
+  if (order.status !== 'paused') {
+    return res
+      .status(400)
+      .json({ error: 'This subscription is not paused' });
+  }
+  res.json({ order: resumeSubscription(order) });
 });
 
 /**
- * Returns affiliate stats for the current user.
+ * Moves a subscription to another variant of its product, e.g. from
+ * monthly to yearly or to a higher tier. A new period starts now; the
+ * unused part of the current one is credited, so an upgrade charges the
+ * difference to the saved card and a downgrade leaves credit for the
+ * next renewals. Responds with 402 if the charge is declined, in which
+ * case nothing changes; 409 while a refund or another change of the
+ * order is in progress, if the plan has sold out or if the subscription
+ * changed while the charge was out (the charge is paid back); and 502 if
+ * the payment provider fails.
+ *
+ * Expects JSON body: { variantId }
+ */
+app.post(
+  '/api/orders/:id/change-plan',
+  requireAuth,
+  requirePermission('orders:purchase'),
+  idempotent,
+  async (req, res) => {
+    const order = loadOwnedSubscription(req, res);
+    if (!order) return;
+    if (
+      !['trialing', 'active'].includes(order.status) ||
+      order.cancelAtPeriodEnd
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'Only active subscriptions can change plan' });
+    }
+    const product = Product.findById(order.productId);
+    const variant = product
+      .listedVariants()
+      .find((v) => v.id === parseInt(req.body.variantId));
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+    if (variant.type !== 'subscription') {
+      return res
+        .status(400)
+        .json({ error: 'Subscriptions can only move to subscription plans' });
+    }
+    if (variant.id === order.variantId) {
+      return res.status(400).json({ error: 'This is already your plan' });
+    }
+    if (refundInProgress(order)) {
+      return res
+        .status(409)
+        .json({ error: 'A refund of this order is already in progress' });
+    }
+    let result;
+    try {
+      result = await changePlan(order, variant);
+    } catch (err) {
+      if (err.message === 'Sold out') {
+        return res.status(409).json({ error: err.message, code: 'sold_out' });
+      }
+      const conflict =
+        isBusyError(err) ||
+        err.message === 'The subscription changed during the plan change';
+      return res.status(conflict ? 409 : 502).json({ error: err.message });
+    }
+    if (result.failureReason) {
+      return res
+        .status(402)
+        .json({ error: `Payment failed: ${result.failureReason}` });
+    }
+    res.json(result);
+  }
+);
+
+/**
+ * Returns affiliate stats for the current user. Earnings are net of the
+ * commission clawed back by refunds and chargebacks (reversed) and are
+ * totalled per currency, in minor units.
  */
 app.get('/api/affiliates/stats', requireAuth, (req, res) => {
   const referrals = AffiliateReferral.findByReferrer(
     req.currentUser.id
   );
-  // Compute earnings from orders
+  // Compute earnings from paid orders
   const orders = Order.findAll().filter(
-    (o) => o.affiliateReferrerId === req.currentUser.id
-  );
-  const totalEarned = orders.reduce(
-    (sum, o) => sum + o.affiliateCommission,
-    0
+    (o) => o.affiliateReferrerId === req.currentUser.id && o.paidAt
   );
+  const totals = {};
+  orders.forEach((o) => {
+    const total = totals[o.currency] || { amount: 0, reversed: 0 };
+    total.amount += o.affiliateCommission - o.affiliateCommissionReversed;
+    total.reversed += o.affiliateCommissionReversed;
+    totals[o.currency] = total;
+  });
+  const earnings = Object.entries(totals).map(([currency, total]) => ({
+    currency,
+    ...total,
+  }));
   res.json({
     referrals: referrals.length,
-    earnings: totalEarned.toFixed(2),
+    earnings,
   });
 });
 
 /**
  * Submits a support ticket. Expects JSON body: { subject, message }
  */
-app.post('/api/support', requireAuth, (req, res) => {
-  const { subject, message } = req.body;
-  if (!subject || !message) {
-    return res
-      .status(400)
-      .json({ error: 'Subject and message are required' });
+app.post(
+  '/api/support',
+  requireAuth,
+  requirePermission('tickets:create'),
+  limitSupport,
+  (req, res) => {
+    const { subject, message } = req.body;
+    if (!subject || !message) {
+      return res
+        .status(400)
+        .json({ error: 'Subject and message are required' });
+    }
+    const ticket = SupportTicket.create({
+      userId: req.currentUser.id,
+      subject,
+      message,
+    });
+    res.json({ ticket });
   }
-  const ticket = SupportTicket.create({
-    userId: req.currentUser.id,
-    subject,
-    message,
-  });
-  res.json({ ticket });
-});
+);
 
 /**
- * Lists support tickets for the current user. In a full
- * implementation admin users would be able to view all tickets.
+ * Lists support tickets for the current user. Support agents and admins
+ * see every ticket through /api/admin/support.
  */
 app.get('/api/support', requireAuth, (req, res) => {
   const tickets = SupportTicket.findByUser(req.currentUser.id);
   res.json({ tickets });
 })
 /**
- * Helper to sort products based on sort parameter
+ * Helper to sort products based on sort parameter. A product's price is
+ * that of its cheapest variant on sale (see Product#syncFromVariants),
+ * compared in BASE_CURRENCY where an exchange rate allows.
  */
+function comparablePrice(product) {
+  try {
+    return convert(product.price, product.currency, BASE_CURRENCY);
+  } catch (err) {
+    return product.price;
+  }
+}
+
 function sortProducts(products, sort) {
   if (!sort) return products;
   if (sort === 'price_asc') {
-    return products.sort((a, b) => a.price - b.price);
+    return products.sort((a, b) => comparablePrice(a) - comparablePrice(b));
   }
   if (sort === 'price_desc') {
-    return products.sort((a, b) => b.price - a.price);
+    return products.sort((a, b) => comparablePrice(b) - comparablePrice(a));
   }
   if (sort === 'newest') {
     return products.sort((a, b) => parseInt(b.id) - parseInt(a.id));
@@ -511,42 +3365,60 @@ function sortProducts(products, sort) {
   return products;
 }
 
+/**
+ * Fields shown for a product in search results and listings
+ */
+function listingProduct(product, req) {
+  const { id, storeId, title, description, currency, price, type } = product;
+  return {
+    id, storeId, title, description, currency, price, type,
+    displayPrice: displayPrice(req, price, currency)
+  };
+}
+
 /**
  * Search products by query across title and description
  */
-app.get('/api/products/search', (req, res) => {
+app.get('/api/products/search', limitSearch, displayCurrency, (req, res) => {
   const { query, sort } = req.query;
   if (!query) {
     return res.status(400).json({ error: 'query parameter is required' });
   }
   const q = query.toLowerCase();
-  let results = Product.findAll().filter(
+  let results = listedProducts().filter(
     p => p.title.toLowerCase().includes(q) || p.description.toLowerCase().includes(q)
   );
   results = sortProducts(results, sort);
-  const safe = results.map(({ id, storeId, title, description, price, type }) => ({
-    id, storeId, title, description, price, type
-  }));
+  const safe = results.map(p => listingProduct(p, req));
   res.json({ products: safe });
 });
 
 /**
- * List products with optional type filter and sorting
+ * List products with optional type filter and sorting. A product matches
+ * the type filter if any of its variants on sale does.
  */
-app.get('/api/products', (req, res) => {
+app.get('/api/products', limitSearch, displayCurrency, (req, res) => {
   let { type = 'All', sort } = req.query;
-  let list = Product.findAll();
+  let list = listedProducts();
   if (type && type !== 'All') {
     const t = type.toLowerCase();
-    list = list.filter(p => p.type && p.type.toLowerCase() === t);
+    list = list.filter(p =>
+      p.listedVariants().some(v => v.type.toLowerCase() === t)
+    );
   }
   list = sortProducts(list, sort);
-  const safe = list.map(({ id, storeId, title, description, price, type }) => ({
-    id, storeId, title, description, price, type
-  }));
+  const safe = list.map(p => listingProduct(p, req));
   res.json({ products: safe });
 });
 
+/**
+ * Lists the currencies buyers can have prices shown in (?currency=) and
+ * the base currency the exchange rates are relative to.
+ */
+app.get('/api/currencies', (req, res) => {
+  res.json({ base: BASE_CURRENCY, currencies: convertibleCurrencies() });
+});
+
 /**
  * Returns basic stats for the platform
  */
@@ -558,12 +3430,439 @@ app.get('/api/stats', (req, res) => {
 });
 
 
+/*
+ * Admin API
+ *
+ * Everything under /api/admin requires a session plus the permission
+ * named on each route (see roles.js for which roles grant what).
+ */
+
+/**
+ * Lists users. Optional query parameters:
+ *   q: search term in email or name
+ *   role: only users holding this role
+ *   suspended: 'true' or 'false'
+ */
+app.get(
+  '/api/admin/users',
+  requireAuth,
+  requirePermission('users:read'),
+  (req, res) => {
+    const { q, role, suspended } = req.query;
+    let users = User.findAll();
+    if (q) {
+      const term = q.toLowerCase();
+      users = users.filter(
+        (u) =>
+          u.contactEmail().toLowerCase().includes(term) ||
+          u.name.toLowerCase().includes(term)
+      );
+    }
+    if (role) {
+      users = users.filter((u) => u.roles.includes(role));
+    }
+    if (suspended === 'true' || suspended === 'false') {
+      users = users.filter((u) => !!u.suspendedAt === (suspended === 'true'));
+    }
+    res.json({ users: users.map(adminUser) });
+  }
+);
+
+/**
+ * Returns a single user with their store, orders and tickets.
+ */
+app.get(
+  '/api/admin/users/:id',
+  requireAuth,
+  requirePermission('users:read'),
+  (req, res) => {
+    const user = User.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({
+      user: adminUser(user),
+      store: Store.findByOwner(user.id) || null,
+      orders: Order.findByUser(user.id),
+      tickets: SupportTicket.findByUser(user.id),
+    });
+  }
+);
+
+/**
+ * Suspends a user. Their sessions are revoked, they cannot log in, and
+ * their store disappears from the marketplace.
+ *
+ * Expects JSON body: { reason }
+ */
+app.post(
+  '/api/admin/users/:id/suspend',
+  requireAuth,
+  requirePermission('users:suspend'),
+  (req, res) => {
+    const user = User.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.id === req.currentUser.id) {
+      return res.status(400).json({ error: 'You cannot suspend yourself' });
+    }
+    user.update({
+      suspendedAt: new Date(),
+      suspendedReason: req.body.reason || null,
+    });
+    revokeAllSessions(user.id, 'suspended');
+    res.json({ user: adminUser(user) });
+  }
+);
+
+/**
+ * Lifts a suspension.
+ */
+app.post(
+  '/api/admin/users/:id/unsuspend',
+  requireAuth,
+  requirePermission('users:suspend'),
+  (req, res) => {
+    const user = User.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    user.update({ suspendedAt: null, suspendedReason: null });
+    res.json({ user: adminUser(user) });
+  }
+);
+
+/**
+ * Replaces a user's roles. Every account keeps the buyer role.
+ *
+ * Expects JSON body: { roles: ['seller', 'support', ...] }
+ */
+app.put(
+  '/api/admin/users/:id/roles',
+  requireAuth,
+  requirePermission('users:roles'),
+  (req, res) => {
+    const user = User.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    let roles;
+    try {
+      roles = normaliseRoles(req.body.roles);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (user.id === req.currentUser.id && !roles.includes('admin')) {
+      return res
+        .status(400)
+        .json({ error: 'You cannot remove your own admin role' });
+    }
+    user.update({ roles, isSeller: roles.includes('seller') });
+    res.json({ user: adminUser(user) });
+  }
+);
+
+/**
+ * Disables or re-enables a store. Disabled stores and their products
+ * are hidden from the marketplace and cannot be bought, and the store
+ * is not paid out.
+ */
+app.post(
+  '/api/admin/stores/:id/:action(disable|enable)',
+  requireAuth,
+  requirePermission('stores:moderate'),
+  (req, res) => {
+    const store = Store.findById(parseInt(req.params.id));
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    store.update({
+      disabledAt: req.params.action === 'disable' ? new Date() : null,
+    });
+    res.json({ store });
+  }
+);
+
+/**
+ * Sets the platform fee a store pays on its sales (see ledger.js), or
+ * with null puts it back on the platform default. Later charges are
+ * taken at the new rate.
+ *
+ * Expects JSON body: { platformFeePercent: number | null }
+ */
+app.put(
+  '/api/admin/stores/:id/fees',
+  requireAuth,
+  requirePermission('settings:manage'),
+  (req, res) => {
+    const store = Store.findById(parseInt(req.params.id));
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    const { platformFeePercent: percent = null } = req.body;
+    if (percent !== null && !isPercent(percent)) {
+      return res
+        .status(400)
+        .json({ error: 'platformFeePercent must be between 0 and 100' });
+    }
+    store.update({ platformFeePercent: percent });
+    res.json({ store, platformFeePercent: platformFeePercent(store) });
+  }
+);
+
+/**
+ * Disables or re-enables a single product.
+ */
+app.post(
+  '/api/admin/products/:id/:action(disable|enable)',
+  requireAuth,
+  requirePermission('products:moderate'),
+  (req, res) => {
+    const product = Product.findById(parseInt(req.params.id));
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    product.update({
+      disabledAt: req.params.action === 'disable' ? new Date() : null,
+    });
+    res.json({ product });
+  }
+);
+
+/**
+ * Lists all orders. Optional query parameters: status, userId, storeId.
+ */
+app.get(
+  '/api/admin/orders',
+  requireAuth,
+  requirePermission('orders:read_any'),
+  (req, res) => {
+    const { status, userId, storeId } = req.query;
+    let orders = Order.findAll();
+    if (status) {
+      orders = orders.filter((o) => o.status === status);
+    }
+    if (userId) {
+      orders = orders.filter((o) => o.userId === parseInt(userId));
+    }
+    const detailed = orders
+      .map((o) => ({ ...o, product: Product.findById(o.productId) }))
+      .filter((o) => !storeId || o.product.storeId === parseInt(storeId));
+    res.json({ orders: detailed });
+  }
+);
+
+/**
+ * Returns any order with its product and buyer.
+ */
+app.get(
+  '/api/admin/orders/:id',
+  requireAuth,
+  requirePermission('orders:read_any'),
+  (req, res) => {
+    const order = Order.findById(parseInt(req.params.id));
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({
+      order,
+      product: Product.findById(order.productId),
+      soldAs: order.productRevisionId
+        ? ProductRevision.findById(order.productRevisionId)
+        : null,
+      user: adminUser(User.findById(order.userId)),
+      billingEvents: BillingEvent.findByOrder(order.id),
+    });
+  }
+);
+
+/**
+ * Refunds any order, in full or in part (see sendRefund).
+ *
+ * Expects optional JSON body: { amount, restockKeys }
+ */
+app.post(
+  '/api/admin/orders/:id/refund',
+  requireAuth,
+  requirePermission('orders:refund'),
+  idempotent,
+  async (req, res) => {
+    const order = Order.findById(parseInt(req.params.id));
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    await sendRefund(req, res, order);
+  }
+);
+
+/**
+ * Runs the subscription renewal engine now instead of waiting for the
+ * scheduler (see renewals.js). Outside production an ISO date can be
+ * passed as `now` to run it as of another time, e.g. to walk a test
+ * subscription through dunning and expiry.
+ *
+ * Expects optional JSON body: { now }
+ */
+app.post(
+  '/api/admin/billing/renewals',
+  requireAuth,
+  requirePermission('billing:run'),
+  async (req, res) => {
+    let now = new Date();
+    if (req.body.now !== undefined) {
+      if (process.env.NODE_ENV === 'production') {
+        return res
+          .status(400)
+          .json({ error: 'now can only be set outside production' });
+      }
+      now = new Date(req.body.now);
+      if (isNaN(now.getTime())) {
+        return res.status(400).json({ error: 'Invalid date for now' });
+      }
+    }
+    try {
+      const summary = await runRenewals({ now });
+      res.json({ now, ...summary });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Runs payouts now instead of waiting for the scheduler (see
+ * ledger.js): held balances that are due mature and every store's
+ * available balance is paid out. Outside production an ISO date can be
+ * passed as `now` to run it as of another time, e.g. once a test sale's
+ * hold is over.
+ *
+ * Expects optional JSON body: { now }
+ */
+app.post(
+  '/api/admin/payouts/run',
+  requireAuth,
+  requirePermission('billing:run'),
+  async (req, res) => {
+    let now = new Date();
+    if (req.body.now !== undefined) {
+      if (process.env.NODE_ENV === 'production') {
+        return res
+          .status(400)
+          .json({ error: 'now can only be set outside production' });
+      }
+      now = new Date(req.body.now);
+      if (isNaN(now.getTime())) {
+        return res.status(400).json({ error: 'Invalid date for now' });
+      }
+    }
+    try {
+      const summary = await runPayouts({ now });
+      res.json({ now, ...summary });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * Lists every support ticket. Optional query parameter: userId.
+ */
+app.get(
+  '/api/admin/support',
+  requireAuth,
+  requirePermission('tickets:read_any'),
+  (req, res) => {
+    const { userId } = req.query;
+    const tickets = userId
+      ? SupportTicket.findByUser(parseInt(userId))
+      : SupportTicket.findAll();
+    res.json({ tickets });
+  }
+);
+
+/**
+ * Returns any support ticket with the user who opened it.
+ */
+app.get(
+  '/api/admin/support/:id',
+  requireAuth,
+  requirePermission('tickets:read_any'),
+  (req, res) => {
+    const ticket = SupportTicket.findById(parseInt(req.params.id));
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    res.json({ ticket, user: adminUser(User.findById(ticket.userId)) });
+  }
+);
+
+/**
+ * Returns the platform settings.
+ */
+app.get(
+  '/api/admin/settings',
+  requireAuth,
+  requirePermission('settings:manage'),
+  (req, res) => {
+    const settings = {};
+    Object.entries(SETTING_DEFAULTS).forEach(([key, fallback]) => {
+      settings[key] = Setting.get(key, fallback);
+    });
+    res.json({ settings });
+  }
+);
+
+/**
+ * Updates platform settings. Unknown keys are rejected.
+ *
+ * Expects JSON body: { requireSellerTwoFactor: boolean,
+ *   platformFeePercent: number (0–100) }
+ */
+app.put(
+  '/api/admin/settings',
+  requireAuth,
+  requirePermission('settings:manage'),
+  (req, res) => {
+    const unknown = Object.keys(req.body).filter(
+      (key) => !(key in SETTING_DEFAULTS)
+    );
+    if (unknown.length) {
+      return res
+        .status(400)
+        .json({ error: `Unknown settings: ${unknown.join(', ')}` });
+    }
+    const mistyped = Object.keys(req.body).filter(
+      (key) =>
+        typeof req.body[key] !== typeof SETTING_DEFAULTS[key] ||
+        (key === 'platformFeePercent' && !isPercent(req.body[key]))
+    );
+    if (mistyped.length) {
+      return res
+        .status(400)
+        .json({ error: `Invalid value for: ${mistyped.join(', ')}` });
+    }
+    const settings = {};
+    Object.entries(SETTING_DEFAULTS).forEach(([key, fallback]) => {
+      if (key in req.body) Setting.set(key, req.body[key]);
+      settings[key] = Setting.get(key, fallback);
+    });
+    res.json({ settings });
+  }
+);
+
 // Default route
 app.get('/', (req, res) => {
   res.send('STEB.IO backend is running');
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`STEB.IO backend listening on port ${PORT}`);
-});
+// Start server when run directly; tests mount the app themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`STEB.IO backend listening on port ${PORT}`);
+    startRenewalScheduler();
+    startPayoutScheduler();
+  });
+}
+
+module.exports = app;
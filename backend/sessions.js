@@ -0,0 +1,162 @@
+/*
+ * sessions.js
+ *
+ * Session lifecycle for STEB.IO. Sessions are persisted through the
+ * Session model and checked on every authenticated request:
+ *
+ *   SESSION_TTL           absolute lifetime in seconds (default 30 days)
+ *   SESSION_IDLE_TIMEOUT  seconds of inactivity before a session lapses
+ *                         (default 7 days); each request slides it forward
+ *
+ * A session also dies when it is revoked (logout, per-device revocation,
+ * "log out everywhere") or when the user's password changes after it was
+ * issued.
+ */
+
+const { User, Session, randomToken, hashToken } = require('./models');
+
+const SESSION_TTL_MS =
+  Number(process.env.SESSION_TTL || 30 * 24 * 60 * 60) * 1000;
+const SESSION_IDLE_TIMEOUT_MS =
+  Number(process.env.SESSION_IDLE_TIMEOUT || 7 * 24 * 60 * 60) * 1000;
+
+// lastSeenAt is only written when it is at least this stale, so a burst
+// of requests does not turn into a burst of storage writes.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function clientInfo(req) {
+  return {
+    userAgent: (req && req.headers['user-agent']) || '',
+    ip: (req && req.ip) || '',
+  };
+}
+
+// True once a session has run past its absolute or idle lifetime.
+function lapsed(session, now) {
+  return (
+    session.expiresAt <= now ||
+    now - session.lastSeenAt >= SESSION_IDLE_TIMEOUT_MS
+  );
+}
+
+/**
+ * Returns why a session is no longer usable, or null if it is live.
+ * One of 'revoked', 'password_changed' or 'expired'.
+ */
+function deadReason(session, user, now = new Date()) {
+  if (session.revokedAt) return 'revoked';
+  if (user.passwordChangedAt && session.createdAt < user.passwordChangedAt) {
+    return 'password_changed';
+  }
+  if (lapsed(session, now)) return 'expired';
+  return null;
+}
+
+/**
+ * Opens a new session for `user` and returns { token, session }. The
+ * plain token is only available here.
+ */
+function createSession(user, req) {
+  const now = new Date();
+  // Drop this user's lapsed sessions so the table does not grow forever.
+  // Revoked ones are kept until they would have lapsed anyway, so their
+  // tokens keep reporting "revoked" rather than "invalid".
+  Session.findByUser(user.id).forEach((s) => {
+    if (lapsed(s, now)) s.remove();
+  });
+  const token = randomToken(24);
+  const session = Session.create({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    ...clientInfo(req),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+  });
+  return { token, session };
+}
+
+/**
+ * Resolves a bearer token. Returns { session, user } for a live session
+ * or { error, code } describing why it was rejected.
+ */
+function authenticate(token) {
+  const session = Session.findByTokenHash(hashToken(token));
+  if (!session) {
+    return { error: 'Invalid session', code: 'session_invalid' };
+  }
+  const user = User.findById(session.userId);
+  if (!user) {
+    return { error: 'User not found', code: 'session_invalid' };
+  }
+  const now = new Date();
+  const reason = deadReason(session, user, now);
+  if (reason === 'expired') {
+    return { error: 'Session expired', code: 'session_expired' };
+  }
+  if (reason) {
+    return { error: 'Session has been revoked', code: 'session_revoked' };
+  }
+  if (now - session.lastSeenAt >= TOUCH_INTERVAL_MS) {
+    session.update({ lastSeenAt: now });
+  }
+  return { session, user };
+}
+
+/**
+ * Swaps the token of a live session for a new one. The old token stops
+ * working immediately; the session keeps its id and absolute expiry.
+ */
+function rotateSession(session) {
+  const token = randomToken(24);
+  session.update({ tokenHash: hashToken(token), lastSeenAt: new Date() });
+  return token;
+}
+
+function revokeSession(session, reason = 'logout') {
+  if (session.revokedAt) return;
+  session.update({ revokedAt: new Date(), revokedReason: reason });
+}
+
+function revokeAllSessions(userId, reason = 'logout_all') {
+  Session.findByUser(userId).forEach((s) => revokeSession(s, reason));
+}
+
+/**
+ * Lists a user's live sessions, newest first.
+ */
+function activeSessions(user) {
+  const now = new Date();
+  return Session.findByUser(user.id)
+    .filter((s) => !deadReason(s, user, now))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Public shape of a session for API responses (never the token hash).
+ */
+function sessionJSON(session, currentId) {
+  return {
+    id: session.id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: new Date(
+      Math.min(
+        session.expiresAt.getTime(),
+        session.lastSeenAt.getTime() + SESSION_IDLE_TIMEOUT_MS
+      )
+    ),
+    current: session.id === currentId,
+  };
+}
+
+module.exports = {
+  createSession,
+  authenticate,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  activeSessions,
+  sessionJSON,
+};
@@ -0,0 +1,316 @@
+/*
+ * storage.js
+ *
+ * Storage adapters for the STEB.IO models. Every model keeps its rows in
+ * a named table owned by an adapter instead of a static array, so the
+ * same model code runs against throwaway memory (tests, demos) or a
+ * durable append-only JSON log on disk. The adapter is chosen from
+ * DATABASE_URL:
+ *
+ *   (unset) or memory://       in-memory tables, wiped on restart
+ *   file:./data/stebio.jsonl   append-only JSON log, replayed on boot
+ *
+ * Ids, unique columns and foreign keys are enforced here rather than in
+ * the models, so every write path goes through the same checks. Rows are
+ * copied on the way in and out; callers must persist changes through
+ * update() instead of mutating what they read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Table definitions shared by every adapter. Registered by models.js via
+// defineTable() before the first read or write.
+const schemas = {};
+
+/**
+ * Registers a table.
+ *
+ *   unique:     { field: 'message thrown on duplicate' }; a key such as
+ *               'storeId,code' makes the combination unique
+ *   references: { field: 'otherTable' } (foreign keys, null allowed)
+ *   dates:      ['field'] revived as Date objects when read from disk
+ */
+function defineTable(name, { unique = {}, references = {}, dates = [] } = {}) {
+  schemas[name] = { unique, references, dates };
+}
+
+// Value a row has for a unique key, or null when any part is unset
+// (unset values never collide).
+function uniqueValue(row, key) {
+  const fields = key.split(',');
+  const values = fields.map((field) => row[field]);
+  if (values.some((v) => v === null || v === undefined)) return null;
+  return fields.length === 1 ? values[0] : JSON.stringify(values);
+}
+
+function schemaFor(name) {
+  const schema = schemas[name];
+  if (!schema) throw new Error(`Unknown table: ${name}`);
+  return schema;
+}
+
+/**
+ * MemoryAdapter
+ *
+ * Keeps each table in a Map keyed by id, plus one Map per unique column
+ * mapping the column value back to the owning id. All writes are
+ * expressed as operations ({ op, table, ... }) and funnelled through
+ * _commit() so subclasses can persist them before they are applied.
+ */
+class MemoryAdapter {
+  constructor() {
+    this.tables = {};
+  }
+
+  _table(name) {
+    if (!this.tables[name]) {
+      const schema = schemaFor(name);
+      const indexes = {};
+      Object.keys(schema.unique).forEach((field) => {
+        indexes[field] = new Map();
+      });
+      this.tables[name] = { rows: new Map(), nextId: 1, indexes };
+    }
+    return this.tables[name];
+  }
+
+  // Throws if `row` would break a unique or foreign key constraint.
+  // `selfId` is the id being updated so a row never conflicts with itself.
+  _check(name, row, selfId = null) {
+    const schema = schemaFor(name);
+    const table = this._table(name);
+    Object.entries(schema.unique).forEach(([field, message]) => {
+      const value = uniqueValue(row, field);
+      if (value === null) return;
+      const owner = table.indexes[field].get(value);
+      if (owner !== undefined && owner !== selfId) throw new Error(message);
+    });
+    Object.entries(schema.references).forEach(([field, target]) => {
+      const value = row[field];
+      if (value === null || value === undefined) return;
+      if (!this._table(target).rows.has(value)) {
+        throw new Error(`Invalid ${field}: ${target} ${value} does not exist`);
+      }
+    });
+  }
+
+  // Throws if any other row still points at `name` row `id`.
+  _checkUnreferenced(name, id) {
+    Object.entries(schemas).forEach(([other, schema]) => {
+      Object.entries(schema.references).forEach(([field, target]) => {
+        if (target !== name || !this.tables[other]) return;
+        for (const row of this.tables[other].rows.values()) {
+          if (row[field] === id) {
+            throw new Error(
+              `Cannot delete ${name} ${id}: still referenced by ${other}.${field}`
+            );
+          }
+        }
+      });
+    });
+  }
+
+  _index(name, row, add) {
+    const table = this._table(name);
+    Object.keys(table.indexes).forEach((field) => {
+      const value = uniqueValue(row, field);
+      if (value === null) return;
+      if (add) table.indexes[field].set(value, row.id);
+      else table.indexes[field].delete(value);
+    });
+  }
+
+  // Applies an already validated operation to the in-memory tables.
+  _apply(op) {
+    const table = this._table(op.table);
+    if (op.op === 'insert') {
+      table.rows.set(op.row.id, op.row);
+      table.nextId = Math.max(table.nextId, op.row.id + 1);
+      this._index(op.table, op.row, true);
+    } else if (op.op === 'update') {
+      const current = table.rows.get(op.id);
+      if (!current) return;
+      const next = { ...current, ...op.fields, id: op.id };
+      this._index(op.table, current, false);
+      table.rows.set(op.id, next);
+      this._index(op.table, next, true);
+    } else if (op.op === 'delete') {
+      const current = table.rows.get(op.id);
+      if (!current) return;
+      this._index(op.table, current, false);
+      table.rows.delete(op.id);
+    } else if (op.op === 'sequence') {
+      table.nextId = Math.max(table.nextId, op.nextId);
+    }
+  }
+
+  _commit(op) {
+    this._apply(op);
+  }
+
+  insert(name, fields) {
+    const table = this._table(name);
+    const row = { ...structuredClone(fields), id: table.nextId };
+    this._check(name, row);
+    this._commit({ op: 'insert', table: name, row });
+    return structuredClone(row);
+  }
+
+  update(name, id, fields) {
+    const current = this._table(name).rows.get(id);
+    if (!current) throw new Error(`${name} ${id} does not exist`);
+    const changes = structuredClone(fields);
+    delete changes.id;
+    this._check(name, { ...current, ...changes }, id);
+    this._commit({ op: 'update', table: name, id, fields: changes });
+    return this.get(name, id);
+  }
+
+  remove(name, id) {
+    if (!this._table(name).rows.has(id)) return false;
+    this._checkUnreferenced(name, id);
+    this._commit({ op: 'delete', table: name, id });
+    return true;
+  }
+
+  get(name, id) {
+    const row = this._table(name).rows.get(id);
+    return row ? structuredClone(row) : undefined;
+  }
+
+  all(name) {
+    return [...this._table(name).rows.values()].map((r) => structuredClone(r));
+  }
+
+  filter(name, predicate) {
+    return [...this._table(name).rows.values()]
+      .filter(predicate)
+      .map((r) => structuredClone(r));
+  }
+
+  // Looks a row up by column value, using the unique index when there is
+  // one. Composite unique keys take an array of values in key order.
+  findOne(name, field, value) {
+    const table = this._table(name);
+    if (table.indexes[field]) {
+      const key = Array.isArray(value) ? JSON.stringify(value) : value;
+      const id = table.indexes[field].get(key);
+      return id === undefined ? undefined : this.get(name, id);
+    }
+    for (const row of table.rows.values()) {
+      if (row[field] === value) return structuredClone(row);
+    }
+    return undefined;
+  }
+}
+
+/**
+ * FileAdapter
+ *
+ * A MemoryAdapter whose operations are appended to a JSON-lines log
+ * before being applied. On startup the log is replayed to rebuild the
+ * tables and then rewritten as one insert per live row, so the file
+ * does not grow without bound across restarts. Each table's next id is
+ * written along with its rows, so the ids of deleted rows are never
+ * handed out again.
+ */
+class FileAdapter extends MemoryAdapter {
+  constructor(file) {
+    super();
+    this.file = path.resolve(file);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    if (fs.existsSync(this.file)) {
+      this._replay();
+      this._compact();
+    }
+  }
+
+  _replay() {
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      let op;
+      try {
+        op = JSON.parse(line);
+      } catch (err) {
+        // A torn final line means the process died mid-append; the
+        // operation never completed, so it is safe to drop.
+        if (i >= lines.length - 2) return;
+        throw new Error(`Corrupt storage log ${this.file} at line ${i + 1}`);
+      }
+      this._apply(reviveDates(op));
+    });
+  }
+
+  _compact() {
+    const tmp = `${this.file}.tmp`;
+    const lines = [];
+    Object.entries(this.tables).forEach(([table, { rows, nextId }]) => {
+      lines.push(JSON.stringify({ op: 'sequence', table, nextId }));
+      for (const row of rows.values()) {
+        lines.push(JSON.stringify({ op: 'insert', table, row }));
+      }
+    });
+    fs.writeFileSync(tmp, lines.length ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tmp, this.file);
+  }
+
+  _commit(op) {
+    fs.appendFileSync(this.file, `${JSON.stringify(op)}\n`);
+    this._apply(op);
+  }
+}
+
+// Turns ISO strings back into Dates for the columns a table declares.
+function reviveDates(op) {
+  const { dates } = schemaFor(op.table);
+  const values = op.row || op.fields;
+  if (values) {
+    dates.forEach((field) => {
+      if (values[field]) values[field] = new Date(values[field]);
+    });
+  }
+  return op;
+}
+
+/**
+ * Builds an adapter from a DATABASE_URL style string.
+ */
+function createAdapter(url) {
+  if (!url || url === 'memory:' || url.startsWith('memory://')) {
+    return new MemoryAdapter();
+  }
+  if (url.startsWith('file:')) {
+    return new FileAdapter(url.replace(/^file:(\/\/)?/, ''));
+  }
+  const scheme = url.split(':')[0];
+  throw new Error(`Unsupported DATABASE_URL scheme: ${scheme}`);
+}
+
+let current = null;
+
+/**
+ * Returns the active adapter, creating it from DATABASE_URL on first use.
+ */
+function db() {
+  if (!current) current = createAdapter(process.env.DATABASE_URL);
+  return current;
+}
+
+/**
+ * Replaces the active adapter, e.g. with a fresh MemoryAdapter per test.
+ */
+function useAdapter(adapter) {
+  current = adapter;
+  return adapter;
+}
+
+module.exports = {
+  defineTable,
+  createAdapter,
+  db,
+  useAdapter,
+  MemoryAdapter,
+  FileAdapter,
+};
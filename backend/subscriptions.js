@@ -0,0 +1,349 @@
+/*
+ * subscriptions.js
+ *
+ * Changes buyers make to a running subscription. The time-driven side
+ * (renewals, trial conversion, dunning) lives in renewals.js, which also
+ * carries out what is scheduled here:
+ *
+ *   cancel            the default: cancelAtPeriodEnd is set and access
+ *                     lasts until the paid period (or trial) is over;
+ *                     the order is then 'cancelled' with endedAt at the
+ *                     end of that period and its deliverables revoked
+ *   cancel immediate  'cancelled' now, deliverables revoked, and the
+ *                     unused part of the paid period refunded pro rata
+ *   reactivate        undoes a cancellation at period end
+ *   pause             'paused' for up to the product's maxPauseDays: no
+ *                     billing, deliverables revoked until it resumes;
+ *                     the unused part of the period is kept for later
+ *   resume            'active' again, by hand or at resumesAt; the next
+ *                     billing date moves on by the time spent paused
+ *   change plan       moves to another variant of the product with a
+ *                     new period starting now; the unused part of the
+ *                     old one is credited against the new price and the
+ *                     difference charged, or kept as creditBalance for
+ *                     the next renewals
+ *
+ * Past-due and paused subscriptions have no running paid period, so
+ * cancelling them is always immediate. Each step is recorded in the
+ * order's BillingEvent history.
+ */
+
+const {
+  Order,
+  Product,
+  ProductRevision,
+  Coupon,
+  BillingEvent,
+  LicenseKey,
+} = require('./models');
+const {
+  addInterval,
+  returnCharge,
+  takeDeliverables,
+  revokeDeliverables,
+  restoreDeliverables,
+} = require('./billing');
+const { issueForEvent } = require('./invoices');
+const { postForEvent } = require('./ledger');
+const { getPaymentProvider } = require('./payments');
+const {
+  refundToCard,
+  guardRefund,
+  refundInProgress,
+} = require('./refunds');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses a subscription can be cancelled from
+const CANCELLABLE = ['trialing', 'active', 'past_due', 'paused'];
+
+// Events that start a paid billing period
+const PERIOD_EVENTS = ['payment', 'renewal', 'plan_change'];
+
+// Orders with a plan change waiting on the payment provider
+const changingPlan = new Set();
+
+/**
+ * True while a plan change of the order is waiting on the payment
+ * provider.
+ */
+function planChangeInProgress(order) {
+  return changingPlan.has(order.id);
+}
+
+/**
+ * The billing period the order's latest charge paid for, as { start,
+ * end, value } where value is what the period was worth (card charge
+ * plus credit). Null if nothing was charged.
+ */
+function currentPeriod(order) {
+  const charges = BillingEvent.findByOrder(order.id).filter(
+    (e) => PERIOD_EVENTS.includes(e.type) && e.periodEnd
+  );
+  const last = charges[charges.length - 1];
+  if (!last) return null;
+  return {
+    start: last.periodStart,
+    end: last.periodEnd,
+    value: last.amount + last.credit,
+  };
+}
+
+/**
+ * What the unused rest of the paid period is worth, pro rata by time, in
+ * minor units. A paused subscription is valued as of when it was paused.
+ * Trials and past-due periods were never paid for and are worth nothing.
+ */
+function unusedCredit(order, now = new Date()) {
+  const period = currentPeriod(order);
+  if (
+    !period ||
+    !order.nextBillingAt ||
+    order.status === 'trialing' ||
+    order.status === 'past_due'
+  ) {
+    return 0;
+  }
+  const length = period.end.getTime() - period.start.getTime();
+  const from = (order.pausedAt || now).getTime();
+  const left = Math.min(
+    Math.max(order.nextBillingAt.getTime() - from, 0),
+    length
+  );
+  return Math.round((period.value * left) / length);
+}
+
+// Ends the subscription for good as of `endedAt`.
+function endSubscription(order, endedAt) {
+  order.update({
+    status: 'cancelled',
+    endedAt,
+    nextBillingAt: null,
+    nextRetryAt: null,
+    pausedAt: null,
+    resumesAt: null,
+  });
+  revokeDeliverables(order, endedAt);
+  BillingEvent.record({ order, type: 'cancelled', createdAt: endedAt });
+  return order;
+}
+
+/**
+ * Cancels a subscription, at the end of the paid period unless
+ * `immediate` (or the subscription is past due or paused). Immediate
+ * cancellations refund the unused part of the period and any credit
+ * balance. Resolves to { order, refunds }. Throws if a refund or plan
+ * change of the order is already in progress.
+ */
+async function cancelSubscription(
+  order,
+  { immediate = false, now = new Date(), provider = getPaymentProvider() } = {}
+) {
+  const runsToPeriodEnd =
+    order.status === 'trialing' || order.status === 'active';
+  if (!immediate && runsToPeriodEnd) {
+    if (!order.cancelAtPeriodEnd) {
+      order.update({ cancelAtPeriodEnd: true, cancelRequestedAt: now });
+    }
+    return { order, refunds: [] };
+  }
+  if (changingPlan.has(order.id)) {
+    throw new Error('A plan change is already in progress');
+  }
+  return guardRefund(order, async () => {
+    const refunds = await refundToCard(
+      order,
+      unusedCredit(order, now) + order.creditBalance,
+      { now, provider }
+    );
+    order.update({
+      cancelRequestedAt: order.cancelRequestedAt || now,
+      creditBalance: 0,
+    });
+    endSubscription(order, now);
+    return { order, refunds };
+  });
+}
+
+/**
+ * Carries out a cancellation at period end once the period is over.
+ */
+function finishCancellation(order) {
+  return endSubscription(order, order.nextBillingAt);
+}
+
+/**
+ * Keeps a subscription that was set to cancel at period end.
+ */
+function reactivateSubscription(order) {
+  order.update({ cancelAtPeriodEnd: false, cancelRequestedAt: null });
+  return order;
+}
+
+/**
+ * Pauses an active subscription for `days` days, revoking its
+ * deliverables until it resumes.
+ */
+function pauseSubscription(order, { days, now = new Date() }) {
+  const resumesAt = new Date(now.getTime() + days * DAY_MS);
+  order.update({ status: 'paused', pausedAt: now, resumesAt });
+  revokeDeliverables(order, now);
+  BillingEvent.record({
+    order,
+    type: 'paused',
+    periodStart: now,
+    periodEnd: resumesAt,
+    createdAt: now,
+  });
+  return order;
+}
+
+/**
+ * Resumes a paused subscription as of `now`, giving back the deliverables
+ * the pause revoked and pushing the next billing date back by the time it
+ * was paused.
+ */
+function resumeSubscription(order, now = new Date()) {
+  const pausedFor = Math.max(now.getTime() - order.pausedAt.getTime(), 0);
+  restoreDeliverables(order, order.pausedAt);
+  order.update({
+    status: 'active',
+    nextBillingAt: new Date(order.nextBillingAt.getTime() + pausedFor),
+    pausedAt: null,
+    resumesAt: null,
+  });
+  BillingEvent.record({ order, type: 'resumed', createdAt: now });
+  return order;
+}
+
+/**
+ * Moves a subscription to another variant of its product. The new plan's
+ * first period starts now and the unused part of the current one (plus
+ * any credit balance) is credited against its price: a higher price is
+ * charged to the saved card right away, a lower one leaves the rest as
+ * credit for the next renewals. A trial just carries on with the new
+ * plan. A coupon discount still running carries over if the coupon
+ * applies to the new variant and is dropped otherwise; the new price is
+ * taxed at the order's rate. The old variant's deliverables are revoked
+ * and the new one's granted in the same update; product-wide
+ * deliverables, license keys included, and the affiliate attribution
+ * stay as they are. Resolves to { order, change } with the recorded
+ * BillingEvent, or { order, failureReason } with the order untouched if
+ * the charge is declined. Throws 'Sold out' if the new variant's license
+ * keys have run out, and throws if a refund or another plan change of
+ * the order is in progress. A charge for an order that was cancelled,
+ * refunded or paused while it was out is paid back before throwing.
+ */
+async function changePlan(
+  order,
+  variant,
+  { now = new Date(), provider = getPaymentProvider() } = {}
+) {
+  if (changingPlan.has(order.id)) {
+    throw new Error('A plan change is already in progress');
+  }
+  if (refundInProgress(order)) {
+    throw new Error('A refund is already in progress');
+  }
+  changingPlan.add(order.id);
+  try {
+    const trial = order.status === 'trialing';
+    const product = Product.findById(order.productId);
+    const coupon = order.discount ? Coupon.findById(order.couponId) : null;
+    const discount =
+      coupon && coupon.appliesTo(product, variant)
+        ? coupon.discountOn(variant.price)
+        : 0;
+    const priced = order.taxedPrice(variant.price - discount);
+    const proration = trial ? 0 : unusedCredit(order, now);
+    const available = order.creditBalance + proration;
+    const credit = trial ? 0 : Math.min(available, priced.total);
+    const amount = trial ? 0 : priced.total - credit;
+    // Taken before charging, so a plan whose keys ran out is not paid for
+    const keys = LicenseKey.take(variant, order.id, now);
+    let paymentIntentId = null;
+    if (amount > 0) {
+      let result;
+      try {
+        result = await provider.chargeSavedCard({
+          order,
+          amount,
+          reason: 'plan_change',
+        });
+      } catch (err) {
+        keys.forEach((k) => k.release());
+        throw err;
+      }
+      if (result.status !== 'succeeded') {
+        keys.forEach((k) => k.release());
+        return { order, failureReason: result.failureReason };
+      }
+      const current = Order.findById(order.id);
+      if (
+        current.status !== order.status ||
+        current.cancelAtPeriodEnd !== order.cancelAtPeriodEnd
+      ) {
+        keys.forEach((k) => k.release());
+        await returnCharge(current, {
+          amount,
+          paymentIntentId: result.id,
+          reason: 'order_changed',
+          provider,
+          now,
+        });
+        throw new Error('The subscription changed during the plan change');
+      }
+      paymentIntentId = result.id;
+    }
+    const fromVariantId = order.variantId;
+    const periodEnd = trial
+      ? order.nextBillingAt
+      : addInterval(now, variant.billingInterval);
+    const deliverables = [
+      ...order.deliverables.map((d) =>
+        fromVariantId && d.variantId === fromVariantId && !d.revokedAt
+          ? { ...d, revokedAt: now.toISOString() }
+          : d
+      ),
+      ...takeDeliverables(variant, keys, variant.id),
+    ];
+    order.update({
+      variantId: variant.id,
+      productRevisionId: ProductRevision.current(product).id,
+      ...priced,
+      discount,
+      nextBillingAt: periodEnd,
+      creditBalance: trial ? order.creditBalance : available - credit,
+      deliverables,
+    });
+    const change = BillingEvent.record({
+      order,
+      type: 'plan_change',
+      amount,
+      credit,
+      paymentIntentId,
+      periodStart: trial ? null : now,
+      periodEnd: trial ? null : periodEnd,
+      details: { fromVariantId, toVariantId: variant.id, proration },
+      createdAt: now,
+    });
+    issueForEvent(order, change);
+    postForEvent(order, change);
+    return { order, change };
+  } finally {
+    changingPlan.delete(order.id);
+  }
+}
+
+module.exports = {
+  CANCELLABLE,
+  currentPeriod,
+  unusedCredit,
+  cancelSubscription,
+  finishCancellation,
+  reactivateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  changePlan,
+  planChangeInProgress,
+};
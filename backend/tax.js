@@ -0,0 +1,218 @@
+/*
+ * tax.js
+ *
+ * Sales tax and VAT on digital goods. Prices are set before tax; what is
+ * added to them depends on where the buyer is, which they give at
+ * checkout as a country (ISO 3166-1 alpha-2) and, for countries taxed by
+ * region such as the United States, a region ("US" + "TX"). The rates
+ * come from a local table: DEFAULT_RATES, with TAX_RATES ("DE=19,
+ * US-TX=6.25": percent per country or country-region) laid over it. A
+ * region without a rate of its own falls back to its country's; places
+ * missing from the table are not taxed.
+ *
+ * Business buyers in the EU can give a VAT ID. It is checked against the
+ * format of their country's IDs only, not looked up with VIES. A valid ID
+ * reverse-charges the VAT: none is added and the buyer accounts for it
+ * themselves, except in TAX_HOME_COUNTRY, the platform's own country,
+ * where the local rate still applies.
+ */
+
+const { percentOf } = require('./money');
+
+// VAT ID formats after the country prefix (Greece's is EL)
+const VAT_ID_FORMATS = {
+  AT: /^U\d{8}$/,
+  BE: /^[01]\d{9}$/,
+  BG: /^\d{9,10}$/,
+  CY: /^\d{8}[A-Z]$/,
+  CZ: /^\d{8,10}$/,
+  DE: /^\d{9}$/,
+  DK: /^\d{8}$/,
+  EE: /^\d{9}$/,
+  EL: /^\d{9}$/,
+  ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^\d{8}$/,
+  FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  HR: /^\d{11}$/,
+  HU: /^\d{8}$/,
+  IE: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^\d{11}$/,
+  LT: /^(\d{9}|\d{12})$/,
+  LU: /^\d{8}$/,
+  LV: /^\d{11}$/,
+  MT: /^\d{8}$/,
+  NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/,
+  PT: /^\d{9}$/,
+  RO: /^\d{2,10}$/,
+  SE: /^\d{12}$/,
+  SI: /^\d{8}$/,
+  SK: /^\d{10}$/,
+};
+
+// Standard rates for digital goods, in percent. US states tax them at
+// the state rate here; local sales taxes are not included.
+const DEFAULT_RATES = {
+  AT: 20,
+  BE: 21,
+  BG: 20,
+  CY: 19,
+  CZ: 21,
+  DE: 19,
+  DK: 25,
+  EE: 24,
+  ES: 21,
+  FI: 25.5,
+  FR: 20,
+  GR: 24,
+  HR: 25,
+  HU: 27,
+  IE: 23,
+  IT: 22,
+  LT: 21,
+  LU: 17,
+  LV: 21,
+  MT: 18,
+  NL: 21,
+  PL: 23,
+  PT: 23,
+  RO: 21,
+  SE: 25,
+  SI: 22,
+  SK: 23,
+  GB: 20,
+  NO: 25,
+  CH: 8.1,
+  AU: 10,
+  'US-IN': 7,
+  'US-NJ': 6.625,
+  'US-NY': 4,
+  'US-OH': 5.75,
+  'US-PA': 6,
+  'US-TN': 7,
+  'US-TX': 6.25,
+  'US-UT': 6.1,
+  'US-WA': 6.5,
+};
+
+/**
+ * Upper-cases and validates a country code. Throws on anything but two
+ * letters.
+ */
+function normaliseCountry(code) {
+  const country = String(code || '')
+    .trim()
+    .toUpperCase();
+  if (!/^[A-Z]{2}$/.test(country)) {
+    throw new Error('Please choose your country');
+  }
+  return country;
+}
+
+function parseTaxRates(text) {
+  const table = { ...DEFAULT_RATES };
+  String(text || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [place, value] = pair.split('=');
+      const rate = Number(value);
+      const key = place.trim().toUpperCase();
+      if (!/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/.test(key) || !(rate >= 0)) {
+        throw new Error(`Invalid tax rate: ${pair}`);
+      }
+      table[key] = rate;
+    });
+  return table;
+}
+
+let rates = parseTaxRates(process.env.TAX_RATES);
+
+const HOME_COUNTRY = process.env.TAX_HOME_COUNTRY
+  ? normaliseCountry(process.env.TAX_HOME_COUNTRY)
+  : null;
+
+/**
+ * Replaces the rate table, e.g. in tests. Takes { DE: 19, 'US-TX':
+ * 6.25, ... }.
+ */
+function useTaxRates(table) {
+  rates = { ...table };
+  return rates;
+}
+
+// Countries whose tax depends on the region, going by the rate table
+function taxedByRegion(country) {
+  return Object.keys(rates).some((place) => place.startsWith(`${country}-`));
+}
+
+/**
+ * Normalises an EU VAT ID for `country`, with or without its country
+ * prefix and ignoring spaces, dots and dashes, to the prefixed form
+ * ("DE123456789"). Throws if the country has no VAT IDs or the ID does
+ * not match their format.
+ */
+function validateVatId(country, vatId) {
+  const prefix = country === 'GR' ? 'EL' : country;
+  const format = VAT_ID_FORMATS[prefix];
+  if (!format) throw new Error('VAT IDs are only taken for EU countries');
+  let id = String(vatId || '')
+    .replace(/[\s.-]/g, '')
+    .toUpperCase();
+  if (id.startsWith(prefix)) id = id.slice(prefix.length);
+  if (!format.test(id)) {
+    throw new Error(`This is not a valid VAT ID for ${country}`);
+  }
+  return prefix + id;
+}
+
+/**
+ * Works out the tax for a buyer in `country` (and `region`, required
+ * where the rate depends on it), optionally buying as a business with
+ * `vatId`. Returns { country, region, vatId, rate, reverseCharge }: rate
+ * is the percent added to prices, 0 when reverse-charged. Throws on an
+ * invalid country, region or VAT ID.
+ */
+function taxLocation({ country, region = null, vatId = null }) {
+  const place = normaliseCountry(country);
+  let area = null;
+  if (taxedByRegion(place)) {
+    area = String(region || '')
+      .trim()
+      .toUpperCase();
+    if (!/^[A-Z0-9]{1,3}$/.test(area)) {
+      throw new Error('Please choose your state or region');
+    }
+  }
+  const id = vatId ? validateVatId(place, vatId) : null;
+  const reverseCharge = !!id && place !== HOME_COUNTRY;
+  const rate =
+    area && `${place}-${area}` in rates
+      ? rates[`${place}-${area}`]
+      : rates[place] || 0;
+  return {
+    country: place,
+    region: area,
+    vatId: id,
+    rate: reverseCharge ? 0 : rate,
+    reverseCharge,
+  };
+}
+
+/**
+ * Adds tax at `rate` percent to a price before tax. Returns { subtotal,
+ * tax, total } in minor units.
+ */
+function taxedPrice(price, rate = 0) {
+  const tax = percentOf(price, rate);
+  return { subtotal: price, tax, total: price + tax };
+}
+
+module.exports = {
+  normaliseCountry,
+  useTaxRates,
+  validateVatId,
+  taxLocation,
+  taxedPrice,
+};
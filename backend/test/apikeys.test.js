@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  login,
+  serve,
+} = require('./helpers');
+const { User, ApiKey } = require('../models');
+
+async function issueKey(api, store, body) {
+  const owner = User.findById(store.ownerId);
+  const res = await api(`/api/store/${store.id}/api-keys`, {
+    method: 'POST',
+    token: login(owner),
+    body: { name: 'Script', ...body },
+  });
+  return res.body;
+}
+
+test('a key only reaches routes its scopes cover', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const store = await makeStore();
+  const { key, apiKey } = await issueKey(api, store, {
+    scopes: ['products:read'],
+  });
+  assert.match(key, /^stb_[0-9a-f]{8}_/);
+  assert.equal(apiKey.prefix, key.split('_').slice(0, 2).join('_'));
+  assert.equal('keyHash' in apiKey, false);
+  let res = await api(`/api/store/${store.id}/products`, { token: key });
+  assert.equal(res.status, 200);
+  res = await api(`/api/store/${store.id}/coupons`, { token: key });
+  assert.deepEqual(res.body, {
+    error: 'API key is missing the coupons:read scope',
+    code: 'api_key_scope',
+  });
+  res = await api('/api/auth/me', { token: key });
+  assert.equal(res.body.error, 'API keys cannot be used for this endpoint');
+  const other = await makeStore();
+  res = await api(`/api/store/${other.id}/products`, { token: key });
+  assert.equal(res.status, 403);
+});
+
+test('revoked and expired keys stop working', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const store = await makeStore();
+  const owner = User.findById(store.ownerId);
+  const revoked = await issueKey(api, store, { scopes: ['orders:read'] });
+  await api(`/api/store/${store.id}/api-keys/${revoked.apiKey.id}`, {
+    method: 'DELETE',
+    token: login(owner),
+  });
+  let res = await api(`/api/store/${store.id}/orders`, { token: revoked.key });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, 'api_key_revoked');
+  const expiring = await issueKey(api, store, {
+    scopes: ['orders:read'],
+    expiresInDays: 30,
+  });
+  ApiKey.findById(expiring.apiKey.id).update({
+    expiresAt: new Date(Date.now() - 1000),
+  });
+  res = await api(`/api/store/${store.id}/orders`, { token: expiring.key });
+  assert.equal(res.body.code, 'api_key_expired');
+  res = await api(`/api/store/${store.id}/orders`, { token: 'stb_x_y' });
+  assert.equal(res.body.code, 'api_key_invalid');
+});
+
+test('keys need known scopes and the store owner', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const store = await makeStore();
+  let body = await issueKey(api, store, { scopes: ['everything'] });
+  assert.deepEqual(body, { error: 'Unknown scope: everything' });
+  body = await issueKey(api, store, { scopes: [] });
+  assert.deepEqual(body, { error: 'At least one scope is required' });
+  const res = await api(`/api/store/${store.id}/api-keys`, {
+    method: 'POST',
+    token: login(await makeUser({ isSeller: true })),
+    body: { name: 'Script', scopes: ['orders:read'] },
+  });
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  settle,
+  buy,
+  login,
+  serve,
+} = require('./helpers');
+const { Cart, Order, LicenseKey } = require('../models');
+
+async function listing(price, fields = {}) {
+  const store = await makeStore();
+  const { product, variants } = makeProduct(store, {
+    ...fields,
+    variants: [{ name: 'Once', price, type: 'one_time' }],
+  });
+  return { store, product, variant: variants[0] };
+}
+
+test('a guest cart is merged into the buyer cart on login', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const kept = await listing(1000);
+  const added = await listing(2000);
+  const user = await makeUser();
+  const token = login(user);
+  await api('/api/cart/items', {
+    method: 'POST',
+    token,
+    body: { productId: kept.product.id },
+  });
+  const first = await api('/api/cart/items', {
+    method: 'POST',
+    body: { productId: added.product.id },
+  });
+  assert.equal(first.status, 201);
+  const { cartToken } = first.body;
+  const guest = await api('/api/cart/items', {
+    method: 'POST',
+    headers: { 'X-Cart-Token': cartToken },
+    body: { productId: kept.product.id },
+  });
+  assert.equal(guest.body.cart.items.length, 2);
+  const res = await api('/api/auth/login', {
+    method: 'POST',
+    body: { email: user.email, password: 'password', cartToken },
+  });
+  assert.equal(res.status, 200);
+  const { body } = await api('/api/cart', { token });
+  assert.deepEqual(
+    body.cart.items.map((i) => i.product.id).sort((a, b) => a - b),
+    [kept.product.id, added.product.id]
+  );
+  assert.equal(Cart.findByGuestToken(cartToken), undefined);
+});
+
+test('a cart is checked out with one payment across stores', async (t) => {
+  const provider = freshWorld();
+  const api = await serve(t);
+  const referrer = await makeUser();
+  const first = await listing(1000, { affiliatePercent: 10 });
+  const second = await listing(3000, { affiliatePercent: 20 });
+  const token = login(await makeUser());
+  for (const { product } of [first, second]) {
+    await api('/api/cart/items', {
+      method: 'POST',
+      token,
+      body: { productId: product.id, referralCode: referrer.referralCode },
+    });
+  }
+  const res = await api('/api/cart/checkout', {
+    method: 'POST',
+    token,
+    body: { country: 'DE' },
+  });
+  assert.equal(res.status, 200);
+  const { checkout, orders, stores } = res.body;
+  assert.deepEqual(
+    stores.map((s) => [s.storeId, s.orderIds.length]),
+    [
+      [first.store.id, 1],
+      [second.store.id, 1],
+    ]
+  );
+  assert.equal(checkout.total, orders.reduce((sum, o) => sum + o.total, 0));
+  assert.deepEqual(
+    orders.map((o) => [o.affiliateReferrerId, o.affiliateCommission]),
+    [
+      [referrer.id, 100],
+      [referrer.id, 600],
+    ]
+  );
+  settle(provider, { id: checkout.paymentSessionId });
+  assert.deepEqual(
+    orders.map((o) => Order.findById(o.id).status),
+    ['active', 'active']
+  );
+  const after = await api('/api/cart', { token });
+  assert.deepEqual(after.body.cart.items, []);
+});
+
+test('a cart item selling out at checkout answers 409', async (t) => {
+  const provider = freshWorld();
+  const api = await serve(t);
+  const store = await makeStore();
+  const { product, variants } = makeProduct(store, {
+    deliverables: [{ type: 'license_keys', details: { keys: ['K1'] } }],
+    variants: [{ name: 'Once', price: 1000, type: 'one_time' }],
+  });
+  const token = login(await makeUser());
+  await api('/api/cart/items', {
+    method: 'POST',
+    token,
+    body: { productId: product.id },
+  });
+  await buy(provider, await makeUser(), product, variants[0]);
+  // The last key goes after the cart was priced
+  t.mock.method(LicenseKey, 'soldOut', () => false);
+  const res = await api('/api/cart/checkout', {
+    method: 'POST',
+    token,
+    body: { country: 'DE' },
+  });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'sold_out');
+  const [, late] = Order.findAll();
+  assert.equal(late.status, 'failed');
+});
@@ -0,0 +1,259 @@
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  placeOrder,
+  settle,
+  buy,
+  login,
+  serve,
+} = require('./helpers');
+const { Order, BillingEvent, WebhookEvent } = require('../models');
+const { handlePaymentEvent } = require('../billing');
+const {
+  StripeProvider,
+  signPayload,
+  paymentProviderName,
+} = require('../payments');
+
+async function keyProduct(keys) {
+  const store = await makeStore();
+  return makeProduct(store, {
+    deliverables: [{ type: 'license_keys', details: { keys } }],
+    variants: [{ name: 'Once', price: 2500, type: 'one_time' }],
+  });
+}
+
+// A payment_intent.succeeded event as Stripe would send it
+function paymentSucceeded(order, { amount = order.total } = {}) {
+  return {
+    id: `evt_${Math.random().toString(36).slice(2)}`,
+    type: 'payment_intent.succeeded',
+    data: {
+      object: {
+        object: 'payment_intent',
+        id: `pi_${order.id}_late`,
+        amount,
+        currency: order.currency.toLowerCase(),
+        metadata: { orderId: String(order.id) },
+      },
+    },
+  };
+}
+
+function eventTypes(order) {
+  return BillingEvent.findByOrder(order.id).map((e) => e.type);
+}
+
+test('a paid checkout is fulfilled once', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await keyProduct(['K1']);
+  const buyer = await makeUser();
+  const { order, session } = await placeOrder(
+    provider,
+    buyer,
+    product,
+    variants[0]
+  );
+  assert.equal(order.status, 'pending');
+  const results = settle(provider, session);
+  assert.ok(results.every((r) => !r.duplicate));
+  const paid = Order.findById(order.id);
+  assert.equal(paid.status, 'active');
+  assert.ok(paid.paidAt);
+  assert.deepEqual(paid.deliverables.map((d) => d.key), ['K1']);
+  assert.deepEqual(eventTypes(paid), ['payment']);
+});
+
+test('a declined checkout fails the order', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await keyProduct(['K1']);
+  const { order, session } = await placeOrder(
+    provider,
+    await makeUser(),
+    product,
+    variants[0]
+  );
+  settle(provider, session, false);
+  const failed = Order.findById(order.id);
+  assert.equal(failed.status, 'failed');
+  assert.deepEqual(failed.deliverables, []);
+  assert.deepEqual(eventTypes(failed), []);
+});
+
+test('redelivered events are acknowledged but not applied', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await keyProduct(['K1', 'K2']);
+  const order = await buy(provider, await makeUser(), product, variants[0]);
+  const event = paymentSucceeded(order);
+  handlePaymentEvent('mock', event);
+  assert.deepEqual(handlePaymentEvent('mock', event), { duplicate: true });
+  assert.deepEqual(eventTypes(order), ['payment']);
+});
+
+test('checkout through the routes and the mock payment page', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const { product } = await keyProduct(['K1']);
+  const token = login(await makeUser());
+  let res = await api('/api/checkout', {
+    method: 'POST',
+    token,
+    body: { productId: product.id, country: 'DE' },
+  });
+  const { order, checkoutUrl } = res.body;
+  assert.equal(order.status, 'pending');
+  const page = new URL(checkoutUrl).pathname;
+  assert.match((await api(page)).body, /Mock checkout/);
+  res = await api(`${page}/pay`, { method: 'POST' });
+  assert.equal(res.status, 302);
+  res = await api('/api/orders', { token });
+  assert.deepEqual(res.body.orders.map((o) => o.status), ['active']);
+});
+
+test('webhooks need a valid signature', async (t) => {
+  const provider = freshWorld();
+  const api = await serve(t);
+  const { product, variants } = await keyProduct(['K1']);
+  const { order } = await placeOrder(
+    provider,
+    await makeUser(),
+    product,
+    variants[0]
+  );
+  const body = JSON.stringify(paymentSucceeded(order));
+  const post = (signature) =>
+    api('/api/stripe/webhook', {
+      method: 'POST',
+      headers: { 'Stripe-Signature': signature },
+      body,
+    });
+  let res = await post(signPayload(body, 'whsec_other'));
+  assert.deepEqual(res.body, { error: 'Invalid webhook signature' });
+  assert.equal(Order.findById(order.id).status, 'pending');
+  res = await post(signPayload(body, 'whsec_test'));
+  assert.deepEqual(res.body, { received: true, duplicate: false });
+  assert.equal(Order.findById(order.id).status, 'active');
+});
+
+test('the mock provider is only used when asked for', (t) => {
+  const saved = { PAYMENT_PROVIDER: 'mock', NODE_ENV: process.env.NODE_ENV };
+  t.after(() => {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+  delete process.env.PAYMENT_PROVIDER;
+  assert.equal(paymentProviderName(), 'stripe');
+  process.env.PAYMENT_PROVIDER = 'mock';
+  process.env.NODE_ENV = 'production';
+  assert.throws(paymentProviderName, /cannot be used in production/);
+});
+
+test('a late payment for keys sold since is paid back', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await keyProduct(['K1']);
+  const { order, session } = await placeOrder(
+    provider,
+    await makeUser(),
+    product,
+    variants[0]
+  );
+  settle(provider, session, false);
+  assert.equal(Order.findById(order.id).status, 'failed');
+  const current = product.constructor.findById(product.id);
+  await buy(provider, await makeUser(), current, variants[0]);
+  const event = paymentSucceeded(order);
+  const result = handlePaymentEvent('mock', event);
+  await result.returned;
+  assert.ok(WebhookEvent.find('mock', event.id));
+  const failed = Order.findById(order.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.failureReason, 'sold_out');
+  assert.deepEqual(failed.deliverables, []);
+  assert.deepEqual(eventTypes(failed), [
+    'payment_rejected',
+    'payment_returned',
+  ]);
+  // The session reporting the same payment does not pay it back twice
+  const again = paymentSucceeded(order);
+  await handlePaymentEvent('mock', again).returned;
+  assert.equal(BillingEvent.findByOrder(order.id).length, 2);
+});
+
+test('a payment of the wrong amount is paid back', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await keyProduct(['K1']);
+  const { order } = await placeOrder(
+    provider,
+    await makeUser(),
+    product,
+    variants[0]
+  );
+  const result = handlePaymentEvent(
+    'mock',
+    paymentSucceeded(order, { amount: 100 })
+  );
+  await result.returned;
+  const failed = Order.findById(order.id);
+  assert.equal(failed.failureReason, 'amount_mismatch');
+  const [rejected, returned] = BillingEvent.findByOrder(order.id);
+  assert.deepEqual(
+    [rejected.type, rejected.amount, returned.type],
+    ['payment_rejected', 100, 'payment_returned']
+  );
+  // Its key can be sold again
+  const current = product.constructor.findById(product.id);
+  const next = await buy(provider, await makeUser(), current, variants[0]);
+  assert.equal(next.deliverables[0].key, 'K1');
+});
+
+test('Stripe is sent the idempotency key of each money movement', async (t) => {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push([req.url, req.headers['idempotency-key']]);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ id: 'obj_1', status: 'succeeded' }));
+  });
+  server.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once('listening', resolve));
+  const stripe = new StripeProvider({
+    secretKey: 'sk_test',
+    apiBase: `http://127.0.0.1:${server.address().port}/v1`,
+  });
+  const order = {
+    id: 7,
+    currency: 'USD',
+    paymentCustomerId: 'cus_1',
+    paymentMethodId: 'pm_1',
+  };
+  await stripe.chargeSavedCard({
+    order,
+    amount: 100,
+    reason: 'renewal',
+    idempotencyKey: 'renewal_7',
+  });
+  await stripe.refund({
+    order,
+    paymentIntentId: 'pi_1',
+    amount: 100,
+    idempotencyKey: 'refund_pi_1_0',
+  });
+  await stripe.transfer({
+    payout: { id: 3, amount: 100, currency: 'USD' },
+    store: { id: 2, stripeAccountId: 'acct_1' },
+  });
+  assert.deepEqual(seen, [
+    ['/v1/payment_intents', 'renewal_7'],
+    ['/v1/refunds', 'refund_pi_1_0'],
+    ['/v1/transfers', 'payout_3'],
+  ]);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  buy,
+  login,
+  serve,
+} = require('./helpers');
+const { Store, Payout } = require('../models');
+const { orderTerms } = require('../checkout');
+const { runPayouts } = require('../ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A store that has not onboarded yet, with a token of its owner
+async function newStore() {
+  const owner = await makeUser({ isSeller: true });
+  const store = Store.create({ ownerId: owner.id, name: 'Store' });
+  return { store, token: login(owner) };
+}
+
+// Follows an onboarding link through the mock hosted page
+async function onboard(api, url, outcome) {
+  const { pathname } = new URL(url);
+  const page = await api(pathname);
+  assert.equal(page.status, 200);
+  return api(`${pathname}/${outcome}`, { method: 'POST' });
+}
+
+test('a store sells once onboarding enables payouts', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const { store, token } = await newStore();
+  const product = {
+    storeId: store.id,
+    title: 'Product',
+    price: 1000,
+    type: 'one_time',
+  };
+  const early = await api('/api/products', {
+    method: 'POST',
+    token,
+    body: product,
+  });
+  assert.equal(early.status, 403);
+  const path = `/api/store/${store.id}/connect`;
+  const started = await api(path, { method: 'POST', token });
+  assert.equal(started.status, 200);
+  const { accountId } = started.body.connect;
+  assert.match(accountId, /^acct_mock_/);
+  assert.equal(started.body.connect.payoutsEnabled, false);
+  const left = await onboard(api, started.body.url, 'leave');
+  assert.equal(left.status, 302);
+  const status = await api(path, { token });
+  assert.equal(status.body.connect.payoutsEnabled, false);
+  const again = await api(path, { method: 'POST', token });
+  assert.equal(again.body.connect.accountId, accountId);
+  const stale = await onboard(api, started.body.url, 'finish');
+  assert.equal(stale.status, 409);
+  await onboard(api, again.body.url, 'finish');
+  const { connect } = (await api(path, { token })).body;
+  assert.equal(connect.payoutsEnabled, true);
+  assert.deepEqual(connect.requirements.currentlyDue, []);
+  const created = await api('/api/products', {
+    method: 'POST',
+    token,
+    body: product,
+  });
+  assert.equal(created.status, 200);
+});
+
+test('a store without payouts takes no orders', async () => {
+  freshWorld();
+  const { store } = await newStore();
+  const { product, variants } = makeProduct(store, {
+    variants: [{ name: 'Once', price: 1000, type: 'one_time' }],
+  });
+  const terms = orderTerms({ product, variant: variants[0] });
+  assert.equal(terms.error, 'This store cannot take orders yet');
+});
+
+test('payouts skip stores whose payouts are disabled', async () => {
+  const provider = freshWorld();
+  const stores = [await makeStore(), await makeStore()];
+  for (const store of stores) {
+    const { product, variants } = makeProduct(store, {
+      variants: [{ name: 'Once', price: 1000, type: 'one_time' }],
+    });
+    await buy(provider, await makeUser(), product, variants[0]);
+  }
+  const [enabled, disabled] = stores;
+  disabled.update({ payoutsEnabled: false });
+  const now = new Date(Date.now() + 8 * DAY_MS);
+  const { paid } = await runPayouts({ now, provider });
+  assert.deepEqual(
+    paid.map((id) => Payout.findById(id).storeId),
+    [enabled.id]
+  );
+  assert.deepEqual(Payout.findByStore(disabled.id), []);
+});
@@ -0,0 +1,251 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  placeOrder,
+  settle,
+  buy,
+  login,
+  serve,
+} = require('./helpers');
+const {
+  User,
+  Product,
+  Variant,
+  ProductRevision,
+  Coupon,
+  Order,
+  BillingEvent,
+} = require('../models');
+const { orderTerms } = require('../checkout');
+const { runRenewals } = require('../renewals');
+
+async function shop({ affiliatePercent = 0 } = {}) {
+  const store = await makeStore();
+  const { product, variants } = makeProduct(store, {
+    affiliatePercent,
+    variants: [
+      { name: 'Once', price: 4000, type: 'one_time' },
+      {
+        name: 'Monthly',
+        price: 2000,
+        type: 'subscription',
+        billingInterval: 'monthly',
+      },
+    ],
+  });
+  const plan = (name) => variants.find((v) => v.name === name);
+  return { store, product, once: plan('Once'), monthly: plan('Monthly') };
+}
+
+test('a coupon prices the order and its commission', async () => {
+  freshWorld();
+  const { store, product, once } = await shop({ affiliatePercent: 10 });
+  Coupon.create({ storeId: store.id, code: 'launch', percentOff: 25 });
+  Coupon.create({
+    storeId: store.id,
+    code: 'FIVE',
+    amountOff: 500,
+    currency: 'USD',
+  });
+  const referrer = await makeUser();
+  const terms = orderTerms({
+    user: await makeUser(),
+    product,
+    variant: once,
+    couponCode: ' Launch ',
+    referralCode: referrer.referralCode,
+  });
+  assert.equal(terms.discount, 1000);
+  assert.equal(terms.total, 3000);
+  assert.equal(terms.affiliateCommission, 300);
+  const fixed = orderTerms({ product, variant: once, couponCode: 'five' });
+  assert.equal(fixed.total, 3500);
+});
+
+test('a first-period coupon ends with the first charge', async () => {
+  const provider = freshWorld();
+  const { store, product, monthly } = await shop();
+  Coupon.create({
+    storeId: store.id,
+    code: 'ONCE',
+    amountOff: 500,
+    currency: 'USD',
+  });
+  Coupon.create({
+    storeId: store.id,
+    code: 'ALWAYS',
+    amountOff: 500,
+    currency: 'USD',
+    duration: 'forever',
+  });
+  const renewals = [];
+  for (const couponCode of ['ONCE', 'ALWAYS']) {
+    const order = await buy(provider, await makeUser(), product, monthly, {
+      couponCode,
+    });
+    await runRenewals({ now: order.nextBillingAt });
+    const renewal = BillingEvent.findByOrder(order.id).find(
+      (e) => e.type === 'renewal'
+    );
+    renewals.push(renewal.amount);
+  }
+  assert.deepEqual(renewals, [2000, 1500]);
+});
+
+test('a coupon is refused outside its window and product', async () => {
+  freshWorld();
+  const { store, product, once, monthly } = await shop();
+  const now = new Date();
+  const reason = (fields) =>
+    Coupon.create({ storeId: store.id, ...fields }).unavailableReason({
+      product,
+      variant: once,
+      now,
+    });
+  const later = new Date(now.getTime() + 60 * 1000);
+  assert.equal(
+    reason({ code: 'SOON', percentOff: 10, startsAt: later }),
+    'This code is not valid'
+  );
+  assert.equal(
+    reason({ code: 'OVER', percentOff: 10, endsAt: now }),
+    'This code has expired'
+  );
+  assert.equal(
+    reason({
+      code: 'PLAN',
+      percentOff: 10,
+      productId: product.id,
+      variantId: monthly.id,
+    }),
+    'This code does not apply to this product'
+  );
+});
+
+test('paid orders use up a coupon', async () => {
+  const provider = freshWorld();
+  const { store, product, once } = await shop();
+  const coupon = Coupon.create({
+    storeId: store.id,
+    code: 'TWICE',
+    percentOff: 10,
+    maxRedemptions: 2,
+    perCustomerLimit: 1,
+  });
+  const buyer = await makeUser();
+  await buy(provider, buyer, product, once, { couponCode: 'TWICE' });
+  const again = orderTerms({
+    user: buyer,
+    product,
+    variant: once,
+    couponCode: 'TWICE',
+  });
+  assert.equal(again.error, 'You have already used this code');
+  await buy(provider, await makeUser(), product, once, {
+    couponCode: 'TWICE',
+  });
+  const third = orderTerms({
+    user: await makeUser(),
+    product,
+    variant: once,
+    couponCode: 'TWICE',
+  });
+  assert.equal(third.error, 'This code has been used up');
+  assert.equal(coupon.redemptions().length, 2);
+});
+
+test('sellers see redemption counts', async (t) => {
+  const provider = freshWorld();
+  const api = await serve(t);
+  const { store, product, once } = await shop();
+  const token = login(User.findById(store.ownerId));
+  const created = await api(`/api/store/${store.id}/coupons`, {
+    method: 'POST',
+    token,
+    body: { code: 'spring', amountOff: '5.00', productId: product.id },
+  });
+  assert.equal(created.body.coupon.code, 'SPRING');
+  assert.equal(created.body.coupon.amountOff, 500);
+  await placeOrder(provider, await makeUser(), product, once, {
+    couponCode: 'SPRING',
+  });
+  await buy(provider, await makeUser(), product, once, {
+    couponCode: 'SPRING',
+  });
+  const { body } = await api(`/api/store/${store.id}/coupons`, { token });
+  assert.deepEqual(
+    body.coupons.map((c) => [c.code, c.redemptions]),
+    [['SPRING', 1]]
+  );
+  assert.equal(Order.findAll().length, 2);
+});
+
+test('products and plans with coupons are not deleted', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const { store, product, once, monthly } = await shop();
+  const token = login(User.findById(store.ownerId));
+  Coupon.create({
+    storeId: store.id,
+    code: 'PLAN',
+    percentOff: 10,
+    productId: product.id,
+    variantId: monthly.id,
+  });
+  const plan = await api(`/api/products/${product.id}/variants/${monthly.id}`, {
+    method: 'DELETE',
+    token,
+  });
+  assert.equal(plan.status, 409);
+  const res = await api(`/api/products/${product.id}`, {
+    method: 'DELETE',
+    token,
+  });
+  assert.equal(res.status, 409);
+  assert.match(res.body.error, /coupons/);
+  assert.ok(Product.findById(product.id));
+  assert.deepEqual(
+    Variant.findByProduct(product.id).map((v) => v.id),
+    [once.id, monthly.id]
+  );
+  assert.equal(ProductRevision.findByProduct(product.id).length, 1);
+});
+
+test('a payment over the coupon limit is paid back', async () => {
+  const provider = freshWorld();
+  const { store, product, once } = await shop();
+  Coupon.create({
+    storeId: store.id,
+    code: 'FIRST',
+    percentOff: 10,
+    maxRedemptions: 1,
+  });
+  const placed = [];
+  for (let i = 0; i < 2; i += 1) {
+    placed.push(
+      await placeOrder(provider, await makeUser(), product, once, {
+        couponCode: 'FIRST',
+      })
+    );
+  }
+  const [first, second] = placed;
+  settle(provider, first.session);
+  const [result] = settle(provider, second.session);
+  await result.returned;
+  assert.equal(Order.findById(first.order.id).status, 'active');
+  const late = Order.findById(second.order.id);
+  assert.equal(late.status, 'failed');
+  assert.equal(late.failureReason, 'coupon_used_up');
+  const events = BillingEvent.findByOrder(late.id);
+  assert.deepEqual(
+    events.map((e) => [e.type, e.amount]),
+    [
+      ['payment_rejected', 3600],
+      ['payment_returned', 3600],
+    ]
+  );
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { freshWorld, mailTo, tokenMailedTo, serve } = require('./helpers');
+const { User, AuthToken } = require('../models');
+
+const VERIFY = /Verify/;
+const RESET = /Reset/;
+
+async function register(api, email) {
+  const res = await api('/api/auth/register', {
+    method: 'POST',
+    body: { email, password: 'password', name: 'Ann' },
+  });
+  assert.equal(res.status, 200);
+  // The verification mail is sent after the response
+  await new Promise((resolve) => setImmediate(resolve));
+  return res.body.token;
+}
+
+test('signing up mails a link that verifies the address once', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const session = await register(api, 'ann@example.com');
+  assert.equal(User.findByEmail('ann@example.com').verifiedAt, null);
+  const token = tokenMailedTo('ann@example.com', VERIFY);
+  let res = await api('/api/auth/verify-email', {
+    method: 'POST',
+    body: { token },
+  });
+  assert.equal(res.status, 200);
+  assert.ok(User.findByEmail('ann@example.com').verifiedAt);
+  res = await api('/api/auth/verify-email', {
+    method: 'POST',
+    body: { token },
+  });
+  assert.deepEqual(res.body, { error: 'Token has already been used' });
+  res = await api('/api/auth/resend-verification', {
+    method: 'POST',
+    token: session,
+  });
+  assert.deepEqual(res.body, { error: 'Email is already verified' });
+});
+
+test('a resent verification link voids the first', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const session = await register(api, 'ann@example.com');
+  const first = tokenMailedTo('ann@example.com', VERIFY);
+  await api('/api/auth/resend-verification', {
+    method: 'POST',
+    token: session,
+  });
+  const second = tokenMailedTo('ann@example.com', VERIFY);
+  let res = await api('/api/auth/verify-email', {
+    method: 'POST',
+    body: { token: first },
+  });
+  assert.deepEqual(res.body, { error: 'Invalid token' });
+  res = await api('/api/auth/verify-email', {
+    method: 'POST',
+    body: { token: second },
+  });
+  assert.equal(res.status, 200);
+});
+
+test('a password reset sets the password and ends sessions', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const session = await register(api, 'ann@example.com');
+  let res = await api('/api/auth/forgot-password', {
+    method: 'POST',
+    body: { email: 'ann@example.com' },
+  });
+  assert.deepEqual(res.body, { success: true });
+  const token = tokenMailedTo('ann@example.com', RESET);
+  res = await api('/api/auth/reset-password', {
+    method: 'POST',
+    body: { token, password: 'new password' },
+  });
+  assert.deepEqual(res.body, { success: true });
+  res = await api('/api/auth/me', { token: session });
+  assert.equal(res.status, 401);
+  res = await api('/api/auth/login', {
+    method: 'POST',
+    body: { email: 'ann@example.com', password: 'new password' },
+  });
+  assert.equal(res.status, 200);
+  // Following the link proved the mailbox is the user's
+  assert.ok(User.findByEmail('ann@example.com').verifiedAt);
+  res = await api('/api/auth/reset-password', {
+    method: 'POST',
+    body: { token, password: 'again' },
+  });
+  assert.equal(res.status, 400);
+});
+
+test('forgot password does not tell which emails exist', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const res = await api('/api/auth/forgot-password', {
+    method: 'POST',
+    body: { email: 'nobody@example.com' },
+  });
+  assert.deepEqual(res.body, { success: true });
+  assert.deepEqual(mailTo('nobody@example.com'), []);
+});
+
+test('expired reset links are refused', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  await register(api, 'ann@example.com');
+  await api('/api/auth/forgot-password', {
+    method: 'POST',
+    body: { email: 'ann@example.com' },
+  });
+  const token = tokenMailedTo('ann@example.com', RESET);
+  AuthToken.resolve(token, 'password_reset').update({
+    expiresAt: new Date(Date.now() - 1000),
+  });
+  const res = await api('/api/auth/reset-password', {
+    method: 'POST',
+    body: { token, password: 'new password' },
+  });
+  assert.deepEqual(res.body, { error: 'Token has expired' });
+});
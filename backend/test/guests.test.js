@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  settle,
+  buy,
+  tokenMailedTo,
+  login,
+  serve,
+} = require('./helpers');
+const { User, Order } = require('../models');
+const { orderTerms } = require('../checkout');
+const { guestCustomer } = require('../guests');
+
+async function trialProduct() {
+  const store = await makeStore();
+  return makeProduct(store, {
+    deliverables: [{ type: 'license_keys', details: { keys: ['K1', 'K2'] } }],
+    variants: [
+      { name: 'Monthly', price: 1500, type: 'subscription', trialDays: 7 },
+    ],
+  });
+}
+
+test('a guest gets no second trial after one on their account', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await trialProduct();
+  const buyer = await makeUser({ email: 'Buyer@example.com' });
+  const order = await buy(provider, buyer, product, variants[0]);
+  assert.equal(order.status, 'trialing');
+  const guest = guestCustomer({ email: 'buyer@example.com' });
+  const terms = orderTerms({ user: guest, product, variant: variants[0] });
+  assert.equal(terms.trialDays, 0);
+});
+
+test('an account gets no second trial after one as a guest', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await trialProduct();
+  const guest = guestCustomer({ email: 'later@example.com' });
+  await buy(provider, guest, product, variants[0]);
+  const buyer = await makeUser({ email: 'later@example.com' });
+  const terms = orderTerms({ user: buyer, product, variant: variants[0] });
+  assert.equal(terms.trialDays, 0);
+  const other = await makeUser();
+  assert.equal(
+    orderTerms({ user: other, product, variant: variants[0] }).trialDays,
+    7
+  );
+});
+
+// Buys the product as a guest through the route. Resolves to the order
+// and the token of the library link the guest was mailed.
+async function buyAsGuest(api, provider, product, email) {
+  const res = await api('/api/checkout/guest', {
+    method: 'POST',
+    body: { email, productId: product.id, country: 'DE' },
+  });
+  assert.equal(res.status, 200);
+  settle(provider, { id: res.body.order.paymentSessionId });
+  return {
+    order: Order.findById(res.body.order.id),
+    token: tokenMailedTo(email, /purchases/),
+  };
+}
+
+test('a guest opens their library and claims a new account', async (t) => {
+  const provider = freshWorld();
+  const api = await serve(t);
+  const { product } = await trialProduct();
+  const { order, token } = await buyAsGuest(
+    api,
+    provider,
+    product,
+    'guest@example.com'
+  );
+  assert.equal(order.status, 'trialing');
+  const library = await api(
+    `/api/guest/library?token=${encodeURIComponent(token)}`
+  );
+  assert.equal(library.body.customer.email, 'guest@example.com');
+  assert.deepEqual(library.body.orders.map((o) => o.id), [order.id]);
+  const claim = await api('/api/guest/claim', {
+    method: 'POST',
+    body: { token, password: 'a long password', name: 'Guest' },
+  });
+  assert.equal(claim.status, 200);
+  const user = User.findByEmail('guest@example.com');
+  assert.equal(Order.findById(order.id).userId, user.id);
+  const again = await api('/api/guest/claim', {
+    method: 'POST',
+    body: { token, password: 'a long password' },
+  });
+  assert.equal(again.status, 400);
+});
+
+test('a guest with an account logs in to claim into it', async (t) => {
+  const provider = freshWorld();
+  const api = await serve(t);
+  const { product } = await trialProduct();
+  const user = await makeUser({ email: 'known@example.com' });
+  const { order, token } = await buyAsGuest(
+    api,
+    provider,
+    product,
+    'known@example.com'
+  );
+  const anonymous = await api('/api/guest/claim', {
+    method: 'POST',
+    body: { token, password: 'a long password' },
+  });
+  assert.equal(anonymous.body.code, 'account_exists');
+  const claim = await api('/api/guest/claim', {
+    method: 'POST',
+    token: login(user),
+    body: { token },
+  });
+  assert.equal(claim.status, 200);
+  assert.equal(Order.findById(order.id).userId, user.id);
+  assert.equal(User.findById(order.userId), undefined);
+});
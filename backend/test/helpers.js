@@ -0,0 +1,197 @@
+/*
+ * test/helpers.js
+ *
+ * Fixtures shared by the behaviour tests. Every test starts from a fresh
+ * in-memory database with the offline mock payment provider and Connect
+ * client (see storage.js, payments.js and connect.js), an empty rate
+ * limit store and a mail transport that keeps what it sends. Orders are
+ * bought through the same steps the checkout route takes: orderTerms and
+ * createOrder, a payment session, and the provider events of settling
+ * it. Route tests run the app on a random local port.
+ */
+
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.PAYMENT_PROVIDER = 'mock';
+
+const { useAdapter, MemoryAdapter } = require('../storage');
+const { usePaymentProvider, MockProvider } = require('../payments');
+const { useConnectClient, MockConnect } = require('../connect');
+const { useStore, MemoryStore } = require('../ratelimit');
+const { useTransport, MemoryTransport } = require('../mail');
+const { User, Store, Product, Variant, Order } = require('../models');
+const { createSession } = require('../sessions');
+const { orderTerms, createOrder } = require('../checkout');
+const { handlePaymentEvent } = require('../billing');
+
+let outbox = null;
+
+/**
+ * Starts a test from an empty database. Returns the mock provider.
+ */
+function freshWorld() {
+  useAdapter(new MemoryAdapter());
+  useConnectClient(new MockConnect());
+  useStore(new MemoryStore());
+  outbox = useTransport(new MemoryTransport());
+  return usePaymentProvider(new MockProvider());
+}
+
+/**
+ * The mail sent to `to` since the test started, oldest first.
+ */
+function mailTo(to) {
+  return outbox.sent.filter((m) => m.to === to);
+}
+
+/**
+ * The token in the link of the last mail to `to` matching `subject`.
+ */
+function tokenMailedTo(to, subject) {
+  const mail = mailTo(to)
+    .filter((m) => subject.test(m.subject))
+    .pop();
+  return decodeURIComponent(mail.text.match(/token=(\S+)/)[1]);
+}
+
+let users = 0;
+
+/**
+ * A verified user with a unique email address.
+ */
+async function makeUser({ email = null, isSeller = false } = {}) {
+  users += 1;
+  const user = await User.create({
+    email: email || `user${users}@example.com`,
+    password: 'password',
+    name: `User ${users}`,
+    isSeller,
+  });
+  user.update({ verifiedAt: new Date() });
+  return user;
+}
+
+/**
+ * A seller's store that can take orders (its payouts are enabled).
+ */
+async function makeStore() {
+  const owner = await makeUser({ isSeller: true });
+  const store = Store.create({ ownerId: owner.id, name: 'Store' });
+  store.update({ stripeAccountId: `acct_${store.id}`, payoutsEnabled: true });
+  return store;
+}
+
+/**
+ * A product of `store` with the given variants, priced in minor units.
+ */
+function makeProduct(store, { variants, deliverables = [], ...fields }) {
+  const product = Product.create({
+    storeId: store.id,
+    title: 'Product',
+    description: '',
+    deliverables,
+    variants,
+    ...fields,
+  });
+  return { product, variants: Variant.findByProduct(product.id) };
+}
+
+/**
+ * Places a pending order of `variant` for `user` the way the checkout
+ * route does and opens its payment session. Resolves to { order,
+ * session }.
+ */
+async function placeOrder(provider, user, product, variant, options = {}) {
+  const terms = orderTerms({ user, product, variant, ...options });
+  if (terms.error) throw new Error(terms.error);
+  const order = createOrder(user, { product, variant, terms });
+  const session = await provider.createCheckoutSession({
+    order,
+    product,
+    variant,
+    user,
+    successUrl: 'http://localhost/success',
+    cancelUrl: 'http://localhost/cancel',
+    trialDays: terms.trialDays,
+  });
+  order.update({ paymentProvider: 'mock', paymentSessionId: session.id });
+  return { order, session };
+}
+
+/**
+ * Settles a mock payment session and applies its events the way the
+ * webhook does. Returns the results of handlePaymentEvent.
+ */
+function settle(provider, session, paid = true, options = {}) {
+  return provider
+    .complete(session.id, paid, options)
+    .map((event) => handlePaymentEvent('mock', event));
+}
+
+/**
+ * Places an order and pays for it. Resolves to the order, reloaded.
+ */
+async function buy(provider, user, product, variant, options = {}) {
+  const { order, session } = await placeOrder(
+    provider,
+    user,
+    product,
+    variant,
+    options
+  );
+  settle(provider, session, true, options);
+  return Order.findById(order.id);
+}
+
+/**
+ * A bearer token for a new session of `user`.
+ */
+function login(user) {
+  return createSession(user).token;
+}
+
+/**
+ * Serves the app for the length of test `t`. Resolves to a function
+ * making a JSON request: api(path, { method, token, body, headers })
+ * resolves to { status, body, headers }. A string body is sent as is.
+ */
+async function serve(t) {
+  const app = require('../server');
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (path, { method = 'GET', token, body, headers = {} } = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body && typeof body !== 'string' ? JSON.stringify(body) : body,
+      redirect: 'manual',
+    });
+    const text = await res.text();
+    let json = text;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      // Not every route answers with JSON
+    }
+    return { status: res.status, body: json, headers: res.headers };
+  };
+}
+
+module.exports = {
+  freshWorld,
+  mailTo,
+  tokenMailedTo,
+  makeUser,
+  makeStore,
+  makeProduct,
+  placeOrder,
+  settle,
+  buy,
+  login,
+  serve,
+};
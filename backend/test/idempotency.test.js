@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { freshWorld } = require('./helpers');
+const { IdempotencyKey } = require('../models');
+const { idempotent } = require('../idempotency');
+
+// A server with one idempotent route counting the requests it runs
+async function serve(t) {
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  // Stands in for requireAuth: X-User names the user, if any
+  app.use((req, res, next) => {
+    const id = req.headers['x-user'];
+    req.currentUser = id ? { id: Number(id) } : null;
+    next();
+  });
+  let runs = 0;
+  let hold = null;
+  app.post('/orders', idempotent, async (req, res) => {
+    runs += 1;
+    if (req.body.fail) return res.status(500).json({ error: 'Down' });
+    if (req.body.hold) await new Promise((resolve) => (hold = resolve));
+    if (req.body.text) return res.type('text').send('Placed');
+    res.status(201).json({ order: runs });
+  });
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/orders`;
+  const post = async (body, key, headers = { 'X-User': '1' }) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(key ? { 'Idempotency-Key': key } : {}),
+        ...headers,
+      },
+      body: JSON.stringify(body),
+    });
+    const text = await res.text();
+    return {
+      status: res.status,
+      replayed: res.headers.get('idempotent-replayed') === 'true',
+      body: res.headers.get('content-type').includes('json')
+        ? JSON.parse(text)
+        : text,
+    };
+  };
+  // Sends a request held by the route and goes away before the answer
+  const abandon = async (body, key) => {
+    const aborted = new AbortController();
+    const sent = fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': key,
+        'X-User': '1',
+      },
+      body: JSON.stringify({ ...body, hold: true }),
+      signal: aborted.signal,
+    }).catch(() => {});
+    while (!hold) await new Promise((resolve) => setTimeout(resolve, 5));
+    aborted.abort();
+    await sent;
+    // Lets the server see the connection close before the route answers
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const answer = hold;
+    hold = null;
+    answer();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  };
+  return { post, abandon, runs: () => runs };
+}
+
+test('a repeated request is replayed instead of run again', async (t) => {
+  freshWorld();
+  const { post, runs } = await serve(t);
+  const first = await post({ item: 1 }, 'k1');
+  const again = await post({ item: 1 }, 'k1');
+  assert.deepEqual([first.status, first.replayed], [201, false]);
+  assert.deepEqual([again.status, again.replayed], [201, true]);
+  assert.deepEqual(again.body, first.body);
+  assert.equal(runs(), 1);
+  assert.equal((await post({ item: 1 })).body.order, 2);
+});
+
+test('a key reused for another request is refused', async (t) => {
+  freshWorld();
+  const { post, runs } = await serve(t);
+  await post({ item: 1 }, 'k1');
+  const other = await post({ item: 2 }, 'k1');
+  assert.equal(other.status, 422);
+  assert.equal(runs(), 1);
+});
+
+test('server errors are not kept', async (t) => {
+  freshWorld();
+  const { post, runs } = await serve(t);
+  assert.equal((await post({ fail: true }, 'k1')).status, 500);
+  assert.equal((await post({ fail: true }, 'k1')).status, 500);
+  assert.equal(runs(), 2);
+});
+
+test('an expired key starts afresh', async (t) => {
+  freshWorld();
+  const { post, runs } = await serve(t);
+  await post({ item: 1 }, 'k1');
+  const [kept] = IdempotencyKey.findAll();
+  kept.update({ createdAt: new Date(Date.now() - 25 * 60 * 60 * 1000) });
+  const again = await post({ item: 2 }, 'k1');
+  assert.deepEqual([again.status, again.replayed], [201, false]);
+  assert.equal(runs(), 2);
+});
+
+test('a request whose client went away is settled', async (t) => {
+  freshWorld();
+  const { post, abandon, runs } = await serve(t);
+  await abandon({ item: 1 }, 'k1');
+  const replay = await post({ item: 1, hold: true }, 'k1');
+  assert.deepEqual([replay.status, replay.replayed], [201, true]);
+  await abandon({ text: true }, 'k2');
+  const retry = await post({ text: true }, 'k2');
+  assert.deepEqual([retry.status, retry.body], [200, 'Placed']);
+  assert.equal(runs(), 3);
+});
+
+test('guests are scoped by their cart or email', async (t) => {
+  freshWorld();
+  const { post, runs } = await serve(t);
+  const cart = (token) => ({ 'X-Cart-Token': token });
+  await post({ item: 1 }, 'k1', cart('a'));
+  const other = await post({ item: 1 }, 'k1', cart('b'));
+  assert.equal(other.replayed, false);
+  const again = await post({ item: 1 }, 'k1', cart('a'));
+  assert.equal(again.replayed, true);
+  const guest = { item: 1, email: 'Guest@example.com' };
+  await post(guest, 'k1', {});
+  const same = await post({ ...guest, email: 'guest@example.com' }, 'k1', {});
+  assert.equal(same.status, 422);
+  await post({ item: 1 }, 'k1', {});
+  await post({ item: 1 }, 'k1', {});
+  assert.equal(runs(), 5);
+  assert.equal(IdempotencyKey.findAll().length, 3);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { freshWorld, makeUser, login, serve } = require('./helpers');
+const { User } = require('../models');
+const { TelegramProvider, useProvider } = require('../identity');
+
+const BOT_TOKEN = '123456:test-bot-token';
+
+// A login widget payload signed the way Telegram signs it
+function telegramPayload(fields, botToken = BOT_TOKEN) {
+  const data = { auth_date: Math.floor(Date.now() / 1000), ...fields };
+  const checkString = Object.keys(data)
+    .sort()
+    .map((key) => `${key}=${data[key]}`)
+    .join('\n');
+  const secret = crypto.createHash('sha256').update(botToken).digest();
+  const hash = crypto
+    .createHmac('sha256', secret)
+    .update(checkString)
+    .digest('hex');
+  return { ...data, hash };
+}
+
+// A Discord provider answering without the network
+function fakeDiscord(identity) {
+  return {
+    authorizeUrl: (state) => `https://discord.test/authorize?state=${state}`,
+    exchangeCode: async (code) => {
+      if (code !== 'good') throw new Error('Bad code');
+      return { accessToken: 'at', refreshToken: 'rt', scope: 'identify' };
+    },
+    fetchIdentity: async () => identity,
+  };
+}
+
+test('telegram payloads are checked against the bot token', () => {
+  const provider = new TelegramProvider({ botToken: BOT_TOKEN });
+  const payload = telegramPayload({ id: 42, username: 'ann' });
+  assert.deepEqual(provider.verify(payload), { id: '42', username: 'ann' });
+  assert.throws(
+    () => provider.verify({ ...payload, username: 'mallory' }),
+    /Invalid Telegram signature/
+  );
+  assert.throws(
+    () => provider.verify(telegramPayload({ id: 42 }, 'other:token')),
+    /Invalid Telegram signature/
+  );
+  const old = telegramPayload({ id: 42, auth_date: 1000 });
+  assert.throws(() => provider.verify(old), /has expired/);
+});
+
+test('a telegram account links to one user only', async (t) => {
+  freshWorld();
+  useProvider('telegram', new TelegramProvider({ botToken: BOT_TOKEN }));
+  const api = await serve(t);
+  const ann = await makeUser();
+  const bob = await makeUser();
+  const body = telegramPayload({ id: 42, username: 'ann_tg' });
+  let res = await api('/api/auth/links/telegram', {
+    method: 'POST',
+    token: login(ann),
+    body,
+  });
+  assert.equal(res.body.linkedIdentities.telegram.username, 'ann_tg');
+  assert.equal(User.findById(ann.id).telegramUsername, 'ann_tg');
+  res = await api('/api/auth/links/telegram', {
+    method: 'POST',
+    token: login(bob),
+    body,
+  });
+  assert.deepEqual(res.body, {
+    error: 'This account is linked to another user',
+  });
+  res = await api('/api/auth/links/telegram', {
+    method: 'DELETE',
+    token: login(ann),
+  });
+  assert.equal(res.body.linkedIdentities.telegram, null);
+  assert.equal(User.findById(ann.id).telegramUsername, null);
+});
+
+test('discord links through the OAuth callback once', async (t) => {
+  freshWorld();
+  useProvider('discord', fakeDiscord({ id: '9001', username: 'ann' }));
+  const api = await serve(t);
+  const ann = await makeUser();
+  let res = await api('/api/auth/links/discord/authorize', {
+    token: login(ann),
+  });
+  const state = new URL(res.body.url).searchParams.get('state');
+  const callback = (code) =>
+    api(`/api/auth/links/discord/callback?code=${code}&state=${state}`);
+  res = await callback('good');
+  assert.equal(res.status, 302);
+  assert.match(res.headers.get('location'), /\?linked=discord$/);
+  assert.equal(User.findById(ann.id).discordId, '9001');
+  // The state is used up
+  res = await callback('good');
+  assert.match(res.headers.get('location'), /link_error=Invalid/);
+});
+
+test('a failed code exchange links nothing', async (t) => {
+  freshWorld();
+  useProvider('discord', fakeDiscord({ id: '9001', username: 'ann' }));
+  const api = await serve(t);
+  const ann = await makeUser();
+  const res = await api('/api/auth/links/discord/authorize', {
+    token: login(ann),
+  });
+  const state = new URL(res.body.url).searchParams.get('state');
+  const back = await api(
+    `/api/auth/links/discord/callback?code=bad&state=${state}`
+  );
+  assert.match(back.headers.get('location'), /link_error=Bad\+code/);
+  assert.equal(User.findById(ann.id).discordId, null);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  buy,
+  login,
+  serve,
+} = require('./helpers');
+const { User, Store, Invoice } = require('../models');
+const { runRenewals } = require('../renewals');
+const { refundOrder } = require('../refunds');
+
+async function shop() {
+  const store = await makeStore();
+  const { product, variants } = makeProduct(store, {
+    variants: [
+      {
+        name: 'Monthly',
+        price: 2000,
+        type: 'subscription',
+        billingInterval: 'monthly',
+      },
+    ],
+  });
+  return { store, product, variant: variants[0] };
+}
+
+function numbers(order) {
+  return Invoice.findByOrder(order.id).map((i) => i.number);
+}
+
+test('documents are numbered in sequence per store', async () => {
+  const provider = freshWorld();
+  const first = await shop();
+  const second = await shop();
+  const a = await buy(provider, await makeUser(), first.product, first.variant);
+  const b = await buy(provider, await makeUser(), first.product, first.variant);
+  const c = await buy(
+    provider,
+    await makeUser(),
+    second.product,
+    second.variant
+  );
+  const s1 = first.store.id;
+  assert.deepEqual(numbers(a), [`INV-${s1}-000001`]);
+  assert.deepEqual(numbers(b), [`INV-${s1}-000002`]);
+  assert.deepEqual(numbers(c), [`INV-${second.store.id}-000001`]);
+  await runRenewals({ now: a.nextBillingAt });
+  await refundOrder(a, { amount: 500 });
+  assert.deepEqual(numbers(a), [
+    `INV-${s1}-000001`,
+    `INV-${s1}-000003`,
+    `CN-${s1}-000001`,
+  ]);
+  const [, renewal, note] = Invoice.findByOrder(a.id);
+  assert.equal(note.creditedInvoiceId, renewal.id);
+  assert.equal(note.amount, 500);
+});
+
+test('an invoice keeps the details it was issued with', async () => {
+  const provider = freshWorld();
+  const { store, product, variant } = await shop();
+  const order = await buy(provider, await makeUser(), product, variant);
+  Store.findById(store.id).update({ name: 'Renamed' });
+  const [invoice] = Invoice.findByOrder(order.id);
+  assert.equal(invoice.seller.storeName, 'Store');
+  assert.equal(invoice.total, 2000);
+  assert.throws(() => invoice.update({ total: 1 }), /cannot be changed/);
+  assert.throws(() => invoice.remove(), /cannot be removed/);
+});
+
+test('buyers and sellers fetch invoices', async (t) => {
+  const provider = freshWorld();
+  const api = await serve(t);
+  const { store, product, variant } = await shop();
+  const buyer = await makeUser();
+  const order = await buy(provider, buyer, product, variant);
+  const path = `/api/orders/${order.id}/invoice`;
+  const token = login(buyer);
+  const json = await api(path, { token });
+  assert.equal(json.body.invoice.number, `INV-${store.id}-000001`);
+  assert.equal(json.body.documents.length, 1);
+  const html = await api(`${path}?format=html`, { token });
+  assert.match(html.headers.get('content-type'), /text\/html/);
+  assert.match(html.body, new RegExp(`INV-${store.id}-000001`));
+  const pdf = await api(`${path}?format=pdf`, { token });
+  assert.match(pdf.headers.get('content-type'), /application\/pdf/);
+  assert.match(pdf.body, /^%PDF-/);
+  const stranger = await api(path, { token: login(await makeUser()) });
+  assert.equal(stranger.status, 404);
+  const listing = await api(`/api/store/${store.id}/invoices`, {
+    token: login(User.findById(store.ownerId)),
+  });
+  assert.deepEqual(listing.body.invoices.map((i) => i.orderId), [order.id]);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  settle,
+} = require('./helpers');
+const { Cart, Order, LedgerTransaction, Payout } = require('../models');
+const { orderTerms, checkoutCart } = require('../checkout');
+const { storeBalances, runPayouts } = require('../ledger');
+const { refundOrder } = require('../refunds');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Buys one variant of each store's product with a single cart payment
+async function buyCart(provider, buyer, prices) {
+  const lines = [];
+  for (const price of prices) {
+    const store = await makeStore();
+    const { product, variants } = makeProduct(store, {
+      variants: [{ name: 'Once', price, type: 'one_time' }],
+    });
+    const variant = variants[0];
+    const terms = orderTerms({ user: buyer, product, variant });
+    lines.push({ product, variant, terms, store });
+  }
+  const { orders, checkout } = await checkoutCart(buyer, lines, {
+    cart: Cart.forUser(buyer.id),
+    successUrl: 'http://localhost/success',
+    cancelUrl: 'http://localhost/cancel',
+    provider,
+  });
+  settle(provider, { id: checkout.paymentSessionId });
+  return { orders, stores: lines.map((l) => l.store) };
+}
+
+function paymentFee(orderId) {
+  const [charge] = LedgerTransaction.findByOrder(orderId);
+  return charge.entries
+    .filter((e) => e.kind === 'payment_fee' && e.account === 'processor')
+    .reduce((sum, e) => sum - e.amount, 0);
+}
+
+test('a cart payment splits the fixed fee between its orders', async () => {
+  const provider = freshWorld();
+  const buyer = await makeUser();
+  const { orders } = await buyCart(provider, buyer, [1000, 2000, 3000]);
+  // 2.9% of each price, then the 30 fixed fee split 5 / 10 / 15
+  assert.deepEqual(
+    orders.map((o) => paymentFee(o.id)),
+    [29 + 5, 58 + 10, 87 + 15]
+  );
+});
+
+test('balances show matured shares without posting them', async () => {
+  const provider = freshWorld();
+  const buyer = await makeUser();
+  const { stores } = await buyCart(provider, buyer, [1000]);
+  const later = new Date(Date.now() + 8 * DAY_MS);
+  const before = LedgerTransaction.findAll().length;
+  const [balance] = storeBalances(stores[0].id, { now: later });
+  assert.equal(LedgerTransaction.findAll().length, before);
+  assert.equal(balance.pending, 0);
+  assert.equal(balance.nextAvailableAt, null);
+  const { paid } = await runPayouts({ now: later, provider });
+  assert.equal(paid.length, 1);
+  assert.equal(storeBalances(stores[0].id)[0].paidOut, balance.available);
+});
+
+test('every posting balances and a refund reverses its share', async () => {
+  const provider = freshWorld();
+  const buyer = await makeUser();
+  const { orders } = await buyCart(provider, buyer, [2000]);
+  const [order] = orders;
+  await refundOrder(Order.findById(order.id), { amount: 1000 });
+  const [charge, refund] = LedgerTransaction.findByOrder(order.id);
+  for (const posting of [charge, refund]) {
+    assert.equal(posting.entries.reduce((sum, e) => sum + e.amount, 0), 0);
+  }
+  assert.equal(refund.reversesId, charge.id);
+  const fees = (posting) =>
+    posting.entries
+      .filter((e) => e.account === 'platform_fees')
+      .reduce((sum, e) => sum + e.amount, 0);
+  // 5% of 2000 credited to the platform, half of it debited back
+  assert.deepEqual([fees(charge), fees(refund)], [-100, 50]);
+});
+
+test('a failed transfer is paid out on the next run', async () => {
+  const provider = freshWorld();
+  const buyer = await makeUser();
+  const { stores } = await buyCart(provider, buyer, [1000]);
+  const later = new Date(Date.now() + 8 * DAY_MS);
+  const transfer = provider.transfer.bind(provider);
+  provider.transfer = async () => ({
+    id: null,
+    status: 'failed',
+    failureReason: 'account_closed',
+  });
+  const first = await runPayouts({ now: later, provider });
+  assert.equal(first.failed.length, 1);
+  const [balance] = storeBalances(stores[0].id);
+  assert.ok(balance.available > 0);
+  provider.transfer = transfer;
+  const second = await runPayouts({ now: later, provider });
+  assert.equal(second.paid.length, 1);
+  assert.equal(storeBalances(stores[0].id)[0].available, 0);
+});
+
+test('a transfer with no answer is sent again, not paid twice', async () => {
+  const provider = freshWorld();
+  const buyer = await makeUser();
+  const { stores } = await buyCart(provider, buyer, [1000]);
+  const later = new Date(Date.now() + 8 * DAY_MS);
+  const transfer = provider.transfer.bind(provider);
+  const sent = [];
+  provider.transfer = async ({ payout }) => {
+    sent.push(payout.id);
+    throw new Error('socket hang up');
+  };
+  const first = await runPayouts({ now: later, provider });
+  assert.deepEqual([first.paid, first.failed], [[], []]);
+  const [balance] = storeBalances(stores[0].id);
+  assert.equal(balance.available, 0);
+  assert.ok(balance.inTransit > 0);
+  provider.transfer = async (params) => {
+    sent.push(params.payout.id);
+    return transfer(params);
+  };
+  const second = await runPayouts({ now: later, provider });
+  assert.deepEqual(second.paid, first.pending);
+  assert.deepEqual(sent, [first.pending[0], first.pending[0]]);
+  assert.equal(Payout.findById(second.paid[0]).status, 'paid');
+  assert.equal(storeBalances(stores[0].id)[0].paidOut, balance.inTransit);
+});
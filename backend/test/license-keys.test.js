@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  placeOrder,
+  settle,
+  buy,
+} = require('./helpers');
+const { Product, LicenseKey } = require('../models');
+const { orderTerms } = require('../checkout');
+
+async function twoPoolProduct(first, second) {
+  const store = await makeStore();
+  return makeProduct(store, {
+    deliverables: [
+      { type: 'license_keys', details: { keys: first } },
+      { type: 'license_keys', details: { keys: second } },
+    ],
+    variants: [{ name: 'Once', price: 1000, type: 'one_time' }],
+  });
+}
+
+function pools(product) {
+  return Product.findById(product.id).deliverables.map((d) => d.details.keys);
+}
+
+test('a paid order is delivered one key from each pool', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await twoPoolProduct(['A1', 'A2'], ['B1']);
+  const order = await buy(provider, await makeUser(), product, variants[0]);
+  assert.equal(order.status, 'active');
+  assert.deepEqual(order.deliverables.map((d) => d.key), ['A1', 'B1']);
+  assert.deepEqual(pools(product), [['A2'], []]);
+  const terms = orderTerms({ product, variant: variants[0] });
+  assert.equal(terms.code, 'sold_out');
+});
+
+test('keys of a failed order go back to their own pools', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await twoPoolProduct(['A1'], ['B1', 'B2']);
+  const { order, session } = await placeOrder(
+    provider,
+    await makeUser(),
+    product,
+    variants[0]
+  );
+  assert.deepEqual(pools(product), [[], ['B2']]);
+  settle(provider, session, false);
+  assert.deepEqual(LicenseKey.findByOrder(order.id), []);
+  assert.deepEqual(pools(product), [['A1'], ['B2', 'B1']]);
+});
+
+test('a key put back by hand is not handed out twice', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await twoPoolProduct(['A1', 'A2'], ['B1']);
+  await buy(provider, await makeUser(), product, variants[0]);
+  const current = Product.findById(product.id);
+  current.update({
+    deliverables: [
+      { type: 'license_keys', details: { keys: ['A1', 'A2'] } },
+      { type: 'license_keys', details: { keys: ['B1', 'B2'] } },
+    ],
+  });
+  const order = await buy(provider, await makeUser(), current, variants[0]);
+  assert.deepEqual(order.deliverables.map((d) => d.key), ['A2', 'B2']);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { freshWorld, makeStore, makeProduct, serve } = require('./helpers');
+const {
+  toMinor,
+  fromMinor,
+  format,
+  percentOf,
+  useRates,
+  convert,
+} = require('../money');
+
+test('decimal amounts parse exactly into minor units', () => {
+  assert.equal(toMinor('0.29', 'USD'), 29);
+  assert.equal(toMinor(9.99, 'USD'), 999);
+  assert.equal(toMinor('10', 'EUR'), 1000);
+  assert.equal(toMinor('1.10', 'USD'), 110);
+  assert.equal(toMinor('19.900', 'USD'), 1990);
+  assert.equal(toMinor('500', 'JPY'), 500);
+  assert.throws(() => toMinor('9.999', 'USD'), /at most 2 decimals/);
+  assert.throws(() => toMinor('5.5', 'JPY'), /at most 0 decimals/);
+  assert.throws(() => toMinor('1e3', 'USD'), /Invalid amount/);
+  assert.throws(() => toMinor('10', 'XYZ'), /Unsupported currency: XYZ/);
+});
+
+test('minor units format back per currency', () => {
+  assert.equal(fromMinor(5, 'USD'), '0.05');
+  assert.equal(fromMinor(-1250, 'EUR'), '-12.50');
+  assert.equal(fromMinor(500, 'JPY'), '500');
+  assert.equal(format(123456, 'USD'), '$1,234.56');
+  assert.equal(format(500, 'JPY'), '¥500');
+});
+
+test('percentages round half away from zero', () => {
+  assert.equal(percentOf(10, 5), 1);
+  assert.equal(percentOf(-10, 5), -1);
+  assert.equal(percentOf(999, 10), 100);
+  assert.equal(percentOf(1000, 2.9), 29);
+});
+
+test('conversions go through the rate table', () => {
+  useRates({ EUR: 0.5, JPY: 150 });
+  assert.equal(convert(1000, 'USD', 'EUR'), 500);
+  assert.equal(convert(1000, 'EUR', 'JPY'), 3000);
+  assert.equal(convert(999, 'USD', 'USD'), 999);
+  assert.throws(() => convert(100, 'USD', 'GBP'), /No exchange rate.*GBP/);
+});
+
+test('products show a converted price on request', async (t) => {
+  freshWorld();
+  useRates({ EUR: 0.5 });
+  const api = await serve(t);
+  const store = await makeStore();
+  const { product } = makeProduct(store, {
+    variants: [{ name: 'Once', price: 2000, type: 'one_time' }],
+  });
+  let res = await api(`/api/products/${product.id}?currency=eur`);
+  assert.equal(res.body.product.price, 2000);
+  assert.equal(res.body.product.currency, 'USD');
+  assert.deepEqual(res.body.product.displayPrice, {
+    amount: 1000,
+    currency: 'EUR',
+  });
+  res = await api(`/api/products/${product.id}?currency=GBP`);
+  assert.deepEqual(res.body, {
+    error: 'No exchange rate configured for GBP',
+  });
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  login,
+  serve,
+} = require('./helpers');
+const { User, Product, Variant, ProductRevision } = require('../models');
+
+// Serves the app with a store whose owner is logged in
+async function sellerApp(t) {
+  freshWorld();
+  const api = await serve(t);
+  const store = await makeStore();
+  const token = login(User.findById(store.ownerId));
+  const create = async (body) =>
+    (
+      await api('/api/products', {
+        method: 'POST',
+        token,
+        body: { storeId: store.id, title: 'Course', ...body },
+      })
+    ).body;
+  return { api, store, token, create };
+}
+
+test('edits are recorded as revisions', async (t) => {
+  const { api, token, create } = await sellerApp(t);
+  const { product } = await create({ price: '10.00', type: 'one_time' });
+  let res = await api(`/api/products/${product.id}`, {
+    method: 'PUT',
+    token,
+    body: { title: 'Course v2', price: '12.50' },
+  });
+  assert.equal(res.body.product.title, 'Course v2');
+  assert.equal(res.body.variants[0].price, 1250);
+  res = await api(`/api/products/${product.id}`, {
+    method: 'PUT',
+    token,
+    body: { description: 'Only the blurb' },
+  });
+  const revisions = ProductRevision.findByProduct(product.id);
+  assert.deepEqual(revisions.map((r) => r.title), ['Course', 'Course v2']);
+  res = await api(`/api/products/${product.id}`, {
+    method: 'PUT',
+    token,
+    body: { currency: 'JPY' },
+  });
+  assert.deepEqual(res.body, { error: 'Product currency cannot be changed' });
+  res = await api(`/api/products/${product.id}`, {
+    method: 'PUT',
+    token,
+    body: { type: 'subscription' },
+  });
+  assert.deepEqual(res.body, { error: 'Product type cannot be changed' });
+});
+
+test('only the owner can change a product', async (t) => {
+  const { api, create } = await sellerApp(t);
+  const { product } = await create({ price: '10', type: 'one_time' });
+  const other = login(await makeUser({ isSeller: true }));
+  let res = await api(`/api/products/${product.id}`, {
+    method: 'PUT',
+    token: other,
+    body: { title: 'Mine now' },
+  });
+  assert.equal(res.status, 403);
+  res = await api(`/api/products/${product.id}`, {
+    method: 'DELETE',
+    token: other,
+  });
+  assert.equal(res.status, 403);
+  assert.equal(Product.findById(product.id).title, 'Course');
+});
+
+test('archived products leave the marketplace but still resolve', async (t) => {
+  const { api, token, create } = await sellerApp(t);
+  const { product } = await create({ price: '10', type: 'one_time' });
+  await api(`/api/products/${product.id}/archive`, { method: 'POST', token });
+  let res = await api('/api/products');
+  assert.deepEqual(res.body.products, []);
+  res = await api(`/api/products/${product.id}`);
+  assert.ok(res.body.product.archivedAt);
+  await api(`/api/products/${product.id}/unarchive`, {
+    method: 'POST',
+    token,
+  });
+  res = await api('/api/products');
+  assert.deepEqual(res.body.products.map((p) => p.id), [product.id]);
+});
+
+test('a product is deleted with its variants and revisions', async (t) => {
+  const { api, token, create } = await sellerApp(t);
+  const { product } = await create({ price: '10', type: 'one_time' });
+  const res = await api(`/api/products/${product.id}`, {
+    method: 'DELETE',
+    token,
+  });
+  assert.deepEqual(res.body, { success: true });
+  assert.equal(Product.findById(product.id), undefined);
+  assert.deepEqual(Variant.findByProduct(product.id), []);
+  assert.deepEqual(ProductRevision.findByProduct(product.id), []);
+});
+
+test('a product with orders cannot be deleted', async (t) => {
+  const { api, token, create } = await sellerApp(t);
+  const { product } = await create({ price: '10', type: 'one_time' });
+  const buyer = login(await makeUser());
+  await api('/api/checkout', {
+    method: 'POST',
+    token: buyer,
+    body: { productId: product.id, country: 'DE' },
+  });
+  const res = await api(`/api/products/${product.id}`, {
+    method: 'DELETE',
+    token,
+  });
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body, {
+    error: 'Products with orders cannot be deleted',
+  });
+  assert.equal(Variant.findByProduct(product.id).length, 1);
+});
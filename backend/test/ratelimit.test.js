@@ -0,0 +1,63 @@
+process.env.RATE_LIMIT_AUTH = '6/60';
+process.env.LOGIN_MAX_FAILURES = '3';
+process.env.LOGIN_LOCKOUT_SECONDS = '60';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { freshWorld, makeUser, serve } = require('./helpers');
+
+function logIn(api, email, password) {
+  return api('/api/auth/login', {
+    method: 'POST',
+    body: { email, password },
+  });
+}
+
+test('a route group allows so many requests per window', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  for (let i = 0; i < 6; i += 1) {
+    const res = await api('/api/auth/forgot-password', {
+      method: 'POST',
+      body: { email: `someone${i}@example.com` },
+    });
+    assert.equal(res.status, 200);
+  }
+  const res = await api('/api/auth/forgot-password', {
+    method: 'POST',
+    body: { email: 'someone@example.com' },
+  });
+  assert.equal(res.status, 429);
+  assert.equal(res.body.code, 'rate_limited');
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+  // Other groups keep their own count
+  assert.equal((await api('/api/stores')).status, 200);
+});
+
+test('repeated failed logins lock the account out', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const user = await makeUser();
+  for (let i = 0; i < 3; i += 1) {
+    assert.equal((await logIn(api, user.email, 'wrong')).status, 400);
+  }
+  const res = await logIn(api, user.email, 'password');
+  assert.equal(res.status, 429);
+  assert.equal(
+    res.body.error,
+    'Too many failed login attempts, try again later'
+  );
+  assert.equal(res.headers.get('retry-after'), '60');
+});
+
+test('a successful login clears earlier failures', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const user = await makeUser();
+  await logIn(api, user.email, 'wrong');
+  await logIn(api, user.email, 'wrong');
+  assert.equal((await logIn(api, user.email, 'password')).status, 200);
+  await logIn(api, user.email, 'wrong');
+  await logIn(api, user.email, 'wrong');
+  assert.equal((await logIn(api, user.email, 'password')).status, 200);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  buy,
+} = require('./helpers');
+const {
+  Product,
+  Order,
+  LicenseKey,
+  Invoice,
+  BillingEvent,
+} = require('../models');
+const { refundableAmount } = require('../billing');
+const { refundOrder } = require('../refunds');
+const {
+  cancelSubscription,
+  pauseSubscription,
+} = require('../subscriptions');
+
+async function buyKey(provider) {
+  const store = await makeStore();
+  const { product, variants } = makeProduct(store, {
+    deliverables: [{ type: 'license_keys', details: { keys: ['K1', 'K2'] } }],
+    variants: [{ name: 'Once', price: 4000, type: 'one_time' }],
+  });
+  const order = await buy(provider, await makeUser(), product, variants[0]);
+  return { product, order };
+}
+
+async function subscribe(provider) {
+  const store = await makeStore();
+  const { product, variants } = makeProduct(store, {
+    maxPauseDays: 30,
+    deliverables: [{ type: 'license_keys', details: { keys: ['K1', 'K2'] } }],
+    variants: [{ name: 'Monthly', price: 3000, type: 'subscription' }],
+  });
+  return buy(provider, await makeUser(), product, variants[0]);
+}
+
+test('a partial refund leaves a one-time order partly refunded', async () => {
+  const provider = freshWorld();
+  const { order } = await buyKey(provider);
+  const { refunds } = await refundOrder(order, { amount: 1500 });
+  assert.deepEqual(refunds.map((r) => [r.amount, r.status]), [
+    [1500, 'succeeded'],
+  ]);
+  assert.equal(order.status, 'partially_refunded');
+  assert.equal(refundableAmount(order), 2500);
+  assert.ok(order.deliverables.every((d) => !d.revokedAt));
+  const notes = Invoice.findByOrder(order.id).filter(
+    (i) => i.type === 'credit_note'
+  );
+  assert.equal(notes.length, 1);
+});
+
+test('a full refund ends the order and can restock its key', async () => {
+  const provider = freshWorld();
+  const { product, order } = await buyKey(provider);
+  await refundOrder(order, { amount: 1000 });
+  await refundOrder(order, { restockKeys: true });
+  assert.equal(order.status, 'refunded');
+  assert.equal(refundableAmount(order), 0);
+  assert.ok(order.deliverables.every((d) => d.revokedAt));
+  const refunded = BillingEvent.findByOrder(order.id)
+    .filter((e) => e.type === 'refund')
+    .map((e) => e.amount);
+  assert.deepEqual(refunded, [1000, 3000]);
+  const [pool] = Product.findById(product.id).deliverables;
+  assert.deepEqual([...pool.details.keys].sort(), ['K1', 'K2']);
+});
+
+test('two refunds of one order do not run at once', async () => {
+  const provider = freshWorld();
+  const { order } = await buyKey(provider);
+  const first = refundOrder(order, { amount: 1000 });
+  await assert.rejects(refundOrder(order, { amount: 1000 }), /in progress/);
+  await first;
+  assert.equal(refundableAmount(order), 3000);
+});
+
+test('each refund of a charge is sent with a key of its own', async () => {
+  const provider = freshWorld();
+  const { order } = await buyKey(provider);
+  const keys = [];
+  const refund = provider.refund.bind(provider);
+  provider.refund = async (params) => {
+    keys.push(params.idempotencyKey);
+    return refund(params);
+  };
+  await refundOrder(order, { amount: 1000 });
+  await refundOrder(order, { amount: 500 });
+  const charge = order.paymentIntentId;
+  assert.match(charge, /^pi_/);
+  assert.deepEqual(keys, [`refund_${charge}_0`, `refund_${charge}_1000`]);
+});
+
+test('a refund of a paused subscription restocks its keys', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider);
+  pauseSubscription(order, { days: 10 });
+  await refundOrder(order, { restockKeys: true });
+  assert.equal(order.status, 'refunded');
+  assert.deepEqual(LicenseKey.findByOrder(order.id), []);
+});
+
+test('an immediate cancel is refused while a refund runs', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider);
+  const refund = refundOrder(order, { amount: 1000 });
+  await assert.rejects(
+    cancelSubscription(Order.findById(order.id), { immediate: true }),
+    /already in progress/
+  );
+  await refund;
+  const { refunds } = await cancelSubscription(Order.findById(order.id), {
+    immediate: true,
+  });
+  const refunded = refunds.reduce((sum, r) => sum + r.amount, 0);
+  assert.ok(refunded <= order.total - 1000);
+});
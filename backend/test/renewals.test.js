@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  buy,
+} = require('./helpers');
+const { Order, Invoice, BillingEvent } = require('../models');
+const { runRenewals } = require('../renewals');
+const { guardRefund } = require('../refunds');
+const { cancelSubscription } = require('../subscriptions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function subscribe(provider, options = {}) {
+  const store = await makeStore();
+  const { product, variants } = makeProduct(store, {
+    deliverables: [{ type: 'discord_role', details: { roleId: 'r1' } }],
+    variants: [
+      {
+        name: 'Monthly',
+        price: 3000,
+        type: 'subscription',
+        billingInterval: 'monthly',
+      },
+    ],
+  });
+  return buy(provider, await makeUser(), product, variants[0], options);
+}
+
+function later(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function types(order) {
+  return BillingEvent.findByOrder(order.id).map((e) => e.type);
+}
+
+test('a renewal charges the next period once', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider);
+  const due = order.nextBillingAt;
+  const summary = await runRenewals({ now: due });
+  assert.deepEqual(summary.renewed, [order.id]);
+  await runRenewals({ now: due });
+  const renewed = order.constructor.findById(order.id);
+  assert.equal(renewed.status, 'active');
+  assert.ok(renewed.nextBillingAt > due);
+  assert.deepEqual(types(order), ['payment', 'renewal']);
+  assert.equal(Invoice.findByOrder(order.id).length, 2);
+});
+
+test('a declined renewal is retried and then expires', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider, { failRenewals: true });
+  const due = order.nextBillingAt;
+  await runRenewals({ now: due });
+  let current = order.constructor.findById(order.id);
+  assert.equal(current.status, 'past_due');
+  assert.equal(current.nextRetryAt.getTime(), later(due, 1).getTime());
+  assert.ok(current.deliverables.every((d) => !d.revokedAt));
+  for (const days of [1, 3, 5]) {
+    await runRenewals({ now: later(due, days) });
+  }
+  current = order.constructor.findById(order.id);
+  assert.equal(current.status, 'past_due');
+  assert.equal(current.renewalAttempts, 4);
+  assert.equal(current.nextRetryAt, null);
+  const summary = await runRenewals({ now: later(due, 7) });
+  assert.deepEqual(summary.expired, [order.id]);
+  current = order.constructor.findById(order.id);
+  assert.equal(current.status, 'expired');
+  assert.ok(current.deliverables.every((d) => d.revokedAt));
+  assert.equal(types(order).filter((t) => t === 'renewal_failed').length, 4);
+});
+
+test('a retry that goes through keeps the billing anchor', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider, { failRenewals: true });
+  const due = order.nextBillingAt;
+  await runRenewals({ now: due });
+  order.update({ paymentMethodId: 'pm_mock_card' });
+  const summary = await runRenewals({ now: later(due, 1) });
+  assert.deepEqual(summary.renewed, [order.id]);
+  const current = order.constructor.findById(order.id);
+  assert.equal(current.status, 'active');
+  assert.equal(current.pastDueSince, null);
+  const next = new Date(due.getTime());
+  next.setMonth(next.getMonth() + 1);
+  assert.equal(current.nextBillingAt.getTime(), next.getTime());
+});
+
+test('each attempt at a period is charged under its own key', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider, { failRenewals: true });
+  const keys = [];
+  const charge = provider.chargeSavedCard.bind(provider);
+  provider.chargeSavedCard = async (params) => {
+    keys.push(params.idempotencyKey);
+    return charge(params);
+  };
+  const due = order.nextBillingAt;
+  await runRenewals({ now: due });
+  await runRenewals({ now: due });
+  await runRenewals({ now: later(due, 1) });
+  const end = new Date(due.getTime());
+  end.setMonth(end.getMonth() + 1);
+  const period = `renewal_${order.id}_${end.getTime()}`;
+  assert.deepEqual(keys, [`${period}_1`, `${period}_2`]);
+});
+
+test('a renewal charged during a cancellation is paid back', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider);
+  const due = order.nextBillingAt;
+  const charge = provider.chargeSavedCard.bind(provider);
+  provider.chargeSavedCard = async (params) => {
+    const result = await charge(params);
+    await cancelSubscription(Order.findById(order.id), {
+      immediate: true,
+      now: due,
+      provider,
+    });
+    return result;
+  };
+  const summary = await runRenewals({ now: due });
+  assert.deepEqual(summary.renewed, []);
+  const current = Order.findById(order.id);
+  assert.equal(current.status, 'cancelled');
+  assert.deepEqual(types(order), [
+    'payment',
+    'cancelled',
+    'payment_rejected',
+    'payment_returned',
+  ]);
+  assert.equal(Invoice.findByOrder(order.id).length, 1);
+});
+
+test('an order being refunded is left to the next run', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider);
+  const due = order.nextBillingAt;
+  let summary;
+  await guardRefund(order, async () => {
+    summary = await runRenewals({ now: due });
+  });
+  assert.deepEqual(summary.renewed, []);
+  assert.deepEqual(types(order), ['payment']);
+  summary = await runRenewals({ now: due });
+  assert.deepEqual(summary.renewed, [order.id]);
+});
@@ -0,0 +1,109 @@
+process.env.ADMIN_EMAILS = 'Boss@example.com';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  tokenMailedTo,
+  makeUser,
+  login,
+  serve,
+} = require('./helpers');
+const { User } = require('../models');
+const { hasPermission, normaliseRoles } = require('../roles');
+
+test('roles grant their permissions and buyer is always kept', () => {
+  assert.deepEqual(normaliseRoles(['admin', 'seller']), [
+    'buyer',
+    'seller',
+    'admin',
+  ]);
+  assert.throws(() => normaliseRoles(['owner']), /Unknown role: owner/);
+  const support = { roles: ['buyer', 'support'] };
+  assert.equal(hasPermission(support, 'orders:read_any'), true);
+  assert.equal(hasPermission(support, 'orders:refund'), false);
+});
+
+test('ADMIN_EMAILS makes admins of verified addresses only', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  let res = await api('/api/auth/register', {
+    method: 'POST',
+    body: { email: 'boss@example.com', password: 'password', name: 'Boss' },
+  });
+  const session = res.body.token;
+  assert.deepEqual(res.body.user.roles, ['buyer']);
+  res = await api('/api/auth/login', {
+    method: 'POST',
+    body: { email: 'boss@example.com', password: 'password' },
+  });
+  assert.deepEqual(res.body.user.roles, ['buyer']);
+  res = await api('/api/admin/users', { token: session });
+  assert.deepEqual(res.body, { error: 'Missing permission: users:read' });
+  await new Promise((resolve) => setImmediate(resolve));
+  await api('/api/auth/verify-email', {
+    method: 'POST',
+    body: { token: tokenMailedTo('boss@example.com', /Verify/) },
+  });
+  assert.deepEqual(User.findByEmail('boss@example.com').roles, [
+    'buyer',
+    'admin',
+  ]);
+  res = await api('/api/admin/users', { token: session });
+  assert.equal(res.status, 200);
+});
+
+test('admins manage roles and suspend accounts', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const admin = await makeUser();
+  admin.update({ roles: ['buyer', 'admin'] });
+  const token = login(admin);
+  const user = await makeUser();
+  const userToken = login(user);
+  let res = await api(`/api/admin/users/${user.id}/roles`, {
+    method: 'PUT',
+    token,
+    body: { roles: ['support'] },
+  });
+  assert.deepEqual(res.body.user.roles, ['buyer', 'support']);
+  res = await api(`/api/admin/users/${admin.id}/roles`, {
+    method: 'PUT',
+    token,
+    body: { roles: ['buyer'] },
+  });
+  assert.deepEqual(res.body, {
+    error: 'You cannot remove your own admin role',
+  });
+  res = await api(`/api/admin/users/${user.id}/suspend`, {
+    method: 'POST',
+    token,
+    body: { reason: 'spam' },
+  });
+  assert.equal(res.status, 200);
+  assert.equal((await api('/api/auth/me', { token: userToken })).status, 401);
+  res = await api('/api/auth/login', {
+    method: 'POST',
+    body: { email: user.email, password: 'password' },
+  });
+  assert.equal(res.body.code, 'account_suspended');
+});
+
+test('buying and opening tickets take the buyer permissions', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const user = await makeUser();
+  const token = login(user);
+  const ticket = { subject: 'Help', message: 'Where is my order?' };
+  let res = await api('/api/support', { method: 'POST', token, body: ticket });
+  assert.equal(res.status, 200);
+  user.update({ roles: [] });
+  res = await api('/api/support', { method: 'POST', token, body: ticket });
+  assert.deepEqual(res.body, { error: 'Missing permission: tickets:create' });
+  res = await api('/api/checkout', {
+    method: 'POST',
+    token,
+    body: { productId: 1 },
+  });
+  assert.deepEqual(res.body, { error: 'Missing permission: orders:purchase' });
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { freshWorld, makeUser } = require('./helpers');
+const { Session } = require('../models');
+const {
+  createSession,
+  authenticate,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  activeSessions,
+  sessionJSON,
+} = require('../sessions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS);
+}
+
+test('a session token authenticates its user', async () => {
+  freshWorld();
+  const user = await makeUser();
+  const { token, session } = createSession(user, {
+    headers: { 'user-agent': 'tests' },
+    ip: '10.0.0.1',
+  });
+  const auth = authenticate(token);
+  assert.equal(auth.user.id, user.id);
+  assert.equal(auth.session.id, session.id);
+  assert.equal(authenticate('nope').code, 'session_invalid');
+  const json = sessionJSON(session, session.id);
+  assert.equal(json.userAgent, 'tests');
+  assert.equal(json.current, true);
+  assert.equal('tokenHash' in json, false);
+});
+
+test('sessions lapse after their lifetime or when idle', async () => {
+  freshWorld();
+  const user = await makeUser();
+  const old = createSession(user);
+  old.session.update({ expiresAt: daysAgo(1) });
+  assert.equal(authenticate(old.token).code, 'session_expired');
+  const idle = createSession(user);
+  idle.session.update({ lastSeenAt: daysAgo(8) });
+  assert.equal(authenticate(idle.token).code, 'session_expired');
+  // Lapsed sessions are cleared out when the user next logs in
+  createSession(user);
+  assert.equal(Session.findByUser(user.id).length, 1);
+});
+
+test('a request slides the idle timeout forward', async () => {
+  freshWorld();
+  const user = await makeUser();
+  const { token, session } = createSession(user);
+  session.update({ lastSeenAt: daysAgo(6) });
+  authenticate(token);
+  const seen = Session.findById(session.id).lastSeenAt;
+  assert.ok(Date.now() - seen < 1000);
+});
+
+test('rotating a session retires its old token', async () => {
+  freshWorld();
+  const user = await makeUser();
+  const { token, session } = createSession(user);
+  const next = rotateSession(session);
+  assert.equal(authenticate(token).code, 'session_invalid');
+  assert.equal(authenticate(next).session.id, session.id);
+});
+
+test('revoked sessions report why they stopped working', async () => {
+  freshWorld();
+  const user = await makeUser();
+  const one = createSession(user);
+  const two = createSession(user);
+  const three = createSession(user);
+  revokeSession(one.session);
+  assert.equal(authenticate(one.token).code, 'session_revoked');
+  assert.deepEqual(
+    activeSessions(user)
+      .map((s) => s.id)
+      .sort(),
+    [two.session.id, three.session.id]
+  );
+  revokeAllSessions(user.id);
+  assert.equal(authenticate(two.token).code, 'session_revoked');
+  assert.equal(Session.findById(two.session.id).revokedReason, 'logout_all');
+  assert.deepEqual(activeSessions(user), []);
+});
+
+test('a password change voids older sessions', async () => {
+  freshWorld();
+  const user = await makeUser();
+  const { token } = createSession(user);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  user.update({ passwordChangedAt: new Date() });
+  assert.equal(authenticate(token).code, 'session_revoked');
+  assert.equal(authenticate(createSession(user).token).user.id, user.id);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  defineTable,
+  createAdapter,
+  MemoryAdapter,
+  FileAdapter,
+} = require('../storage');
+
+defineTable('test_owners', {
+  unique: { email: 'Email already taken' },
+  dates: ['joinedAt'],
+});
+defineTable('test_items', {
+  unique: { 'ownerId,name': 'Name already used' },
+  references: { ownerId: 'test_owners' },
+});
+
+function tempLog(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stebio-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data', 'log.jsonl');
+}
+
+test('rows are copied in and out', () => {
+  const db = new MemoryAdapter();
+  const fields = { email: 'a@example.com', tags: ['x'] };
+  const row = db.insert('test_owners', fields);
+  fields.tags.push('y');
+  row.tags.push('z');
+  assert.deepEqual(db.get('test_owners', row.id).tags, ['x']);
+});
+
+test('unique columns and keys are enforced', () => {
+  const db = new MemoryAdapter();
+  const owner = db.insert('test_owners', { email: 'a@example.com' });
+  assert.throws(
+    () => db.insert('test_owners', { email: 'a@example.com' }),
+    /Email already taken/
+  );
+  // Unset values never collide
+  db.insert('test_owners', { email: null });
+  db.insert('test_owners', { email: null });
+  db.insert('test_items', { ownerId: owner.id, name: 'one' });
+  assert.throws(
+    () => db.insert('test_items', { ownerId: owner.id, name: 'one' }),
+    /Name already used/
+  );
+  assert.equal(
+    db.findOne('test_items', 'ownerId,name', [owner.id, 'one']).name,
+    'one'
+  );
+  // A row never conflicts with itself
+  db.update('test_owners', owner.id, { email: 'a@example.com' });
+  db.update('test_owners', owner.id, { email: 'b@example.com' });
+  assert.equal(db.findOne('test_owners', 'email', 'a@example.com'), undefined);
+});
+
+test('foreign keys are checked on write and delete', () => {
+  const db = new MemoryAdapter();
+  assert.throws(
+    () => db.insert('test_items', { ownerId: 9, name: 'one' }),
+    /test_owners 9 does not exist/
+  );
+  const owner = db.insert('test_owners', { email: 'a@example.com' });
+  const item = db.insert('test_items', { ownerId: owner.id, name: 'one' });
+  assert.throws(
+    () => db.remove('test_owners', owner.id),
+    /still referenced by test_items.ownerId/
+  );
+  assert.equal(db.remove('test_items', item.id), true);
+  assert.equal(db.remove('test_owners', owner.id), true);
+  assert.equal(db.remove('test_owners', owner.id), false);
+});
+
+test('the file log is replayed and compacted on startup', (t) => {
+  const file = tempLog(t);
+  const joinedAt = new Date('2024-05-01T10:00:00Z');
+  let db = new FileAdapter(file);
+  const a = db.insert('test_owners', { email: 'a@example.com', joinedAt });
+  db.update('test_owners', a.id, { email: 'b@example.com' });
+  const b = db.insert('test_owners', { email: 'c@example.com' });
+  db.remove('test_owners', b.id);
+  db = new FileAdapter(file);
+  const row = db.get('test_owners', a.id);
+  assert.equal(row.email, 'b@example.com');
+  assert.ok(row.joinedAt instanceof Date);
+  assert.equal(row.joinedAt.getTime(), joinedAt.getTime());
+  assert.equal(db.get('test_owners', b.id), undefined);
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+  assert.equal(lines.filter((l) => l.includes('"insert"')).length, 1);
+});
+
+test('ids of deleted rows are not handed out again', (t) => {
+  const file = tempLog(t);
+  let db = new FileAdapter(file);
+  db.insert('test_owners', { email: 'a@example.com' });
+  const last = db.insert('test_owners', { email: 'b@example.com' });
+  db.remove('test_owners', last.id);
+  db = new FileAdapter(file);
+  db = new FileAdapter(file);
+  const next = db.insert('test_owners', { email: 'c@example.com' });
+  assert.equal(next.id, last.id + 1);
+});
+
+test('a torn last line is dropped, corruption elsewhere is not', (t) => {
+  const file = tempLog(t);
+  const db = new FileAdapter(file);
+  db.insert('test_owners', { email: 'a@example.com' });
+  fs.appendFileSync(file, '{"op":"insert","tab');
+  assert.equal(new FileAdapter(file).all('test_owners').length, 1);
+  fs.writeFileSync(file, `not json\n${fs.readFileSync(file, 'utf8')}`);
+  assert.throws(() => new FileAdapter(file), /Corrupt storage log/);
+});
+
+test('DATABASE_URL picks the adapter', (t) => {
+  assert.ok(createAdapter(undefined) instanceof MemoryAdapter);
+  assert.ok(createAdapter('memory://') instanceof MemoryAdapter);
+  const file = tempLog(t);
+  assert.ok(createAdapter(`file:${file}`) instanceof FileAdapter);
+  assert.throws(
+    () => createAdapter('postgres://localhost/db'),
+    /Unsupported DATABASE_URL scheme: postgres/
+  );
+});
@@ -0,0 +1,290 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  buy,
+  login,
+  serve,
+} = require('./helpers');
+const { User, Order, Variant, BillingEvent } = require('../models');
+const {
+  changePlan,
+  cancelSubscription,
+  reactivateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+} = require('../subscriptions');
+const { runRenewals } = require('../renewals');
+const { guardRefund } = require('../refunds');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function subscribe(provider) {
+  const store = await makeStore();
+  const { product, variants } = makeProduct(store, {
+    maxPauseDays: 30,
+    deliverables: [
+      { type: 'discord_role', details: { roleId: 'r1' } },
+      { type: 'license_keys', details: { keys: ['K1', 'K2'] } },
+    ],
+    variants: [
+      { name: 'Monthly', price: 3000, type: 'subscription' },
+      { name: 'Pro', price: 6000, type: 'subscription' },
+    ],
+  });
+  const buyer = await makeUser();
+  const monthly = variants.find((v) => v.name === 'Monthly');
+  return buy(provider, buyer, product, monthly);
+}
+
+// The time `share` of the way through the order's paid period
+function intoPeriod(order, share) {
+  const end = order.nextBillingAt.getTime();
+  const start = order.paidAt.getTime();
+  return new Date(start + Math.round((end - start) * share));
+}
+
+function types(order) {
+  return BillingEvent.findByOrder(order.id).map((e) => e.type);
+}
+
+test('pausing revokes access until the subscription resumes', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider);
+  const paidUntil = order.nextBillingAt.getTime();
+  const now = new Date();
+  pauseSubscription(order, { days: 10, now });
+  assert.equal(order.status, 'paused');
+  assert.ok(order.deliverables.every((d) => d.revokedAt));
+  resumeSubscription(order, new Date(now.getTime() + 4 * DAY_MS));
+  assert.equal(order.status, 'active');
+  assert.ok(order.deliverables.every((d) => !d.revokedAt));
+  assert.equal(order.nextBillingAt.getTime(), paidUntil + 4 * DAY_MS);
+});
+
+test('a pause runs out at resumesAt', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider);
+  const now = new Date();
+  pauseSubscription(order, { days: 10, now });
+  const summary = await runRenewals({ now: order.resumesAt });
+  assert.deepEqual(summary.resumed, [order.id]);
+  assert.equal(Order.findById(order.id).status, 'active');
+});
+
+test('a cancellation at period end keeps access until then', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider);
+  const end = order.nextBillingAt;
+  const { refunds } = await cancelSubscription(order);
+  assert.deepEqual(refunds, []);
+  assert.equal(order.status, 'active');
+  assert.ok(order.cancelAtPeriodEnd);
+  const summary = await runRenewals({ now: end });
+  assert.deepEqual(summary.cancelled, [order.id]);
+  const current = Order.findById(order.id);
+  assert.equal(current.status, 'cancelled');
+  assert.equal(current.endedAt.getTime(), end.getTime());
+  assert.ok(current.deliverables.every((d) => d.revokedAt));
+  assert.deepEqual(types(order), ['payment', 'cancelled']);
+});
+
+test('a reactivated subscription renews again', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider);
+  await cancelSubscription(order);
+  reactivateSubscription(order);
+  const summary = await runRenewals({ now: order.nextBillingAt });
+  assert.deepEqual(summary.renewed, [order.id]);
+});
+
+test('an immediate cancel refunds the unused period', async () => {
+  const provider = freshWorld();
+  const order = await subscribe(provider);
+  const now = intoPeriod(order, 0.5);
+  const { refunds } = await cancelSubscription(order, {
+    immediate: true,
+    now,
+  });
+  assert.deepEqual(refunds.map((r) => r.amount), [1500]);
+  assert.equal(order.status, 'cancelled');
+  assert.ok(order.deliverables.every((d) => d.revokedAt));
+  assert.deepEqual(types(order), ['payment', 'refund', 'cancelled']);
+});
+
+test('the cancel route waits for a plan change to finish', async (t) => {
+  const provider = freshWorld();
+  const api = await serve(t);
+  const order = await subscribe(provider);
+  const token = login(User.findById(order.userId));
+  let release;
+  const charge = provider.chargeSavedCard.bind(provider);
+  provider.chargeSavedCard = async (params) => {
+    await new Promise((resolve) => (release = resolve));
+    return charge(params);
+  };
+  const pro = Variant.findByProduct(order.productId).find(
+    (v) => v.name === 'Pro'
+  );
+  const change = changePlan(order, pro, { now: intoPeriod(order, 0.5) });
+  const cancel = { method: 'POST', token, body: { immediate: true } };
+  const busy = await api(`/api/orders/${order.id}/cancel`, cancel);
+  assert.equal(busy.status, 409);
+  release();
+  await change;
+  const done = await api(`/api/orders/${order.id}/cancel`, cancel);
+  assert.equal(done.status, 200);
+  assert.equal(done.body.order.status, 'cancelled');
+});
+
+test('the cancel route reports a refused refund as 502', async (t) => {
+  const provider = freshWorld();
+  const api = await serve(t);
+  const order = await subscribe(provider);
+  provider.refund = async () => ({
+    id: null,
+    status: 'failed',
+    failureReason: 'charge_disputed',
+  });
+  const res = await api(`/api/orders/${order.id}/cancel`, {
+    method: 'POST',
+    token: login(User.findById(order.userId)),
+    body: { immediate: true },
+  });
+  assert.equal(res.status, 502);
+  assert.match(res.body.error, /charge_disputed/);
+  assert.equal(Order.findById(order.id).status, 'active');
+});
+
+async function subscribeToPlans(provider, plan) {
+  const store = await makeStore();
+  const monthly = (name, price) => ({
+    name,
+    price,
+    type: 'subscription',
+    billingInterval: 'monthly',
+    deliverables: [{ type: 'discord_role', details: { roleId: name } }],
+  });
+  const { product, variants } = makeProduct(store, {
+    variants: [monthly('Basic', 3000), monthly('Pro', 6000)],
+  });
+  const variant = variants.find((v) => v.name === plan);
+  const order = await buy(provider, await makeUser(), product, variant);
+  const other = variants.find((v) => v !== variant);
+  return { order, other };
+}
+
+test('an upgrade charges the new price less the unused period', async () => {
+  const provider = freshWorld();
+  const { order, other } = await subscribeToPlans(provider, 'Basic');
+  const now = intoPeriod(order, 0.5);
+  const { change } = await changePlan(order, other, { now });
+  assert.equal(change.details.proration, 1500);
+  assert.equal(change.amount, 4500);
+  assert.equal(order.variantId, other.id);
+  assert.equal(order.creditBalance, 0);
+  const roles = order.deliverables.map((d) => [
+    d.details.roleId,
+    Boolean(d.revokedAt),
+  ]);
+  assert.deepEqual(roles, [
+    ['Basic', true],
+    ['Pro', false],
+  ]);
+});
+
+test('a downgrade leaves credit for the next renewals', async () => {
+  const provider = freshWorld();
+  const { order, other } = await subscribeToPlans(provider, 'Pro');
+  const now = intoPeriod(order, 0.25);
+  const { change } = await changePlan(order, other, { now });
+  assert.equal(change.details.proration, 4500);
+  assert.equal(change.amount, 0);
+  assert.equal(order.creditBalance, 1500);
+  await runRenewals({ now: order.nextBillingAt });
+  const renewal = BillingEvent.findByOrder(order.id).find(
+    (e) => e.type === 'renewal'
+  );
+  assert.deepEqual([renewal.amount, renewal.credit], [1500, 1500]);
+  assert.equal(Order.findById(order.id).creditBalance, 0);
+});
+
+test('a declined upgrade leaves the plan as it was', async () => {
+  const provider = freshWorld();
+  const { order, other } = await subscribeToPlans(provider, 'Basic');
+  order.update({ paymentMethodId: 'pm_mock_renewals_decline' });
+  const before = order.variantId;
+  const result = await changePlan(order, other, {
+    now: intoPeriod(order, 0.5),
+  });
+  assert.equal(result.failureReason, 'card_declined');
+  const current = Order.findById(order.id);
+  assert.equal(current.variantId, before);
+  assert.deepEqual(types(order), ['payment']);
+});
+
+test('an upgrade of an order cancelled meanwhile is paid back', async () => {
+  const provider = freshWorld();
+  const { order, other } = await subscribeToPlans(provider, 'Basic');
+  const now = intoPeriod(order, 0.5);
+  const charge = provider.chargeSavedCard.bind(provider);
+  provider.chargeSavedCard = async (params) => {
+    const result = await charge(params);
+    await cancelSubscription(Order.findById(order.id), { now, provider });
+    return result;
+  };
+  await assert.rejects(changePlan(order, other, { now }), /changed/);
+  const current = Order.findById(order.id);
+  assert.notEqual(current.variantId, other.id);
+  assert.deepEqual(types(order), [
+    'payment',
+    'payment_rejected',
+    'payment_returned',
+  ]);
+});
+
+test('plan changes and refunds wait for each other', async () => {
+  const provider = freshWorld();
+  const { order, other } = await subscribeToPlans(provider, 'Basic');
+  const now = intoPeriod(order, 0.5);
+  await guardRefund(order, async () => {
+    await assert.rejects(changePlan(order, other, { now }), /refund/);
+  });
+  let release;
+  const charge = provider.chargeSavedCard.bind(provider);
+  provider.chargeSavedCard = async (params) => {
+    await new Promise((resolve) => (release = resolve));
+    return charge(params);
+  };
+  const change = changePlan(order, other, { now });
+  await assert.rejects(
+    cancelSubscription(order, { immediate: true, now }),
+    /plan change/
+  );
+  release();
+  await change;
+});
+
+test('the change-plan route answers 409 and 502', async (t) => {
+  const provider = freshWorld();
+  const api = await serve(t);
+  const { order, other } = await subscribeToPlans(provider, 'Basic');
+  const request = {
+    method: 'POST',
+    token: login(User.findById(order.userId)),
+    body: { variantId: other.id },
+  };
+  const path = `/api/orders/${order.id}/change-plan`;
+  await guardRefund(order, async () => {
+    assert.equal((await api(path, request)).status, 409);
+  });
+  provider.chargeSavedCard = async () => {
+    throw new Error('Stripe is not configured');
+  };
+  const failed = await api(path, request);
+  assert.equal(failed.status, 502);
+  assert.equal(Order.findById(order.id).variantId, order.variantId);
+});
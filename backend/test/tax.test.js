@@ -0,0 +1,80 @@
+process.env.TAX_HOME_COUNTRY = 'IE';
+process.env.TAX_RATES = 'us=2, US-OH=0';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  makeProduct,
+  login,
+  serve,
+} = require('./helpers');
+const { Order } = require('../models');
+const { validateVatId, taxLocation, taxedPrice } = require('../tax');
+
+test('rates go by country, and by region where it matters', () => {
+  assert.equal(taxLocation({ country: ' de ' }).rate, 19);
+  assert.equal(taxLocation({ country: 'US', region: 'tx' }).rate, 6.25);
+  assert.equal(taxLocation({ country: 'BR' }).rate, 0);
+  assert.throws(() => taxLocation({ country: 'US' }), /state or region/);
+  assert.throws(() => taxLocation({ country: 'Germany' }), /country/);
+});
+
+test('TAX_RATES is laid over the default rates', () => {
+  assert.equal(taxLocation({ country: 'US', region: 'OR' }).rate, 2);
+  assert.equal(taxLocation({ country: 'US', region: 'OH' }).rate, 0);
+  assert.equal(taxLocation({ country: 'US', region: 'TX' }).rate, 6.25);
+});
+
+test('VAT IDs are checked against their country format', () => {
+  assert.equal(validateVatId('DE', 'de 123.456.789'), 'DE123456789');
+  assert.equal(validateVatId('GR', 'EL123456789'), 'EL123456789');
+  assert.equal(validateVatId('NL', '123456789B01'), 'NL123456789B01');
+  assert.throws(() => validateVatId('DE', '12345678'), /not a valid VAT ID/);
+  assert.throws(() => validateVatId('US', '123'), /only taken for EU/);
+});
+
+test('a VAT ID reverse-charges outside the home country', () => {
+  const business = taxLocation({ country: 'DE', vatId: '123456789' });
+  assert.deepEqual([business.rate, business.reverseCharge], [0, true]);
+  const home = taxLocation({ country: 'IE', vatId: '1234567T' });
+  assert.deepEqual([home.rate, home.reverseCharge], [23, false]);
+});
+
+test('tax is added to the price and rounded', () => {
+  assert.deepEqual(taxedPrice(999, 19), {
+    subtotal: 999,
+    tax: 190,
+    total: 1189,
+  });
+  assert.deepEqual(taxedPrice(1000), { subtotal: 1000, tax: 0, total: 1000 });
+});
+
+test('quotes and orders carry subtotal, tax and total', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const store = await makeStore();
+  const { product } = makeProduct(store, {
+    variants: [{ name: 'Once', price: 2000, type: 'one_time' }],
+  });
+  const quote = await api(
+    `/api/checkout/quote?productId=${product.id}&country=US&region=TX`
+  );
+  assert.equal(quote.status, 200);
+  assert.deepEqual(
+    [quote.body.price, quote.body.taxRate, quote.body.tax, quote.body.total],
+    [2000, 6.25, 125, 2125]
+  );
+  const res = await api('/api/checkout', {
+    method: 'POST',
+    token: login(await makeUser()),
+    body: { productId: product.id, country: 'US', region: 'TX' },
+  });
+  assert.equal(res.status, 200);
+  const order = Order.findById(res.body.order.id);
+  assert.deepEqual([order.subtotal, order.tax, order.total], [2000, 125, 2125]);
+  const missing = await api(`/api/checkout/quote?productId=${product.id}`);
+  assert.equal(missing.status, 400);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { freshWorld, makeUser, login, serve } = require('./helpers');
+const { codeAt, stepAt, verifyCode, otpauthURI } = require('../totp');
+
+// The RFC 6238 test secret, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.equal(codeAt(RFC_SECRET, stepAt(59 * 1000)), '287082');
+  assert.equal(codeAt(RFC_SECRET, stepAt(1111111109 * 1000)), '081804');
+  assert.equal(codeAt(RFC_SECRET, stepAt(2000000000 * 1000)), '279037');
+});
+
+test('codes one step either side are accepted', () => {
+  const time = 1111111109 * 1000;
+  const step = stepAt(time);
+  const check = (at) => verifyCode(RFC_SECRET, codeAt(RFC_SECRET, at), time);
+  assert.equal(check(step - 1), step - 1);
+  assert.equal(check(step + 1), step + 1);
+  assert.equal(check(step - 2), null);
+  assert.equal(verifyCode(RFC_SECRET, '08 18 04', time), step);
+  assert.equal(verifyCode(RFC_SECRET, 'abcdef', time), null);
+});
+
+test('the otpauth URI carries the secret and issuer', () => {
+  const uri = new URL(otpauthURI(RFC_SECRET, 'ann@example.com'));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('issuer'), 'STEB.IO');
+});
+
+test('two-factor login takes a fresh code or a recovery code', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const user = await makeUser({ isSeller: true });
+  const token = login(user);
+  let res = await api('/api/auth/2fa/enroll', { method: 'POST', token });
+  const { secret } = res.body;
+  const step = stepAt();
+  res = await api('/api/auth/2fa/confirm', {
+    method: 'POST',
+    token,
+    body: { code: codeAt(secret, step) },
+  });
+  const { recoveryCodes } = res.body;
+  assert.equal(recoveryCodes.length, 10);
+  const password = { email: user.email, password: 'password' };
+  const challenge = async () =>
+    (await api('/api/auth/login', { method: 'POST', body: password })).body
+      .challengeToken;
+  const second = (body) =>
+    api('/api/auth/login/2fa', { method: 'POST', body });
+  // The code used to confirm cannot be replayed
+  res = await second({
+    challengeToken: await challenge(),
+    code: codeAt(secret, step),
+  });
+  assert.deepEqual(res.body, { error: 'Invalid two-factor code' });
+  res = await second({
+    challengeToken: await challenge(),
+    code: codeAt(secret, step + 1),
+  });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+  const recovery = { recoveryCode: recoveryCodes[0] };
+  res = await second({ challengeToken: await challenge(), ...recovery });
+  assert.equal(res.status, 200);
+  res = await second({ challengeToken: await challenge(), ...recovery });
+  assert.equal(res.status, 400);
+});
+
+test('turning two-factor off needs the password and a code', async (t) => {
+  freshWorld();
+  const api = await serve(t);
+  const user = await makeUser({ isSeller: true });
+  const token = login(user);
+  const { secret } = (
+    await api('/api/auth/2fa/enroll', { method: 'POST', token })
+  ).body;
+  await api('/api/auth/2fa/confirm', {
+    method: 'POST',
+    token,
+    body: { code: codeAt(secret, stepAt()) },
+  });
+  const code = codeAt(secret, stepAt());
+  let res = await api('/api/auth/2fa/disable', {
+    method: 'POST',
+    token,
+    body: { password: 'wrong', code },
+  });
+  assert.deepEqual(res.body, { error: 'Password is incorrect' });
+  res = await api('/api/auth/2fa/disable', {
+    method: 'POST',
+    token,
+    body: { password: 'password', code },
+  });
+  assert.equal(res.status, 200);
+  res = await api('/api/auth/login', {
+    method: 'POST',
+    body: { email: user.email, password: 'password' },
+  });
+  assert.ok(res.body.token);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  mailTo,
+  makeUser,
+  makeStore,
+  makeProduct,
+  buy,
+} = require('./helpers');
+const { Order, BillingEvent } = require('../models');
+const { orderTerms } = require('../checkout');
+const { runRenewals } = require('../renewals');
+const { cancelSubscription } = require('../subscriptions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function trialProduct() {
+  const store = await makeStore();
+  return makeProduct(store, {
+    deliverables: [{ type: 'discord_role', details: { roleId: 'r1' } }],
+    variants: [
+      {
+        name: 'Monthly',
+        price: 3000,
+        type: 'subscription',
+        billingInterval: 'monthly',
+        trialDays: 14,
+      },
+    ],
+  });
+}
+
+function events(order, type) {
+  return BillingEvent.findByOrder(order.id).filter((e) => e.type === type);
+}
+
+test('a trial starts without a charge', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await trialProduct();
+  const before = Date.now();
+  const order = await buy(provider, await makeUser(), product, variants[0]);
+  assert.equal(order.status, 'trialing');
+  const days = (order.trialEndsAt.getTime() - before) / DAY_MS;
+  assert.ok(days >= 14 && days < 14.01);
+  assert.equal(order.nextBillingAt.getTime(), order.trialEndsAt.getTime());
+  assert.equal(events(order, 'trial_started').length, 1);
+  assert.equal(events(order, 'payment').length, 0);
+  assert.ok(order.deliverables.every((d) => !d.revokedAt));
+});
+
+test('the buyer is reminded once before the trial ends', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await trialProduct();
+  const user = await makeUser();
+  const order = await buy(provider, user, product, variants[0]);
+  const early = new Date(order.trialEndsAt.getTime() - 4 * DAY_MS);
+  assert.deepEqual((await runRenewals({ now: early })).reminded, []);
+  const soon = new Date(order.trialEndsAt.getTime() - 3 * DAY_MS);
+  assert.deepEqual((await runRenewals({ now: soon })).reminded, [order.id]);
+  await runRenewals({ now: soon });
+  const mails = mailTo(user.email).filter((m) => /trial ends/.test(m.subject));
+  assert.equal(mails.length, 1);
+});
+
+test('a trial is charged when it ends', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await trialProduct();
+  const order = await buy(provider, await makeUser(), product, variants[0]);
+  const summary = await runRenewals({ now: order.trialEndsAt });
+  assert.deepEqual(summary.converted, [order.id]);
+  const current = Order.findById(order.id);
+  assert.equal(current.status, 'active');
+  assert.ok(current.nextBillingAt > order.trialEndsAt);
+  assert.deepEqual(events(order, 'payment').map((e) => e.amount), [3000]);
+});
+
+test('a trial that cannot be paid for expires', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await trialProduct();
+  const order = await buy(provider, await makeUser(), product, variants[0], {
+    failRenewals: true,
+  });
+  const summary = await runRenewals({ now: order.trialEndsAt });
+  assert.deepEqual(summary.expired, [order.id]);
+  const current = Order.findById(order.id);
+  assert.equal(current.status, 'expired');
+  assert.ok(current.deliverables.every((d) => d.revokedAt));
+  assert.equal(events(order, 'payment_failed').length, 1);
+});
+
+test('a buyer gets one trial per product, cancelled or not', async () => {
+  const provider = freshWorld();
+  const { product, variants } = await trialProduct();
+  const user = await makeUser();
+  const order = await buy(provider, user, product, variants[0]);
+  await cancelSubscription(order, { immediate: true, provider });
+  assert.equal(Order.findById(order.id).status, 'cancelled');
+  const terms = orderTerms({ user, product, variant: variants[0] });
+  assert.equal(terms.trialDays, 0);
+  const other = orderTerms({
+    user: await makeUser(),
+    product,
+    variant: variants[0],
+  });
+  assert.equal(other.trialDays, 14);
+});
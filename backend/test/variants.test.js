@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  freshWorld,
+  makeUser,
+  makeStore,
+  login,
+  serve,
+} = require('./helpers');
+const { User, Product, Order } = require('../models');
+
+const PLANS = [
+  { name: 'Monthly', price: '9.99', type: 'subscription' },
+  {
+    name: 'Yearly',
+    price: '99',
+    type: 'subscription',
+    billingInterval: 'yearly',
+  },
+  { name: 'Lifetime', price: '249', type: 'one_time' },
+];
+
+// A product with the three plans, created through the API by its owner
+async function planProduct(t) {
+  freshWorld();
+  const api = await serve(t);
+  const store = await makeStore();
+  const token = login(User.findById(store.ownerId));
+  const { product, variants } = (
+    await api('/api/products', {
+      method: 'POST',
+      token,
+      body: { storeId: store.id, title: 'Community', variants: PLANS },
+    })
+  ).body;
+  const byName = Object.fromEntries(variants.map((v) => [v.name, v]));
+  const path = (variant, action = '') =>
+    `/api/products/${product.id}/variants/${variant.id}${action}`;
+  return { api, token, product, variants: byName, path };
+}
+
+test('the product shows its cheapest plan on sale', async (t) => {
+  const { api, token, product, variants, path } = await planProduct(t);
+  assert.equal(variants.Monthly.price, 999);
+  assert.equal(variants.Yearly.billingInterval, 'yearly');
+  assert.equal(Product.findById(product.id).price, 999);
+  await api(path(variants.Monthly, '/archive'), { method: 'POST', token });
+  assert.equal(Product.findById(product.id).price, 9900);
+  await api(path(variants.Yearly), {
+    method: 'PUT',
+    token,
+    body: { price: '300' },
+  });
+  const current = Product.findById(product.id);
+  assert.deepEqual([current.price, current.type], [24900, 'one_time']);
+});
+
+test('plans keep their type, unique names and the last plan', async (t) => {
+  const { api, token, product, variants, path } = await planProduct(t);
+  let res = await api(`/api/products/${product.id}/variants`, {
+    method: 'POST',
+    token,
+    body: { name: 'Monthly', price: '5', type: 'subscription' },
+  });
+  assert.deepEqual(res.body, {
+    error: 'A variant with this name already exists',
+  });
+  res = await api(path(variants.Lifetime), {
+    method: 'PUT',
+    token,
+    body: { type: 'subscription' },
+  });
+  assert.deepEqual(res.body, { error: 'Variant type cannot be changed' });
+  await api(path(variants.Monthly), { method: 'DELETE', token });
+  await api(path(variants.Yearly), { method: 'DELETE', token });
+  res = await api(path(variants.Lifetime), { method: 'DELETE', token });
+  assert.deepEqual(res.body, { error: 'A product needs at least one variant' });
+});
+
+test('archived plans cannot be bought', async (t) => {
+  const { api, token, product, variants, path } = await planProduct(t);
+  const buyer = login(await makeUser());
+  const checkout = (body) =>
+    api('/api/checkout', {
+      method: 'POST',
+      token: buyer,
+      body: { productId: product.id, country: 'DE', ...body },
+    });
+  let res = await checkout({});
+  assert.deepEqual(res.body, { error: 'Please choose a variant' });
+  await api(path(variants.Yearly, '/archive'), { method: 'POST', token });
+  res = await checkout({ variantId: variants.Yearly.id });
+  assert.deepEqual(res.body, { error: 'Variant not found' });
+  res = await checkout({ variantId: variants.Lifetime.id });
+  assert.equal(res.status, 200);
+  const order = Order.findById(res.body.order.id);
+  assert.equal(order.variantId, variants.Lifetime.id);
+});
+
+test('ordered plans cannot be deleted', async (t) => {
+  const { api, token, product, variants, path } = await planProduct(t);
+  await api('/api/checkout', {
+    method: 'POST',
+    token: login(await makeUser()),
+    body: {
+      productId: product.id,
+      variantId: variants.Lifetime.id,
+      country: 'DE',
+    },
+  });
+  let res = await api(path(variants.Lifetime), { method: 'DELETE', token });
+  assert.equal(res.status, 409);
+  res = await api(path(variants.Monthly), { method: 'DELETE', token });
+  assert.deepEqual(res.body, { success: true });
+  await api(path(variants.Yearly), { method: 'DELETE', token });
+  assert.deepEqual(
+    Product.findById(product.id)
+      .variants()
+      .map((v) => v.name),
+    ['Lifetime']
+  );
+});
@@ -0,0 +1,127 @@
+/*
+ * totp.js
+ *
+ * Time-based one-time passwords (RFC 6238) for two-factor login:
+ * HMAC-SHA1, 30 second steps, 6 digits, which is what Google
+ * Authenticator, 1Password, Authy and friends expect by default.
+ * Secrets are exchanged as base32 strings inside an otpauth:// URI.
+ * Recovery codes for when the authenticator is lost are generated here
+ * too; they are hashed and checked by the User model.
+ */
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step either side to absorb clock drift
+const DRIFT_STEPS = 1;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Returns a new random base32 secret (160 bits, as RFC 4226 recommends).
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function stepAt(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Computes the code for `secret` at a given time step.
+ */
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Checks `code` against the steps around `time`. Returns the matching
+ * step so callers can refuse to accept the same step twice, or null.
+ */
+function verifyCode(secret, code, time = Date.now()) {
+  const normalised = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalised) || normalised.length !== DIGITS) return null;
+  const current = stepAt(time);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    const expected = Buffer.from(codeAt(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalised))) return step;
+  }
+  return null;
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ */
+function otpauthURI(secret, accountName, issuer = 'STEB.IO') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Returns `count` fresh recovery codes like "3f9a-c01d-77b2". They are
+ * lower case so they survive being retyped from paper.
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+  );
+}
+
+module.exports = {
+  generateSecret,
+  generateRecoveryCodes,
+  codeAt,
+  stepAt,
+  verifyCode,
+  otpauthURI,
+};
@@ -12,8 +12,9 @@
   const searchInp  = $('search-input');
   const searchBtn  = $('search-button');
   const selectSort = document.getElementById('sort-select');
+  const selectCur  = document.getElementById('currency-select');
 
-  const fmt = n => `$${Number(n ?? 0).toFixed(2)}`;
+  const fmt = p => StebMoney.formatPrice(p);
   const params = o => new URLSearchParams(Object.entries(o).filter(([,v]) => v!=="" && v!=null));
 
   const skels = (n=8) => {
@@ -41,7 +42,7 @@
         <div class="img skel h120 r10"></div>
         <h4>${p.title ?? "Untitled"}</h4>
         <p>${(p.description ?? "").slice(0,120)}</p>
-        <div class="meta"><span>${fmt(p.price)}</span><span>${p.type ?? ""}</span></div>
+        <div class="meta"><span>${fmt(p)}</span><span>${p.type ?? ""}</span></div>
         <div class="actions">
           <button data-id="${p.id}">View</button>
           <a href="#" data-store="${p.storeId ?? ""}">Store</a>
@@ -74,7 +75,8 @@
       const p = params({
         q: q || undefined,
         type: type !== "All" ? type : undefined,
-        sort
+        sort,
+        currency: StebMoney.preferredCurrency() || undefined
       });
       const data = await api(`/api/products/search?${p.toString()}`);
       renderProducts(data?.products || data || []);
@@ -95,6 +97,19 @@
   if(selectSort){
     selectSort.onchange=()=>{ sort=selectSort.value; loadProducts(); };
   }
+
+  // Currencies prices can be shown in; the choice is shared with the
+  // other pages through StebMoney
+  const loadCurrencies = async () => {
+    if(!selectCur) return;
+    try{
+      const { currencies = [] } = await api('/api/currencies');
+      const current = StebMoney.preferredCurrency();
+      selectCur.innerHTML = `<option value="">Seller's currency</option>` +
+        currencies.map(c => `<option value="${c}"${c===current?" selected":""}>${c}</option>`).join("");
+      selectCur.onchange=()=>{ StebMoney.setPreferredCurrency(selectCur.value); loadProducts(); };
+    }catch{}
+  };
   if(searchBtn && searchInp){
     const doSearch=()=>{ q=searchInp.value.trim(); loadProducts(); };
     searchBtn.onclick=doSearch;
@@ -103,6 +118,7 @@
 
   (async function init(){
     await loadStats();
+    await loadCurrencies();
     await loadProducts();
   })();
 })();
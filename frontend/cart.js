@@ -0,0 +1,286 @@
+/*
+ * cart.js
+ *
+ * The cart drawer shared by every STEB.IO page, loaded after money.js.
+ * Adds a "Cart (n)" button to the nav that opens a drawer listing the
+ * cart's items with their store, price and anything keeping them from
+ * being checked out, and what is due per currency. Visitors who are not
+ * logged in get a guest cart whose token is kept in localStorage and sent
+ * as X-Cart-Token; once they log in it is merged into their own cart.
+ * Checking out pays for the whole cart (one currency at a time) on the
+ * payment provider's page; guests check out with just an email address.
+ * Prices in the drawer are before tax, which is added at checkout for
+ * the country (and US state or EU VAT ID) entered with it, the same
+ * location the product page quotes with.
+ * Exposes window.StebCart for the product page to add items with.
+ */
+
+(() => {
+  const BASE_URL = 'https://stebio.onrender.com';
+  const CART_TOKEN_KEY = 'stebio_cart_token';
+  const LOCATION_KEY = 'stebio_tax_location';
+  let cart = { items: [], totals: [] };
+  let cartBtn;
+  let drawer;
+  let itemsDiv;
+  let totalsDiv;
+  let messageP;
+  let guestEmail;
+  let locationInputs;
+
+  function showMessage(msg, isError = false) {
+    messageP.textContent = msg;
+    messageP.style.color = isError ? '#d32f2f' : '#388e3c';
+  }
+
+  async function cartFetch(path, options = {}) {
+    const headers = { 'Content-Type': 'application/json', ...options.headers };
+    const token = localStorage.getItem('stebio_token');
+    const cartToken = localStorage.getItem(CART_TOKEN_KEY);
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    } else if (cartToken) {
+      headers['X-Cart-Token'] = cartToken;
+    }
+    const res = await fetch(BASE_URL + StebMoney.withCurrency(path), {
+      ...options,
+      headers,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  }
+
+  // Describes an item's price, e.g. "$9.99 / month (7-day trial)"
+  function itemPrice(item) {
+    if (item.price === null) return '';
+    let text = StebMoney.formatPrice(item);
+    const { type, billingInterval } = item.variant;
+    if (type === 'subscription') {
+      text += billingInterval === 'yearly' ? ' / year' : ' / month';
+      if (item.trialDays) text += ` (${item.trialDays}-day trial)`;
+    }
+    if (item.couponCode) text += ` with ${item.couponCode}`;
+    return text;
+  }
+
+  function renderItem(item) {
+    const row = document.createElement('div');
+    row.className = 'cart-item';
+    const link = document.createElement('a');
+    link.href = `product.html?id=${item.productId}`;
+    link.textContent = item.product ? item.product.title : 'Unavailable';
+    const details = document.createElement('p');
+    details.textContent = [
+      item.store && item.store.name,
+      item.variant && item.variant.name,
+      itemPrice(item),
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    row.append(link, details);
+    if (item.error) {
+      const error = document.createElement('p');
+      error.className = 'cart-item-error';
+      error.textContent = item.error;
+      row.appendChild(error);
+    }
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', async () => {
+      try {
+        const data = await cartFetch(`/api/cart/items/${item.productId}`, {
+          method: 'DELETE',
+        });
+        cart = data.cart;
+        render();
+      } catch (err) {
+        showMessage(err.message, true);
+      }
+    });
+    row.appendChild(removeBtn);
+    return row;
+  }
+
+  // One checkout button per currency the cart holds
+  function renderTotal(total) {
+    const row = document.createElement('div');
+    row.className = 'cart-total';
+    const due = StebMoney.formatPrice({
+      price: total.amount,
+      currency: total.currency,
+      displayPrice: total.displayPrice,
+    });
+    const label = document.createElement('span');
+    label.textContent = `Due now: ${due} plus tax`;
+    const checkoutBtn = document.createElement('button');
+    checkoutBtn.textContent =
+      cart.totals.length > 1 ? `Checkout ${total.currency}` : 'Checkout';
+    checkoutBtn.addEventListener('click', () =>
+      checkout(total.currency, checkoutBtn)
+    );
+    row.append(label, checkoutBtn);
+    return row;
+  }
+
+  function render() {
+    cartBtn.textContent = `Cart (${cart.items.length})`;
+    itemsDiv.innerHTML = '';
+    totalsDiv.innerHTML = '';
+    if (cart.items.length === 0) {
+      itemsDiv.textContent = 'Your cart is empty.';
+      return;
+    }
+    cart.items.forEach((item) => itemsDiv.appendChild(renderItem(item)));
+    cart.totals.forEach((total) => totalsDiv.appendChild(renderTotal(total)));
+  }
+
+  // The buyer's location for tax, remembered for the product page too
+  function location() {
+    const values = {};
+    locationInputs.forEach((input) => {
+      values[input.name] = input.value.trim() || undefined;
+    });
+    localStorage.setItem(LOCATION_KEY, JSON.stringify(values));
+    return values;
+  }
+
+  // Visitors who are not logged in check out as guests with an email
+  // address, which a link to their purchases is mailed to. The button is
+  // disabled while the request runs, and the attempt's Idempotency-Key
+  // keeps a repeated request from placing the orders twice.
+  async function checkout(currency, button) {
+    const guest = !localStorage.getItem('stebio_token');
+    const email = guestEmail.value.trim();
+    if (guest && !email) {
+      showMessage('Enter your email address, or log in, to check out.', true);
+      guestEmail.focus();
+      return;
+    }
+    const place = location();
+    if (!place.country) {
+      showMessage('Enter your country to check out.', true);
+      locationInputs[0].focus();
+      return;
+    }
+    if (!button.dataset.idempotencyKey) {
+      button.dataset.idempotencyKey = crypto.randomUUID();
+    }
+    button.disabled = true;
+    try {
+      const path = guest ? '/api/cart/checkout/guest' : '/api/cart/checkout';
+      const { checkoutUrl } = await cartFetch(path, {
+        method: 'POST',
+        headers: { 'Idempotency-Key': button.dataset.idempotencyKey },
+        body: JSON.stringify({
+          currency,
+          email: guest ? email : undefined,
+          ...place,
+        }),
+      });
+      // The payment page sends the buyer back to the dashboard
+      window.location.href = checkoutUrl;
+    } catch (err) {
+      delete button.dataset.idempotencyKey;
+      button.disabled = false;
+      showMessage(err.message, true);
+      await refresh();
+    }
+  }
+
+  async function refresh() {
+    try {
+      const data = await cartFetch('/api/cart');
+      cart = data.cart;
+      render();
+    } catch (_) {
+      // A guest cart that is gone starts over empty
+      localStorage.removeItem(CART_TOKEN_KEY);
+    }
+  }
+
+  // Carries a guest cart over once the visitor is logged in
+  async function mergeGuestCart() {
+    const cartToken = localStorage.getItem(CART_TOKEN_KEY);
+    if (!cartToken || !localStorage.getItem('stebio_token')) return;
+    try {
+      await cartFetch('/api/cart/merge', {
+        method: 'POST',
+        body: JSON.stringify({ cartToken }),
+      });
+    } catch (_) {
+      /* already merged or expired */
+    }
+    localStorage.removeItem(CART_TOKEN_KEY);
+  }
+
+  function open() {
+    const saved = JSON.parse(localStorage.getItem(LOCATION_KEY) || '{}');
+    locationInputs.forEach((input) => {
+      input.value = saved[input.name] || '';
+    });
+    drawer.classList.add('open');
+    showMessage('');
+  }
+
+  function close() {
+    drawer.classList.remove('open');
+  }
+
+  /**
+   * Adds a product to the cart and opens the drawer. Resolves to the
+   * cart, or rejects with the reason the item was refused.
+   */
+  async function add({ productId, variantId, couponCode, referralCode }) {
+    const data = await cartFetch('/api/cart/items', {
+      method: 'POST',
+      body: JSON.stringify({ productId, variantId, couponCode, referralCode }),
+    });
+    if (data.cartToken) localStorage.setItem(CART_TOKEN_KEY, data.cartToken);
+    cart = data.cart;
+    render();
+    open();
+    return cart;
+  }
+
+  function setup() {
+    const navRight = document.querySelector('#nav .nav-right');
+    if (!navRight) return;
+    cartBtn = document.createElement('button');
+    cartBtn.id = 'cart-btn';
+    cartBtn.addEventListener('click', open);
+    navRight.prepend(cartBtn);
+    drawer = document.createElement('aside');
+    drawer.id = 'cart-drawer';
+    drawer.innerHTML = `<div class="cart-header">
+        <h3>Your Cart</h3><button class="cart-close">Close</button>
+      </div>
+      <p class="cart-message"></p>
+      <div class="cart-items"></div>
+      <input type="email" class="cart-guest-email" placeholder="Email" />
+      <div class="cart-location">
+        <input type="text" name="country" maxlength="2"
+          placeholder="Country (e.g. DE)" />
+        <input type="text" name="region" maxlength="3"
+          placeholder="State (US)" />
+        <input type="text" name="vatId" placeholder="VAT ID (EU businesses)" />
+      </div>
+      <div class="cart-totals"></div>`;
+    drawer.querySelector('.cart-close').addEventListener('click', close);
+    itemsDiv = drawer.querySelector('.cart-items');
+    totalsDiv = drawer.querySelector('.cart-totals');
+    messageP = drawer.querySelector('.cart-message');
+    guestEmail = drawer.querySelector('.cart-guest-email');
+    locationInputs = drawer.querySelectorAll('.cart-location input');
+    if (localStorage.getItem('stebio_token')) guestEmail.remove();
+    document.body.appendChild(drawer);
+    render();
+    mergeGuestCart().then(refresh);
+  }
+
+  document.addEventListener('DOMContentLoaded', setup);
+
+  window.StebCart = { add, open, refresh };
+})();
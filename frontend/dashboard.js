@@ -9,6 +9,13 @@
  * for demonstration purposes sales represent the sum of order prices
  * for the logged in user (buyer perspective); a production seller
  * dashboard would aggregate across the seller's products/orders.
+ * Sales are totalled per currency (converted into the buyer's chosen
+ * currency where possible) and formatted with StebMoney (money.js).
+ * Sellers also see what the platform owes their store, from
+ * /api/store/:id/balance, and its latest payouts. Until payouts are set
+ * up for the store they are offered Stripe's onboarding instead, which
+ * sends them back here with ?connect=complete (or ?connect=start when
+ * its link went stale).
  */
 
 (() => {
@@ -19,6 +26,7 @@
   const logoutBtn = document.getElementById('logout-btn');
   const summaryDiv = document.getElementById('dashboard-summary');
   const chartDiv = document.getElementById('dashboard-chart');
+  const balanceDiv = document.getElementById('dashboard-balance');
   const ordersDiv = document.getElementById('dashboard-orders');
 
   function showMessage(msg, isError = false) {
@@ -78,26 +86,44 @@
     }
     // Compute order count and total sales (buyer perspective)
     let orderCount = 0;
-    let totalSales = 0;
+    const salesByCurrency = {};
     try {
-      const ordersData = await apiFetch('/api/orders');
+      const ordersData = await apiFetch(
+        StebMoney.withCurrency('/api/orders')
+      );
       ordersData.orders.forEach((o) => {
         orderCount++;
-        totalSales += o.price;
+        const { amount, currency } = o.displayPrice || {
+          amount: o.price,
+          currency: o.currency,
+        };
+        salesByCurrency[currency] = (salesByCurrency[currency] || 0) + amount;
       });
     } catch (_) {
       // ignore
     }
-    renderSummary({ productCount, orderCount, totalSales });
-    renderChart({ productCount, orderCount, totalSales });
+    // The chart only needs a magnitude, so mixed currencies are summed
+    const totalSales = Object.entries(salesByCurrency).reduce(
+      (sum, [currency, amount]) => sum + StebMoney.toMajor(amount, currency),
+      0
+    );
+    renderSummary({ productCount, orderCount, salesByCurrency });
+    renderChart({
+      productCount,
+      orderCount,
+      totalSales: Math.round(totalSales * 100) / 100,
+    });
   }
 
-  function renderSummary({ productCount, orderCount, totalSales }) {
+  function renderSummary({ productCount, orderCount, salesByCurrency }) {
     summaryDiv.innerHTML = '';
+    const sales = Object.entries(salesByCurrency)
+      .map(([currency, amount]) => StebMoney.format(amount, currency))
+      .join(' + ');
     const cards = [
       { value: productCount, label: 'Your Products' },
       { value: orderCount, label: 'Your Orders' },
-      { value: `$${totalSales.toFixed(2)}`, label: 'Your Sales' },
+      { value: sales || StebMoney.format(0), label: 'Your Sales' },
     ];
     cards.forEach((c) => {
       const card = document.createElement('div');
@@ -107,6 +133,101 @@
     });
   }
 
+  /**
+   * Render the balance of the user's store, one card per currency with
+   * what is available for the next payout, what is still held and what
+   * has been paid out, followed by the latest payouts.
+   */
+  // Sends the seller to Stripe's onboarding for their store
+  async function startPayoutSetup(store) {
+    const { url } = await apiFetch(`/api/store/${store.id}/connect`, {
+      method: 'POST',
+    });
+    window.location.href = url;
+  }
+
+  function renderPayoutSetup(store, connect) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const title = document.createElement('h4');
+    title.textContent = 'Set up payouts';
+    const info = document.createElement('p');
+    info.textContent = connect.detailsSubmitted
+      ? 'Stripe is reviewing your details. You can publish products ' +
+        'once payouts are enabled.'
+      : 'Connect a Stripe account to get paid. You can publish products ' +
+        'once payouts are enabled.';
+    const btn = document.createElement('button');
+    btn.textContent = connect.accountId
+      ? 'Continue Payout Setup'
+      : 'Set Up Payouts';
+    btn.addEventListener('click', () => {
+      startPayoutSetup(store).catch(() => {});
+    });
+    card.append(title, info, btn);
+    balanceDiv.appendChild(card);
+  }
+
+  async function loadBalance(user) {
+    balanceDiv.innerHTML = '';
+    try {
+      const storesData = await apiFetch('/api/stores');
+      const store = storesData.stores.find((s) => s.ownerId === user.id);
+      if (!store) return;
+      const step = new URLSearchParams(window.location.search).get('connect');
+      if (step === 'start') {
+        await startPayoutSetup(store);
+        return;
+      }
+      // Back from onboarding, or not set up yet: fetch the account state
+      if (step === 'complete' || !store.payoutsEnabled) {
+        const { connect } = await apiFetch(`/api/store/${store.id}/connect`);
+        if (step === 'complete') {
+          showMessage(
+            connect.payoutsEnabled
+              ? 'Payouts are set up. You can publish products now.'
+              : 'Payout setup is not finished yet.',
+            !connect.payoutsEnabled
+          );
+        }
+        if (!connect.payoutsEnabled) renderPayoutSetup(store, connect);
+      }
+      const [{ balances }, { payouts }] = await Promise.all([
+        apiFetch(`/api/store/${store.id}/balance`),
+        apiFetch(`/api/store/${store.id}/payouts`),
+      ]);
+      balances.forEach((b) => {
+        const money = (amount) => StebMoney.format(amount, b.currency);
+        const card = document.createElement('div');
+        card.className = 'card';
+        const title = document.createElement('h4');
+        title.textContent = `Store balance (${b.currency})`;
+        const available = document.createElement('p');
+        available.textContent = `Available: ${money(b.available)}`;
+        const pending = document.createElement('p');
+        pending.textContent = `Pending: ${money(b.pending)}`;
+        if (b.nextAvailableAt) {
+          const date = new Date(b.nextAvailableAt).toLocaleDateString();
+          pending.textContent += ` (next available on ${date})`;
+        }
+        const paid = document.createElement('p');
+        paid.textContent = `Paid out: ${money(b.paidOut + b.inTransit)}`;
+        card.append(title, available, pending, paid);
+        balanceDiv.appendChild(card);
+      });
+      payouts.slice(0, 5).forEach((p) => {
+        const line = document.createElement('p');
+        const date = new Date(p.createdAt).toLocaleDateString();
+        line.textContent =
+          `Payout ${StebMoney.format(p.amount, p.currency)} on ${date}: ` +
+          p.status;
+        balanceDiv.appendChild(line);
+      });
+    } catch (_) {
+      /* handled */
+    }
+  }
+
   /**
    * Render a basic bar chart using inline SVG. The chart displays three
    * bars corresponding to product count, order count and total sales.
@@ -159,10 +280,102 @@
     chartDiv.appendChild(svg);
   }
 
+  // Price line of an order card: what each charge comes to, with the
+  // tax in it, e.g. "€11.90 including €1.90 tax"
+  function orderPrice(o) {
+    const total = StebMoney.formatPrice({
+      price: o.total,
+      currency: o.currency,
+      displayPrice: o.displayTotal,
+    });
+    if (o.tax) {
+      return `${total} including ${StebMoney.format(o.tax, o.currency)} tax`;
+    }
+    return o.reverseCharge ? `${total}, VAT reverse charged` : total;
+  }
+
+  // Status line of an order card, e.g. "Free trial, 5 days left"
+  function orderStatus(o) {
+    const date = (d) => new Date(d).toLocaleDateString();
+    if (o.cancelAtPeriodEnd) {
+      return `${o.status}, ends on ${date(o.nextBillingAt)}`;
+    }
+    if (o.status === 'paused') return `paused until ${date(o.resumesAt)}`;
+    if (o.status === 'partially_refunded') return 'partially refunded';
+    if (o.status !== 'trialing') return o.status;
+    const msLeft = new Date(o.trialEndsAt) - Date.now();
+    const days = Math.max(0, Math.ceil(msLeft / (24 * 60 * 60 * 1000)));
+    const ends = new Date(o.trialEndsAt).toLocaleDateString();
+    const left = days === 1 ? '1 day' : `${days} days`;
+    return `Free trial, ${left} left (first charge on ${ends})`;
+  }
+
+  // Buttons for a subscription as [label, action, body, done message]:
+  // cancel at period end or right away (with a prorated refund), undo a
+  // pending cancellation, pause (for the product's longest pause) and
+  // resume.
+  function subscriptionActions(o) {
+    if (o.status === 'paused') {
+      return [
+        ['Resume', 'resume', {}, 'Subscription resumed'],
+        ['Cancel Now', 'cancel', { immediate: true }, 'Subscription cancelled'],
+      ];
+    }
+    if (!['trialing', 'active', 'past_due'].includes(o.status)) return [];
+    if (o.cancelAtPeriodEnd) {
+      return [['Keep Subscription', 'reactivate', {}, 'Cancellation undone']];
+    }
+    const actions = [];
+    if (o.status !== 'past_due') {
+      const end = o.status === 'trialing' ? 'Trial End' : 'Period End';
+      actions.push([
+        `Cancel at ${end}`,
+        'cancel',
+        {},
+        'Your subscription will end when the current period is over',
+      ]);
+    }
+    actions.push([
+      o.status === 'active' ? 'Cancel Now (Prorated Refund)' : 'Cancel Now',
+      'cancel',
+      { immediate: true },
+      'Subscription cancelled',
+    ]);
+    if (o.status === 'active' && o.product.maxPauseDays) {
+      actions.push([
+        `Pause for ${o.product.maxPauseDays} Days`,
+        'pause',
+        {},
+        'Subscription paused',
+      ]);
+    }
+    return actions;
+  }
+
+  // Opens an order's invoice as a PDF; the request needs the token, so
+  // the file is fetched here rather than linked to
+  async function openInvoice(o) {
+    try {
+      const res = await fetch(
+        `${BASE_URL}/api/orders/${o.id}/invoice?format=pdf`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Request failed');
+      }
+      const url = URL.createObjectURL(await res.blob());
+      window.open(url, '_blank');
+    } catch (err) {
+      showMessage(err.message, true);
+    }
+  }
+
   /**
    * Render a list of the user's orders. Each entry shows product title,
-   * status and price. If the order is an active subscription, a cancel
-   * button is provided to stop the subscription.
+   * status (with the days left of a free trial) and price, and paid
+   * orders a button for their invoice. Running subscriptions get buttons
+   * to cancel, pause or resume them.
    */
   async function loadOrdersList() {
     ordersDiv.innerHTML = '';
@@ -171,7 +384,7 @@
       return;
     }
     try {
-      const data = await apiFetch('/api/orders');
+      const data = await apiFetch(StebMoney.withCurrency('/api/orders'));
       if (data.orders.length === 0) {
         ordersDiv.textContent = 'You have no orders yet.';
         return;
@@ -179,21 +392,33 @@
       data.orders.forEach((o) => {
         const card = document.createElement('div');
         card.className = 'card';
-        card.innerHTML = `<h4>${o.product.title}</h4>\n          <p>Status: ${o.status}</p>\n          <p>Price: $${o.price.toFixed(2)}</p>`;
-        // Cancel subscription option
-        if (o.status === 'active' && o.product.type === 'subscription') {
-          const cancelBtn = document.createElement('button');
-          cancelBtn.textContent = 'Cancel Subscription';
-          cancelBtn.addEventListener('click', async () => {
-            try {
-              await apiFetch(`/api/orders/${o.id}/cancel`, { method: 'POST' });
-              showMessage('Subscription cancelled');
-              await loadOrdersList();
-            } catch (_) {
-              /* handled */
-            }
+        // Show the title the product had when it was bought
+        const title = (o.soldAs || o.product).title;
+        card.innerHTML = `<h4>${title}</h4>\n          <p>Status: ${orderStatus(o)}</p>\n          <p>Price: ${orderPrice(o)}</p>`;
+        if (o.paidAt) {
+          const invoiceBtn = document.createElement('button');
+          invoiceBtn.textContent = 'Invoice';
+          invoiceBtn.addEventListener('click', () => openInvoice(o));
+          card.appendChild(invoiceBtn);
+        }
+        if (o.product.type === 'subscription') {
+          subscriptionActions(o).forEach(([label, action, body, done]) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.addEventListener('click', async () => {
+              try {
+                await apiFetch(`/api/orders/${o.id}/${action}`, {
+                  method: 'POST',
+                  body: JSON.stringify(body),
+                });
+                showMessage(done);
+                await loadOrdersList();
+              } catch (_) {
+                /* handled */
+              }
+            });
+            card.appendChild(btn);
           });
-          card.appendChild(cancelBtn);
         }
         ordersDiv.appendChild(card);
       });
@@ -222,7 +447,13 @@
       summaryDiv.textContent = 'Please log in to view your dashboard.';
       return;
     }
+    // Returning from the payment page; the order turns active once the
+    // payment provider confirms it
+    if (new URLSearchParams(window.location.search).get('checkout')) {
+      showMessage('Thanks! Your order will be ready once payment clears.');
+    }
     await loadSummary(user);
+    await loadBalance(user);
     await loadOrdersList();
   });
 })();
@@ -0,0 +1,197 @@
+/*
+ * library.js
+ *
+ * The purchase library of a guest customer, who bought without an
+ * account. The page is opened from the magic link they were mailed
+ * (library.html?token=...) and lists their orders from
+ * /api/guest/library with what each delivered, license keys included,
+ * and a link to the invoice of each paid one. Below the orders the guest
+ * can claim them into an account: a new one under the same address, or,
+ * when an account with that address exists, the one they are logged in
+ * to. Without a valid link the page offers to mail a new one.
+ */
+
+(() => {
+  const BASE_URL = 'https://stebio.onrender.com';
+  const token = localStorage.getItem('stebio_token') || null;
+  const params = new URLSearchParams(window.location.search);
+  const guestToken = params.get('token');
+  const messagesDiv = document.getElementById('messages');
+  const ordersDiv = document.getElementById('library-orders');
+  const claimDiv = document.getElementById('library-claim');
+  const accessForm = document.getElementById('library-access');
+
+  function showMessage(msg, isError = false) {
+    messagesDiv.textContent = msg;
+    messagesDiv.style.color = isError ? '#d32f2f' : '#388e3c';
+  }
+
+  async function apiFetch(path, options = {}) {
+    const headers = options.headers || {};
+    headers['Content-Type'] = 'application/json';
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+    try {
+      const res = await fetch(BASE_URL + path, { ...options, headers });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(data.error || 'Request failed');
+      }
+      return data;
+    } catch (err) {
+      showMessage(err.message, true);
+      throw err;
+    }
+  }
+
+  // One line per deliverable; license keys are shown in full
+  function deliverableText(d) {
+    if (d.type === 'license_key') return `License key: ${d.key}`;
+    const label = d.type.replace(/_/g, ' ');
+    return d.revokedAt ? `${label} (access ended)` : label;
+  }
+
+  // Price line of an order card: what each charge comes to, with the
+  // tax in it, e.g. "€11.90 including €1.90 tax"
+  function orderPrice(o) {
+    const total = StebMoney.formatPrice({
+      price: o.total,
+      currency: o.currency,
+      displayPrice: o.displayTotal,
+    });
+    if (o.tax) {
+      return `${total} including ${StebMoney.format(o.tax, o.currency)} tax`;
+    }
+    return o.reverseCharge ? `${total}, VAT reverse charged` : total;
+  }
+
+  function renderOrders(orders) {
+    ordersDiv.innerHTML = '';
+    if (orders.length === 0) {
+      ordersDiv.textContent = 'No purchases yet.';
+      return;
+    }
+    orders.forEach((o) => {
+      const card = document.createElement('div');
+      card.className = 'card';
+      const title = document.createElement('h4');
+      title.textContent = (o.soldAs || o.product).title;
+      const status = document.createElement('p');
+      status.textContent = `Status: ${o.status.replace(/_/g, ' ')}`;
+      const price = document.createElement('p');
+      price.textContent = `Price: ${orderPrice(o)}`;
+      card.append(title, status, price);
+      if (o.status === 'pending') {
+        const note = document.createElement('p');
+        note.textContent = 'Waiting for your payment to clear.';
+        card.appendChild(note);
+      }
+      o.deliverables.forEach((d) => {
+        const line = document.createElement('p');
+        line.textContent = deliverableText(d);
+        card.appendChild(line);
+      });
+      if (o.paidAt) {
+        const invoice = document.createElement('a');
+        invoice.href =
+          `${BASE_URL}/api/orders/${o.id}/invoice?format=pdf` +
+          `&token=${encodeURIComponent(guestToken)}`;
+        invoice.target = '_blank';
+        invoice.textContent = 'Invoice (PDF)';
+        card.appendChild(invoice);
+      }
+      ordersDiv.appendChild(card);
+    });
+  }
+
+  async function claim(body) {
+    const data = await apiFetch('/api/guest/claim', {
+      method: 'POST',
+      body: JSON.stringify({ token: guestToken, ...body }),
+    });
+    if (data.token) localStorage.setItem('stebio_token', data.token);
+    window.location.href = 'dashboard.html';
+  }
+
+  function renderClaim(customer) {
+    claimDiv.innerHTML = '<h3>Keep your purchases in an account</h3>';
+    const info = document.createElement('p');
+    claimDiv.appendChild(info);
+    if (token) {
+      info.textContent =
+        'Add these orders to the account you are logged in to. It needs ' +
+        `the address ${customer.email}.`;
+      const claimBtn = document.createElement('button');
+      claimBtn.textContent = 'Add to My Account';
+      claimBtn.addEventListener('click', () => claim({}).catch(() => {}));
+      claimDiv.appendChild(claimBtn);
+      return;
+    }
+    if (customer.accountExists) {
+      info.textContent =
+        `There is already an account for ${customer.email}. Log in to it, ` +
+        'then open this link again to add these orders.';
+      return;
+    }
+    info.textContent =
+      `Choose a password to create an account for ${customer.email}.`;
+    const form = document.createElement('form');
+    form.innerHTML = `<input type="text" name="name" placeholder="Name" />
+      <input type="password" name="password" placeholder="Password" required />
+      <button type="submit">Create Account</button>`;
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      claim({
+        name: form.elements.name.value.trim() || undefined,
+        password: form.elements.password.value,
+      }).catch(() => {});
+    });
+    form.elements.name.value = customer.name;
+    claimDiv.appendChild(form);
+  }
+
+  function setupAccessForm() {
+    accessForm.style.display = '';
+    accessForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await apiFetch('/api/guest/access', {
+          method: 'POST',
+          body: JSON.stringify({
+            email: document.getElementById('library-email').value,
+          }),
+        });
+        showMessage(
+          'If you bought with that address, a new link is on its way.'
+        );
+      } catch (_) {
+        /* handled */
+      }
+    });
+  }
+
+  document.addEventListener('DOMContentLoaded', async () => {
+    if (!guestToken) {
+      // Back from the payment page; the link was mailed at checkout
+      if (params.get('checkout')) {
+        showMessage(
+          'Thanks! Check your email for the link to your purchases.'
+        );
+      }
+      setupAccessForm();
+      return;
+    }
+    try {
+      const data = await apiFetch(
+        StebMoney.withCurrency(
+          `/api/guest/library?token=${encodeURIComponent(guestToken)}`
+        )
+      );
+      renderOrders(data.orders);
+      renderClaim(data.customer);
+    } catch (_) {
+      setupAccessForm();
+    }
+  });
+})();
@@ -0,0 +1,67 @@
+/*
+ * money.js
+ *
+ * Shared money formatting for the STEB.IO pages, loaded before each
+ * page's script. The API returns amounts as integers in the minor unit
+ * of their currency (cents for USD) next to an ISO currency code, and
+ * optionally a displayPrice converted into the currency the buyer picked
+ * on the marketplace page (remembered in localStorage). Exposes
+ * window.StebMoney.
+ */
+
+(() => {
+  const CURRENCY_KEY = 'stebio_currency';
+
+  function digits(currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency })
+      .resolvedOptions().maximumFractionDigits;
+  }
+
+  // Minor units to a plain number in major units, e.g. 999 -> 9.99
+  function toMajor(amount, currency = 'USD') {
+    return Number(amount || 0) / 10 ** digits(currency);
+  }
+
+  // Minor units to a display string, e.g. 999, 'USD' -> "$9.99"
+  function format(amount, currency = 'USD') {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency,
+    }).format(toMajor(amount, currency));
+  }
+
+  // Formats a priced API object ({ price, currency, displayPrice }),
+  // preferring the amount converted into the buyer's currency
+  function formatPrice(item) {
+    if (item.displayPrice) {
+      return format(item.displayPrice.amount, item.displayPrice.currency);
+    }
+    return format(item.price, item.currency);
+  }
+
+  function preferredCurrency() {
+    return localStorage.getItem(CURRENCY_KEY) || '';
+  }
+
+  function setPreferredCurrency(currency) {
+    if (currency) localStorage.setItem(CURRENCY_KEY, currency);
+    else localStorage.removeItem(CURRENCY_KEY);
+  }
+
+  // Appends ?currency= for the buyer's currency to an API path
+  function withCurrency(path) {
+    const currency = preferredCurrency();
+    if (!currency) return path;
+    const sep = path.includes('?') ? '&' : '?';
+    return `${path}${sep}currency=${encodeURIComponent(currency)}`;
+  }
+
+  window.StebMoney = {
+    toMajor,
+    format,
+    formatPrice,
+    preferredCurrency,
+    setPreferredCurrency,
+    withCurrency,
+  };
+})();
@@ -4,13 +4,25 @@
  * Handles fetching and rendering details for a single product on the
  * dedicated product page. The page reads the `id` query parameter from
  * the URL, requests `/api/products/:id` from the backend and displays
- * the product along with its store information. If the user is logged in
- * (based on localStorage token), a "Buy" button is shown. Clicking
- * "Buy" submits a checkout request and shows a confirmation message.
+ * the product along with its store information and the variants (price
+ * plans) it is sold as. If the user is logged in (based on localStorage
+ * token), a discount code field and a "Buy" button are shown. Entering
+ * a code previews the discounted price of the selected variant; clicking
+ * "Buy" submits a checkout request for it, with the code, and sends the
+ * buyer on to the payment page it returns; the request carries an
+ * Idempotency-Key, so a double click places one order. "Add to Cart"
+ * (also offered to visitors who are not logged in) puts the selected
+ * variant in the cart drawer (cart.js) instead. Visitors can also buy with just their
+ * email address as guests. A `ref` query parameter, from an affiliate
+ * link, goes along as the referral code either way. Buyers say where
+ * they are (country, US state, and a VAT ID for EU businesses) to see the
+ * price with tax from /api/checkout/quote; checkout charges that tax.
  */
 
 (() => {
   const BASE_URL = 'https://stebio.onrender.com';
+  // Where the buyer said they are, shared with the cart drawer (cart.js)
+  const LOCATION_KEY = 'stebio_tax_location';
   let token = localStorage.getItem('stebio_token') || null;
   const messagesDiv = document.getElementById('messages');
   const userInfoSpan = document.getElementById('user-info');
@@ -27,7 +39,8 @@
     }
   }
 
-  async function apiFetch(path, options = {}) {
+  // With quiet: true errors are thrown without showing a message
+  async function apiFetch(path, { quiet = false, ...options } = {}) {
     const headers = options.headers || {};
     headers['Content-Type'] = 'application/json';
     if (token) {
@@ -41,7 +54,7 @@
       }
       return data;
     } catch (err) {
-      showMessage(err.message, true);
+      if (!quiet) showMessage(err.message, true);
       throw err;
     }
   }
@@ -58,36 +71,291 @@
     }
   }
 
+  // Describes a variant's price, e.g. "$9.99 / month · 7-day trial"
+  function variantPrice(v) {
+    let text = StebMoney.formatPrice(v);
+    if (v.type === 'subscription') {
+      text += v.billingInterval === 'yearly' ? ' / year' : ' / month';
+      if (v.trialDays) text += ` · ${v.trialDays}-day trial`;
+    } else {
+      text += ' one time';
+    }
+    return text;
+  }
+
+  // Renders the variants as radio buttons, the cheapest preselected.
+  // Returns a function giving the selected variant's id.
+  function renderVariants(card, variants) {
+    const list = document.createElement('div');
+    list.className = 'variant-list';
+    const cheapest = variants.reduce((a, b) => (b.price < a.price ? b : a));
+    variants.forEach((v) => {
+      const label = document.createElement('label');
+      label.className = 'variant-option';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'variant';
+      radio.value = v.id;
+      radio.checked = v.id === cheapest.id;
+      label.appendChild(radio);
+      label.appendChild(
+        document.createTextNode(` ${v.name} — ${variantPrice(v)}`)
+      );
+      list.appendChild(label);
+    });
+    card.appendChild(list);
+    return () => {
+      const checked = list.querySelector('input[name="variant"]:checked');
+      return checked ? parseInt(checked.value) : null;
+    };
+  }
+
+  // Adds the discount code field with its live price preview to the
+  // card. Returns a function giving the entered code.
+  function renderCouponField(card, id, selectedVariant) {
+    const field = document.createElement('div');
+    field.className = 'coupon-field';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Discount code';
+    const preview = document.createElement('p');
+    preview.className = 'coupon-preview';
+    field.appendChild(input);
+    field.appendChild(preview);
+    card.appendChild(field);
+    let timer = null;
+    const update = async () => {
+      const code = input.value.trim();
+      if (!code) {
+        preview.textContent = '';
+        return;
+      }
+      const params = new URLSearchParams({ couponCode: code });
+      const variantId = selectedVariant();
+      if (variantId) params.set('variantId', variantId);
+      try {
+        const quote = await apiFetch(
+          StebMoney.withCurrency(`/api/products/${id}/price?${params}`),
+          { quiet: true }
+        );
+        if (code !== input.value.trim()) return;
+        const price = StebMoney.formatPrice(quote);
+        const saved = StebMoney.format(quote.discount, quote.currency);
+        let off = `${saved} off`;
+        if (quote.coupon.duration === 'once') off += ' the first payment';
+        if (quote.coupon.duration === 'forever') off += ' every payment';
+        preview.textContent = `${price} with ${quote.coupon.code} (${off})`;
+        preview.style.color = '#388e3c';
+      } catch (err) {
+        if (code !== input.value.trim()) return;
+        preview.textContent = err.message;
+        preview.style.color = '#d32f2f';
+      }
+    };
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(update, 400);
+    };
+    input.addEventListener('input', schedule);
+    card.addEventListener('change', (e) => {
+      if (e.target.name === 'variant') schedule();
+    });
+    return () => input.value.trim();
+  }
+
+  // Adds the fields for where the buyer is, which set the tax, with a
+  // live quote of the price with tax. Returns a function giving the
+  // location to check out with.
+  function renderTaxFields(card, id, selectedVariant, couponCode) {
+    const field = document.createElement('div');
+    field.className = 'tax-fields';
+    field.innerHTML = `<input type="text" name="country" maxlength="2"
+        placeholder="Country (e.g. DE)" />
+      <input type="text" name="region" maxlength="3"
+        placeholder="State (US)" />
+      <input type="text" name="vatId" placeholder="VAT ID (EU businesses)" />
+      <p class="tax-quote"></p>`;
+    const inputs = field.querySelectorAll('input');
+    const quoteP = field.querySelector('.tax-quote');
+    const saved = JSON.parse(localStorage.getItem(LOCATION_KEY) || '{}');
+    inputs.forEach((input) => {
+      input.value = saved[input.name] || '';
+    });
+    card.appendChild(field);
+    const location = () => {
+      const values = {};
+      inputs.forEach((input) => {
+        values[input.name] = input.value.trim() || undefined;
+      });
+      return values;
+    };
+    let timer = null;
+    const update = async () => {
+      const place = location();
+      localStorage.setItem(LOCATION_KEY, JSON.stringify(place));
+      if (!place.country) {
+        quoteP.textContent = 'Enter your country to see the price with tax.';
+        quoteP.style.color = '';
+        return;
+      }
+      const params = new URLSearchParams({ productId: id });
+      const variantId = selectedVariant();
+      if (variantId) params.set('variantId', variantId);
+      if (couponCode()) params.set('couponCode', couponCode());
+      Object.entries(place).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      try {
+        const quote = await apiFetch(
+          StebMoney.withCurrency(`/api/checkout/quote?${params}`),
+          { quiet: true }
+        );
+        const total = StebMoney.formatPrice({
+          price: quote.total,
+          currency: quote.currency,
+          displayPrice: quote.displayTotal,
+        });
+        let text = `Total: ${total}`;
+        if (quote.tax) {
+          const tax = StebMoney.format(quote.tax, quote.currency);
+          text += ` including ${tax} tax (${quote.taxRate}%)`;
+        } else if (quote.reverseCharge) {
+          text += ', VAT reverse charged';
+        } else {
+          text += ', no tax';
+        }
+        if (quote.trialDays) text += ` after the ${quote.trialDays}-day trial`;
+        quoteP.textContent = text;
+        quoteP.style.color = '#388e3c';
+      } catch (err) {
+        quoteP.textContent = err.message;
+        quoteP.style.color = '#d32f2f';
+      }
+    };
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(update, 400);
+    };
+    card.addEventListener('input', (e) => {
+      if (e.target.closest('.tax-fields, .coupon-field')) schedule();
+    });
+    card.addEventListener('change', (e) => {
+      if (e.target.name === 'variant') schedule();
+    });
+    update();
+    return location;
+  }
+
+  // Lets a visitor who is not logged in buy with just an email address;
+  // a link to their purchases is mailed to it (see library.js)
+  function renderGuestCheckout(
+    card,
+    id,
+    { selectedVariant, referralCode, location }
+  ) {
+    const form = document.createElement('form');
+    form.className = 'guest-checkout';
+    form.innerHTML = `<input type="email" name="email" placeholder="Email"
+        required />
+      <button type="submit">Buy as Guest</button>`;
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      placeCheckout(form.querySelector('button'), '/api/checkout/guest', {
+        email: form.elements.email.value,
+        productId: id,
+        variantId: selectedVariant(),
+        referralCode,
+        ...location(),
+      });
+    });
+    card.appendChild(form);
+  }
+
+  // Posts a checkout from `button`, which is disabled meanwhile, and
+  // sends the buyer on to the payment page. The attempt's Idempotency-Key
+  // makes a repeated request return the same order instead of placing a
+  // second one; a failed attempt gets a new key.
+  async function placeCheckout(button, path, body) {
+    if (!button.dataset.idempotencyKey) {
+      button.dataset.idempotencyKey = crypto.randomUUID();
+    }
+    button.disabled = true;
+    try {
+      const { checkoutUrl } = await apiFetch(path, {
+        method: 'POST',
+        headers: { 'Idempotency-Key': button.dataset.idempotencyKey },
+        body: JSON.stringify(body),
+      });
+      window.location.href = checkoutUrl;
+    } catch (_) {
+      delete button.dataset.idempotencyKey;
+      button.disabled = false;
+    }
+  }
+
   async function loadProduct(id) {
     try {
-      const data = await apiFetch(`/api/products/${id}`);
+      const data = await apiFetch(
+        StebMoney.withCurrency(`/api/products/${id}`)
+      );
       const { product, store } = data;
       const card = document.createElement('div');
       card.className = 'product-detail-card';
       card.innerHTML = `<h2>${product.title}</h2>
         <p>${product.description || ''}</p>
-        <p><strong>Price:</strong> $${product.price.toFixed(2)}</p>
-        <p><strong>Type:</strong> ${product.type.replace('_', ' ')}</p>
         <p><strong>Store:</strong> <a href="store.html?id=${store.id}">${store.name}</a></p>`;
-      if (token) {
-        const buyBtn = document.createElement('button');
-        buyBtn.textContent = 'Buy Now';
-        buyBtn.addEventListener('click', async () => {
+      const variants = product.variants || [];
+      const selectedVariant = variants.length
+        ? renderVariants(card, variants)
+        : () => null;
+      if (product.archivedAt || variants.length === 0) {
+        const info = document.createElement('p');
+        info.textContent = 'This product is no longer available.';
+        card.appendChild(info);
+      } else {
+        const referralCode =
+          new URLSearchParams(window.location.search).get('ref') || undefined;
+        const couponCode = token
+          ? renderCouponField(card, id, selectedVariant)
+          : () => '';
+        const location = renderTaxFields(card, id, selectedVariant, couponCode);
+        if (token) {
+          const buyBtn = document.createElement('button');
+          buyBtn.textContent = 'Buy Now';
+          // Payment happens on the provider's hosted page, which sends
+          // the buyer back to the dashboard afterwards
+          buyBtn.addEventListener('click', () =>
+            placeCheckout(buyBtn, '/api/checkout', {
+              productId: id,
+              variantId: selectedVariant(),
+              couponCode: couponCode() || undefined,
+              referralCode,
+              ...location(),
+            })
+          );
+          card.appendChild(buyBtn);
+        } else {
+          renderGuestCheckout(card, id, {
+            selectedVariant,
+            referralCode,
+            location,
+          });
+        }
+        const cartBtn = document.createElement('button');
+        cartBtn.textContent = 'Add to Cart';
+        cartBtn.addEventListener('click', async () => {
           try {
-            await apiFetch('/api/checkout', {
-              method: 'POST',
-              body: JSON.stringify({ productId: id }),
+            await StebCart.add({
+              productId: id,
+              variantId: selectedVariant(),
+              couponCode: couponCode() || undefined,
+              referralCode,
             });
-            showMessage('Order placed successfully!');
-          } catch (_) {
-            /* handled */
+          } catch (err) {
+            showMessage(err.message, true);
           }
         });
-        card.appendChild(buyBtn);
-      } else {
-        const info = document.createElement('p');
-        info.textContent = 'Please log in to purchase this product.';
-        card.appendChild(info);
+        card.appendChild(cartBtn);
       }
       productContainer.innerHTML = '';
       productContainer.appendChild(card);
@@ -60,7 +60,9 @@
 
   async function loadStore(id) {
     try {
-      const data = await apiFetch(`/api/stores/${id}`);
+      const data = await apiFetch(
+        StebMoney.withCurrency(`/api/stores/${id}`)
+      );
       const { store, products } = data;
       // Render store details
       const section = document.createElement('div');
@@ -86,7 +88,9 @@
         card.appendChild(desc);
         const meta = document.createElement('p');
         meta.className = 'product-meta';
-        meta.innerHTML = `$${p.price.toFixed(2)} · ${p.type.replace('_', ' ')}`;
+        // Products with several variants show their cheapest price
+        const from = p.variants && p.variants.length > 1 ? 'from ' : '';
+        meta.innerHTML = `${from}${StebMoney.formatPrice(p)} · ${p.type.replace('_', ' ')}`;
         card.appendChild(meta);
         const viewBtn = document.createElement('button');
         viewBtn.textContent = 'View';